@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const Agency = require('../shared/models/Agency');
+const ChapterMetric = require('../shared/models/ChapterMetric');
+const Document = require('../shared/models/Document');
+const SectionAnalysis = require('../shared/models/SectionAnalysis');
+const Settings = require('../shared/models/Settings');
+const logger = require('../shared/utils/logger');
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Keyword settings are phrases; metrics store them camelCased ("reporting requirement" → "reportingRequirement")
+const keywordKey = keyword => keyword.replace(/\s+(.)/g, (match, chr) => chr.toUpperCase()).replace(/\s+/g, '');
+
+// The latest text metrics of each of the given chapters, summed
+async function chapterTotals(chapters) {
+  const metrics = chapters.length === 0 ? [] : await ChapterMetric.find({
+    $or: chapters.map(({ titleNumber, identifier }) => ({ titleNumber, identifier }))
+  }).lean();
+
+  const keywords = await Settings.getSetting('regulatory_keywords', Settings.getDefaultKeywords());
+  const keywordFrequency = Object.fromEntries(keywords.map(keyword => [keywordKey(keyword), 0]));
+  let wordCount = 0;
+  let lastAnalyzed = null;
+
+  for (const metric of metrics) {
+    wordCount += metric.metrics.wordCount || 0;
+    Object.entries(metric.metrics.keywordFrequency || {}).forEach(([keyword, count]) => {
+      // Counts for keywords since removed from the settings are left out
+      if (keyword in keywordFrequency) {
+        keywordFrequency[keyword] += count;
+      }
+    });
+    if (!lastAnalyzed || metric.analysisDate > lastAnalyzed) {
+      lastAnalyzed = metric.analysisDate;
+    }
+  }
+
+  return { wordCount, keywordFrequency, chaptersAnalyzed: metrics.length, lastAnalyzed };
+}
+
+// List agencies with the titles and chapters they issue and their size
+router.get('/', async (req, res, next) => {
+  try {
+    const agencies = await Agency.find({}).select('-_id slug name shortName chapters').sort({ name: 1 }).lean();
+
+    const sectionCounts = await Document.aggregate([
+      { $match: { $and: [await Document.activeFilter(), { type: 'section', agency: { $ne: null } }] } },
+      { $group: { _id: '$agency', count: { $sum: 1 } } }
+    ]);
+    const sectionsByAgency = new Map(sectionCounts.map(({ _id, count }) => [_id, count]));
+
+    const wordCounts = await ChapterMetric.find({}).select('titleNumber identifier metrics.wordCount').lean();
+    const wordsByChapter = new Map(wordCounts.map(metric => [`${metric.titleNumber}|${metric.identifier}`, metric.metrics.wordCount || 0]));
+
+    res.json({
+      agencies: agencies.map(agency => ({
+        ...agency,
+        chapters: agency.chapters.map(({ _id, ...chapter }) => chapter),
+        titles: [...new Set(agency.chapters.map(chapter => chapter.titleNumber))].sort((a, b) => a - b),
+        sectionCount: sectionsByAgency.get(agency.slug) || 0,
+        wordCount: agency.chapters.reduce(
+          (sum, chapter) => sum + (wordsByChapter.get(`${chapter.titleNumber}|${chapter.identifier}`) || 0),
+          0
+        )
+      }))
+    });
+  } catch (error) {
+    logger.error('Agencies fetch error:', error);
+    next(error);
+  }
+});
+
+// Rolled-up metrics of an agency's chapters. Word and keyword counts come from the
+// text metrics analysis, scores from the section analyses of the agency's sections.
+router.get('/:slug/metrics', async (req, res, next) => {
+  try {
+    const agency = await Agency.findOne({ slug: req.params.slug }).select('-_id slug name shortName chapters').lean();
+    if (!agency) {
+      return res.status(404).json({ error: 'Agency not found' });
+    }
+
+    const chapters = agency.chapters.map(({ _id, ...chapter }) => chapter);
+    const titleNumbers = [...new Set(chapters.map(chapter => chapter.titleNumber))];
+
+    const sectionCount = titleNumbers.length === 0 ? 0 : await Document.countDocuments({
+      $or: await Promise.all(titleNumbers.map(titleNumber => Document.activeFilter(titleNumber))),
+      agency: agency.slug,
+      type: 'section'
+    });
+
+    const [scores] = chapters.length === 0 ? [] : await SectionAnalysis.aggregate([
+      {
+        $match: {
+          $or: chapters.map(({ titleNumber, identifier }) => ({
+            titleNumber,
+            sectionIdentifier: { $regex: `^${escapeRegExp(identifier)}/` }
+          }))
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          analyzedSections: { $sum: 1 },
+          avgAntiquatedScore: { $avg: '$antiquatedScore' },
+          avgBusinessUnfriendlyScore: { $avg: '$businessUnfriendlyScore' }
+        }
+      }
+    ]);
+
+    const totals = await chapterTotals(chapters);
+
+    res.json({
+      agency: { ...agency, chapters },
+      metrics: {
+        wordCount: totals.wordCount,
+        sectionCount,
+        analyzedSections: scores ? scores.analyzedSections : 0,
+        avgAntiquatedScore: scores ? scores.avgAntiquatedScore : null,
+        avgBusinessUnfriendlyScore: scores ? scores.avgBusinessUnfriendlyScore : null,
+        keywordFrequency: totals.keywordFrequency,
+        chaptersAnalyzed: totals.chaptersAnalyzed,
+        lastAnalyzed: totals.lastAnalyzed
+      }
+    });
+  } catch (error) {
+    logger.error('Agency metrics error:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -105,7 +105,7 @@ router.get('/business-unfriendly', async (req, res) => {
 router.get('/stats', async (req, res) => {
   try {
     const totalAnalyzed = await SectionAnalysis.countDocuments();
-    const totalSections = await Document.countDocuments({ type: 'section' });
+    const totalSections = await Document.countDocuments({ ...(await Document.activeFilter()), type: 'section' });
     
     const avgScores = await SectionAnalysis.aggregate([
       {
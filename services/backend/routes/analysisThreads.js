@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const logger = require('../shared/utils/logger');
 const AnalysisThread = require('../shared/models/AnalysisThread');
+const { formatAnalysisThread } = require('../services/progressEvents');
 const axios = require('axios');
 
 // Base URL for data-analysis service internal communication
@@ -12,16 +13,7 @@ router.get('/status', async (req, res, next) => {
   try {
     const threads = await AnalysisThread.find({}).lean();
     
-    const threadStatus = threads.map(thread => ({
-      threadType: thread.threadType,
-      status: thread.status,
-      progress: thread.progress,
-      currentItem: thread.currentItem,
-      lastStartTime: thread.lastStartTime,
-      lastCompletedTime: thread.lastCompletedTime,
-      error: thread.error,
-      statistics: thread.statistics
-    }));
+    const threadStatus = threads.map(formatAnalysisThread);
 
     res.json({
       success: true,
@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const Definition = require('../shared/models/Definition');
+const Document = require('../shared/models/Document');
+const logger = require('../shared/utils/logger');
+
+// List defined terms. With part (and subpart), lists the terms in effect there:
+// those defined for the whole part and those defined for that subpart.
+router.get('/', async (req, res, next) => {
+  try {
+    const { term, titleNumber, part, subpart, limit = 500 } = req.query;
+
+    const filter = {};
+    if (titleNumber !== undefined) {
+      const parsedTitleNumber = parseInt(titleNumber);
+      if (isNaN(parsedTitleNumber) || parsedTitleNumber < 1 || parsedTitleNumber > 50) {
+        return res.status(400).json({ error: 'Invalid title number. Must be between 1 and 50.' });
+      }
+      filter.titleNumber = parsedTitleNumber;
+    }
+    if (part) {
+      if (filter.titleNumber === undefined) {
+        return res.status(400).json({ error: 'titleNumber is required with part' });
+      }
+      filter.part = part;
+      filter.$or = [{ scope: 'part' }, { scope: 'subpart', subpart: subpart || null }];
+    }
+    if (term) {
+      // Terms are matched whole, ignoring case
+      filter.termKey = term.trim().toLowerCase();
+    }
+
+    const definitions = await Definition.find(filter)
+      .select('-_id sourceId titleNumber sourceIdentifier section term definition scope part subpart')
+      .sort({ titleNumber: 1, part: 1, termKey: 1 })
+      .limit(Math.min(parseInt(limit) || 500, 2000))
+      .lean();
+
+    // Definitions from a version a refresh is still staging, or has replaced, are left out
+    const sourceIds = [...new Set(definitions.map(definition => definition.sourceId.toString()))];
+    const activeSources = sourceIds.length === 0 ? [] : await Document.find({
+      $and: [
+        filter.titleNumber !== undefined ? await Document.activeFilter(filter.titleNumber) : await Document.activeFilter(),
+        { _id: { $in: sourceIds } }
+      ]
+    })
+      .select('_id')
+      .lean();
+    const active = new Set(activeSources.map(doc => doc._id.toString()));
+
+    res.json({
+      definitions: definitions
+        .filter(definition => active.has(definition.sourceId.toString()))
+        .map(({ sourceId, ...definition }) => definition)
+    });
+  } catch (error) {
+    logger.error('Definitions fetch error:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
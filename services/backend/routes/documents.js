@@ -1,9 +1,32 @@
 const express = require('express');
 const router = express.Router();
 const Document = require('../shared/models/Document');
+const Snapshot = require('../shared/models/Snapshot');
+const SnapshotDocument = require('../shared/models/SnapshotDocument');
+const Reference = require('../shared/models/Reference');
 const logger = require('../shared/utils/logger');
 const { retrieveFromGridFS } = require('../shared/utils/gridfs');
 
+// Pick the documents to read from: the title's active generation, or with ?date=
+// the latest snapshot of the title taken on or before that date
+async function resolveDocumentSet(titleNumber, date) {
+  if (!date) {
+    return { Model: Document, filter: await Document.activeFilter(titleNumber), snapshotDate: null };
+  }
+
+  const asOf = new Date(date);
+  if (isNaN(asOf)) {
+    return { status: 400, error: 'Invalid date' };
+  }
+
+  const snapshot = await Snapshot.findAsOf(titleNumber, asOf);
+  if (!snapshot) {
+    return { status: 404, error: `No snapshot of title ${titleNumber} on or before ${date}` };
+  }
+
+  return { Model: SnapshotDocument, filter: { snapshotDate: snapshot.date }, snapshotDate: snapshot.date };
+}
+
 // Test route
 router.get('/test', (req, res) => {
   res.json({ message: 'Documents router is working' });
@@ -19,18 +42,16 @@ router.get('/debug/amendment-dates/:titleNumber', async (req, res, next) => {
       return res.status(400).json({ error: 'Invalid title number' });
     }
     
+    const activeFilter = await Document.activeFilter(parsedTitleNumber);
+
     const documentsWithDates = await Document.countDocuments({
-      titleNumber: parsedTitleNumber,
+      ...activeFilter,
       amendmentDate: { $exists: true, $ne: null }
     });
     
-    const totalDocuments = await Document.countDocuments({
-      titleNumber: parsedTitleNumber
-    });
+    const totalDocuments = await Document.countDocuments(activeFilter);
     
-    const sampleDocuments = await Document.find({
-      titleNumber: parsedTitleNumber
-    })
+    const sampleDocuments = await Document.find(activeFilter)
     .select('type identifier amendmentDate effectiveDate')
     .limit(5);
     
@@ -51,7 +72,7 @@ router.get('/debug/amendment-dates/:titleNumber', async (req, res, next) => {
 router.get('/title/:titleNumber', async (req, res, next) => {
   try {
     const { titleNumber } = req.params;
-    const { type, limit = 100, offset = 0, includeContent = false } = req.query;
+    const { type, limit = 100, offset = 0, includeContent = false, date } = req.query;
 
     // Validate titleNumber
     logger.info(`Documents by title - received titleNumber: ${titleNumber}`);
@@ -61,11 +82,17 @@ router.get('/title/:titleNumber', async (req, res, next) => {
       return res.status(400).json({ error: 'Invalid title number. Must be between 1 and 50.' });
     }
 
-    const query = { titleNumber: parsedTitleNumber };
+    const documentSet = await resolveDocumentSet(parsedTitleNumber, date);
+    if (documentSet.error) {
+      return res.status(documentSet.status).json({ error: documentSet.error });
+    }
+    const { Model, filter, snapshotDate } = documentSet;
+
+    const query = { titleNumber: parsedTitleNumber, ...filter };
     if (type) query.type = type;
 
     // Build query with optional content inclusion
-    let documentQuery = Document.find(query);
+    let documentQuery = Model.find(query);
     
     // Only exclude content fields if includeContent is false
     if (includeContent !== 'true' && includeContent !== true) {
@@ -77,13 +104,14 @@ router.get('/title/:titleNumber', async (req, res, next) => {
       .skip(parseInt(offset))
       .sort({ _id: 1 }); // Sort by creation order (document order)
 
-    const total = await Document.countDocuments(query);
+    const total = await Model.countDocuments(query);
 
     res.json({
       documents,
       total,
       limit: parseInt(limit),
-      offset: parseInt(offset)
+      offset: parseInt(offset),
+      snapshotDate
     });
   } catch (error) {
     logger.error('Documents list error:', error);
@@ -91,10 +119,11 @@ router.get('/title/:titleNumber', async (req, res, next) => {
   }
 });
 
-// Get document by ID
-router.get('/:titleNumber/:identifier', async (req, res, next) => {
+// Download document as text
+router.get('/:titleNumber/*/download', async (req, res, next) => {
   try {
-    const { titleNumber, identifier } = req.params;
+    const { titleNumber } = req.params;
+    const identifier = req.params[0];
     
     // Validate titleNumber
     const parsedTitleNumber = parseInt(titleNumber);
@@ -102,71 +131,15 @@ router.get('/:titleNumber/:identifier', async (req, res, next) => {
       return res.status(400).json({ error: 'Invalid title number. Must be between 1 and 50.' });
     }
     
-    let document = await Document.findOne({
-      titleNumber: parsedTitleNumber,
-      identifier: decodeURIComponent(identifier)
-    });
-
-    if (!document) {
-      return res.status(404).json({ error: 'Document not found' });
-    }
-
-    // Convert to plain object to modify
-    document = document.toObject();
-
-    // Retrieve content from GridFS if needed
-    if (document.contentGridFS) {
-      try {
-        const content = await retrieveFromGridFS(document.contentGridFS);
-        document.content = content;
-      } catch (gridfsError) {
-        logger.error('Failed to retrieve content from GridFS:', gridfsError);
-        document.content = 'Failed to retrieve content from storage';
-      }
-    }
-
-    // Retrieve structured content from GridFS if needed
-    if (document.structuredContentGridFS) {
-      try {
-        const structuredContent = await retrieveFromGridFS(document.structuredContentGridFS);
-        document.structuredContent = JSON.parse(structuredContent);
-      } catch (gridfsError) {
-        logger.error('Failed to retrieve structured content from GridFS:', gridfsError);
-      }
+    const documentSet = await resolveDocumentSet(parsedTitleNumber, req.query.date);
+    if (documentSet.error) {
+      return res.status(documentSet.status).json({ error: documentSet.error });
     }
 
-    // Retrieve formatted content from GridFS if needed
-    if (document.formattedContentGridFS) {
-      try {
-        const formattedContent = await retrieveFromGridFS(document.formattedContentGridFS);
-        document.formattedContent = formattedContent;
-      } catch (gridfsError) {
-        logger.error('Failed to retrieve formatted content from GridFS:', gridfsError);
-        document.formattedContent = document.content || 'Failed to retrieve formatted content from storage';
-      }
-    }
-
-    res.json(document);
-  } catch (error) {
-    logger.error('Document fetch error:', error);
-    next(error);
-  }
-});
-
-// Download document as text
-router.get('/:titleNumber/:identifier/download', async (req, res, next) => {
-  try {
-    const { titleNumber, identifier } = req.params;
-    
-    // Validate titleNumber
-    const parsedTitleNumber = parseInt(titleNumber);
-    if (isNaN(parsedTitleNumber) || parsedTitleNumber < 1 || parsedTitleNumber > 50) {
-      return res.status(400).json({ error: 'Invalid title number. Must be between 1 and 50.' });
-    }
-    
-    const document = await Document.findOne({
+    const document = await documentSet.Model.findOne({
       titleNumber: parsedTitleNumber,
-      identifier: decodeURIComponent(identifier)
+      identifier,
+      ...documentSet.filter
     });
 
     if (!document) {
@@ -175,7 +148,7 @@ router.get('/:titleNumber/:identifier/download', async (req, res, next) => {
 
     // Set headers for file download
     res.setHeader('Content-Type', 'text/plain');
-    res.setHeader('Content-Disposition', `attachment; filename="title-${titleNumber}-${identifier}.txt"`);
+    res.setHeader('Content-Disposition', `attachment; filename="title-${titleNumber}-${identifier.replace(/\//g, '-')}.txt"`);
     
     // Format document content
     let content = `Title ${titleNumber} - ${document.heading || document.identifier}\n`;
@@ -190,6 +163,7 @@ router.get('/:titleNumber/:identifier/download', async (req, res, next) => {
     if (document.authority) content += `\nAuthority: ${document.authority}\n`;
     if (document.source) content += `Source: ${document.source}\n`;
     if (document.amendmentDate) content += `Amendment Date: ${new Date(document.amendmentDate).toLocaleDateString()}\n`;
+    if (documentSet.snapshotDate) content += `As Of: ${documentSet.snapshotDate.toISOString().split('T')[0]}\n`;
     
     // Add citations if present
     if (document.citations && document.citations.length > 0) {
@@ -227,4 +201,261 @@ router.get('/:titleNumber/:identifier/download', async (req, res, next) => {
   }
 });
 
+// A CSV field, quoted when it holds a separator, quote or line break
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function tableToCsv(table) {
+  return [table.columns.map(column => column.label), ...table.rows]
+    .map(row => row.map(csvField).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+// Tables of a document; ?format=json or ?format=csv (one table, picked with ?table=)
+// downloads them as a file
+router.get('/:titleNumber/*/tables', async (req, res, next) => {
+  try {
+    const { titleNumber } = req.params;
+    const identifier = req.params[0];
+    const { format } = req.query;
+
+    const parsedTitleNumber = parseInt(titleNumber);
+    if (isNaN(parsedTitleNumber) || parsedTitleNumber < 1 || parsedTitleNumber > 50) {
+      return res.status(400).json({ error: 'Invalid title number. Must be between 1 and 50.' });
+    }
+
+    if (format !== undefined && !['csv', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'Invalid format. Must be csv or json.' });
+    }
+
+    const documentSet = await resolveDocumentSet(parsedTitleNumber, req.query.date);
+    if (documentSet.error) {
+      return res.status(documentSet.status).json({ error: documentSet.error });
+    }
+
+    const document = await documentSet.Model.findOne({
+      titleNumber: parsedTitleNumber,
+      identifier,
+      ...documentSet.filter
+    })
+      .select('tables')
+      .lean();
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const tables = (document.tables || []).map(({ _id, ...table }) => ({
+      ...table,
+      columns: table.columns.map(({ _id, ...column }) => column)
+    }));
+    const filename = `title-${parsedTitleNumber}-${identifier.split('/').pop()}-tables`;
+
+    if (format === 'csv') {
+      const index = req.query.table === undefined ? 0 : parseInt(req.query.table);
+      if (isNaN(index) || index < 0 || index >= tables.length) {
+        return res.status(404).json({ error: 'Table not found' });
+      }
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}-${index + 1}.csv"`);
+      return res.send(tableToCsv(tables[index]));
+    }
+
+    const body = { titleNumber: parsedTitleNumber, identifier, tables };
+    if (format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+    }
+    res.json(body);
+  } catch (error) {
+    logger.error('Document tables error:', error);
+    next(error);
+  }
+});
+
+// The active version of a document, which is where its references are read from
+async function findActiveDocument(titleNumber, identifier) {
+  return Document.findOne({
+    ...(await Document.activeFilter(titleNumber)),
+    identifier
+  })
+    .select('_id titleNumber identifier type')
+    .lean();
+}
+
+// Sections, parts and subparts this document cites
+router.get('/:titleNumber/*/references', async (req, res, next) => {
+  try {
+    const parsedTitleNumber = parseInt(req.params.titleNumber);
+    if (isNaN(parsedTitleNumber) || parsedTitleNumber < 1 || parsedTitleNumber > 50) {
+      return res.status(400).json({ error: 'Invalid title number. Must be between 1 and 50.' });
+    }
+
+    const identifier = req.params[0];
+    const document = await findActiveDocument(parsedTitleNumber, identifier);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const references = await Reference.find({ sourceId: document._id })
+      .select('text targetTitleNumber targetType targetPart targetSubpart targetSection targetKey targetIdentifier')
+      .sort({ _id: 1 })
+      .lean();
+
+    // Headings of the resolved targets, from the versions readers currently see
+    const resolved = references.filter(reference => reference.targetIdentifier);
+    const targets = new Map();
+    if (resolved.length > 0) {
+      const targetDocuments = await Document.find({
+        $and: [
+          await Document.activeFilter(),
+          { $or: resolved.map(reference => ({ titleNumber: reference.targetTitleNumber, identifier: reference.targetIdentifier })) }
+        ]
+      })
+        .select('titleNumber identifier type heading')
+        .lean();
+      targetDocuments.forEach(doc => targets.set(`${doc.titleNumber}|${doc.identifier}`, doc));
+    }
+
+    res.json({
+      titleNumber: parsedTitleNumber,
+      identifier,
+      references: references.map(({ _id, ...reference }) => {
+        const target = targets.get(`${reference.targetTitleNumber}|${reference.targetIdentifier}`);
+        return {
+          ...reference,
+          target: target ? { type: target.type, heading: target.heading } : null
+        };
+      })
+    });
+  } catch (error) {
+    logger.error('Document references error:', error);
+    next(error);
+  }
+});
+
+// Documents that cite this one
+router.get('/:titleNumber/*/referenced-by', async (req, res, next) => {
+  try {
+    const parsedTitleNumber = parseInt(req.params.titleNumber);
+    if (isNaN(parsedTitleNumber) || parsedTitleNumber < 1 || parsedTitleNumber > 50) {
+      return res.status(400).json({ error: 'Invalid title number. Must be between 1 and 50.' });
+    }
+
+    const identifier = req.params[0];
+    const document = await findActiveDocument(parsedTitleNumber, identifier);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const references = await Reference.find({ targetTitleNumber: parsedTitleNumber, targetIdentifier: identifier })
+      .select('sourceId text')
+      .lean();
+
+    const citedAs = new Map();
+    references.forEach(reference => {
+      const key = reference.sourceId.toString();
+      citedAs.set(key, [...(citedAs.get(key) || []), reference.text]);
+    });
+
+    // Edges from versions that were replaced since are left out
+    const sources = citedAs.size === 0 ? [] : await Document.find({
+      $and: [
+        await Document.activeFilter(),
+        { _id: { $in: references.map(reference => reference.sourceId) } }
+      ]
+    })
+      .select('_id titleNumber identifier type heading')
+      .sort({ titleNumber: 1, identifier: 1 })
+      .lean();
+
+    res.json({
+      titleNumber: parsedTitleNumber,
+      identifier,
+      referencedBy: sources.map(source => ({
+        titleNumber: source.titleNumber,
+        identifier: source.identifier,
+        type: source.type,
+        heading: source.heading,
+        citedAs: citedAs.get(source._id.toString())
+      }))
+    });
+  } catch (error) {
+    logger.error('Document referenced-by error:', error);
+    next(error);
+  }
+});
+
+// Get document by ID. Declared last: identifiers contain slashes, so this would also
+// match the routes above
+router.get('/:titleNumber/*', async (req, res, next) => {
+  try {
+    const { titleNumber } = req.params;
+    const identifier = req.params[0];
+    
+    // Validate titleNumber
+    const parsedTitleNumber = parseInt(titleNumber);
+    if (isNaN(parsedTitleNumber) || parsedTitleNumber < 1 || parsedTitleNumber > 50) {
+      return res.status(400).json({ error: 'Invalid title number. Must be between 1 and 50.' });
+    }
+    
+    const documentSet = await resolveDocumentSet(parsedTitleNumber, req.query.date);
+    if (documentSet.error) {
+      return res.status(documentSet.status).json({ error: documentSet.error });
+    }
+
+    let document = await documentSet.Model.findOne({
+      titleNumber: parsedTitleNumber,
+      identifier,
+      ...documentSet.filter
+    });
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    // Convert to plain object to modify
+    document = document.toObject();
+
+    // Retrieve content from GridFS if needed
+    if (document.contentGridFS) {
+      try {
+        const content = await retrieveFromGridFS(document.contentGridFS);
+        document.content = content;
+      } catch (gridfsError) {
+        logger.error('Failed to retrieve content from GridFS:', gridfsError);
+        document.content = 'Failed to retrieve content from storage';
+      }
+    }
+
+    // Retrieve structured content from GridFS if needed
+    if (document.structuredContentGridFS) {
+      try {
+        const structuredContent = await retrieveFromGridFS(document.structuredContentGridFS);
+        document.structuredContent = JSON.parse(structuredContent);
+      } catch (gridfsError) {
+        logger.error('Failed to retrieve structured content from GridFS:', gridfsError);
+      }
+    }
+
+    // Retrieve formatted content from GridFS if needed
+    if (document.formattedContentGridFS) {
+      try {
+        const formattedContent = await retrieveFromGridFS(document.formattedContentGridFS);
+        document.formattedContent = formattedContent;
+      } catch (gridfsError) {
+        logger.error('Failed to retrieve formatted content from GridFS:', gridfsError);
+        document.formattedContent = document.content || 'Failed to retrieve formatted content from storage';
+      }
+    }
+
+    res.json(document);
+  } catch (error) {
+    logger.error('Document fetch error:', error);
+    next(error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
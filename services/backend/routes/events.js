@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const progressEvents = require('../services/progressEvents');
+const logger = require('../shared/utils/logger');
+
+// Keeps proxies from closing an idle stream
+const HEARTBEAT_MS = 25000;
+
+// Stream refresh, analysis, analysis thread and index rebuild progress as Server-Sent Events
+router.get('/', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps the compression middleware from buffering events
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = progressEvents.subscribe(({ event, data }) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  });
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    logger.debug('Progress event stream closed');
+  });
+});
+
+module.exports = router;
@@ -10,6 +10,9 @@ const analysisRoutes = require('./analysis');
 const servicesRoutes = require('./services');
 const analysisThreadsRoutes = require('./analysisThreads');
 const settingsRoutes = require('./settings');
+const definitionsRoutes = require('./definitions');
+const agenciesRoutes = require('./agencies');
+const eventsRoutes = require('./events');
 
 router.use('/search', searchRoutes);
 router.use('/documents', documentRoutes);
@@ -21,5 +24,8 @@ router.use('/analysis', analysisRoutes);
 router.use('/services', servicesRoutes);
 router.use('/analysis-threads', analysisThreadsRoutes);
 router.use('/settings', settingsRoutes);
+router.use('/definitions', definitionsRoutes);
+router.use('/agencies', agenciesRoutes);
+router.use('/events', eventsRoutes);
 
 module.exports = router;
\ No newline at end of file
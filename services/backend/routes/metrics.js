@@ -27,7 +27,7 @@ router.get('/title/:titleNumber', async (req, res, next) => {
     const Settings = require('../shared/models/Settings');
     
     const documents = await Document.find({ 
-      titleNumber: parseInt(titleNumber),
+      ...(await Document.activeFilter(parseInt(titleNumber))),
       type: 'section'
     }).select('part content identifier heading');
 
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const RefreshProgress = require('../shared/models/RefreshProgress');
 const logger = require('../shared/utils/logger');
+const { formatRefreshProgress } = require('../services/progressEvents');
 
 // Get current refresh progress
 router.get('/progress', async (req, res) => {
@@ -21,26 +22,7 @@ router.get('/progress', async (req, res) => {
       });
     }
     
-    // Calculate percentage
-    const percentage = progress.totalTitles > 0 
-      ? Math.round((progress.processedTitles / progress.totalTitles) * 100)
-      : 0;
-    
-    res.json({
-      type: progress.type,
-      status: progress.status,
-      totalTitles: progress.totalTitles,
-      processedTitles: progress.processedTitles,
-      percentage,
-      currentTitle: progress.currentTitle,
-      lastProcessedTitle: progress.lastProcessedTitle,
-      failedTitles: progress.failedTitles,
-      startedAt: progress.startedAt,
-      completedAt: progress.completedAt,
-      lastError: progress.lastError,
-      createdAt: progress.createdAt,
-      updatedAt: progress.updatedAt
-    });
+    res.json(formatRefreshProgress(progress));
     
   } catch (error) {
     logger.error('Error getting refresh progress:', error);
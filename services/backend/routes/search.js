@@ -1,12 +1,94 @@
 const express = require('express');
 const router = express.Router();
 const Joi = require('joi');
-const { search } = require('../shared/db/elasticsearch');
+const { search, searchSnapshots, activeGenerationsFilter } = require('../shared/db/elasticsearch');
+const Snapshot = require('../shared/models/Snapshot');
+const Title = require('../shared/models/Title');
 const logger = require('../shared/utils/logger');
+const { parseLegalCitations, uscPosition } = require('../shared/utils/legalCitations');
+const { parseSearchQuery, toElasticsearchQuery, QuerySyntaxError } = require('../shared/utils/searchQuery');
+
+// Parts whose AUTH or SOURCE a citation filter can extend to their sections
+const MAX_CITING_PARTS = 1000;
+
+// Orders results can be sorted in besides relevance. Documents without the field come last.
+const SORTS = {
+  relevance: null,
+  amendedNewest: { amendmentDate: { order: 'desc', missing: '_last' } },
+  amendedOldest: { amendmentDate: { order: 'asc', missing: '_last' } },
+  effectiveNewest: { effectiveDate: { order: 'desc', missing: '_last' } },
+  effectiveOldest: { effectiveDate: { order: 'asc', missing: '_last' } },
+  antiquatedScore: { antiquatedScore: { order: 'desc', missing: '_last' } },
+  businessUnfriendlyScore: { businessUnfriendlyScore: { order: 'desc', missing: '_last' } }
+};
+
+// Lower bounds of the score facet buckets, each counting sections at or above it
+const SCORE_THRESHOLDS = [80, 60, 40, 20];
+
+// Values listed per facet; titles are few enough to list them all
+const FACET_SIZE = 20;
+
+// How results are spread across titles, chapters, parts, document types and amendment
+// years. Chapters and parts are only unique within a title, so they are counted per title.
+const FACET_AGGREGATIONS = {
+  titles: { terms: { field: 'titleNumber', size: 50 } },
+  chapters: { multi_terms: { terms: [{ field: 'titleNumber' }, { field: 'chapter' }], size: FACET_SIZE } },
+  parts: { multi_terms: { terms: [{ field: 'titleNumber' }, { field: 'part' }], size: FACET_SIZE } },
+  types: { terms: { field: 'type', size: FACET_SIZE } },
+  amendmentYears: {
+    date_histogram: { field: 'amendmentDate', calendar_interval: 'year', format: 'yyyy', min_doc_count: 1, order: { _key: 'desc' } }
+  },
+  antiquatedScores: { range: { field: 'antiquatedScore', ranges: SCORE_THRESHOLDS.map(from => ({ from })) } },
+  businessUnfriendlyScores: { range: { field: 'businessUnfriendlyScore', ranges: SCORE_THRESHOLDS.map(from => ({ from })) } }
+};
+
+// Each facet value with the filters that narrow a search to it
+function formatFacets(aggregations, titleNames) {
+  const titleLabel = number => (titleNames.has(number) ? `Title ${number}: ${titleNames.get(number)}` : `Title ${number}`);
+
+  return {
+    titles: aggregations.titles.buckets.map(bucket => ({
+      label: titleLabel(bucket.key),
+      count: bucket.doc_count,
+      filters: { titleNumber: bucket.key }
+    })),
+    chapters: aggregations.chapters.buckets.map(({ key: [titleNumber, chapter], doc_count: count }) => ({
+      label: `Title ${titleNumber}, Chapter ${chapter}`,
+      count,
+      filters: { titleNumber: Number(titleNumber), chapter }
+    })),
+    parts: aggregations.parts.buckets.map(({ key: [titleNumber, part], doc_count: count }) => ({
+      label: `${titleNumber} CFR Part ${part}`,
+      count,
+      filters: { titleNumber: Number(titleNumber), part }
+    })),
+    types: aggregations.types.buckets.map(bucket => ({
+      label: bucket.key,
+      count: bucket.doc_count,
+      filters: { type: bucket.key }
+    })),
+    amendmentYears: aggregations.amendmentYears.buckets.map(bucket => ({
+      label: bucket.key_as_string,
+      count: bucket.doc_count,
+      filters: { amendmentYear: Number(bucket.key_as_string) }
+    })),
+    antiquatedScores: aggregations.antiquatedScores.buckets.filter(bucket => bucket.doc_count > 0).map(bucket => ({
+      label: `${bucket.from} and above`,
+      count: bucket.doc_count,
+      filters: { minAntiquatedScore: bucket.from }
+    })),
+    businessUnfriendlyScores: aggregations.businessUnfriendlyScores.buckets.filter(bucket => bucket.doc_count > 0).map(bucket => ({
+      label: `${bucket.from} and above`,
+      count: bucket.doc_count,
+      filters: { minBusinessUnfriendlyScore: bucket.from }
+    }))
+  };
+}
 
 // Search validation schema
 const searchSchema = Joi.object({
-  query: Joi.string().min(2).max(500).required(),
+  query: Joi.string().min(2).max(500),
+  mode: Joi.string().valid('simple', 'advanced').default('simple'), // advanced reads the query syntax in utils/searchQuery
   titleNumber: Joi.number().min(1).max(50),
   type: Joi.string().valid('title', 'subtitle', 'chapter', 'subchapter', 'part', 'subpart', 'subjectgroup', 'section', 'appendix'),
   subtitle: Joi.string(),
@@ -16,9 +98,96 @@ const searchSchema = Joi.object({
   subpart: Joi.string(),
   subjectGroup: Joi.string(),
   section: Joi.string(),
+  amendmentYear: Joi.number().integer().min(1900).max(2100), // Last amended in this year
+  amendedFrom: Joi.date().iso(),
+  amendedTo: Joi.date().iso().when('amendedFrom', { is: Joi.exist(), then: Joi.date().min(Joi.ref('amendedFrom')) }),
+  effectiveFrom: Joi.date().iso(),
+  effectiveTo: Joi.date().iso().when('effectiveFrom', { is: Joi.exist(), then: Joi.date().min(Joi.ref('effectiveFrom')) }),
+  minAntiquatedScore: Joi.number().min(1).max(100), // Analyzed sections scoring at least this
+  minBusinessUnfriendlyScore: Joi.number().min(1).max(100),
+  sort: Joi.string().valid(...Object.keys(SORTS)).default('relevance'),
+  usc: Joi.string().max(100), // Issued under this U.S.C. section, e.g. "42 U.S.C. 7411"
+  publicLaw: Joi.string().max(100), // e.g. "Pub. L. 101-549" or "101-549"
+  federalRegister: Joi.string().max(100), // Published or amended by this FR document, e.g. "79 FR 12345"
+  date: Joi.date().iso(), // Search the snapshots in effect on this date instead of the current text
   from: Joi.number().min(0).default(0),
   size: Joi.number().min(1).max(100).default(20)
-});
+  // Citation, date and score filters can be used without a query, which then matches everything
+}).or(
+  'query', 'usc', 'publicLaw', 'federalRegister', 'amendmentYear', 'amendedFrom', 'amendedTo', 'effectiveFrom',
+  'effectiveTo', 'minAntiquatedScore', 'minBusinessUnfriendlyScore'
+);
+
+// The search clause for each citation filter, or an error for values that are not citations
+function citationClauses({ usc, publicLaw, federalRegister }) {
+  const clauses = [];
+
+  if (usc) {
+    const [citation] = parseLegalCitations(usc).usc;
+    if (!citation) {
+      return { error: `Unrecognized U.S.C. citation: ${usc}` };
+    }
+    // A single section is also found inside the ranges documents cite
+    clauses.push(citation.through ? { term: { usc: citation.key } } : {
+      bool: {
+        should: [
+          { term: { usc: citation.key } },
+          { term: { uscRanges: uscPosition(citation.title, citation.section) } }
+        ],
+        minimum_should_match: 1
+      }
+    });
+  }
+
+  if (publicLaw) {
+    const [citation] = parseLegalCitations(/^\d+-\d+$/.test(publicLaw.trim()) ? `Pub. L. ${publicLaw}` : publicLaw).publicLaws;
+    if (!citation) {
+      return { error: `Unrecognized Public Law: ${publicLaw}` };
+    }
+    clauses.push({ term: { publicLaws: citation.key } });
+  }
+
+  if (federalRegister) {
+    const [citation] = parseLegalCitations(federalRegister).federalRegister;
+    if (!citation) {
+      return { error: `Unrecognized Federal Register citation: ${federalRegister}` };
+    }
+    clauses.push({ term: { federalRegister: citation.key } });
+  }
+
+  return { clauses };
+}
+
+// AUTH and SOURCE are stated once on a part and apply to the sections beneath it, so a
+// citation clause also matches the documents of every part that cites it
+async function withCitingParts(clause, scope, runSearch) {
+  const parts = await runSearch({
+    query: { bool: { filter: [clause, { term: { type: 'part' } }, ...scope] } },
+    size: MAX_CITING_PARTS,
+    _source: ['titleNumber', 'identifier']
+  });
+  if (parts.hits.total.value > MAX_CITING_PARTS) {
+    logger.warn(`${parts.hits.total.value} parts match a citation filter, only the first ${MAX_CITING_PARTS} are searched`);
+  }
+
+  return {
+    bool: {
+      should: [
+        clause,
+        ...parts.hits.hits.map(hit => ({
+          bool: {
+            filter: [
+              { term: { titleNumber: hit._source.titleNumber } },
+              // Part documents are identified as ".../part-60", with ~N on repeats
+              { term: { part: hit._source.identifier.split('/').pop().replace(/^part-/, '').replace(/~\d+$/, '') } }
+            ]
+          }
+        }))
+      ],
+      minimum_should_match: 1
+    }
+  };
+}
 
 // Search documents
 router.get('/', async (req, res, next) => {
@@ -29,11 +198,28 @@ router.get('/', async (req, res, next) => {
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    const { query, titleNumber, type, subtitle, chapter, subchapter, part, subpart, subjectGroup, section, from, size } = value;
+    const {
+      query, mode, titleNumber, type, subtitle, chapter, subchapter, part, subpart, subjectGroup, section,
+      amendmentYear, amendedFrom, amendedTo, effectiveFrom, effectiveTo, minAntiquatedScore, minBusinessUnfriendlyScore,
+      sort, date, from, size
+    } = value;
+
+    const citations = citationClauses(value);
+    if (citations.error) {
+      return res.status(400).json({ error: citations.error });
+    }
 
     // Build OpenSearch query
-    const must = [
-      {
+    let textQuery = { match_all: {} };
+    if (query && mode === 'advanced') {
+      try {
+        textQuery = toElasticsearchQuery(parseSearchQuery(query));
+      } catch (parseError) {
+        if (!(parseError instanceof QuerySyntaxError)) throw parseError;
+        return res.status(400).json({ error: parseError.message, position: parseError.position });
+      }
+    } else if (query) {
+      textQuery = {
         multi_match: {
           query,
           fields: ['content', 'heading^2', 'identifier^3', 'authority', 'source'],
@@ -41,8 +227,9 @@ router.get('/', async (req, res, next) => {
           operator: 'or',
           fuzziness: 'AUTO'
         }
-      }
-    ];
+      };
+    }
+    const must = [textQuery];
 
     // Add filters
     const filter = [];
@@ -55,6 +242,52 @@ router.get('/', async (req, res, next) => {
     if (subpart) filter.push({ term: { subpart } });
     if (subjectGroup) filter.push({ term: { subjectGroup } });
     if (section) filter.push({ term: { section } });
+    if (amendmentYear) filter.push({ range: { amendmentDate: { gte: `${amendmentYear}-01-01`, lt: `${amendmentYear + 1}-01-01` } } });
+    if (amendedFrom || amendedTo) filter.push({ range: { amendmentDate: { gte: amendedFrom, lte: amendedTo } } });
+    if (effectiveFrom || effectiveTo) filter.push({ range: { effectiveDate: { gte: effectiveFrom, lte: effectiveTo } } });
+    if (minAntiquatedScore) filter.push({ range: { antiquatedScore: { gte: minAntiquatedScore } } });
+    if (minBusinessUnfriendlyScore) filter.push({ range: { businessUnfriendlyScore: { gte: minBusinessUnfriendlyScore } } });
+
+    const titles = await Title.find({}).select('number name activeGeneration').lean();
+    const titleNames = new Map(titles.map(title => [title.number, title.name]));
+
+    // Each title is searched in its latest snapshot taken on or before the date
+    let snapshots = null;
+    let scope;
+    if (date) {
+      snapshots = (await Snapshot.findAllAsOf(date, titleNumber ? [titleNumber] : null)).map(snapshot => ({
+        titleNumber: snapshot.titleNumber,
+        date: snapshot.date.toISOString().split('T')[0]
+      }));
+
+      if (snapshots.length === 0) {
+        return res.json({ total: 0, hits: [], facets: null, query: value, snapshots });
+      }
+
+      scope = {
+        bool: {
+          should: snapshots.map(snapshot => ({
+            bool: {
+              filter: [
+                { term: { titleNumber: snapshot.titleNumber } },
+                { term: { snapshotDate: snapshot.date } }
+              ]
+            }
+          })),
+          minimum_should_match: 1
+        }
+      };
+    } else {
+      // A refresh stages the next generation of a title's documents in the same index
+      scope = activeGenerationsFilter(titles);
+    }
+    filter.push(scope);
+
+    const runSearch = date ? searchSnapshots : search;
+    for (const clause of citations.clauses) {
+      const partScope = titleNumber ? [scope, { term: { titleNumber } }] : [scope];
+      filter.push(await withCitingParts(clause, partScope, runSearch));
+    }
 
     const searchQuery = {
       query: {
@@ -65,6 +298,9 @@ router.get('/', async (req, res, next) => {
       },
       from,
       size,
+      // Relevance still breaks ties, and is reported, when sorting by a field
+      ...(SORTS[sort] ? { sort: [SORTS[sort], '_score'], track_scores: true } : {}),
+      aggs: FACET_AGGREGATIONS,
       highlight: {
         fields: {
           content: {
@@ -74,11 +310,11 @@ router.get('/', async (req, res, next) => {
         }
       },
       _source: {
-        excludes: ['content'] // Exclude full content from search results
+        excludes: ['content', 'generations'] // Exclude full content from search results
       }
     };
 
-    const results = await search(searchQuery);
+    const results = await runSearch(searchQuery);
 
     // Format response
     const response = {
@@ -89,8 +325,12 @@ router.get('/', async (req, res, next) => {
         ...hit._source,
         highlights: hit.highlight
       })),
+      facets: formatFacets(results.aggregations, titleNames),
       query: value
     };
+    if (snapshots) {
+      response.snapshots = snapshots;
+    }
 
     res.json(response);
   } catch (error) {
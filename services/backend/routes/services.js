@@ -6,12 +6,34 @@ const RefreshProgress = require('../shared/models/RefreshProgress');
 const AnalysisProgress = require('../shared/models/AnalysisProgress');
 const IndexRebuildProgress = require('../shared/models/IndexRebuildProgress');
 const Document = require('../shared/models/Document');
-const { connect: connectElasticsearch, createIndex, bulkIndex } = require('../shared/db/elasticsearch');
+const IngestReport = require('../shared/models/IngestReport');
+const Title = require('../shared/models/Title');
+const SectionAnalysis = require('../shared/models/SectionAnalysis');
+const {
+  connect: connectElasticsearch,
+  bulkIndex,
+  schemaStatus,
+  liveDocumentIndex,
+  documentIndexes,
+  createRebuildIndex,
+  discardRebuildIndex,
+  swapDocumentIndex,
+  rollbackTarget,
+  titlesMissingFrom,
+  rollbackDocumentIndex,
+  pruneRetiredIndexes,
+  deleteTitleDocuments
+} = require('../shared/db/elasticsearch');
+const { toIndexedDocument, INDEXED_DOCUMENT_FIELDS } = require('../shared/db/searchSchema');
+const { formatIndexRebuild } = require('../services/progressEvents');
 
 // Service URLs - these should match your docker-compose service names
 const DATA_REFRESH_URL = process.env.DATA_REFRESH_URL || 'http://data-refresh:3005';
 const DATA_ANALYSIS_URL = process.env.DATA_ANALYSIS_URL || 'http://data-analysis:3003';
 
+// Indexes a search index rebuild swaps out are kept this long to roll back to
+const SEARCH_INDEX_RETENTION_HOURS = parseFloat(process.env.SEARCH_INDEX_RETENTION_HOURS || '72');
+
 // Get data-refresh service status
 router.get('/data-refresh/status', async (req, res) => {
   try {
@@ -70,7 +92,7 @@ router.get('/data-refresh/status', async (req, res) => {
         processedTitles: latestProgress.processedTitles,
         totalTitles: latestProgress.totalTitles,
         failedTitles: latestProgress.failedTitles?.length || 0,
-        currentTitle: latestProgress.currentTitle
+        currentTitles: latestProgress.currentTitles
       } : null,
       details: serviceDetails
     });
@@ -132,10 +154,8 @@ router.get('/data-analysis/status', async (req, res) => {
 // Trigger data-refresh manually
 router.post('/data-refresh/trigger', async (req, res) => {
   try {
-    // Check if a refresh is already in progress
-    const inProgressRefresh = await RefreshProgress.findOne({
-      status: 'in_progress'
-    });
+    // Check if a refresh is already in progress, paused or not
+    const inProgressRefresh = await RefreshProgress.findActive();
 
     if (inProgressRefresh) {
       return res.status(409).json({
@@ -146,6 +166,7 @@ router.post('/data-refresh/trigger', async (req, res) => {
 
     // Create a new refresh progress record to signal the service
     const newRefresh = new RefreshProgress({
+      type: 'refresh',
       status: 'pending',
       totalTitles: 0,
       processedTitles: 0,
@@ -170,6 +191,156 @@ router.post('/data-refresh/trigger', async (req, res) => {
   }
 });
 
+// Re-parse every title from the XML stored at its last download, e.g. after a parser
+// fix. Nothing is downloaded; progress and failures are tracked like any other run.
+router.post('/data-refresh/reparse', async (req, res) => {
+  try {
+    const inProgressRefresh = await RefreshProgress.findActive();
+    if (inProgressRefresh) {
+      return res.status(409).json({
+        error: 'A refresh is already in progress',
+        startedAt: inProgressRefresh.createdAt,
+        type: inProgressRefresh.type
+      });
+    }
+
+    const reparse = await RefreshProgress.create({
+      type: 'reparse',
+      status: 'pending',
+      triggeredBy: 'manual'
+    });
+
+    // The data-refresh service picks this up on its next check
+    res.json({
+      message: 'Re-parse triggered successfully',
+      refreshId: reparse._id
+    });
+  } catch (error) {
+    logger.error('Error triggering re-parse:', error);
+    res.status(500).json({ error: 'Failed to trigger re-parse' });
+  }
+});
+
+// Summarize the latest ingest report of every title, for spotting parser problems
+// across the corpus. The full report is at /api/titles/:number/ingest-report.
+router.get('/data-refresh/ingest-reports', async (req, res) => {
+  try {
+    const reports = await IngestReport.aggregate([
+      { $sort: { titleNumber: 1, createdAt: -1 } },
+      {
+        $group: {
+          _id: '$titleNumber',
+          status: { $first: '$status' },
+          error: { $first: '$error' },
+          reparse: { $first: '$reparse' },
+          documentCount: { $first: '$documentCount' },
+          totals: { $first: '$totals' },
+          createdAt: { $first: '$createdAt' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const titles = reports.map(({ _id, ...report }) => ({ titleNumber: _id, ...report }));
+    res.json({
+      titles,
+      failed: titles.filter(report => report.status === 'failed').length,
+      withIssues: titles.filter(report => Object.values(report.totals || {}).some(count => count > 0)).length
+    });
+  } catch (error) {
+    logger.error('Error getting ingest reports:', error);
+    res.status(500).json({ error: 'Failed to get ingest reports' });
+  }
+});
+
+// The refresh that cancel, pause and resume act on: the latest one in one of `statuses`.
+// Dry runs are left out; they take seconds.
+const findControllableRefresh = statuses => RefreshProgress.findOne({
+  status: { $in: statuses },
+  type: { $ne: 'dry_run' }
+}).sort({ createdAt: -1 });
+
+// Move a refresh from the status it was read in to another, unless it moved on first
+const moveRefresh = (refresh, update) => RefreshProgress.findOneAndUpdate(
+  { _id: refresh._id, status: refresh.status },
+  update,
+  { new: true }
+);
+
+const refreshSummary = refresh => ({
+  refreshId: refresh._id,
+  type: refresh.type,
+  status: refresh.status,
+  processedTitles: refresh.processedTitles,
+  totalTitles: refresh.totalTitles
+});
+
+// Cancel a data refresh. A running refresh stops at its next title or insert batch,
+// keeping the documents of the title it was downloading; one still pending never starts.
+router.post('/data-refresh/cancel', async (req, res) => {
+  try {
+    const refresh = await findControllableRefresh(['pending', 'in_progress', 'paused']);
+    if (!refresh) {
+      return res.status(404).json({ error: 'No refresh is currently in progress' });
+    }
+
+    const cancelled = await moveRefresh(refresh, refresh.status === 'pending'
+      ? { status: 'cancelled', completedAt: new Date() }
+      : { status: 'cancelling' });
+    if (!cancelled) {
+      return res.status(409).json({ error: 'The refresh changed status; try again' });
+    }
+
+    logger.info(`Refresh ${refresh._id} cancelled by user`);
+    res.json({ message: 'Refresh cancel request sent successfully', ...refreshSummary(cancelled) });
+  } catch (error) {
+    logger.error('Error cancelling data-refresh:', error);
+    res.status(500).json({ error: 'Failed to cancel refresh' });
+  }
+});
+
+// Pause a running data refresh at its next title or insert batch
+router.post('/data-refresh/pause', async (req, res) => {
+  try {
+    const refresh = await findControllableRefresh(['in_progress']);
+    if (!refresh) {
+      return res.status(404).json({ error: 'No refresh is currently in progress' });
+    }
+
+    const paused = await moveRefresh(refresh, { status: 'paused' });
+    if (!paused) {
+      return res.status(409).json({ error: 'The refresh changed status; try again' });
+    }
+
+    logger.info(`Refresh ${refresh._id} paused by user`);
+    res.json({ message: 'Refresh pause request sent successfully', ...refreshSummary(paused) });
+  } catch (error) {
+    logger.error('Error pausing data-refresh:', error);
+    res.status(500).json({ error: 'Failed to pause refresh' });
+  }
+});
+
+// Resume a paused data refresh
+router.post('/data-refresh/resume', async (req, res) => {
+  try {
+    const refresh = await findControllableRefresh(['paused']);
+    if (!refresh) {
+      return res.status(404).json({ error: 'No refresh is paused' });
+    }
+
+    const resumed = await moveRefresh(refresh, { status: 'in_progress' });
+    if (!resumed) {
+      return res.status(409).json({ error: 'The refresh changed status; try again' });
+    }
+
+    logger.info(`Refresh ${refresh._id} resumed by user`);
+    res.json({ message: 'Refresh resumed successfully', ...refreshSummary(resumed) });
+  } catch (error) {
+    logger.error('Error resuming data-refresh:', error);
+    res.status(500).json({ error: 'Failed to resume refresh' });
+  }
+});
+
 // Trigger data-analysis manually
 router.post('/data-analysis/trigger', async (req, res) => {
   try {
@@ -219,10 +390,8 @@ router.post('/data-refresh/trigger-title', async (req, res) => {
       return res.status(400).json({ error: 'Invalid title number. Must be between 1 and 50.' });
     }
     
-    // Check if any refresh is already in progress
-    const inProgressRefresh = await RefreshProgress.findOne({
-      status: 'in_progress'
-    });
+    // Check if any refresh is already in progress, paused or not
+    const inProgressRefresh = await RefreshProgress.findActive();
 
     if (inProgressRefresh) {
       return res.status(409).json({
@@ -240,10 +409,10 @@ router.post('/data-refresh/trigger-title', async (req, res) => {
       processedTitles: 0,
       failedTitles: [],
       titlesOrder: [parsedNumber],
-      currentTitle: {
+      currentTitles: [{
         number: parsedNumber,
         startedAt: new Date()
-      },
+      }],
       triggeredBy: 'manual_single',
       metadata: {
         targetTitle: parsedNumber
@@ -367,20 +536,28 @@ router.get('/search-index/status', async (req, res) => {
       .sort({ createdAt: -1 })
       .lean();
 
+    // Whether the index predates the current analyzers and mappings, which index
+    // searches read and what is kept to roll back to
+    let schema = null;
+    let liveIndex = null;
+    let indexes = [];
+    try {
+      await connectElasticsearch();
+      schema = await schemaStatus();
+      liveIndex = await liveDocumentIndex();
+      indexes = await documentIndexes();
+    } catch (error) {
+      logger.warn('Could not read the search index schema version:', error.message);
+    }
+
     res.json({
       service: 'search-index',
-      latestRebuild: latestRebuild ? {
-        status: latestRebuild.status,
-        startTime: latestRebuild.startTime,
-        endTime: latestRebuild.endTime,
-        totalDocuments: latestRebuild.totalDocuments,
-        processedDocuments: latestRebuild.processedDocuments,
-        indexedDocuments: latestRebuild.indexedDocuments,
-        failedDocuments: latestRebuild.failedDocuments,
-        currentTitle: latestRebuild.currentTitle,
-        error: latestRebuild.error,
-        operations: latestRebuild.operations
-      } : null
+      latestRebuild: latestRebuild ? formatIndexRebuild(latestRebuild) : null,
+      schema,
+      liveIndex,
+      indexes,
+      retentionHours: SEARCH_INDEX_RETENTION_HOURS,
+      canRollback: indexes.some(index => index.retiredAt && !index.live && !index.building)
     });
   } catch (error) {
     logger.error('Error getting search index status:', error);
@@ -427,44 +604,153 @@ router.post('/search-index/rebuild', async (req, res) => {
   }
 });
 
-// Async function to rebuild the search index
+// Point searches back at the index the last rebuild or rollback replaced. Titles
+// refreshed since that index was retired are indexed into it first, so none of them
+// drop out of search.
+router.post('/search-index/rollback', async (req, res) => {
+  try {
+    const inProgressRebuild = await IndexRebuildProgress.findOne({
+      status: 'in_progress'
+    });
+
+    if (inProgressRebuild) {
+      return res.status(409).json({
+        error: 'Cannot roll back while an index rebuild is in progress',
+        startedAt: inProgressRebuild.startTime
+      });
+    }
+
+    // A refresh writes only to the live index, so its title could be left half indexed
+    const activeRefresh = await RefreshProgress.findActive({ type: { $ne: 'dry_run' } });
+    if (activeRefresh) {
+      return res.status(409).json({
+        error: 'Cannot roll back while a data refresh is in progress',
+        refreshId: activeRefresh._id
+      });
+    }
+
+    await connectElasticsearch();
+    const target = await rollbackTarget();
+    if (!target) {
+      return res.status(409).json({ error: 'There is no previous search index to roll back to' });
+    }
+
+    const reindexedTitles = await indexMissingTitles(target.previous.name);
+    // A refresh may have started and finished while those were being indexed
+    reindexedTitles.push(...await indexMissingTitles(target.previous.name));
+    const rollback = await rollbackDocumentIndex();
+    if (!rollback) {
+      return res.status(409).json({ error: 'There is no previous search index to roll back to' });
+    }
+
+    res.json({
+      message: reindexedTitles.length > 0
+        ? `Search index rolled back to ${rollback.to}, with titles ${reindexedTitles.join(', ')} indexed again`
+        : `Search index rolled back to ${rollback.to}`,
+      liveIndex: rollback.to,
+      previousIndex: rollback.from,
+      reindexedTitles
+    });
+  } catch (error) {
+    logger.error('Error rolling back the search index:', error);
+    res.status(500).json({ error: 'Failed to roll back the search index' });
+  }
+});
+
+// Index the titles whose active documents an index lacks, replacing what it has of them.
+// Returns their numbers; throws if any of their documents could not be indexed.
+async function indexMissingTitles(index) {
+  const activeTitles = await Document.distinct('titleNumber', await Document.activeFilter());
+  const titles = await Title.find({ number: { $in: activeTitles } }).select('number name activeGeneration').lean();
+  const known = new Set(titles.map(title => title.number));
+  // Documents of titles without a Title record are all generation 0
+  const generations = [
+    ...titles.map(title => ({ number: title.number, activeGeneration: title.activeGeneration || 0 })),
+    ...activeTitles.filter(number => !known.has(number)).map(number => ({ number, activeGeneration: 0 }))
+  ];
+
+  const missing = await titlesMissingFrom(index, generations);
+  const titleNames = new Map(titles.map(title => [title.number, title.name]));
+  for (const titleNumber of missing) {
+    logger.info(`Title ${titleNumber} was refreshed after ${index} was replaced, indexing it again`);
+    await deleteTitleDocuments(titleNumber, index);
+    const { failed } = await indexTitle(index, titleNumber, titleNames.get(titleNumber) || `Title ${titleNumber}`);
+    if (failed > 0) {
+      throw new Error(`${failed} documents of title ${titleNumber} could not be indexed into ${index}`);
+    }
+  }
+  return missing;
+}
+
+// Index one title's active documents into an index, counting them on the rebuild when
+// there is one. Returns how many were indexed and how many failed.
+async function indexTitle(index, titleNumber, titleName, rebuild = null) {
+  const documents = await Document.find(await Document.activeFilter(titleNumber))
+    .select(INDEXED_DOCUMENT_FIELDS)
+    .lean();
+
+  // Indexed exactly as data refresh indexes them, with the scores of analyzed sections
+  const analyses = await SectionAnalysis.byDocument(documents.map(doc => doc._id));
+  const bulkDocs = documents.map(doc => toIndexedDocument(doc, titleName, analyses.get(doc._id.toString())));
+
+  // Index documents in batches
+  const batchSize = 100;
+  const counts = { indexed: 0, failed: 0 };
+  for (let i = 0; i < bulkDocs.length; i += batchSize) {
+    const batch = bulkDocs.slice(i, i + batchSize);
+    try {
+      await bulkIndex(batch, { index });
+      counts.indexed += batch.length;
+      if (rebuild) rebuild.indexedDocuments += batch.length;
+    } catch (error) {
+      logger.error(`Error indexing batch for title ${titleNumber}:`, error);
+      counts.failed += batch.length;
+      if (rebuild) rebuild.failedDocuments += batch.length;
+    }
+    if (rebuild) {
+      rebuild.processedDocuments += batch.length;
+      await rebuild.save();
+    }
+  }
+  return counts;
+}
+
+async function rebuildCancelled(rebuildId) {
+  const currentRebuild = await IndexRebuildProgress.findById(rebuildId);
+  return currentRebuild.status === 'cancelled';
+}
+
+// The active generation of every title, to tell which ones a refresh changed mid-rebuild
+async function activeGenerations() {
+  const titles = await Title.find({}).select('number activeGeneration').lean();
+  return new Map(titles.map(title => [title.number, title.activeGeneration || 0]));
+}
+
+// Async function to rebuild the search index. Documents go into a new index while
+// searches keep using the live one, and the ecfr_documents alias moves over once the
+// new index is complete.
 async function rebuildSearchIndex(rebuildId) {
   const rebuild = await IndexRebuildProgress.findById(rebuildId);
   if (!rebuild) return;
 
+  let index = null;
   try {
     // Update status to in_progress
     rebuild.status = 'in_progress';
     rebuild.operations = {
-      deleteIndex: { completed: false },
       createIndex: { completed: false },
-      indexDocuments: { completed: false }
+      indexDocuments: { completed: false },
+      swapAlias: { completed: false }
     };
     await rebuild.save();
 
-    // Get Elasticsearch client
-    const esClient = await connectElasticsearch();
-
-    // Step 1: Delete existing index
-    try {
-      logger.info('Deleting existing search index...');
-      const indexExists = await esClient.indices.exists({ index: 'ecfr_documents' });
-      if (indexExists) {
-        await esClient.indices.delete({ index: 'ecfr_documents' });
-      }
-      rebuild.operations.deleteIndex = { completed: true };
-      await rebuild.save();
-    } catch (error) {
-      logger.error('Error deleting index:', error);
-      rebuild.operations.deleteIndex = { completed: false, error: error.message };
-      await rebuild.save();
-      throw error;
-    }
+    await connectElasticsearch();
 
-    // Step 2: Create new index
+    // Step 1: Create the index to rebuild into. Refreshes write to it as well from here on.
     try {
       logger.info('Creating new search index...');
-      await createIndex();
+      index = await createRebuildIndex();
+      rebuild.index = index;
       rebuild.operations.createIndex = { completed: true };
       await rebuild.save();
     } catch (error) {
@@ -474,75 +760,55 @@ async function rebuildSearchIndex(rebuildId) {
       throw error;
     }
 
-    // Step 3: Index all documents
+    // Step 2: Index all documents
     try {
-      logger.info('Indexing documents...');
+      logger.info(`Indexing documents into ${index}...`);
       
+      // Only the active generation of each title is searchable
+      const activeFilter = await Document.activeFilter();
+
       // Get total document count
-      const totalCount = await Document.countDocuments({});
+      const totalCount = await Document.countDocuments(activeFilter);
       rebuild.totalDocuments = totalCount;
       await rebuild.save();
 
       // Process documents in batches by title
-      const titles = await Document.distinct('titleNumber');
+      const titles = await Document.distinct('titleNumber', activeFilter);
       titles.sort((a, b) => a - b);
+      const titleNames = new Map((await Title.find({}).select('number name').lean()).map(title => [title.number, title.name]));
+      const indexedGenerations = new Map();
 
       for (const titleNumber of titles) {
         // Check if rebuild was cancelled
-        const currentRebuild = await IndexRebuildProgress.findById(rebuildId);
-        if (currentRebuild.status === 'cancelled') {
+        if (await rebuildCancelled(rebuildId)) {
           logger.info('Index rebuild cancelled by user');
+          await discardRebuildIndex();
           return;
         }
 
-        // Get title name
-        const titleDoc = await Document.findOne({ titleNumber }).select('titleName');
-        const titleName = titleDoc ? titleDoc.titleName : `Title ${titleNumber}`;
+        const titleName = titleNames.get(titleNumber) || `Title ${titleNumber}`;
 
         // Update current title
         rebuild.currentTitle = { number: titleNumber, name: titleName };
         await rebuild.save();
 
-        // Get documents for this title
-        const documents = await Document.find({ titleNumber })
-          .select('identifier titleNumber titleName subtitle chapter part section heading content contentFormat effectiveDate source authority')
-          .lean();
-
-        if (documents.length > 0) {
-          // Prepare documents for indexing
-          const bulkDocs = documents.map(doc => ({
-            id: doc._id.toString(),
-            identifier: doc.identifier,
-            titleNumber: doc.titleNumber,
-            titleName: doc.titleName,
-            subtitle: doc.subtitle,
-            chapter: doc.chapter,
-            part: doc.part,
-            section: doc.section,
-            heading: doc.heading,
-            content: doc.content,
-            contentFormat: doc.contentFormat,
-            effectiveDate: doc.effectiveDate,
-            source: doc.source,
-            authority: doc.authority,
-            hierarchy: `Title ${doc.titleNumber}${doc.part ? ` > Part ${doc.part}` : ''}${doc.section ? ` > Section ${doc.section}` : ''}`
-          }));
-
-          // Index documents in batches
-          const batchSize = 100;
-          for (let i = 0; i < bulkDocs.length; i += batchSize) {
-            const batch = bulkDocs.slice(i, i + batchSize);
-            try {
-              await bulkIndex(batch);
-              rebuild.indexedDocuments += batch.length;
-            } catch (error) {
-              logger.error(`Error indexing batch for title ${titleNumber}:`, error);
-              rebuild.failedDocuments += batch.length;
-            }
-            rebuild.processedDocuments += batch.length;
-            await rebuild.save();
-          }
-        }
+        indexedGenerations.set(titleNumber, (await activeGenerations()).get(titleNumber) || 0);
+        await indexTitle(index, titleNumber, titleName, rebuild);
+      }
+
+      // A refresh that finished while its title was being read may have had its changes
+      // overwritten by the older documents, so index those titles again
+      const generations = await activeGenerations();
+      const changed = titles.filter(titleNumber => (generations.get(titleNumber) || 0) !== indexedGenerations.get(titleNumber));
+      for (const titleNumber of changed) {
+        const titleName = titleNames.get(titleNumber) || `Title ${titleNumber}`;
+        logger.info(`Title ${titleNumber} was refreshed during the rebuild, indexing it again`);
+        rebuild.currentTitle = { number: titleNumber, name: titleName };
+        rebuild.totalDocuments += await Document.countDocuments(await Document.activeFilter(titleNumber));
+        await rebuild.save();
+
+        await deleteTitleDocuments(titleNumber, index);
+        await indexTitle(index, titleNumber, titleName, rebuild);
       }
 
       rebuild.operations.indexDocuments = { completed: true };
@@ -555,6 +821,24 @@ async function rebuildSearchIndex(rebuildId) {
       throw error;
     }
 
+    // Step 3: Point searches at the new index
+    try {
+      if (await rebuildCancelled(rebuildId)) {
+        logger.info('Index rebuild cancelled by user');
+        await discardRebuildIndex();
+        return;
+      }
+
+      rebuild.previousIndex = await swapDocumentIndex(index);
+      rebuild.operations.swapAlias = { completed: true };
+      await rebuild.save();
+    } catch (error) {
+      logger.error('Error swapping the search index alias:', error);
+      rebuild.operations.swapAlias = { completed: false, error: error.message };
+      await rebuild.save();
+      throw error;
+    }
+
     // Mark as completed
     rebuild.status = 'completed';
     rebuild.endTime = new Date();
@@ -562,12 +846,25 @@ async function rebuildSearchIndex(rebuildId) {
 
     logger.info(`Search index rebuild completed. Indexed ${rebuild.indexedDocuments} documents, failed ${rebuild.failedDocuments}`);
 
+    try {
+      await pruneRetiredIndexes(SEARCH_INDEX_RETENTION_HOURS);
+    } catch (error) {
+      logger.warn('Could not delete expired search indexes:', error.message);
+    }
+
   } catch (error) {
     logger.error('Search index rebuild failed:', error);
     rebuild.status = 'failed';
     rebuild.endTime = new Date();
     rebuild.error = error.message;
     await rebuild.save();
+
+    // Searches never left the previous index, so the partial one is of no use
+    if (index) {
+      await discardRebuildIndex().catch(discardError => {
+        logger.warn(`Could not delete the unfinished search index ${index}:`, discardError.message);
+      });
+    }
   }
 }
 
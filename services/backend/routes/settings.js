@@ -1,7 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const Settings = require('../shared/models/Settings');
+const RefreshProgress = require('../shared/models/RefreshProgress');
 const logger = require('../shared/utils/logger');
+const {
+  SCHEDULE_KEY,
+  defaultSchedule,
+  normalizeSchedule,
+  nextRun
+} = require('../shared/utils/refreshSchedule');
 
 // Get regulatory keywords
 router.get('/keywords', async (req, res, next) => {
@@ -74,4 +81,103 @@ router.post('/keywords/reset', async (req, res, next) => {
   }
 });
 
+// The schedule with when it next fires: the main schedule, and each title with a cron of its own
+function describeSchedule(schedule) {
+  const now = new Date();
+  return {
+    schedule,
+    nextRun: nextRun(schedule, schedule.cron, now),
+    titleNextRuns: schedule.titles
+      .filter(entry => entry.policy === 'cron')
+      .map(entry => ({ titleNumber: entry.titleNumber, nextRun: nextRun(schedule, entry.cron, now) }))
+  };
+}
+
+// Get the refresh schedule
+router.get('/refresh-schedule', async (req, res, next) => {
+  try {
+    const stored = await Settings.getSetting(SCHEDULE_KEY);
+    res.json({ ...describeSchedule(stored || defaultSchedule()), isDefault: !stored });
+  } catch (error) {
+    logger.error('Failed to get refresh schedule:', error);
+    next(error);
+  }
+});
+
+// Update the refresh schedule; the data-refresh service picks it up within a minute
+router.put('/refresh-schedule', async (req, res, next) => {
+  try {
+    let schedule;
+    try {
+      schedule = normalizeSchedule(req.body.schedule);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    await Settings.setSetting(SCHEDULE_KEY, schedule, 'When the data-refresh service checks titles for updates');
+
+    res.json({ success: true, ...describeSchedule(schedule), isDefault: false });
+  } catch (error) {
+    logger.error('Failed to update refresh schedule:', error);
+    next(error);
+  }
+});
+
+// Go back to the REFRESH_INTERVAL_HOURS schedule
+router.post('/refresh-schedule/reset', async (req, res, next) => {
+  try {
+    await Settings.deleteOne({ key: SCHEDULE_KEY });
+    res.json({ success: true, ...describeSchedule(defaultSchedule()), isDefault: true });
+  } catch (error) {
+    logger.error('Failed to reset refresh schedule:', error);
+    next(error);
+  }
+});
+
+// The latest dry run: which titles a refresh would download
+router.get('/refresh-schedule/dry-run', async (req, res, next) => {
+  try {
+    const run = await RefreshProgress.findOne({ type: 'dry_run' }).sort({ createdAt: -1 }).lean();
+    if (!run) {
+      return res.json({ status: 'no_runs' });
+    }
+
+    res.json({
+      status: run.status,
+      triggeredBy: run.triggeredBy,
+      startedAt: run.startedAt,
+      completedAt: run.completedAt,
+      lastError: run.lastError,
+      totalTitles: run.totalTitles,
+      wouldDownload: run.metadata?.wouldDownload || [],
+      unchanged: run.metadata?.unchanged || [],
+      createdAt: run.createdAt
+    });
+  } catch (error) {
+    logger.error('Failed to get dry run:', error);
+    next(error);
+  }
+});
+
+// Ask the data-refresh service for a dry run of the titles the schedule does not skip
+router.post('/refresh-schedule/dry-run', async (req, res, next) => {
+  try {
+    const running = await RefreshProgress.findOne({ type: 'dry_run', status: { $in: ['pending', 'in_progress'] } });
+    if (running) {
+      return res.status(409).json({ error: 'A dry run is already pending', startedAt: running.createdAt });
+    }
+
+    const run = await RefreshProgress.create({
+      type: 'dry_run',
+      status: 'pending',
+      triggeredBy: 'manual'
+    });
+
+    res.json({ message: 'Dry run requested', refreshId: run._id });
+  } catch (error) {
+    logger.error('Failed to request dry run:', error);
+    next(error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,8 +1,69 @@
 const express = require('express');
+const zlib = require('zlib');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const router = express.Router();
 const Title = require('../shared/models/Title');
 const Metric = require('../shared/models/Metric');
+const ChangeSet = require('../shared/models/ChangeSet');
+const IngestReport = require('../shared/models/IngestReport');
 const logger = require('../shared/utils/logger');
+const { findGridFSFiles, openGridFSDownloadStream, titleXmlFilename } = require('../shared/utils/gridfs');
+
+// Parse a single `bytes=start-end` range. Returns null to serve the whole file (no
+// usable range, or several ranges) and false when the range cannot be satisfied.
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const suffix = parseInt(match[2]);
+    if (suffix === 0 || size === 0) return false;
+    return { start: Math.max(size - suffix, 0), end: size - 1 };
+  }
+
+  const start = parseInt(match[1]);
+  const end = match[2] === '' ? Infinity : parseInt(match[2]);
+  if (end < start) return null;
+  if (start >= size) return false;
+  return { start, end: Math.min(end, size - 1) };
+}
+
+// Pass through only the bytes from start to end (inclusive) of a stream
+function byteRange(start, end) {
+  let position = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const chunkStart = position;
+      position += chunk.length;
+      if (position <= start || chunkStart > end) {
+        return callback();
+      }
+      callback(null, chunk.subarray(Math.max(start - chunkStart, 0), Math.min(end - chunkStart + 1, chunk.length)));
+    }
+  });
+}
+
+function matchesETag(header, etag) {
+  return !!header && header.split(',').some(tag => {
+    const value = tag.trim();
+    return value === '*' || value.replace(/^W\//, '') === etag;
+  });
+}
+
+// Streaming ends early when the client goes away; that is not an error worth reporting
+async function streamResponse(res, ...streams) {
+  try {
+    await pipeline(...streams, res);
+  } catch (error) {
+    if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      logger.error('Title download stream error:', error);
+    }
+  }
+}
 
 // Get all titles
 router.get('/', async (req, res, next) => {
@@ -29,6 +90,7 @@ router.get('/', async (req, res, next) => {
     const latestAmendments = await Document.aggregate([
       { 
         $match: { 
+          ...(await Document.activeFilter()),
           titleNumber: { $in: titleNumbers },
           amendmentDate: { $exists: true, $ne: null }
         } 
@@ -82,7 +144,7 @@ router.get('/:number', async (req, res, next) => {
     // Get the latest amendment date from documents
     const Document = require('../shared/models/Document');
     const latestAmendment = await Document.findOne({
-      titleNumber: parseInt(number),
+      ...(await Document.activeFilter(parseInt(number))),
       amendmentDate: { $exists: true, $ne: null }
     })
     .sort({ amendmentDate: -1 })
@@ -125,27 +187,171 @@ router.get('/:number/checksum', async (req, res, next) => {
   }
 });
 
-// Download title XML
+// Get section-level changes recorded by data refresh, newest download first
+router.get('/:number/changes', async (req, res, next) => {
+  try {
+    const titleNumber = parseInt(req.params.number);
+    if (isNaN(titleNumber) || titleNumber < 1 || titleNumber > 50) {
+      return res.status(400).json({ error: 'Invalid title number. Must be between 1 and 50.' });
+    }
+
+    const query = { titleNumber };
+    let since = null;
+    if (req.query.since) {
+      since = new Date(req.query.since);
+      if (isNaN(since.getTime())) {
+        return res.status(400).json({ error: 'Invalid since date' });
+      }
+      query.createdAt = { $gte: since };
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    const changeSets = await ChangeSet.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({
+      titleNumber,
+      since,
+      changeSets
+    });
+  } catch (error) {
+    logger.error('Title changes fetch error:', error);
+    next(error);
+  }
+});
+
+// Get the parser's report on the latest ingest of a title: unknown elements, skipped
+// documents, fields moved to GridFS, empty sections and the error of a failed parse
+router.get('/:number/ingest-report', async (req, res, next) => {
+  try {
+    const titleNumber = parseInt(req.params.number);
+    if (isNaN(titleNumber) || titleNumber < 1 || titleNumber > 50) {
+      return res.status(400).json({ error: 'Invalid title number. Must be between 1 and 50.' });
+    }
+
+    const report = await IngestReport.findOne({ titleNumber })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    if (!report) {
+      return res.status(404).json({ error: 'No ingest report for this title' });
+    }
+
+    res.json(report);
+  } catch (error) {
+    logger.error('Title ingest report fetch error:', error);
+    next(error);
+  }
+});
+
+// List the stored versions of a title's XML, newest first
+router.get('/:number/xml-history', async (req, res, next) => {
+  try {
+    const titleNumber = parseInt(req.params.number);
+    if (isNaN(titleNumber) || titleNumber < 1 || titleNumber > 50) {
+      return res.status(400).json({ error: 'Invalid title number. Must be between 1 and 50.' });
+    }
+
+    const title = await Title.findOne({ number: titleNumber }).select('xmlFileId').lean();
+    if (!title) {
+      return res.status(404).json({ error: 'Title not found' });
+    }
+
+    const files = await findGridFSFiles({ filename: titleXmlFilename(titleNumber) });
+
+    res.json({
+      titleNumber,
+      versions: files.map(file => ({
+        checksum: file.metadata.checksum,
+        size: file.metadata.size,
+        compressedSize: file.length,
+        storedAt: file.uploadDate,
+        current: !!title.xmlFileId && file._id.equals(title.xmlFileId)
+      }))
+    });
+  } catch (error) {
+    logger.error('Title XML history error:', error);
+    next(error);
+  }
+});
+
+// Download title XML, the current version or an earlier one by checksum. The XML is
+// streamed from GridFS; versions never change, so the checksum serves as a strong ETag.
 router.get('/:number/download', async (req, res, next) => {
   try {
-    const { number } = req.params;
-    
-    const title = await Title.findOne({ number: parseInt(number) });
+    const titleNumber = parseInt(req.params.number);
+    if (isNaN(titleNumber) || titleNumber < 1 || titleNumber > 50) {
+      return res.status(400).json({ error: 'Invalid title number. Must be between 1 and 50.' });
+    }
 
-    if (!title || !title.xmlContent) {
+    const { checksum } = req.query;
+    const title = await Title.findOne({ number: titleNumber }).select('checksum xmlFileId').lean();
+    if (!title) {
       return res.status(404).json({ error: 'Title XML not found' });
     }
 
-    // Decompress XML
-    const zlib = require('zlib');
-    const compressed = Buffer.from(title.xmlContent, 'base64');
-    const xml = zlib.gunzipSync(compressed).toString();
+    let file = null;
+    if (checksum) {
+      [file] = await findGridFSFiles({ filename: titleXmlFilename(titleNumber), 'metadata.checksum': checksum });
+    } else if (title.xmlFileId) {
+      [file] = await findGridFSFiles({ _id: title.xmlFileId });
+    }
+
+    // Titles not downloaded since the XML moved to GridFS still carry it on the document
+    const legacy = !file && !checksum
+      ? await Title.findOne({ number: titleNumber }).select('xmlContent').lean()
+      : null;
+    if (!file && !(legacy && legacy.xmlContent)) {
+      return res.status(404).json({ error: 'Title XML not found' });
+    }
 
-    // Set headers for file download
     res.setHeader('Content-Type', 'application/xml');
-    res.setHeader('Content-Disposition', `attachment; filename="ecfr-title-${number}.xml"`);
-    
-    res.send(xml);
+    res.setHeader('Content-Disposition', `attachment; filename="ecfr-title-${titleNumber}.xml"`);
+
+    if (!file) {
+      const etag = `"${title.checksum}"`;
+      res.setHeader('ETag', etag);
+      if (matchesETag(req.headers['if-none-match'], etag)) {
+        return res.status(304).end();
+      }
+      return streamResponse(res, Readable.from([Buffer.from(legacy.xmlContent, 'base64')]), zlib.createGunzip());
+    }
+
+    const { size } = file.metadata;
+    const etag = `"${file.metadata.checksum}"`;
+    res.setHeader('ETag', etag);
+    res.setHeader('Accept-Ranges', 'bytes');
+
+    if (matchesETag(req.headers['if-none-match'], etag)) {
+      return res.status(304).end();
+    }
+
+    // If-Range: only honour the range if the client still has this version
+    let range = null;
+    if (req.headers.range && (!req.headers['if-range'] || req.headers['if-range'] === etag)) {
+      range = parseRange(req.headers.range, size);
+      if (range === false) {
+        res.setHeader('Content-Range', `bytes */${size}`);
+        return res.status(416).end();
+      }
+    }
+
+    const start = range ? range.start : 0;
+    const end = range ? range.end : size - 1;
+    if (range) {
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+    }
+    res.setHeader('Content-Length', end - start + 1);
+
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    await streamResponse(res, openGridFSDownloadStream(file._id), zlib.createGunzip(), byteRange(start, end));
   } catch (error) {
     logger.error('Title download error:', error);
     next(error);
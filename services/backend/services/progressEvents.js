@@ -0,0 +1,236 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const RefreshProgress = require('../shared/models/RefreshProgress');
+const AnalysisProgress = require('../shared/models/AnalysisProgress');
+const AnalysisThread = require('../shared/models/AnalysisThread');
+const IndexRebuildProgress = require('../shared/models/IndexRebuildProgress');
+const logger = require('../shared/utils/logger');
+
+// Progress records as the REST endpoints return them, so clients can use events and
+// responses interchangeably
+
+function formatRefreshProgress(progress) {
+  return {
+    id: progress._id,
+    type: progress.type,
+    status: progress.status,
+    triggeredBy: progress.triggeredBy,
+    totalTitles: progress.totalTitles,
+    processedTitles: progress.processedTitles,
+    percentage: progress.totalTitles > 0
+      ? Math.round((progress.processedTitles / progress.totalTitles) * 100)
+      : 0,
+    currentTitles: progress.currentTitles,
+    lastProcessedTitle: progress.lastProcessedTitle,
+    failedTitles: progress.failedTitles,
+    startedAt: progress.startedAt,
+    completedAt: progress.completedAt,
+    lastError: progress.lastError,
+    createdAt: progress.createdAt,
+    updatedAt: progress.updatedAt
+  };
+}
+
+function formatAnalysisThread(thread) {
+  return {
+    threadType: thread.threadType,
+    status: thread.status,
+    progress: thread.progress,
+    currentItem: thread.currentItem,
+    lastStartTime: thread.lastStartTime,
+    lastCompletedTime: thread.lastCompletedTime,
+    error: thread.error,
+    statistics: thread.statistics
+  };
+}
+
+function formatIndexRebuild(rebuild) {
+  return {
+    id: rebuild._id,
+    status: rebuild.status,
+    startTime: rebuild.startTime,
+    endTime: rebuild.endTime,
+    totalDocuments: rebuild.totalDocuments,
+    processedDocuments: rebuild.processedDocuments,
+    indexedDocuments: rebuild.indexedDocuments,
+    failedDocuments: rebuild.failedDocuments,
+    currentTitle: rebuild.currentTitle,
+    error: rebuild.error,
+    index: rebuild.index,
+    previousIndex: rebuild.previousIndex,
+    operations: rebuild.operations
+  };
+}
+
+// A version of a record: the same record saved again has a later updatedAt
+const recordKey = record => `${record._id}:${record.updatedAt.getTime()}`;
+
+// Where polling a collection starts: its latest updatedAt, with the records saved then
+async function latestCursor(model) {
+  const [latest] = await model.find({ updatedAt: { $ne: null } }).sort({ updatedAt: -1 }).limit(1).select('updatedAt').lean();
+  if (!latest) {
+    return { updatedAt: null, seen: new Set() };
+  }
+  const current = await model.find({ updatedAt: latest.updatedAt }).select('updatedAt').lean();
+  return { updatedAt: latest.updatedAt, seen: new Set(current.map(recordKey)) };
+}
+
+const SOURCES = [
+  { event: 'refresh', model: RefreshProgress, format: formatRefreshProgress },
+  { event: 'analysis', model: AnalysisProgress, format: progress => progress },
+  { event: 'analysis-thread', model: AnalysisThread, format: formatAnalysisThread },
+  { event: 'index-rebuild', model: IndexRebuildProgress, format: formatIndexRebuild }
+];
+
+/**
+ * Emits a 'progress' event ({ event, data }) whenever a refresh, analysis, analysis
+ * thread or index rebuild record changes. It only watches while something is
+ * subscribed: with change streams when MongoDB runs as a replica set, otherwise (and
+ * if a change stream fails) by polling for records updated since the last one seen.
+ */
+class ProgressEvents extends EventEmitter {
+  constructor() {
+    super();
+    this.pollInterval = parseInt(process.env.PROGRESS_POLL_MS || '1000');
+    this.streams = [];
+    this.timer = null;
+    this.cursors = null;
+    this.watching = false;
+  }
+
+  /**
+   * Call the listener with each change until the returned function is called.
+   */
+  subscribe(listener) {
+    this.on('progress', listener);
+    if (!this.watching) {
+      this.watching = true;
+      this.start().catch(error => {
+        logger.error('Failed to watch progress:', error);
+        this.startPolling();
+      });
+    }
+
+    return () => {
+      this.off('progress', listener);
+      if (this.listenerCount('progress') === 0) {
+        this.stop();
+      }
+    };
+  }
+
+  async start() {
+    // Change streams need a replica set or a sharded cluster
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    if (!this.watching) {
+      return;
+    }
+    if (hello.setName || hello.msg === 'isdbgrid') {
+      this.startChangeStreams();
+    } else {
+      this.startPolling();
+    }
+  }
+
+  startChangeStreams() {
+    if (this.streams.length > 0) {
+      return;
+    }
+    logger.info('Watching progress with change streams');
+    this.streams = SOURCES.map(source => {
+      const stream = source.model.watch(
+        [{ $match: { operationType: { $in: ['insert', 'update', 'replace'] } } }],
+        { fullDocument: 'updateLookup' }
+      );
+      stream.on('change', change => {
+        if (change.fullDocument) {
+          this.emit('progress', { event: source.event, data: source.format(change.fullDocument) });
+        }
+      });
+      stream.on('error', error => {
+        logger.warn(`Progress change stream failed, polling instead: ${error.message}`);
+        this.closeStreams();
+        this.startPolling();
+      });
+      return stream;
+    });
+  }
+
+  startPolling() {
+    if (!this.watching || this.timer) {
+      return;
+    }
+    logger.info(`Polling progress every ${this.pollInterval}ms`);
+    this.cursors = null;
+
+    // The first poll, right away, only notes how far each collection has got
+    const next = delay => {
+      const timer = setTimeout(async () => {
+        try {
+          await this.poll();
+        } catch (error) {
+          logger.error('Progress poll failed:', error);
+        }
+        // Unless stopped (and maybe started again) while polling
+        if (this.timer === timer) {
+          next(this.pollInterval);
+        }
+      }, delay);
+      this.timer = timer;
+    };
+    next(0);
+  }
+
+  // Each collection is read from the latest updatedAt it has returned, so the cursor
+  // follows the timestamps of whichever service wrote the records rather than this
+  // one's clock. Records at exactly that time are read again and skipped if already
+  // seen, so one saved in the same millisecond as the last poll is not missed.
+  async poll() {
+    if (!this.cursors) {
+      this.cursors = {};
+      for (const source of SOURCES) {
+        this.cursors[source.event] = await latestCursor(source.model);
+      }
+      return;
+    }
+
+    for (const source of SOURCES) {
+      const cursor = this.cursors[source.event];
+      const changed = await source.model
+        .find({ updatedAt: cursor.updatedAt ? { $gte: cursor.updatedAt } : { $ne: null } })
+        .sort({ updatedAt: 1 })
+        .lean();
+
+      for (const record of changed) {
+        const key = recordKey(record);
+        if (cursor.seen.has(key)) {
+          continue;
+        }
+        if (!cursor.updatedAt || record.updatedAt > cursor.updatedAt) {
+          cursor.updatedAt = record.updatedAt;
+          cursor.seen = new Set();
+        }
+        cursor.seen.add(key);
+        this.emit('progress', { event: source.event, data: source.format(record) });
+      }
+    }
+  }
+
+  closeStreams() {
+    const streams = this.streams;
+    this.streams = [];
+    streams.forEach(stream => stream.close().catch(() => {}));
+  }
+
+  stop() {
+    this.watching = false;
+    this.closeStreams();
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new ProgressEvents();
+module.exports.formatRefreshProgress = formatRefreshProgress;
+module.exports.formatAnalysisThread = formatAnalysisThread;
+module.exports.formatIndexRebuild = formatIndexRebuild;
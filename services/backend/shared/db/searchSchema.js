@@ -0,0 +1,210 @@
+const { citationSearchFields } = require('../utils/legalCitations');
+
+// Bump whenever the settings or mappings below change. Indexes record the version they
+// were created with in their mapping's _meta, and one created under an older version
+// keeps its old analysis until the search index is rebuilt.
+const SEARCH_SCHEMA_VERSION = 4;
+
+// Current documents and title snapshots are kept in separate indexes of the same shape
+const DOCUMENT_INDEX = 'ecfr_documents';
+const SNAPSHOT_INDEX = 'ecfr_snapshots';
+
+// Applied at search time only, so the list can grow without re-indexing. Each line
+// lists equivalent terms; they are analyzed like the text up to the synonym filter.
+const LEGAL_SYNONYMS = [
+  'shall, must',
+  'shall not, must not, may not',
+  'cfr, code of federal regulations',
+  'usc, u.s.c, united states code',
+  'fr, federal register',
+  'pub l, public law',
+  'apa, administrative procedure act',
+  'epa, environmental protection agency',
+  'faa, federal aviation administration',
+  'fda, food and drug administration',
+  'irs, internal revenue service',
+  'osha, occupational safety and health administration'
+];
+
+// "§ 60.4" and "section 60.4" read the same. Paragraph designators become a single
+// token split from the section number, so "60.4(a)(1)(i)" is indexed as "60.4" and
+// "_a_1_i" and the single letters in it do not disappear into the rest of the text.
+// There is no stop filter: "not" and "no" decide what a requirement means. legal_exact
+// skips stemming for wildcard queries, which are matched against whole indexed terms.
+const ANALYSIS = {
+  char_filter: {
+    section_signs: { type: 'pattern_replace', pattern: '§§\\s*', replacement: ' sections ' },
+    section_sign: { type: 'pattern_replace', pattern: '§\\s*', replacement: ' section ' },
+    designator_spacing: { type: 'pattern_replace', pattern: '(?<=[\\w.])(?=\\([A-Za-z0-9]{1,4}\\))', replacement: ' ' },
+    paragraph_designators: { type: 'pattern_replace', pattern: '\\(([A-Za-z0-9]{1,4})\\)', replacement: '_$1' }
+  },
+  filter: {
+    english_possessive: { type: 'stemmer', language: 'possessive_english' },
+    english_stemmer: { type: 'stemmer', language: 'english' },
+    paragraph_designator_marker: { type: 'keyword_marker', keywords_pattern: '^_.+' },
+    legal_synonyms: { type: 'synonym_graph', synonyms: LEGAL_SYNONYMS }
+  },
+  analyzer: {
+    legal_text: {
+      type: 'custom',
+      char_filter: ['section_signs', 'section_sign', 'designator_spacing', 'paragraph_designators'],
+      tokenizer: 'standard',
+      filter: ['lowercase', 'english_possessive', 'paragraph_designator_marker', 'english_stemmer']
+    },
+    legal_search: {
+      type: 'custom',
+      char_filter: ['section_signs', 'section_sign', 'designator_spacing', 'paragraph_designators'],
+      tokenizer: 'standard',
+      filter: ['lowercase', 'english_possessive', 'paragraph_designator_marker', 'legal_synonyms', 'english_stemmer']
+    },
+    legal_exact: {
+      type: 'custom',
+      char_filter: ['section_signs', 'section_sign', 'designator_spacing', 'paragraph_designators'],
+      tokenizer: 'standard',
+      filter: ['lowercase', 'english_possessive']
+    }
+  }
+};
+
+const exactText = { exact: { type: 'text', analyzer: 'legal_exact' } };
+const legalText = { type: 'text', analyzer: 'legal_text', search_analyzer: 'legal_search', fields: exactText };
+const legalTextWithKeyword = { ...legalText, fields: { ...exactText, keyword: { type: 'keyword', ignore_above: 1024 } } };
+
+// Statute and Federal Register citations parsed from AUTH, SOURCE and CITA, keyed as
+// the search filters name them. U.S.C. ranges are indexed as numeric ranges so a
+// section inside one can be found (see uscPosition in utils/legalCitations).
+const CITATION_MAPPINGS = {
+  usc: { type: 'keyword' },
+  uscRanges: { type: 'long_range' },
+  publicLaws: { type: 'keyword' },
+  federalRegister: { type: 'keyword' }
+};
+
+// Every field toSearchDocument and toIndexedDocument write. Mappings are strict, so a
+// field added there without a mapping here fails indexing instead of being guessed at.
+const DOCUMENT_PROPERTIES = {
+  titleNumber: { type: 'integer' },
+  titleName: legalTextWithKeyword,
+  type: { type: 'keyword' },
+  identifier: { type: 'keyword' },
+  documentId: { type: 'keyword' },
+  generations: { type: 'integer' },
+  node: { type: 'keyword' },
+  subtitle: { type: 'keyword' },
+  chapter: { type: 'keyword' },
+  subchapter: { type: 'keyword' },
+  part: { type: 'keyword' },
+  subpart: { type: 'keyword' },
+  subjectGroup: { type: 'keyword' },
+  section: { type: 'keyword' },
+  heading: legalTextWithKeyword,
+  authority: legalText,
+  source: legalText,
+  content: legalText,
+  effectiveDate: { type: 'date' },
+  amendmentDate: { type: 'date' },
+  lastModified: { type: 'date' },
+  citationsCount: { type: 'integer' },
+  editorialNotesCount: { type: 'integer' },
+  imagesCount: { type: 'integer' },
+  antiquatedScore: { type: 'integer' },
+  businessUnfriendlyScore: { type: 'integer' },
+  ...CITATION_MAPPINGS
+};
+
+const templateBody = (properties) => ({
+  settings: { analysis: ANALYSIS },
+  mappings: {
+    dynamic: 'strict',
+    _meta: { schemaVersion: SEARCH_SCHEMA_VERSION },
+    properties
+  }
+});
+
+// Index templates, by name, that every index of each kind is created from
+const INDEX_TEMPLATES = {
+  [DOCUMENT_INDEX]: {
+    index_patterns: [`${DOCUMENT_INDEX}*`],
+    version: SEARCH_SCHEMA_VERSION,
+    template: templateBody(DOCUMENT_PROPERTIES)
+  },
+  [SNAPSHOT_INDEX]: {
+    index_patterns: [`${SNAPSHOT_INDEX}*`],
+    version: SEARCH_SCHEMA_VERSION,
+    template: templateBody({
+      ...DOCUMENT_PROPERTIES,
+      snapshotDate: { type: 'date', format: 'yyyy-MM-dd' }
+    })
+  }
+};
+
+// The fields of a parsed document that go into Elasticsearch
+function toSearchDocument(doc, titleName) {
+  return {
+    titleNumber: doc.titleNumber,
+    titleName,
+    type: doc.type,
+    identifier: doc.identifier,
+    node: doc.node,
+    subtitle: doc.subtitle,
+    chapter: doc.chapter,
+    subchapter: doc.subchapter,
+    part: doc.part,
+    subpart: doc.subpart,
+    subjectGroup: doc.subjectGroup,
+    section: doc.section,
+    heading: doc.heading,
+    authority: doc.authority,
+    source: doc.source,
+    content: doc.content,
+    effectiveDate: doc.effectiveDate,
+    amendmentDate: doc.amendmentDate,
+    lastModified: doc.lastModified,
+    citationsCount: doc.citations ? doc.citations.length : 0,
+    editorialNotesCount: doc.editorialNotes ? doc.editorialNotes.length : 0,
+    imagesCount: doc.images ? doc.images.length : 0,
+    ...citationSearchFields(doc.legalCitations)
+  };
+}
+
+// The SectionAnalysis scores copied onto a section's search document, so searches can
+// filter and sort by them. Null for documents that have not been analyzed.
+function toAnalysisScores(analysis) {
+  return {
+    antiquatedScore: analysis ? analysis.antiquatedScore : null,
+    businessUnfriendlyScore: analysis ? analysis.businessUnfriendlyScore : null
+  };
+}
+
+// A stored document version as indexed in Elasticsearch, under its own _id, with the
+// scores of its analysis if it has one
+function toIndexedDocument(doc, titleName, analysis = null) {
+  return {
+    ...toSearchDocument(doc, titleName),
+    documentId: doc._id.toString(),
+    generations: doc.generations,
+    ...toAnalysisScores(analysis)
+  };
+}
+
+// The MongoDB fields toIndexedDocument reads, for queries that select them
+const INDEXED_DOCUMENT_FIELDS = [
+  'titleNumber', 'type', 'identifier', 'node', 'subtitle', 'chapter', 'subchapter', 'part', 'subpart',
+  'subjectGroup', 'section', 'heading', 'authority', 'source', 'content', 'effectiveDate', 'amendmentDate',
+  'lastModified', 'citations', 'editorialNotes', 'images', 'legalCitations', 'generations'
+].join(' ');
+
+module.exports = {
+  SEARCH_SCHEMA_VERSION,
+  DOCUMENT_INDEX,
+  SNAPSHOT_INDEX,
+  LEGAL_SYNONYMS,
+  ANALYSIS,
+  CITATION_MAPPINGS,
+  DOCUMENT_PROPERTIES,
+  INDEX_TEMPLATES,
+  toSearchDocument,
+  toIndexedDocument,
+  toAnalysisScores,
+  INDEXED_DOCUMENT_FIELDS
+};
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// A citation from one document's text to a section, part or subpart of the CFR
+const referenceSchema = new mongoose.Schema({
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId, // Citing document version; edges go with it when it is replaced
+    ref: 'Document',
+    required: true
+  },
+  titleNumber: {
+    type: Number,
+    required: true
+  },
+  sourceIdentifier: {
+    type: String,
+    required: true
+  },
+  sourceType: String,
+  text: String, // The citation as written, e.g. "40 CFR 60.4(a)"
+  targetTitleNumber: {
+    type: Number,
+    required: true
+  },
+  targetType: {
+    type: String,
+    required: true,
+    enum: ['part', 'subpart', 'section']
+  },
+  targetPart: String,
+  targetSubpart: String,
+  targetSection: String,
+  targetKey: {
+    type: String, // End of the target's identifier, e.g. "section-60.4" or "part-60/subpart-A"
+    required: true
+  },
+  targetIdentifier: {
+    type: String, // Set once the target is found among the target title's documents
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+referenceSchema.index({ sourceId: 1 });
+referenceSchema.index({ targetTitleNumber: 1, targetIdentifier: 1 });
+referenceSchema.index({ targetTitleNumber: 1, targetKey: 1 });
+
+module.exports = mongoose.model('Reference', referenceSchema);
@@ -99,6 +99,14 @@ sectionAnalysisSchema.statics.getMostBusinessUnfriendlySections = async function
     .lean();
 };
 
+// The analysis of each of these documents that has one, by document id
+sectionAnalysisSchema.statics.byDocument = async function(documentIds) {
+  const analyses = await this.find({ documentId: { $in: documentIds } })
+    .select('documentId antiquatedScore businessUnfriendlyScore')
+    .lean();
+  return new Map(analyses.map(analysis => [analysis.documentId.toString(), analysis]));
+};
+
 // Static method to get analysis stats
 sectionAnalysisSchema.statics.getAnalysisStats = async function(titleNumber = null, scoreThreshold = 50) {
   const matchStage = titleNumber ? { $match: { titleNumber } } : { $match: {} };
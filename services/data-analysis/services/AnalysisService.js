@@ -94,7 +94,7 @@ class AnalysisService {
   async analyzeTitle(titleNumber) {
     try {
       // Get all documents for this title
-      const documents = await Document.find({ titleNumber });
+      const documents = await Document.find(await Document.activeFilter(titleNumber));
       
       if (documents.length === 0) {
         logger.warn(`No documents found for title ${titleNumber}`);
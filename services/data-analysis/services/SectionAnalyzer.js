@@ -2,6 +2,7 @@ const logger = require('../shared/utils/logger');
 const Document = require('../shared/models/Document');
 const SectionAnalysis = require('../shared/models/SectionAnalysis');
 const grokService = require('./grok');
+const { indexAnalysisScores } = require('./searchScores');
 
 class SectionAnalyzer {
   constructor() {
@@ -59,17 +60,13 @@ class SectionAnalyzer {
   }
 
   async getSectionsToAnalyze(titleNumber = null, forceReanalysis = false) {
-    // Build query for sections
+    // Build query for the sections of each title's active generation, or of one title if specified
     const query = { 
+      ...(await Document.activeFilter(titleNumber || undefined)),
       type: 'section',
       content: { $exists: true, $ne: '' }
     };
     
-    // Filter by title if specified
-    if (titleNumber) {
-      query.titleNumber = titleNumber;
-    }
-    
     // Get all matching section documents
     const sections = await Document.find(query)
       .select('_id titleNumber identifier heading content')
@@ -148,7 +145,7 @@ class SectionAnalyzer {
         }
         
         // Save analysis results
-        await SectionAnalysis.create({
+        const analysis = await SectionAnalysis.create({
           documentId: section._id,
           titleNumber: section.titleNumber,
           sectionIdentifier: section.identifier,
@@ -163,6 +160,8 @@ class SectionAnalyzer {
           }
         });
         
+        await indexAnalysisScores([analysis]);
+
         logger.info(`Analysis saved for section ${section.identifier}`);
         
       } catch (error) {
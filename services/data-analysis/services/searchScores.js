@@ -0,0 +1,30 @@
+const logger = require('../shared/utils/logger');
+const { connect, updateAnalysisScores } = require('../shared/db/elasticsearch');
+const { toAnalysisScores } = require('../shared/db/searchSchema');
+
+/**
+ * Copy the scores of saved section analyses onto the sections' search documents, so
+ * searches can filter and sort by them. Nothing is copied without ELASTICSEARCH_HOST,
+ * and analysis carries on when Elasticsearch cannot be reached; rebuilding the search
+ * index picks up every stored score.
+ */
+async function indexAnalysisScores(analyses) {
+  if (analyses.length === 0 || !process.env.ELASTICSEARCH_HOST) {
+    return;
+  }
+
+  try {
+    await connect(process.env.ELASTICSEARCH_HOST);
+    const { missing } = await updateAnalysisScores(analyses.map(analysis => ({
+      documentId: analysis.documentId,
+      ...toAnalysisScores(analysis)
+    })));
+    if (missing > 0) {
+      logger.debug(`${missing} analyzed sections are not in the search index yet`);
+    }
+  } catch (error) {
+    logger.warn('Could not copy analysis scores to the search index:', error.message);
+  }
+}
+
+module.exports = { indexAnalysisScores };
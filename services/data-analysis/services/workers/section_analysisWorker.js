@@ -6,6 +6,7 @@ const Document = require('../../shared/models/Document');
 const SectionAnalysis = require('../../shared/models/SectionAnalysis');
 const AnalysisThread = require('../../shared/models/AnalysisThread');
 const grokService = require('../grok');
+const { indexAnalysisScores } = require('../searchScores');
 
 let isRunning = true;
 let currentSectionIndex = 0;
@@ -118,7 +119,7 @@ async function run() {
     const thread = await AnalysisThread.findOne({ threadType: workerData.threadType });
     
     // Get sections to analyze
-    let sectionsQuery = { type: 'section' };
+    let sectionsQuery = { ...(await Document.activeFilter()), type: 'section' };
     
     // Get resume position if not restarting
     if (!workerData.restart && thread.resumeData) {
@@ -165,7 +166,7 @@ async function run() {
     }
 
     // Get total count for progress
-    const totalSections = await Document.countDocuments({ type: 'section' });
+    const totalSections = await Document.countDocuments({ ...(await Document.activeFilter()), type: 'section' });
     
     // Create cursor for streaming
     const cursor = Document.find(sectionsQuery)
@@ -254,6 +255,7 @@ async function run() {
               },
               { upsert: true }
             );
+            await indexAnalysisScores([{ documentId: sec._id, ...analysis }]);
             
             return { success: true };
             
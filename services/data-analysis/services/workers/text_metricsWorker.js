@@ -4,6 +4,7 @@ const { connectToMongoDB } = require('./mongoConnection');
 const Title = require('../../shared/models/Title');
 const Document = require('../../shared/models/Document');
 const Metric = require('../../shared/models/Metric');
+const ChapterMetric = require('../../shared/models/ChapterMetric');
 const AnalysisThread = require('../../shared/models/AnalysisThread');
 const TextAnalyzer = require('../TextAnalyzer');
 const { initGridFS, retrieveFromGridFS } = require('../../shared/utils/gridfs');
@@ -18,6 +19,39 @@ parentPort.on('message', (message) => {
   }
 });
 
+// Word and keyword counts for each chapter of a title, one record per chapter
+async function updateChapterMetrics(titleNumber, textAnalyzer) {
+  const chapters = await Document.find({
+    ...(await Document.activeFilter(titleNumber)),
+    type: 'chapter'
+  }).select('identifier chapter content contentGridFS');
+
+  for (const chapter of chapters) {
+    let text = chapter.content || '';
+    if (chapter.contentGridFS) {
+      try {
+        text = await retrieveFromGridFS(chapter.contentGridFS);
+      } catch (error) {
+        console.error(`Failed to retrieve GridFS content for ${chapter.identifier}:`, error);
+        continue;
+      }
+    }
+
+    await ChapterMetric.findOneAndUpdate(
+      { titleNumber, identifier: chapter.identifier },
+      {
+        chapter: chapter.chapter,
+        analysisDate: new Date(),
+        metrics: {
+          wordCount: textAnalyzer.countWords(text),
+          keywordFrequency: await textAnalyzer.analyzeKeywords(text)
+        }
+      },
+      { upsert: true }
+    );
+  }
+}
+
 async function run() {
   try {
     // Connect to MongoDB with better error handling
@@ -85,7 +119,7 @@ async function run() {
 
         // Get only the title document which contains the full XML content
         const titleDocument = await Document.findOne({ 
-          titleNumber: title.number,
+          ...(await Document.activeFilter(title.number)),
           type: 'title'
         }).select('content contentGridFS');
         
@@ -153,6 +187,9 @@ async function run() {
           }
         }
 
+        // Agency rollups add up the chapters assigned to each agency
+        await updateChapterMetrics(title.number, textAnalyzer);
+
         processedCount++;
         
       } catch (error) {
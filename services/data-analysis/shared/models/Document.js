@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const Title = require('./Title');
 const { ObjectId } = mongoose.Types;
 
 const documentSchema = new mongoose.Schema({
@@ -23,6 +24,7 @@ const documentSchema = new mongoose.Schema({
   subpart: String, // DIV6 N attribute
   subjectGroup: String, // DIV7 N attribute
   section: String, // DIV8 N attribute
+  agency: String, // Slug of the Agency whose chapter the document is in; set after each download
   heading: String, // HEAD element content
   authority: String, // AUTH element content
   source: String, // SOURCE element content
@@ -54,6 +56,11 @@ const documentSchema = new mongoose.Schema({
     type: Number, // Track content size
     default: 0
   },
+  contentHash: String, // SHA-256 of the parsed content, used to skip unchanged documents on refresh
+  generations: {
+    type: [Number], // Refresh generations this version belongs to; readers see Title.activeGeneration
+    default: undefined
+  },
   citations: {
     type: [{
       text: { type: String, required: true },
@@ -61,6 +68,50 @@ const documentSchema = new mongoose.Schema({
     }],
     default: []
   },
+  legalCitations: {
+    // Parsed from AUTH and SOURCE, and for sections and appendices their CITA as well;
+    // `key` is the citation as the search filters take it
+    usc: {
+      type: [{
+        key: { type: String, required: true }, // "42 U.S.C. 7411", or "42 U.S.C. 7401-7671q" for a range
+        title: Number,
+        section: String,
+        through: String, // Last section of a range
+        etSeq: Boolean
+      }],
+      default: []
+    },
+    publicLaws: {
+      type: [{
+        key: { type: String, required: true }, // "Pub. L. 101-549"
+        congress: Number,
+        number: Number
+      }],
+      default: []
+    },
+    federalRegister: {
+      type: [{
+        key: { type: String, required: true }, // "79 FR 12345"
+        volume: Number,
+        page: Number,
+        date: Date
+      }],
+      default: []
+    }
+  },
+  tables: {
+    // GPOTABLEs of a section or appendix, one row per ROW with a cell per column
+    type: [{
+      title: String,
+      columns: [{
+        label: String, // Headings above the column joined with " / "
+        numeric: Boolean
+      }],
+      rows: [[String]],
+      notes: [String]
+    }],
+    default: []
+  },
   editorialNotes: {
     type: [{
       heading: { type: String, required: true },
@@ -84,7 +135,33 @@ const documentSchema = new mongoose.Schema({
 });
 
 documentSchema.index({ titleNumber: 1, type: 1 });
-documentSchema.index({ titleNumber: 1, identifier: 1 }, { unique: true });
+documentSchema.index({ agency: 1, type: 1 });
+// A refresh stages new versions next to the ones they replace, so identifiers are
+// unique within a generation rather than within a title
+documentSchema.index({ titleNumber: 1, generations: 1, identifier: 1 }, { unique: true });
 documentSchema.index({ '$**': 'text' });
 
+// Documents stored before generations existed have none and count as generation 0
+documentSchema.statics.generationFilter = function(titleNumber, generation) {
+  return { titleNumber, generations: generation ? generation : { $in: [null, 0] } };
+};
+
+// Filter for the documents readers should see: the active generation of one title,
+// or of every title when no number is given
+documentSchema.statics.activeFilter = async function(titleNumber) {
+  if (titleNumber !== undefined) {
+    const title = await Title.findOne({ number: titleNumber }).select('activeGeneration').lean();
+    return this.generationFilter(titleNumber, title ? title.activeGeneration : 0);
+  }
+
+  const titles = await Title.find({}).select('number activeGeneration').lean();
+  return {
+    $or: [
+      ...titles.map(title => this.generationFilter(title.number, title.activeGeneration)),
+      // Titles without a Title record can only have documents from before generations
+      { titleNumber: { $nin: titles.map(title => title.number) }, generations: { $in: [null, 0] } }
+    ]
+  };
+};
+
 module.exports = mongoose.model('Document', documentSchema);
\ No newline at end of file
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+const Document = require('./Document');
+
+// A document as it stood in a title snapshot. Same fields as Document, kept in
+// its own collection so the current documents and their indexes are untouched.
+const snapshotDocumentSchema = new mongoose.Schema({
+  ...Document.schema.obj,
+  snapshotDate: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+snapshotDocumentSchema.index({ titleNumber: 1, snapshotDate: 1, identifier: 1 }, { unique: true });
+snapshotDocumentSchema.index({ titleNumber: 1, snapshotDate: 1, type: 1 });
+
+module.exports = mongoose.model('SnapshotDocument', snapshotDocumentSchema);
@@ -28,6 +28,15 @@ const titleSchema = new mongoose.Schema({
     required: true
   },
   lastAnalyzed: Date,
+  // Generation of Document versions readers see. A refresh writes the next generation
+  // alongside this one and swaps the pointer once the new set is complete.
+  activeGeneration: Number,
+  xmlFileId: {
+    type: mongoose.Schema.Types.ObjectId, // Gzipped XML of the current version in GridFS
+    ref: 'fs.files'
+  },
+  // Before the XML moved to GridFS it was kept here as base64 gzip, and dropped for
+  // titles over the 16MB document limit. Cleared when a title is next downloaded.
   xmlContent: String,
   isOversized: {
     type: Boolean,
@@ -0,0 +1,86 @@
+require('dotenv').config();
+const fs = require('fs');
+const { connect: connectMongo, disconnect: disconnectMongo } = require('./shared/db/mongodb');
+const { connect: connectElasticsearch, disconnect: disconnectElasticsearch } = require('./shared/db/elasticsearch');
+const { initGridFS } = require('./shared/utils/gridfs');
+const logger = require('./shared/utils/logger');
+const RefreshProgress = require('./shared/models/RefreshProgress');
+const RefreshService = require('./services/RefreshService');
+const LocalSource = require('./services/sources/LocalSource');
+const Title = require('./shared/models/Title');
+const { importOverrides } = require('./services/agencyRegistry');
+
+const USAGE = `Usage: node cli.js import <path> [--force]
+       node cli.js agencies <overrides.json>
+
+Commands:
+  import <path>  Parse and store titles from a directory or .zip archive of
+                 eCFR bulk data: ECFR-title{N}.xml files (plain or .gz) and
+                 a titles.json manifest in the versioner API's format
+  agencies <file>
+                 Replace the agency overrides with a JSON list of chapters,
+                 [{ "titleNumber", "chapter", "agency", "shortName" }], and
+                 rebuild the agency registry of every stored title
+
+Options:
+  --force        Import even while another refresh is marked in progress`;
+
+async function importTitles(sourcePath, { force }) {
+  await connectMongo(process.env.MONGO_URI);
+  await connectElasticsearch(process.env.ELASTICSEARCH_HOST);
+  initGridFS();
+
+  try {
+    // Two runs writing the same titles would undo each other's change tracking
+    const running = await RefreshProgress.findActive();
+    if (running && !force) {
+      logger.error(`A ${running.type} run started at ${running.startedAt} is still in progress; wait for it or pass --force`);
+      return 1;
+    }
+
+    const refreshService = new RefreshService(new LocalSource(sourcePath));
+    await refreshService.dropLegacyIndexes();
+    const progress = await refreshService.performImport();
+
+    return progress.status === 'completed' ? 0 : 1;
+  } finally {
+    await disconnectMongo();
+    await disconnectElasticsearch();
+  }
+}
+
+async function importAgencyOverrides(file) {
+  const overrides = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+
+  await connectMongo(process.env.MONGO_URI);
+  try {
+    const titles = await Title.find({}).select('number').sort({ number: 1 }).lean();
+    const { overrides: count, chapters } = await importOverrides(overrides, titles.map(title => title.number));
+    logger.info(`Imported ${count} agency overrides; ${chapters} chapters in ${titles.length} titles are assigned to agencies`);
+    return 0;
+  } finally {
+    await disconnectMongo();
+  }
+}
+
+async function main(argv) {
+  const force = argv.includes('--force');
+  const [command, ...args] = argv.filter(arg => arg !== '--force');
+
+  if (command === 'import' && args.length === 1) {
+    return importTitles(args[0], { force });
+  }
+  if (command === 'agencies' && args.length === 1) {
+    return importAgencyOverrides(args[0]);
+  }
+
+  console.error(USAGE);
+  return 2;
+}
+
+main(process.argv.slice(2))
+  .then(code => process.exit(code))
+  .catch(error => {
+    logger.error('Command failed:', error);
+    process.exit(1);
+  });
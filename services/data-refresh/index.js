@@ -1,10 +1,11 @@
 require('dotenv').config();
-const cron = require('node-cron');
 const express = require('express');
 const { connect: connectMongo, disconnect: disconnectMongo } = require('./shared/db/mongodb');
 const { connect: connectElasticsearch, disconnect: disconnectElasticsearch } = require('./shared/db/elasticsearch');
 const logger = require('./shared/utils/logger');
 const RefreshService = require('./services/RefreshService');
+const SnapshotService = require('./services/SnapshotService');
+const RefreshScheduler = require('./services/RefreshScheduler');
 const RefreshProgress = require('./shared/models/RefreshProgress');
 const { initGridFS } = require('./shared/utils/gridfs');
 
@@ -44,6 +45,11 @@ async function startService() {
 
     // Create refresh service instance
     const refreshService = new RefreshService();
+    await refreshService.dropLegacyIndexes();
+    const snapshotService = new SnapshotService(refreshService);
+    if (snapshotService.isEnabled()) {
+      logger.info(`Title snapshots configured for ${snapshotService.dates.length} dates`);
+    }
 
     // Initial download after delay
     const initialDelayMinutes = parseInt(process.env.INITIAL_DOWNLOAD_DELAY_MINUTES || '5');
@@ -58,23 +64,16 @@ async function startService() {
         logger.error('Initial download failed:', error.message);
         // Don't exit the process, continue running for scheduled refreshes
       }
+      await captureSnapshots(snapshotService);
     }, initialDelay);
 
-    // Schedule periodic refresh
-    const refreshInterval = parseInt(process.env.REFRESH_INTERVAL_HOURS || '24');
-    const cronExpression = `0 */${refreshInterval} * * *`; // Every N hours
-    
-    cron.schedule(cronExpression, async () => {
-      logger.info('Starting scheduled refresh');
-      try {
-        await refreshService.performRefresh();
-      } catch (error) {
-        logger.error('Scheduled refresh failed:', error.message);
-        // Don't exit the process, continue running for next scheduled refresh
-      }
+    // Schedule periodic refresh; the schedule is edited from the settings page
+    const scheduler = new RefreshScheduler(refreshService, {
+      afterRun: () => captureSnapshots(snapshotService)
     });
-
-    logger.info(`Refresh scheduled every ${refreshInterval} hours`);
+    scheduler.start();
+    const schedule = await scheduler.loadSchedule();
+    logger.info(`Refresh scheduled at "${schedule.cron}"${schedule.titles.length > 0 ? ` with ${schedule.titles.length} title policies` : ''}${schedule.dryRun ? ' (dry run)' : ''}`);
 
     // Start health check server
     const app = express();
@@ -87,7 +86,7 @@ async function startService() {
         const mongoStatus = mongoose.connection.readyState === 1;
         
         // Check if we have an active refresh
-        const activeRefresh = await RefreshProgress.findOne({ status: 'in_progress' });
+        const activeRefresh = await RefreshProgress.findActive();
         
         res.json({
           status: 'healthy',
@@ -95,7 +94,8 @@ async function startService() {
           timestamp: new Date().toISOString(),
           mongodb: mongoStatus ? 'connected' : 'disconnected',
           activeRefresh: activeRefresh ? {
-            titleNumber: activeRefresh.currentTitle?.number,
+            status: activeRefresh.status,
+            titleNumbers: activeRefresh.currentTitles.map(t => t.number),
             progress: `${activeRefresh.processedTitles}/${activeRefresh.totalTitles}`
           } : null
         });
@@ -114,7 +114,7 @@ async function startService() {
 
     // Check for manual triggers periodically
     setInterval(async () => {
-      await checkForManualTriggers(refreshService);
+      await checkForManualTriggers(refreshService, scheduler);
     }, 30 * 1000); // Check every 30 seconds
 
     // Store reference to refresh service for graceful shutdown
@@ -126,12 +126,10 @@ async function startService() {
       
       // Save current progress if download is in progress
       try {
-        const progress = await RefreshProgress.findOne({
-          status: 'in_progress'
-        }).sort({ createdAt: -1 });
+        const progress = await RefreshProgress.findActive();
         
         if (progress) {
-          logger.info(`Saving progress: ${progress.processedTitles} titles processed, current title: ${progress.currentTitle?.number || 'none'}`);
+          logger.info(`Saving progress: ${progress.processedTitles} titles processed, current titles: ${progress.currentTitles.map(t => t.number).join(', ') || 'none'}`);
           // Progress is automatically saved by the RefreshService methods
           // Just log the current state
           if (progress.failedTitles.length > 0) {
@@ -153,12 +151,10 @@ async function startService() {
       
       // Save current progress if download is in progress
       try {
-        const progress = await RefreshProgress.findOne({
-          status: 'in_progress'
-        }).sort({ createdAt: -1 });
+        const progress = await RefreshProgress.findActive();
         
         if (progress) {
-          logger.info(`Saving progress: ${progress.processedTitles} titles processed, current title: ${progress.currentTitle?.number || 'none'}`);
+          logger.info(`Saving progress: ${progress.processedTitles} titles processed, current titles: ${progress.currentTitles.map(t => t.number).join(', ') || 'none'}`);
           if (progress.failedTitles.length > 0) {
             logger.info(`Failed titles: ${progress.failedTitles.map(t => t.number).join(', ')}`);
           }
@@ -178,11 +174,24 @@ async function startService() {
   }
 }
 
+// Fetch any configured title snapshots that are still missing
+async function captureSnapshots(snapshotService) {
+  if (!snapshotService.isEnabled()) {
+    return;
+  }
+
+  try {
+    await snapshotService.captureMissingSnapshots();
+  } catch (error) {
+    logger.error('Snapshot capture failed:', error.message);
+  }
+}
+
 // Function to check for manual triggers
-async function checkForManualTriggers(refreshService) {
+async function checkForManualTriggers(refreshService, scheduler) {
   try {
-    // Check for pending manual triggers (both full refresh and single title)
-    const pendingTrigger = await RefreshProgress.findOne({
+    // Check for pending manual triggers (full refresh, single title, dry run or re-parse)
+    let pendingTrigger = await RefreshProgress.findOne({
       status: 'pending',
       $or: [
         { triggeredBy: 'manual' },
@@ -191,26 +200,42 @@ async function checkForManualTriggers(refreshService) {
     }).sort({ createdAt: 1 });
 
     if (pendingTrigger) {
-      // Check if there's already a refresh in progress
-      const inProgress = await RefreshProgress.findOne({
-        status: 'in_progress'
-      });
+      // Check if there's already a refresh in progress, paused or not
+      const inProgress = await RefreshProgress.findActive();
 
+      // Claim the trigger unless it was cancelled in the meantime
       if (!inProgress) {
+        pendingTrigger = await RefreshProgress.findOneAndUpdate(
+          { _id: pendingTrigger._id, status: 'pending' },
+          { status: 'in_progress', startedAt: new Date() },
+          { new: true }
+        );
+      }
+
+      if (!inProgress && pendingTrigger) {
         logger.info(`Found manual trigger (type: ${pendingTrigger.type}), starting refresh`);
-        pendingTrigger.status = 'in_progress';
-        pendingTrigger.startedAt = new Date();
-        await pendingTrigger.save();
         
         try {
-          // Check if it's a single title refresh
-          if (pendingTrigger.type === 'single_title' && pendingTrigger.metadata?.targetTitle) {
+          if (pendingTrigger.type === 'dry_run') {
+            // A dry run covers every title the schedule does not skip
+            logger.info('Running dry run');
+            const schedule = await scheduler.loadSchedule();
+            const skipped = new Set(schedule.titles.filter(t => t.policy === 'skip').map(t => t.titleNumber));
+            await refreshService.previewRefresh({
+              includes: number => !skipped.has(number),
+              progress: pendingTrigger
+            });
+          } else if (pendingTrigger.type === 'reparse') {
+            logger.info('Re-parsing every title from its stored XML');
+            await refreshService.performReparse({ progress: pendingTrigger });
+          } else if (pendingTrigger.type === 'single_title' && pendingTrigger.metadata?.targetTitle) {
+            // Check if it's a single title refresh
             logger.info(`Running single title refresh for title ${pendingTrigger.metadata.targetTitle}`);
-            await refreshService.refreshSingleTitle(pendingTrigger.metadata.targetTitle);
+            await refreshService.refreshSingleTitle(pendingTrigger.metadata.targetTitle, { progress: pendingTrigger });
           } else {
             // Run full refresh
             logger.info('Running full refresh');
-            await refreshService.performRefresh();
+            await refreshService.performRefresh({ progress: pendingTrigger });
           }
         } catch (error) {
           logger.error('Manual refresh failed:', error.message);
@@ -0,0 +1,126 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const zlib = require('zlib');
+const Title = require('../shared/models/Title');
+const Document = require('../shared/models/Document');
+const SectionAnalysis = require('../shared/models/SectionAnalysis');
+const XMLParser = require('../services/XMLParser');
+const logger = require('../shared/utils/logger');
+
+// One-time migration from the old `${type}_${Date.now()}_${random}` identifiers to
+// citation-based ones. Each title's stored XML is re-parsed and existing documents are
+// renamed in place, so their _id - and with it every SectionAnalysis.documentId - stays
+// valid. Documents written before the parser read NODE attributes have no `node`, so
+// they are matched on type, heading and document order instead.
+function matchKeys(documents) {
+  const seen = new Map();
+  return documents.map(doc => {
+    const base = `${doc.type}|${doc.heading || ''}`;
+    const occurrence = (seen.get(base) || 0) + 1;
+    seen.set(base, occurrence);
+    return `${base}|${occurrence}`;
+  });
+}
+
+async function migrateIdentifiers() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    logger.info('Connected to MongoDB for migration');
+
+    const xmlParser = new XMLParser();
+    const titles = await Title.find({}).select('number name xmlContent isOversized').sort({ number: 1 });
+
+    let renamedTotal = 0;
+    const skippedTitles = [];
+
+    for (const title of titles) {
+      if (!title.xmlContent) {
+        logger.warn(`Title ${title.number} has no stored XML${title.isOversized ? ' (oversized)' : ''}; it will be remapped on its next refresh`);
+        skippedTitles.push(title.number);
+        continue;
+      }
+
+      const xml = zlib.gunzipSync(Buffer.from(title.xmlContent, 'base64')).toString();
+      // Only identifiers are needed, so keep large content out of GridFS
+      const parsed = await xmlParser.parseTitle(xml, title.number, { useGridFS: false });
+
+      const identifiersByKey = new Map();
+      matchKeys(parsed).forEach((key, index) => identifiersByKey.set(key, parsed[index].identifier));
+
+      // Documents were inserted in parse order, so _id order is document order
+      const existing = await Document.find({ titleNumber: title.number })
+        .select('_id type heading identifier')
+        .sort({ _id: 1 })
+        .lean();
+
+      const operations = [];
+      let unmatched = 0;
+      matchKeys(existing).forEach((key, index) => {
+        const doc = existing[index];
+        const identifier = identifiersByKey.get(key);
+        if (!identifier) {
+          unmatched++;
+        } else if (identifier !== doc.identifier) {
+          operations.push({
+            updateOne: {
+              filter: { _id: doc._id },
+              update: { $set: { identifier } }
+            }
+          });
+        }
+      });
+
+      if (operations.length > 0) {
+        await Document.bulkWrite(operations, { ordered: false });
+      }
+      renamedTotal += operations.length;
+
+      logger.info(`Title ${title.number}: renamed ${operations.length} documents, ${unmatched} without a match`);
+    }
+
+    // Bring sectionIdentifier in line with the renamed documents
+    const analyses = await SectionAnalysis.find({}).select('_id documentId sectionIdentifier').lean();
+    const documents = await Document.find({ _id: { $in: analyses.map(a => a.documentId) } })
+      .select('_id identifier')
+      .lean();
+    const identifiersById = new Map(documents.map(doc => [doc._id.toString(), doc.identifier]));
+
+    const analysisOperations = [];
+    let orphaned = 0;
+    for (const analysis of analyses) {
+      const identifier = identifiersById.get(analysis.documentId.toString());
+      if (!identifier) {
+        orphaned++;
+      } else if (identifier !== analysis.sectionIdentifier) {
+        analysisOperations.push({
+          updateOne: {
+            filter: { _id: analysis._id },
+            update: { $set: { sectionIdentifier: identifier } }
+          }
+        });
+      }
+    }
+
+    if (analysisOperations.length > 0) {
+      await SectionAnalysis.bulkWrite(analysisOperations, { ordered: false });
+    }
+
+    logger.info(`Migration completed: ${renamedTotal} documents renamed, ${analysisOperations.length} section analyses remapped`);
+    logger.info('Rebuild the search index so Elasticsearch picks up the new identifiers');
+    if (orphaned > 0) {
+      logger.warn(`${orphaned} section analyses reference documents that no longer exist and were left unchanged`);
+    }
+    if (skippedTitles.length > 0) {
+      logger.warn(`Skipped titles without stored XML: ${skippedTitles.join(', ')}`);
+    }
+
+  } catch (error) {
+    logger.error('Migration failed:', error);
+  } finally {
+    await mongoose.disconnect();
+    logger.info('Disconnected from MongoDB');
+  }
+}
+
+// Run the migration
+migrateIdentifiers();
@@ -0,0 +1,91 @@
+const { diffText } = require('./textDiff');
+
+// Only leaf documents are listed in change sets; every level above a section changes
+// whenever anything beneath it does
+const TRACKED_TYPES = ['section', 'appendix'];
+// Text diffs stop being stored past this size to keep the change set under MongoDB's 16MB limit
+const MAX_DIFF_BYTES = 8 * 1024 * 1024;
+
+/**
+ * Compares the documents parsed from a new download of a title against the ones
+ * already stored, and collects the section-level changes for its ChangeSet.
+ */
+class ChangeTracker {
+  constructor(existingDocuments) {
+    this.existing = new Map(existingDocuments.map(doc => [doc.identifier, doc]));
+    this.seen = new Set();
+    // A title's first download has nothing to compare against
+    this.baseline = existingDocuments.length === 0;
+    this.stats = { added: 0, changed: 0, unchanged: 0 };
+    this.changes = [];
+    this.diffBytes = 0;
+    // Sections whose text changed; their analyses describe the old text
+    this.changedSectionIds = [];
+  }
+
+  // Classify a parsed document as 'added', 'changed' or 'unchanged' by its content hash
+  compare(doc) {
+    this.seen.add(doc.identifier);
+    const existing = this.existing.get(doc.identifier);
+
+    let status = 'added';
+    if (existing) {
+      status = existing.contentHash === doc.contentHash ? 'unchanged' : 'changed';
+    }
+    this.stats[status]++;
+
+    return { status, existing };
+  }
+
+  tracks(doc) {
+    return TRACKED_TYPES.includes(doc.type);
+  }
+
+  // Stored documents the new download did not produce
+  removedDocuments() {
+    return [...this.existing.values()].filter(doc => !this.seen.has(doc.identifier));
+  }
+
+  recordChange(changeType, doc, before, after) {
+    if (this.baseline || !this.tracks(doc)) {
+      return;
+    }
+
+    const change = {
+      identifier: doc.identifier,
+      type: doc.type,
+      part: doc.part,
+      section: doc.section,
+      heading: doc.heading,
+      changeType,
+      diff: [],
+      diffOmitted: false
+    };
+
+    if (this.diffBytes < MAX_DIFF_BYTES) {
+      change.diff = diffText(before, after);
+      this.diffBytes += Buffer.byteLength(JSON.stringify(change.diff), 'utf8');
+    } else {
+      change.diffOmitted = true;
+    }
+
+    this.changes.push(change);
+  }
+
+  toChangeSet({ titleNumber, checksum, previousChecksum, incomplete = false }) {
+    const summary = { added: 0, modified: 0, removed: 0 };
+    this.changes.forEach(change => summary[change.changeType]++);
+
+    return {
+      titleNumber,
+      checksum,
+      previousChecksum,
+      baseline: this.baseline,
+      incomplete,
+      summary,
+      changes: this.changes
+    };
+  }
+}
+
+module.exports = ChangeTracker;
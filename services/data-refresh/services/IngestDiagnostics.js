@@ -0,0 +1,86 @@
+// Elements within a title's DIV1 that the parser reads for their meaning, plus the
+// markup inside them that only carries text. Anything else still reaches a document's
+// plain text, but its structure (and any formatting) is lost, so finding one is worth
+// a look at XMLParser.
+const KNOWN_ELEMENTS = new Set([
+  // Divisions
+  'div1', 'div2', 'div3', 'div4', 'div5', 'div6', 'div7', 'div8', 'div9',
+  // Headings, notes and citations
+  'head', 'hed', 'hd', 'hd1', 'hd2', 'hd3', 'auth', 'source', 'cita', 'ednote', 'effectivedate',
+  'secauth', 'note', 'ftnt', 'appro', 'crossref', 'xref', 'fr',
+  // Paragraphs and the markup inside them
+  'p', 'fp', 'fp-1', 'fp-2', 'fp1-2', 'fp2', 'fp2-2', 'fp-dash', 'pspace', 'extract',
+  'i', 'b', 'em', 'strong', 'u', 'sub', 'sup', 'e', 'su', 'br',
+  // Tables, images and contents
+  'table', 'tr', 'th', 'td', 'gpotable', 'boxhd', 'ched', 'row', 'ent', 'ttitle', 'tnote', 'tdesc',
+  'img', 'a', 'gid', 'cfrtoc', 'ptshd', 'chapti', 'subject', 'pg', 'secho', 'pthd'
+]);
+
+// Entries kept per list; the totals still count every occurrence
+const MAX_ENTRIES = 200;
+
+/**
+ * Collects what a parse of one title dropped or worked around: element names the
+ * parser has no handling for, divisions that produced no document, fields moved to
+ * GridFS for size, leaf divisions with no text besides their heading, and the error
+ * that ended the parse. `toReport()` gives the shape stored as an IngestReport.
+ */
+class IngestDiagnostics {
+  constructor() {
+    this.unknownElements = new Map();
+    this.skippedDocuments = [];
+    this.gridfsSpills = [];
+    this.emptySections = [];
+    this.totals = { unknownElements: 0, skippedDocuments: 0, gridfsSpills: 0, emptySections: 0 };
+    this.failure = null;
+  }
+
+  element(name) {
+    if (KNOWN_ELEMENTS.has(name)) return;
+    if (!this.unknownElements.has(name)) {
+      this.totals.unknownElements++;
+    }
+    this.unknownElements.set(name, (this.unknownElements.get(name) || 0) + 1);
+  }
+
+  documentSkipped(type, identifier, error) {
+    this.add('skippedDocuments', { type, identifier, error: error ? error.message : null });
+  }
+
+  spilledToGridFS(type, identifier, field, size) {
+    this.add('gridfsSpills', { type, identifier, field, size });
+  }
+
+  emptySection(type, identifier, heading) {
+    this.add('emptySections', { type, identifier, heading: heading || null });
+  }
+
+  parseFailed(error) {
+    this.failure = error.message;
+  }
+
+  add(list, entry) {
+    this.totals[list]++;
+    if (this[list].length < MAX_ENTRIES) {
+      this[list].push(entry);
+    }
+  }
+
+  toReport() {
+    return {
+      unknownElements: [...this.unknownElements]
+        .map(([name, count]) => ({ name, count }))
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+        .slice(0, MAX_ENTRIES),
+      skippedDocuments: this.skippedDocuments,
+      gridfsSpills: this.gridfsSpills,
+      emptySections: this.emptySections,
+      totals: { ...this.totals },
+      error: this.failure
+    };
+  }
+}
+
+module.exports = IngestDiagnostics;
+module.exports.KNOWN_ELEMENTS = KNOWN_ELEMENTS;
+module.exports.MAX_ENTRIES = MAX_ENTRIES;
@@ -0,0 +1,93 @@
+const cron = require('node-cron');
+const logger = require('../shared/utils/logger');
+const Settings = require('../shared/models/Settings');
+const {
+  SCHEDULE_KEY,
+  defaultSchedule,
+  normalizeSchedule,
+  inBlackout,
+  dueTitles
+} = require('../shared/utils/refreshSchedule');
+
+/**
+ * Runs scheduled refreshes from the schedule in Settings (see shared/utils/refreshSchedule).
+ * The schedule is read again every minute, so edits from the settings page apply without
+ * a restart. A run that is still going when the next one comes due makes that one skip,
+ * and a run that reaches a blackout window stops before its next title.
+ */
+class RefreshScheduler {
+  constructor(refreshService, { afterRun = async () => {} } = {}) {
+    this.refreshService = refreshService;
+    this.afterRun = afterRun;
+    this.running = false;
+    this.task = null;
+  }
+
+  start() {
+    this.task = cron.schedule('* * * * *', () => this.tick());
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  // The stored schedule, or the REFRESH_INTERVAL_HOURS default when none is stored or
+  // the stored one no longer validates
+  async loadSchedule() {
+    const stored = await Settings.getSetting(SCHEDULE_KEY);
+    if (!stored) {
+      return defaultSchedule();
+    }
+
+    try {
+      return normalizeSchedule(stored);
+    } catch (error) {
+      logger.error(`Stored refresh schedule is invalid, using the default: ${error.message}`);
+      return defaultSchedule();
+    }
+  }
+
+  async tick(now = new Date()) {
+    try {
+      const schedule = await this.loadSchedule();
+      const { due, includes } = dueTitles(schedule, now);
+      if (!due) {
+        return;
+      }
+
+      if (inBlackout(schedule, now)) {
+        logger.info('Skipping scheduled refresh: inside a blackout window');
+        return;
+      }
+      if (this.running) {
+        logger.info('Skipping scheduled refresh: the previous one is still running');
+        return;
+      }
+
+      this.running = true;
+      try {
+        if (schedule.dryRun) {
+          logger.info('Starting scheduled dry run');
+          await this.refreshService.previewRefresh({ includes });
+        } else {
+          logger.info('Starting scheduled refresh');
+          await this.refreshService.performRefresh({
+            includes,
+            shouldStop: async () => inBlackout(await this.loadSchedule(), new Date())
+          });
+          await this.afterRun();
+        }
+      } finally {
+        this.running = false;
+      }
+    } catch (error) {
+      // Don't exit the process, continue running for the next scheduled refresh
+      logger.error('Scheduled refresh failed:', error.message);
+    }
+  }
+}
+
+module.exports = RefreshScheduler;
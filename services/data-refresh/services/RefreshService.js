@@ -1,30 +1,70 @@
-const axios = require('axios');
-const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const zlib = require('zlib');
-const { promisify } = require('util');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
 const logger = require('../shared/utils/logger');
 const Title = require('../shared/models/Title');
 const Document = require('../shared/models/Document');
 const RefreshProgress = require('../shared/models/RefreshProgress');
-const { bulkIndex } = require('../shared/db/elasticsearch');
-const XMLParser = require('./XMLParser');
+const SectionAnalysis = require('../shared/models/SectionAnalysis');
+const ChangeSet = require('../shared/models/ChangeSet');
+const Reference = require('../shared/models/Reference');
+const Definition = require('../shared/models/Definition');
+const IngestReport = require('../shared/models/IngestReport');
+const {
+  bulkIndex,
+  addGeneration,
+  dropGeneration: dropSearchGeneration,
+  countGeneration,
+  updateAnalysisScores
+} = require('../shared/db/elasticsearch');
+const { toIndexedDocument, toAnalysisScores } = require('../shared/db/searchSchema');
+const { deleteFromGridFS, storeStreamInGridFS, findGridFSFiles, titleXmlFilename } = require('../shared/utils/gridfs');
+const StreamingXMLParser = require('./StreamingXMLParser');
+const IngestDiagnostics = require('./IngestDiagnostics');
+const { runPool } = require('./titlePool');
+const ChangeTracker = require('./ChangeTracker');
+const { updateTitleAgencies } = require('./agencyRegistry');
+const GovInfoSource = require('./sources/GovInfoSource');
+const StoredSource = require('./sources/StoredSource');
 
-const gzip = promisify(zlib.gzip);
-const gunzip = promisify(zlib.gunzip);
+// What the parser reads out of a document's text into collections of their own, by the
+// field it returns them in. Each record points at the document version it was read from.
+const DERIVED_RECORDS = [
+  { field: 'references', Model: Reference },
+  { field: 'definitions', Model: Definition }
+];
 
-class RefreshService {
+// How often a paused run checks whether it has been resumed or cancelled
+const PAUSE_CHECK_MS = 5000;
+
+// Thrown at a checkpoint of a run that has been cancelled
+class RefreshCancelled extends Error {
   constructor() {
-    this.xmlParser = new XMLParser();
-    this.baseUrl = 'https://www.govinfo.gov/bulkdata/ECFR';
-    this.titlesApiUrl = 'https://www.ecfr.gov/api/versioner/v1/titles.json';
+    super('Refresh cancelled');
+    this.name = 'RefreshCancelled';
+  }
+}
+
+class RefreshService {
+  // The source provides the title list and XML; see services/sources
+  constructor(source = new GovInfoSource()) {
+    this.xmlParser = new StreamingXMLParser();
+    this.source = source;
+    // How many titles are processed at once, and how much XML they may hold between them
+    this.concurrency = Math.max(1, parseInt(process.env.REFRESH_CONCURRENCY || '3'));
+    this.memoryBudget = parseInt(process.env.REFRESH_MEMORY_BUDGET_MB || '512') * 1024 * 1024;
   }
 
   async performInitialDownload() {
+    let progress;
     try {
       logger.info('Starting initial download of all titles');
       
       // Get or create progress tracking
-      const progress = await RefreshProgress.getCurrentProgress('initial');
+      progress = await RefreshProgress.getCurrentProgress('initial');
       
       // Get list of all titles
       const titles = await this.fetchTitlesList();
@@ -47,20 +87,19 @@ class RefreshService {
           logger.warn(`Failed titles: ${progress.failedTitles.map(t => t.number).join(', ')}`);
         }
       }
+      if (progress.currentTitles.length > 0) {
+        // Titles the previous attempt was processing when it stopped; they start over
+        progress.currentTitles = [];
+        await progress.save();
+      }
 
-      // Process titles
-      let nextTitle;
-      while ((nextTitle = progress.getNextTitle(titles)) !== null) {
+      // Process the titles a previous attempt did not finish
+      const remaining = titles.filter(t => !t.reserved && !progress.processedTitleNumbers.includes(t.number));
+      await this.runTitles(remaining, progress, async nextTitle => {
         try {
-          // Update current title in progress
-          progress.currentTitle = {
-            number: nextTitle.number,
-            name: nextTitle.name,
-            startedAt: new Date()
-          };
-          await progress.save();
+          await progress.startTitle(nextTitle.number, nextTitle.name);
           
-          logger.info(`Processing title ${nextTitle.number} (${progress.processedTitles + 1}/${progress.totalTitles})`);
+          logger.info(`Processing title ${nextTitle.number} (${progress.processedTitles + progress.currentTitles.length}/${progress.totalTitles})`);
           
           // Check if title exists and is unchanged
           const existingTitle = await Title.findOne({ number: nextTitle.number });
@@ -76,7 +115,7 @@ class RefreshService {
           }
           
           if (shouldDownload) {
-            await this.downloadTitle(nextTitle);
+            await this.downloadTitle(nextTitle, false, { checkpoint: () => this.checkControl(progress) });
           }
           
           // Mark as processed
@@ -84,18 +123,18 @@ class RefreshService {
           
           logger.info(`Successfully processed title ${nextTitle.number}`);
           
-          // Add delay between downloads to avoid overwhelming the server
-          await this.delay(2000);
-          
         } catch (error) {
+          if (error instanceof RefreshCancelled) {
+            throw error;
+          }
           logger.error(`Failed to process title ${nextTitle.number}:`, error);
           await progress.markTitleFailed(nextTitle.number, nextTitle.name, error);
           
           // Continue with next title instead of failing entire process
           logger.info('Continuing with next title...');
-          await this.delay(5000); // Longer delay after failure
+          await this.delay(5000); // Back off before this slot takes another title
         }
-      }
+      });
       
       // Check final status
       if (progress.status === 'completed') {
@@ -108,49 +147,72 @@ class RefreshService {
       }
       
     } catch (error) {
+      if (error instanceof RefreshCancelled) {
+        await this.finishCancelled(progress);
+        return;
+      }
       logger.error('Initial download failed:', error);
       throw error;
     }
   }
 
-  async performRefresh() {
+  // Download the titles that changed since their last download. A schedule limits the
+  // run to the titles it has due with `includes`, and ends it early when `shouldStop`
+  // turns true before a title starts. A manual trigger passes its own progress record.
+  async performRefresh({ includes = () => true, shouldStop = null, progress: given = null } = {}) {
+    let progress = given;
     try {
       logger.info('Starting refresh check');
       
       // Get or create progress tracking for refresh
-      const progress = await RefreshProgress.getCurrentProgress('refresh');
+      if (!progress) {
+        progress = await RefreshProgress.getCurrentProgress('refresh');
+      }
       
       // Get current titles list
-      const titles = await this.fetchTitlesList();
+      const titles = (await this.fetchTitlesList()).filter(t => !t.reserved && includes(parseInt(t.number)));
       
       // Initialize progress if starting fresh
-      if (progress.status === 'pending') {
+      if (given || progress.status === 'pending') {
         progress.status = 'in_progress';
-        progress.totalTitles = titles.filter(t => !t.reserved).length;
-        progress.startedAt = new Date();
+        progress.totalTitles = titles.length;
+        progress.startedAt = progress.startedAt || new Date();
+        await progress.save();
+      }
+      if (titles.length === 0) {
+        // Nothing on the schedule is in the source's list; the run would never complete otherwise
+        progress.status = 'completed';
+        progress.completedAt = new Date();
         await progress.save();
       }
       
       // Check each title for updates
+      const checkpoint = () => this.checkControl(progress);
       let updatedCount = 0;
       let skippedCount = 0;
-      for (const title of titles) {
-        if (title.reserved) continue;
-        
+      let stoppedBefore = null;
+      await this.runTitles(titles, progress, async title => {
+        // Titles already running finish; the rest are left alone
+        if (stoppedBefore !== null) {
+          return;
+        }
+        if (shouldStop && await shouldStop()) {
+          if (stoppedBefore === null) {
+            stoppedBefore = title.number;
+            logger.info(`Stopping refresh before title ${title.number}; the remaining titles are checked on the next run`);
+          }
+          return;
+        }
+
         try {
-          progress.currentTitle = {
-            number: title.number,
-            name: title.name,
-            startedAt: new Date()
-          };
-          await progress.save();
+          await progress.startTitle(title.number, title.name);
           
           const existingTitle = await Title.findOne({ number: title.number });
           
           if (!existingTitle) {
             // New title, download it
             logger.info(`New title found: ${title.number} - ${title.name}`);
-            await this.downloadTitle(title);
+            await this.downloadTitle(title, false, { checkpoint });
             updatedCount++;
           } else {
             // Check if we should skip based on last-modified
@@ -162,19 +224,31 @@ class RefreshService {
             } else {
               // Title has been updated
               logger.info(`Update found for title ${title.number}: ${existingTitle.upToDateAsOf} -> ${title.upToDateAsOf}`);
-              await this.downloadTitle(title);
-              updatedCount++;
+              if (await this.downloadTitle(title, false, { checkpoint })) {
+                updatedCount++;
+              } else {
+                skippedCount++;
+              }
             }
           }
           
           await progress.markTitleProcessed(title.number, title.name);
           
         } catch (error) {
+          if (error instanceof RefreshCancelled) {
+            throw error;
+          }
           logger.error(`Failed to refresh title ${title.number}:`, error);
           await progress.markTitleFailed(title.number, title.name, error);
         }
+      });
 
-        await this.delay(1000);
+      if (stoppedBefore !== null) {
+        progress.status = 'completed';
+        progress.completedAt = new Date();
+        progress.currentTitles = [];
+        progress.metadata = { ...progress.metadata, stoppedBefore };
+        await progress.save();
       }
 
       logger.info(`Refresh check completed. Updated ${updatedCount} titles, skipped ${skippedCount} unchanged titles`);
@@ -187,255 +261,919 @@ class RefreshService {
       }
       
     } catch (error) {
+      if (error instanceof RefreshCancelled) {
+        await this.finishCancelled(progress);
+        return;
+      }
       logger.error('Refresh failed:', error);
       throw error;
     }
   }
 
-  async fetchTitlesList() {
+  // Report which titles a refresh would download, and why, without downloading them.
+  // The report is kept on a dry_run progress record: the given one for a manual
+  // request, or a new one for a scheduled run.
+  async previewRefresh({ includes = () => true, progress = null, triggeredBy = 'scheduled' } = {}) {
+    const run = progress || await RefreshProgress.create({
+      type: 'dry_run',
+      status: 'in_progress',
+      triggeredBy,
+      startedAt: new Date()
+    });
+
     try {
-      const response = await axios.get(this.titlesApiUrl, {
-        headers: { 'Accept': 'application/json' },
-        timeout: 30000
-      });
+      const titles = (await this.fetchTitlesList()).filter(t => !t.reserved && includes(parseInt(t.number)));
+      const existingTitles = await Title.find({ number: { $in: titles.map(t => parseInt(t.number)) } });
+      const existingByNumber = new Map(existingTitles.map(title => [title.number, title]));
+
+      const wouldDownload = [];
+      const unchanged = [];
+      for (const title of titles) {
+        const existing = existingByNumber.get(parseInt(title.number));
+        if (!existing) {
+          wouldDownload.push({ number: parseInt(title.number), name: title.name, reason: 'new' });
+        } else if (!(await this.checkIfTitleUnchanged(title, existing))) {
+          wouldDownload.push({
+            number: parseInt(title.number),
+            name: title.name,
+            reason: 'updated',
+            latestIssueDate: title.latest_issue_date || null,
+            lastDownloaded: existing.lastDownloaded
+          });
+        } else {
+          unchanged.push(parseInt(title.number));
+        }
+      }
 
-      return response.data.titles;
+      run.status = 'completed';
+      run.totalTitles = titles.length;
+      run.processedTitles = titles.length;
+      run.completedAt = new Date();
+      run.metadata = { ...run.metadata, wouldDownload, unchanged };
+      await run.save();
+
+      logger.info(`Dry run: ${wouldDownload.length} of ${titles.length} titles would download${wouldDownload.length > 0 ? ` (${wouldDownload.map(t => t.number).join(', ')})` : ''}`);
+      return { wouldDownload, unchanged };
     } catch (error) {
-      logger.error('Failed to fetch titles list:', error);
+      logger.error('Dry run failed:', error);
+      run.status = 'failed';
+      run.lastError = error.message;
+      run.completedAt = new Date();
+      await run.save();
       throw error;
     }
   }
 
-  async downloadTitle(titleInfo, forceDownload = false) {
-    const { number, name } = titleInfo;
-    const url = `${this.baseUrl}/title-${number}/ECFR-title${number}.xml`;
-    
-    logger.info(`Downloading title ${number}: ${name}${forceDownload ? ' (forced)' : ''}`);
+  // Process every title the source provides, as the offline import does. Nothing is
+  // skipped by date the way scheduled runs do; unchanged documents are still left alone.
+  async performImport() {
+    const progress = await RefreshProgress.create({
+      type: 'import',
+      status: 'in_progress',
+      triggeredBy: 'import',
+      startedAt: new Date(),
+      metadata: { source: this.source.name }
+    });
+
+    return this.processEveryTitle(progress, this.source);
+  }
+
+  // Run every stored title's XML back through the parser and the MongoDB and
+  // Elasticsearch writes, e.g. after a parser fix, without downloading anything. A
+  // manual trigger passes its own progress record.
+  async performReparse({ progress: given = null } = {}) {
+    const source = new StoredSource();
+    const progress = given || new RefreshProgress({ type: 'reparse', triggeredBy: 'manual' });
+    progress.set({
+      status: 'in_progress',
+      startedAt: progress.startedAt || new Date(),
+      metadata: { ...progress.metadata, source: source.name }
+    });
+    await progress.save();
+
+    return this.processEveryTitle(progress, source, { reparse: true });
+  }
+
+  // Process each title of the source that is not reserved. A title that fails is
+  // recorded on the run and the others carry on; the run fails if any title did.
+  async processEveryTitle(progress, source, { reparse = false } = {}) {
+    const { verb, verbing } = reparse
+      ? { verb: 're-parse', verbing: 'Re-parsing' }
+      : { verb: 'import', verbing: 'Importing' };
 
     try {
-      // Download XML with retry logic
-      let xmlContent = null;
-      let attempts = 0;
-      const maxAttempts = 3;
+      logger.info(`Starting ${progress.type} from ${source.name}`);
+
+      const titles = (await source.fetchTitlesList()).filter(t => !t.reserved);
+      progress.totalTitles = titles.length;
+      progress.titlesOrder = titles.map(t => t.number);
+      await progress.save();
+      logger.info(`Found ${titles.length} titles to ${verb}`);
 
-      while (attempts < maxAttempts && !xmlContent) {
+      await this.runTitles(titles, progress, async title => {
         try {
-          const response = await axios.get(url, {
-            responseType: 'text',
-            timeout: 600000, // 10 minutes timeout for large files
-            maxContentLength: Infinity, // No limit on content length
-            maxBodyLength: Infinity, // No limit on body length
-            headers: {
-              'Accept-Encoding': 'gzip, deflate',
-              'User-Agent': 'eCFR-Analyzer/1.0'
-            }
-          });
-          xmlContent = response.data;
+          await progress.startTitle(title.number, title.name);
+
+          logger.info(`${verbing} title ${title.number} (${progress.processedTitles + progress.failedTitles.length + progress.currentTitles.length}/${progress.totalTitles})`);
+          await this.downloadTitle(title, true, { checkpoint: () => this.checkControl(progress), source, reparse });
+          await progress.markTitleProcessed(title.number, title.name);
         } catch (error) {
-          attempts++;
-          logger.warn(`Download attempt ${attempts} failed for title ${number}:`, error.message);
-          if (attempts < maxAttempts) {
-            await this.delay(5000 * attempts); // Exponential backoff
-          } else {
+          if (error instanceof RefreshCancelled) {
             throw error;
           }
+          logger.error(`Failed to ${verb} title ${title.number}:`, error);
+          await progress.markTitleFailed(title.number, title.name, error);
         }
+      });
+
+      // markTitleProcessed only completes the run when every title succeeded
+      if (progress.status !== 'completed') {
+        progress.status = progress.failedTitles.length > 0 ? 'failed' : 'completed';
+        progress.completedAt = new Date();
+        await progress.save();
       }
 
-      // Calculate checksum
-      const checksum = crypto.createHash('sha256').update(xmlContent).digest('hex');
+      logger.info(`${progress.type} finished: ${progress.processedTitles} titles processed, ${progress.failedTitles.length} failed`);
+      progress.failedTitles.forEach(t => {
+        logger.warn(`  - Title ${t.number}: ${t.error}`);
+      });
+
+      return progress;
+    } catch (error) {
+      if (error instanceof RefreshCancelled) {
+        await this.finishCancelled(progress);
+        return progress;
+      }
+      logger.error(`${progress.type} failed:`, error);
+      progress.status = 'failed';
+      progress.lastError = error.message;
+      progress.completedAt = new Date();
+      progress.currentTitles = [];
+      await progress.save();
+      throw error;
+    }
+  }
+
+  // A checkpoint of a run: between titles, and between the batches of a title. Waits
+  // while the run is paused and throws RefreshCancelled once it is cancelled, leaving
+  // the title being downloaded on the documents it had.
+  async checkControl(progress) {
+    const readStatus = async () => {
+      const current = await RefreshProgress.findById(progress._id).select('status').lean();
+      return current ? current.status : progress.status;
+    };
+
+    let status = await readStatus();
+    if (status === 'paused') {
+      logger.info(`${progress.type} run paused after ${progress.processedTitles}/${progress.totalTitles} titles`);
+      while (status === 'paused') {
+        await this.delay(PAUSE_CHECK_MS);
+        status = await readStatus();
+      }
+      if (status === 'in_progress') {
+        logger.info(`${progress.type} run resumed`);
+      }
+    }
+
+    if (status === 'cancelling') {
+      throw new RefreshCancelled();
+    }
+  }
+
+  async finishCancelled(progress) {
+    logger.info(`${progress.type} run cancelled after ${progress.processedTitles}/${progress.totalTitles} titles`);
+    progress.status = 'cancelled';
+    progress.completedAt = new Date();
+    progress.metadata = { ...progress.metadata, cancelledDuring: progress.currentTitles.map(t => t.number) };
+    progress.currentTitles = [];
+    await progress.save();
+  }
+
+  // Process titles side by side: up to this.concurrency at once, and only as many as
+  // fit in this.memoryBudget by the size of their XML, so large titles run alone.
+  // Each title starts at a checkpoint; once the run is cancelled no more start, and
+  // the ones running stop at their next checkpoint.
+  async runTitles(titles, progress, processTitle) {
+    const sizes = await this.estimateTitleSizes(titles);
+    await runPool(titles, async title => {
+      await this.checkControl(progress);
+      await processTitle(title);
+    }, {
+      concurrency: this.concurrency,
+      budget: this.memoryBudget,
+      weight: title => sizes.get(parseInt(title.number))
+    });
+  }
+
+  // The XML size of each title: that of its last download, or else what the source
+  // reports. A title of unknown size counts as the whole budget.
+  async estimateTitleSizes(titles) {
+    const numbers = titles.map(t => parseInt(t.number));
+    const stored = await Title.find({ number: { $in: numbers }, xmlFileId: { $ne: null } })
+      .select('number xmlFileId')
+      .lean();
+    const files = stored.length > 0
+      ? await findGridFSFiles({ _id: { $in: stored.map(title => title.xmlFileId) } })
+      : [];
+    const fileSizes = new Map(files.map(file => [file._id.toString(), file.metadata && file.metadata.size]));
+    const storedSizes = new Map(stored.map(title => [title.number, fileSizes.get(title.xmlFileId.toString())]));
+
+    const sizes = new Map();
+    for (const number of numbers) {
+      let size = storedSizes.get(number);
+      if (!size && this.source.titleSize) {
+        size = await this.source.titleSize({ number });
+      }
+      if (!size) {
+        logger.warn(`Size of title ${number} is unknown, it will be processed on its own`);
+      }
+      sizes.set(number, size || this.memoryBudget);
+    }
+    return sizes;
+  }
+
+  async fetchTitlesList() {
+    return this.source.fetchTitlesList();
+  }
+
+  // Documents are written to a staging generation next to the one readers see, and
+  // Title.activeGeneration moves to it only once it holds the whole parse. `checkpoint`
+  // runs before each batch is stored; if it throws, the staged generation is discarded.
+  // Returns false, without parsing anything, when the source reports that the title is
+  // still the version stored, unless `forceDownload` asks it to download the title anyway.
+  // A re-parse reads the stored XML from `source` and keeps the title's download date.
+  // Each parse leaves an IngestReport of what the parser dropped or worked around,
+  // whether or not the title moved to the new documents.
+  async downloadTitle(titleInfo, forceDownload = false, { checkpoint = null, source = this.source, reparse = false } = {}) {
+    const { number, name } = titleInfo;
+    const titleNumber = parseInt(number);
+
+    logger.info(`Downloading title ${number}: ${name} from ${source.name}${forceDownload ? ' (forced)' : ''}`);
+
+    // The XML and its gzipped copy live on disk while the title is processed
+    const xmlPath = path.join(os.tmpdir(), `ecfr-title${number}-${process.pid}-${Date.now()}.xml`);
+    const gzipPath = `${xmlPath}.gz`;
+    let stagingGeneration = null;
+    let swapped = false;
+    let diagnostics = null;
+    let checksum = null;
+
+    try {
+      // The change set records which download it is compared against
+      const previousTitle = await Title.findOne({ number: titleNumber }).select('checksum activeGeneration').lean();
+
+      checksum = await source.fetchTitle(titleInfo, xmlPath, {
+        knownChecksum: previousTitle ? previousTitle.checksum : null,
+        force: forceDownload
+      });
+      if (checksum === null) {
+        await Title.updateOne({ number: titleNumber }, { ...this.titleDates(titleInfo), lastDownloaded: new Date() });
+        logger.info(`Title ${number} is unchanged at ${source.name}, keeping generation ${previousTitle.activeGeneration || 0}`);
+        return false;
+      }
+
+      const xmlSize = (await fs.promises.stat(xmlPath)).size;
+      logger.info(`Title ${number} XML size: ${(xmlSize / (1024 * 1024)).toFixed(2)} MB`);
 
       // Compress XML for storage
-      let compressedXml;
-      try {
-        // For very large files, we need to handle compression more carefully
-        const xmlSizeMB = Buffer.byteLength(xmlContent, 'utf8') / (1024 * 1024);
-        
-        if (xmlSizeMB > 500) {
-          logger.warn(`Title ${number} is extremely large (${xmlSizeMB.toFixed(2)} MB), skipping compression`);
-          // For extremely large files, store uncompressed with a flag
-          compressedXml = Buffer.from(xmlContent);
-        } else {
-          compressedXml = await gzip(xmlContent);
+      await pipeline(fs.createReadStream(xmlPath), zlib.createGzip(), fs.createWriteStream(gzipPath));
+
+      const activeGeneration = (previousTitle && previousTitle.activeGeneration) || 0;
+      stagingGeneration = activeGeneration + 1;
+
+      // Keep the raw XML in GridFS, one file per checksum
+      const xmlFileId = await this.storeTitleXml(titleNumber, gzipPath, checksum, xmlSize);
+
+      // Clear out what an earlier attempt left behind: documents it staged, and the
+      // generation it replaced if its cleanup did not finish
+      await this.removeGeneration(titleNumber, stagingGeneration);
+      if (activeGeneration > 0) {
+        await this.removeGeneration(titleNumber, activeGeneration - 1);
+      }
+
+      // Compare against the active documents so only added and changed ones are written
+      const existingDocuments = await Document.find(Document.generationFilter(titleNumber, activeGeneration))
+        .select('_id identifier contentHash type node part section heading contentGridFS structuredContentGridFS formattedContentGridFS')
+        .lean();
+      const tracker = new ChangeTracker(existingDocuments);
+      const generations = { active: activeGeneration, staging: stagingGeneration };
+
+      // Parse XML and stage the new document set in batches as documents are read
+      const batchSize = 50; // Reduced batch size for large documents
+      diagnostics = new IngestDiagnostics();
+      const documentCount = await this.xmlParser.parseFile(xmlPath, number, {
+        batchSize,
+        diagnostics,
+        onBatch: async batch => {
+          if (checkpoint) {
+            await checkpoint();
+          }
+          await this.storeDocumentBatch(batch, number, name, tracker, generations, { reparse });
         }
-      } catch (compressionError) {
-        logger.error(`Failed to compress title ${number}:`, compressionError.message);
-        // If compression fails, store uncompressed
-        logger.warn(`Storing title ${number} uncompressed due to compression error`);
-        compressedXml = Buffer.from(xmlContent);
+      });
+      logger.info(`Parsed ${documentCount} documents from title ${number}`);
+
+      await this.verifyGeneration(titleNumber, name, stagingGeneration, documentCount);
+      const removedDocuments = await this.recordRemovals(tracker);
+
+      const titleData = {
+        number: titleNumber,
+        name,
+        ...this.titleDates(titleInfo),
+        reserved: titleInfo.reserved || false,
+        checksum,
+        ...(reparse ? {} : { lastDownloaded: new Date() }),
+        xmlFileId,
+        activeGeneration: stagingGeneration
+      };
+
+      logger.info(`Saving title data:`, {
+        number: titleData.number,
+        name: titleData.name,
+        hasChecksum: !!titleData.checksum,
+        xmlFileId: xmlFileId.toString(),
+        activeGeneration: stagingGeneration
+      });
+
+      // Readers move to the new documents with this single update
+      await Title.findOneAndUpdate(
+        { number: titleNumber },
+        // Drop the XML copy kept on the document by earlier versions
+        { ...titleData, $unset: { xmlContent: 1, isOversized: 1 } },
+        { upsert: true, new: true }
+      );
+      swapped = true;
+      logger.info(`Title ${number} is now on generation ${stagingGeneration}: ${tracker.stats.added} added, ${tracker.stats.changed} changed, ${tracker.stats.unchanged} unchanged, ${removedDocuments.length} removed`);
+
+      await this.recordIngestReport(diagnostics, {
+        titleNumber, checksum, source: source.name, reparse, status: 'completed', documentCount
+      });
+
+      if (tracker.changedSectionIds.length > 0) {
+        const { deletedCount } = await SectionAnalysis.deleteMany({ documentId: { $in: tracker.changedSectionIds } });
+        logger.info(`Cleared ${deletedCount} section analyses for changed sections in title ${number} so they are analyzed again`);
       }
 
-      // Parse XML and extract documents
-      let documents = [];
       try {
-        // Check if this is a particularly large title that needs special handling
-        const xmlSizeMB = Buffer.byteLength(xmlContent, 'utf8') / (1024 * 1024);
-        logger.info(`Title ${number} XML size: ${xmlSizeMB.toFixed(2)} MB`);
-        
-        if (xmlSizeMB > 100) {
-          logger.warn(`Title ${number} is very large (${xmlSizeMB.toFixed(2)} MB), using chunked parsing`);
-          // For very large files, we might need to implement streaming parsing in the future
-          // For now, just increase Node.js memory if needed
+        // Nothing reads the previous generation any more
+        const retiredDocuments = await this.removeGeneration(titleNumber, activeGeneration);
+        logger.info(`Removed ${retiredDocuments.length} documents of generation ${activeGeneration} of title ${number}`);
+
+        if (retiredDocuments.length > 0) {
+          await this.relinkSectionAnalyses(titleNumber, retiredDocuments);
         }
-        
-        documents = await this.xmlParser.parseTitle(xmlContent, number);
-        logger.info(`Parsed ${documents.length} documents from title ${number}`);
-      } catch (parseError) {
-        logger.error(`Failed to parse title ${number}:`, parseError);
-        // If parsing fails, still save the title with XML content but no documents
-        logger.warn(`Saving title ${number} without parsed documents due to parsing error`);
-        documents = [];
-      }
-
-      // Save or update title in MongoDB
-      // Check if the document size exceeds MongoDB limits
-      const xmlContentBase64 = compressedXml.toString('base64');
-      const docSizeMB = Buffer.byteLength(JSON.stringify({xmlContent: xmlContentBase64}), 'utf8') / (1024 * 1024);
-      
-      if (docSizeMB > 16) {
-        logger.warn(`Title ${number} exceeds MongoDB 16MB limit (${docSizeMB.toFixed(2)} MB), saving without XML content`);
-        // Save metadata only for extremely large titles
-        const titleDataNoXml = {
-          number: parseInt(number),
-          name,
-          latestAmendedOn: titleInfo.latest_amended_on ? new Date(titleInfo.latest_amended_on) : null,
-          latestIssueDate: titleInfo.latest_issue_date ? new Date(titleInfo.latest_issue_date) : null,
-          upToDateAsOf: titleInfo.up_to_date_as_of ? new Date(titleInfo.up_to_date_as_of) : null,
-          reserved: titleInfo.reserved || false,
+      } catch (cleanupError) {
+        // The next download of the title finishes the cleanup
+        logger.error(`Failed to remove generation ${activeGeneration} of title ${number}:`, cleanupError);
+      }
+
+      try {
+        const resolved = await this.resolveReferences(titleNumber);
+        logger.info(`Resolved ${resolved} references to and from title ${number}`);
+      } catch (referenceError) {
+        // Unresolved references are listed without a link until the next download resolves them
+        logger.error(`Failed to resolve references for title ${number}:`, referenceError);
+      }
+
+      try {
+        const chapters = await updateTitleAgencies(titleNumber);
+        logger.info(`Assigned ${chapters} chapters of title ${number} to agencies`);
+      } catch (agencyError) {
+        // Documents keep the agency of their earlier version until the next download
+        logger.error(`Failed to update agencies for title ${number}:`, agencyError);
+      }
+
+      // The same XML parsed again: whatever differs comes from the parser, not the regulations
+      if (reparse) {
+        logger.info(`Re-parsed title ${number}: ${name}`);
+        return true;
+      }
+
+      try {
+        const changeSet = await ChangeSet.create(tracker.toChangeSet({
+          titleNumber,
           checksum,
-          lastDownloaded: new Date(),
-          xmlContent: null, // Store null for oversized content
-          isOversized: true // Flag to indicate content was too large
-        };
-        
-        await Title.findOneAndUpdate(
-          { number: parseInt(number) },
-          titleDataNoXml,
-          { upsert: true, new: true }
-        );
-        
-        logger.warn(`Title ${number} saved without XML content due to size constraints`);
+          previousChecksum: previousTitle ? previousTitle.checksum : null
+        }));
+        const { added, modified, removed } = changeSet.summary;
+        logger.info(`Recorded change set for title ${number}: ${added} added, ${modified} modified, ${removed} removed sections`);
+      } catch (changeSetError) {
+        // The documents are already up to date; a missing change set should not fail the download
+        logger.error(`Failed to record change set for title ${number}:`, changeSetError);
+      }
+
+      logger.info(`Successfully processed title ${number}: ${name}`);
+      return true;
+    } catch (error) {
+      if (error instanceof RefreshCancelled) {
+        logger.info(`Download of title ${number} cancelled`);
       } else {
-        const titleData = {
-          number: parseInt(number),
-          name,
-          latestAmendedOn: titleInfo.latest_amended_on ? new Date(titleInfo.latest_amended_on) : null,
-          latestIssueDate: titleInfo.latest_issue_date ? new Date(titleInfo.latest_issue_date) : null,
-          upToDateAsOf: titleInfo.up_to_date_as_of ? new Date(titleInfo.up_to_date_as_of) : null,
-          reserved: titleInfo.reserved || false,
-          checksum,
-          lastDownloaded: new Date(),
-          xmlContent: xmlContentBase64,
-          isOversized: false
-        };
-        
-        logger.info(`Saving title data:`, { 
-          number: titleData.number, 
-          name: titleData.name,
-          hasChecksum: !!titleData.checksum,
-          hasXmlContent: !!titleData.xmlContent,
-          sizeMB: docSizeMB.toFixed(2)
+        logger.error(`Failed to download title ${number}:`, error);
+      }
+
+      if (diagnostics && !swapped && !(error instanceof RefreshCancelled)) {
+        await this.recordIngestReport(diagnostics, {
+          titleNumber, checksum, source: source.name, reparse, status: 'failed',
+          error: diagnostics.failure || error.message
         });
-        
-        await Title.findOneAndUpdate(
-          { number: parseInt(number) },
-          titleData,
-          { upsert: true, new: true }
-        );
       }
 
-      // Delete existing documents for this title
-      logger.info(`Deleting existing documents for title ${number}`);
-      const deleteResult = await Document.deleteMany({ titleNumber: parseInt(number) });
-      logger.info(`Deleted ${deleteResult.deletedCount} existing documents`);
+      if (stagingGeneration && !swapped) {
+        logger.warn(`Keeping the current documents for title ${number} and discarding staged generation ${stagingGeneration}`);
+        try {
+          await this.removeGeneration(titleNumber, stagingGeneration);
+        } catch (cleanupError) {
+          // Left for the next download of the title, which clears it before staging
+          logger.error(`Failed to discard staged generation ${stagingGeneration} of title ${number}:`, cleanupError);
+        }
+      }
+      throw error;
+    } finally {
+      await fs.promises.rm(xmlPath, { force: true });
+      await fs.promises.rm(gzipPath, { force: true });
+    }
+  }
+
+  // Store what the parser reported about one ingest of a title. The report only
+  // describes the parse, so failing to store it never fails the download.
+  async recordIngestReport(diagnostics, report) {
+    try {
+      const { totals } = await IngestReport.create({ ...diagnostics.toReport(), ...report });
+      const issues = Object.entries(totals).filter(([, count]) => count > 0);
+      if (issues.length > 0) {
+        logger.warn(`Ingest report for title ${report.titleNumber}: ${issues.map(([kind, count]) => `${count} ${kind}`).join(', ')}`);
+      }
+    } catch (error) {
+      logger.error(`Failed to record the ingest report for title ${report.titleNumber}:`, error);
+    }
+  }
 
-      // Insert new documents in batches
-      const batchSize = 50; // Reduced batch size for large documents
-      logger.info(`Inserting ${documents.length} documents for title ${number}`);
-      for (let i = 0; i < documents.length; i += batchSize) {
-        const batch = documents.slice(i, i + batchSize);
+  // The dates the source gives for a title's current version
+  titleDates(titleInfo) {
+    return {
+      latestAmendedOn: titleInfo.latest_amended_on ? new Date(titleInfo.latest_amended_on) : null,
+      latestIssueDate: titleInfo.latest_issue_date ? new Date(titleInfo.latest_issue_date) : null,
+      upToDateAsOf: titleInfo.up_to_date_as_of ? new Date(titleInfo.up_to_date_as_of) : null
+    };
+  }
+
+  // Store a downloaded title's gzipped XML in GridFS unless this version is already there
+  async storeTitleXml(titleNumber, gzipPath, checksum, size) {
+    const filename = titleXmlFilename(titleNumber);
+    const [existing] = await findGridFSFiles({ filename, 'metadata.checksum': checksum });
+    if (existing) {
+      logger.info(`Title ${titleNumber} XML with checksum ${checksum} is already stored`);
+      return existing._id;
+    }
+
+    const fileId = await storeStreamInGridFS(fs.createReadStream(gzipPath), filename, {
+      titleNumber,
+      checksum,
+      size, // Uncompressed size, needed to answer range requests
+      contentEncoding: 'gzip'
+    });
+    logger.info(`Stored title ${titleNumber} XML in GridFS with checksum ${checksum}`);
+    return fileId;
+  }
+
+  // Stage a parsed batch in the staging generation. Unchanged documents join it in place,
+  // keeping their _id so analyses stay attached; added and changed ones are written as
+  // new versions, leaving the versions readers see untouched until the swap. References
+  // and definitions found by the parser are stored against the version they were read
+  // from; a re-parse replaces those of unchanged documents too, as extraction may have changed.
+  async storeDocumentBatch(batch, number, name, tracker, generations, { reparse = false } = {}) {
+    const changed = [];
+    const replaced = [];
+    const unchanged = [];
+    const derived = [];
+    for (const parsed of batch) {
+      const doc = { ...parsed };
+      const records = {};
+      for (const { field } of DERIVED_RECORDS) {
+        records[field] = doc[field] || [];
+        delete doc[field];
+      }
+      const { status, existing } = tracker.compare(doc);
+
+      if (status === 'unchanged') {
+        // The stored document already has this content, including anything in GridFS
+        await this.deleteGridFSFiles(doc);
+        unchanged.push({ existing, doc, records });
+        continue;
+      }
+
+      if (existing) {
+        replaced.push({ existing, doc });
+      } else {
+        tracker.recordChange('added', doc, '', doc.content);
+      }
+      const stored = { ...doc, _id: new mongoose.Types.ObjectId(), generations: [generations.staging] };
+      changed.push(stored);
+      derived.push({ sourceId: stored._id, doc, records });
+    }
+
+    if (unchanged.length > 0) {
+      const ids = unchanged.map(({ existing }) => existing._id);
+      // Listing the active generation too gives documents from before generations an explicit 0
+      await Document.updateMany(
+        { _id: { $in: ids } },
+        { $addToSet: { generations: { $each: [generations.active, generations.staging] } } }
+      );
+      await addGeneration(parseInt(number), unchanged.map(({ existing }) => existing.identifier), generations.active, generations.staging);
+
+      // Unchanged documents keep their records, and ones stored before a kind of record
+      // was extracted get it now. A re-parse extracts them all again.
+      if (reparse) {
+        for (const { Model } of DERIVED_RECORDS) {
+          await Model.deleteMany({ sourceId: { $in: ids } });
+        }
+      }
+      for (const { field, Model } of DERIVED_RECORDS) {
+        const linked = new Set((await Model.distinct('sourceId', { sourceId: { $in: ids } })).map(id => id.toString()));
+        const backfill = unchanged
+          .filter(({ existing }) => !linked.has(existing._id.toString()))
+          .map(({ existing, doc, records }) => ({ sourceId: existing._id, doc, records: { [field]: records[field] } }));
+        await this.storeDerivedRecords(backfill, number);
+      }
+    }
+
+    if (changed.length === 0) {
+      return;
+    }
+
+    await this.recordModifications(replaced, tracker);
+
+    const insert = doc => ({ insertOne: { document: doc } });
+
+    try {
+      // Check batch size and split if too large
+      const batchSizeBytes = Buffer.byteLength(JSON.stringify(changed), 'utf8');
+      const maxBatchSize = 15 * 1024 * 1024; // 15MB max batch size (MongoDB limit is 16MB)
+      
+      if (batchSizeBytes > maxBatchSize) {
+        // Write documents one by one if batch is too large
+        logger.warn(`Batch too large (${batchSizeBytes} bytes), writing documents individually`);
+        for (const doc of changed) {
+          try {
+            const docSize = Buffer.byteLength(JSON.stringify(doc), 'utf8');
+            logger.info(`Writing large document individually - type: ${doc.type}, size: ${docSize} bytes`);
+            await Document.bulkWrite([insert(doc)]);
+          } catch (singleWriteError) {
+            logger.error(`Failed to write single document - type: ${doc.type}, identifier: ${doc.identifier}:`, singleWriteError.message);
+            // Skip this document and continue with others; verification stops the swap
+            continue;
+          }
+        }
+      } else {
+        // Normal batch insert
+        const writeResult = await Document.bulkWrite(changed.map(insert), {
+          ordered: false // Continue on error
+        });
+        logger.info(`Wrote batch of ${writeResult.insertedCount} documents for title ${number}`);
+      }
+    } catch (writeError) {
+      logger.error(`Failed to write batch for title ${number}:`, writeError.message);
+      
+      // Try to write documents individually from failed batch
+      logger.info(`Attempting to write documents from failed batch individually`);
+      let successCount = 0;
+      for (const doc of changed) {
         try {
-          // Check batch size and split if too large
-          const batchSizeBytes = Buffer.byteLength(JSON.stringify(batch), 'utf8');
-          const maxBatchSize = 15 * 1024 * 1024; // 15MB max batch size (MongoDB limit is 16MB)
-          
-          if (batchSizeBytes > maxBatchSize) {
-            // Insert documents one by one if batch is too large
-            logger.warn(`Batch too large (${batchSizeBytes} bytes), inserting documents individually`);
-            for (const doc of batch) {
-              try {
-                const docSize = Buffer.byteLength(JSON.stringify(doc), 'utf8');
-                logger.info(`Inserting large document individually - type: ${doc.type}, size: ${docSize} bytes`);
-                await Document.create(doc);
-              } catch (singleInsertError) {
-                logger.error(`Failed to insert single document - type: ${doc.type}, identifier: ${doc.identifier}:`, singleInsertError.message);
-                // Skip this document and continue with others
-                continue;
-              }
+          await Document.bulkWrite([insert(doc)]);
+          successCount++;
+        } catch (singleError) {
+          const docSize = Buffer.byteLength(JSON.stringify(doc), 'utf8');
+          logger.error(`Failed to write document - type: ${doc.type}, identifier: ${doc.identifier}, size: ${docSize} bytes:`, singleError.message);
+        }
+      }
+      logger.info(`Successfully wrote ${successCount} out of ${changed.length} documents individually`);
+    }
+
+    // Index documents in Elasticsearch
+    const searchDocs = changed.map(doc => toIndexedDocument(doc, name));
+
+    await bulkIndex(searchDocs);
+
+    await this.storeDerivedRecords(derived, number);
+  }
+
+  // Store the records read from each { sourceId, doc, records } under the document version
+  async storeDerivedRecords(sources, number) {
+    for (const { field, Model } of DERIVED_RECORDS) {
+      const rows = sources.flatMap(({ sourceId, doc, records }) => (records[field] || []).map(record => ({
+        ...record,
+        sourceId,
+        titleNumber: doc.titleNumber,
+        sourceIdentifier: doc.identifier,
+        sourceType: doc.type
+      })));
+      if (rows.length === 0) {
+        continue;
+      }
+
+      try {
+        await Model.insertMany(rows, { ordered: false });
+      } catch (error) {
+        // These only add links and tooltips to documents, so losing some should not fail the batch
+        logger.error(`Failed to store ${field} for title ${number}:`, error.message);
+      }
+    }
+  }
+
+  // Compare the stored text of replaced documents with the new text, before it is overwritten
+  async recordModifications(replaced, tracker) {
+    const tracked = replaced.filter(({ existing }) => tracker.tracks(existing));
+    if (tracked.length === 0) {
+      return;
+    }
+
+    const previousContent = await this.loadContent(tracked.map(({ existing }) => existing._id));
+    for (const { existing, doc } of tracked) {
+      const before = previousContent.get(existing._id.toString()) || '';
+      // Documents stored before content hashing are rewritten once even if their text is the same
+      if (before === doc.content) continue;
+
+      tracker.recordChange('modified', doc, before, doc.content);
+      if (doc.type === 'section') {
+        tracker.changedSectionIds.push(existing._id);
+      }
+    }
+  }
+
+  async loadContent(ids) {
+    const documents = await Document.find({ _id: { $in: ids } }).select('_id content').lean();
+    return new Map(documents.map(doc => [doc._id.toString(), doc.content]));
+  }
+
+  // Record the stored documents the latest parse no longer produced. They are left out
+  // of the staging generation, so they go when the active one is removed.
+  async recordRemovals(tracker) {
+    const removed = tracker.removedDocuments();
+
+    const trackedRemovals = removed.filter(doc => tracker.tracks(doc));
+    if (trackedRemovals.length > 0) {
+      const previousContent = await this.loadContent(trackedRemovals.map(doc => doc._id));
+      trackedRemovals.forEach(doc => tracker.recordChange('removed', doc, previousContent.get(doc._id.toString()), ''));
+    }
+
+    return removed;
+  }
+
+  // A staged generation only goes live once MongoDB and Elasticsearch both hold every
+  // document the parser produced
+  async verifyGeneration(titleNumber, titleName, generation, documentCount) {
+    const stored = await Document.countDocuments(Document.generationFilter(titleNumber, generation));
+    if (stored !== documentCount) {
+      throw new Error(`Staged generation ${generation} of title ${titleNumber} has ${stored} documents but the parser produced ${documentCount}`);
+    }
+
+    let indexed = await countGeneration(titleNumber, generation);
+    if (indexed !== documentCount) {
+      // Unchanged documents are not re-indexed, so gaps from earlier runs show up here
+      logger.warn(`Staged generation ${generation} of title ${titleNumber} has ${indexed} of ${documentCount} documents in Elasticsearch, re-indexing it`);
+      await dropSearchGeneration(titleNumber, generation);
+      await this.indexGeneration(titleNumber, titleName, generation);
+      indexed = await countGeneration(titleNumber, generation);
+    }
+    if (indexed !== documentCount) {
+      throw new Error(`Staged generation ${generation} of title ${titleNumber} has ${indexed} indexed documents but the parser produced ${documentCount}`);
+    }
+  }
+
+  async indexGeneration(titleNumber, titleName, generation) {
+    const cursor = Document.find(Document.generationFilter(titleNumber, generation))
+      .select('-structuredContent -formattedContent')
+      .lean()
+      .cursor();
+
+    // Sections keep the scores of their analysis
+    const indexBatch = async (docs) => {
+      const analyses = await SectionAnalysis.byDocument(docs.map(doc => doc._id));
+      await bulkIndex(docs.map(doc => toIndexedDocument(doc, titleName, analyses.get(doc._id.toString()))));
+    };
+
+    let batch = [];
+    for await (const doc of cursor) {
+      batch.push(doc);
+      if (batch.length === 100) {
+        await indexBatch(batch);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await indexBatch(batch);
+    }
+  }
+
+  // Take a generation off a title's documents, deleting the ones that were only in it,
+  // and return those
+  async removeGeneration(titleNumber, generation) {
+    const filter = Document.generationFilter(titleNumber, generation);
+    const documents = await Document.find({
+      $and: [filter, { generations: { $not: { $elemMatch: { $ne: generation } } } }]
+    })
+      .select('_id identifier type node heading contentGridFS structuredContentGridFS formattedContentGridFS')
+      .lean();
+
+    if (documents.length > 0) {
+      await Document.deleteMany({ _id: { $in: documents.map(doc => doc._id) } });
+      for (const { Model } of DERIVED_RECORDS) {
+        await Model.deleteMany({ sourceId: { $in: documents.map(doc => doc._id) } });
+      }
+      for (const doc of documents) {
+        await this.deleteGridFSFiles(doc);
+      }
+    }
+    await Document.updateMany(filter, { $pull: { generations: generation } });
+    await dropSearchGeneration(titleNumber, generation);
+
+    return documents;
+  }
+
+  // Point references at documents once a title is stored: those into the title, whose
+  // targets may have been added or removed, and the title's own that are still unresolved.
+  // Returns the number of references whose target changed.
+  async resolveReferences(titleNumber) {
+    const references = await Reference.find({
+      $or: [
+        { targetTitleNumber: titleNumber },
+        { titleNumber, targetIdentifier: null }
+      ]
+    })
+      .select('_id targetTitleNumber targetKey targetIdentifier')
+      .lean();
+
+    const byTargetTitle = new Map();
+    for (const reference of references) {
+      if (!byTargetTitle.has(reference.targetTitleNumber)) {
+        byTargetTitle.set(reference.targetTitleNumber, []);
+      }
+      byTargetTitle.get(reference.targetTitleNumber).push(reference);
+    }
+
+    const operations = [];
+    for (const [targetTitleNumber, targetReferences] of byTargetTitle) {
+      const identifiers = await this.identifierKeys(targetTitleNumber);
+      for (const reference of targetReferences) {
+        const targetIdentifier = identifiers.get(reference.targetKey) || null;
+        if (targetIdentifier !== reference.targetIdentifier) {
+          operations.push({
+            updateOne: {
+              filter: { _id: reference._id },
+              update: { $set: { targetIdentifier } }
             }
-          } else {
-            // Normal batch insert
-            const insertResult = await Document.insertMany(batch, { 
-              ordered: false, // Continue on error
-              rawResult: true 
-            });
-            logger.info(`Inserted batch of ${insertResult.insertedCount} documents for title ${number}`);
+          });
+        }
+      }
+    }
+
+    if (operations.length > 0) {
+      await Reference.bulkWrite(operations, { ordered: false });
+    }
+    return operations.length;
+  }
+
+  // The active parts, subparts and sections of a title by the key references name them with
+  // ("part-60", "part-60/subpart-A", "section-60.4"). Where a designator repeats, the
+  // occurrence without a ~N suffix is the target.
+  async identifierKeys(titleNumber) {
+    const documents = await Document.find({
+      ...(await Document.activeFilter(titleNumber)),
+      type: { $in: ['part', 'subpart', 'section'] }
+    })
+      .select('identifier type')
+      .lean();
+
+    const keys = new Map();
+    for (const { identifier, type } of documents) {
+      const segments = identifier.replace(/~\d+(?=\/|$)/g, '').split('/');
+      const key = segments.slice(type === 'subpart' ? -2 : -1).join('/');
+      if (!keys.has(key) || (keys.get(key).includes('~') && !identifier.includes('~'))) {
+        keys.set(key, identifier);
+      }
+    }
+    return keys;
+  }
+
+  // Identifiers used to be unique per title, which would stop a refresh from staging a
+  // new version of a document next to the current one
+  async dropLegacyIndexes() {
+    try {
+      const indexes = await Document.collection.indexes();
+      if (indexes.some(index => index.name === 'titleNumber_1_identifier_1')) {
+        await Document.collection.dropIndex('titleNumber_1_identifier_1');
+        logger.info('Dropped the per-title unique identifier index on documents');
+      }
+    } catch (error) {
+      // A new database has no documents collection yet
+      if (error.codeName !== 'NamespaceNotFound') {
+        throw error;
+      }
+    }
+  }
+
+  async deleteGridFSFiles(doc) {
+    for (const field of ['contentGridFS', 'structuredContentGridFS', 'formattedContentGridFS']) {
+      if (!doc[field]) continue;
+      try {
+        await deleteFromGridFS(doc[field]);
+      } catch (error) {
+        // An orphaned file only costs space, so carry on with the refresh
+        logger.warn(`Failed to delete GridFS file ${doc[field]} for ${doc.identifier}:`, error.message);
+      }
+    }
+  }
+
+  // Point SectionAnalysis rows whose document was removed at its replacement. Stable
+  // identifiers match directly; rows still carrying a pre-migration identifier are matched on the NODE
+  // attribute (or, for documents stored before NODE was captured, the heading) of the
+  // document they used to reference.
+  async relinkSectionAnalyses(titleNumber, previousDocuments) {
+    try {
+      const analyses = await SectionAnalysis.find({ titleNumber })
+        .select('_id documentId sectionIdentifier antiquatedScore businessUnfriendlyScore')
+        .lean();
+
+      if (analyses.length === 0) {
+        return 0;
+      }
+
+      const documents = await Document.find(await Document.activeFilter(titleNumber))
+        .select('_id type node heading identifier')
+        .lean();
+
+      const legacyKey = doc => doc.node ? `${doc.type}|node|${doc.node}` : `${doc.type}|heading|${doc.heading}`;
+      const byIdentifier = new Map(documents.map(doc => [doc.identifier, doc]));
+      const byLegacyKey = new Map();
+      documents.forEach(doc => {
+        // Index new documents under both keys; the first document with a given heading wins
+        if (doc.node) {
+          byLegacyKey.set(`${doc.type}|node|${doc.node}`, doc);
+        }
+        if (!byLegacyKey.has(`${doc.type}|heading|${doc.heading}`)) {
+          byLegacyKey.set(`${doc.type}|heading|${doc.heading}`, doc);
+        }
+      });
+      const previousById = new Map(previousDocuments.map(doc => [doc._id.toString(), doc]));
+
+      const operations = [];
+      const scores = [];
+      let unmatched = 0;
+      for (const analysis of analyses) {
+        let target = byIdentifier.get(analysis.sectionIdentifier);
+        if (!target) {
+          const previous = previousById.get(analysis.documentId.toString());
+          if (previous) {
+            target = byLegacyKey.get(legacyKey(previous));
           }
-        } catch (insertError) {
-          logger.error(`Failed to insert batch for title ${number}:`, insertError.message);
-          
-          // Try to insert documents individually from failed batch
-          logger.info(`Attempting to insert documents from failed batch individually`);
-          let successCount = 0;
-          for (const doc of batch) {
-            try {
-              await Document.create(doc);
-              successCount++;
-            } catch (singleError) {
-              const docSize = Buffer.byteLength(JSON.stringify(doc), 'utf8');
-              logger.error(`Failed to insert document - type: ${doc.type}, identifier: ${doc.identifier}, size: ${docSize} bytes:`, singleError.message);
+        }
+
+        if (!target) {
+          unmatched++;
+          continue;
+        }
+
+        if (!target._id.equals(analysis.documentId) || target.identifier !== analysis.sectionIdentifier) {
+          operations.push({
+            updateOne: {
+              filter: { _id: analysis._id },
+              update: { $set: { documentId: target._id, sectionIdentifier: target.identifier } }
             }
+          });
+          if (!target._id.equals(analysis.documentId)) {
+            scores.push({ documentId: target._id, ...toAnalysisScores(analysis) });
           }
-          logger.info(`Successfully inserted ${successCount} out of ${batch.length} documents individually`);
         }
+      }
 
-        // Index documents in Elasticsearch
-        const searchDocs = batch.map(doc => ({
-          titleNumber: doc.titleNumber,
-          titleName: name,
-          type: doc.type,
-          identifier: doc.identifier,
-          node: doc.node,
-          subtitle: doc.subtitle,
-          chapter: doc.chapter,
-          subchapter: doc.subchapter,
-          part: doc.part,
-          subpart: doc.subpart,
-          subjectGroup: doc.subjectGroup,
-          section: doc.section,
-          heading: doc.heading,
-          authority: doc.authority,
-          source: doc.source,
-          content: doc.content,
-          effectiveDate: doc.effectiveDate,
-          amendmentDate: doc.amendmentDate,
-          lastModified: doc.lastModified,
-          citationsCount: doc.citations ? doc.citations.length : 0,
-          editorialNotesCount: doc.editorialNotes ? doc.editorialNotes.length : 0,
-          imagesCount: doc.images ? doc.images.length : 0
-        }));
+      if (operations.length > 0) {
+        await SectionAnalysis.bulkWrite(operations, { ordered: false });
+      }
 
-        await bulkIndex(searchDocs);
+      // The replacement documents were indexed before they had an analysis
+      if (scores.length > 0) {
+        try {
+          await updateAnalysisScores(scores);
+        } catch (error) {
+          logger.warn(`Failed to copy relinked analysis scores of title ${titleNumber} to the search index:`, error.message);
+        }
       }
 
-      logger.info(`Successfully processed title ${number}: ${name}`);
+      logger.info(`Relinked ${operations.length} section analyses for title ${titleNumber}`);
+      if (unmatched > 0) {
+        logger.warn(`${unmatched} section analyses for title ${titleNumber} no longer match a document`);
+      }
+
+      return operations.length;
     } catch (error) {
-      logger.error(`Failed to download title ${number}:`, error);
-      throw error;
+      // Analyses can be regenerated, so a relink failure should not fail the download
+      logger.error(`Failed to relink section analyses for title ${titleNumber}:`, error);
+      return 0;
     }
   }
 
-  async refreshSingleTitle(titleNumber) {
+  // A manual trigger passes its own progress record
+  async refreshSingleTitle(titleNumber, { progress: given = null } = {}) {
     try {
       logger.info(`Starting refresh for single title: ${titleNumber}`);
       
@@ -458,20 +1196,21 @@ class RefreshService {
       }
       
       // Create a progress record for single title refresh
-      const progress = new RefreshProgress({
+      const progress = given || new RefreshProgress({
         type: 'single_title',
+        triggeredBy: 'manual_single'
+      });
+      progress.set({
         status: 'in_progress',
         totalTitles: 1,
         processedTitles: 0,
-        failedTitles: [],
         titlesOrder: [parsedNumber],
-        currentTitle: {
+        currentTitles: [{
           number: parsedNumber,
           name: titleInfo.name,
           startedAt: new Date()
-        },
-        startedAt: new Date(),
-        triggeredBy: 'manual_single'
+        }],
+        startedAt: progress.startedAt || new Date()
       });
       
       await progress.save();
@@ -479,7 +1218,7 @@ class RefreshService {
       try {
         // Perform the download and update - always download for manual single title refresh
         logger.info(`Manual refresh requested - downloading title ${titleNumber} regardless of last-modified date`);
-        await this.downloadTitle(titleInfo, true); // Pass force flag
+        await this.downloadTitle(titleInfo, true, { checkpoint: () => this.checkControl(progress) });
         
         // Mark as successful
         await progress.markTitleProcessed(parsedNumber, titleInfo.name);
@@ -496,6 +1235,11 @@ class RefreshService {
         };
         
       } catch (error) {
+        if (error instanceof RefreshCancelled) {
+          await this.finishCancelled(progress);
+          return { success: false, cancelled: true };
+        }
+
         // Mark as failed
         await progress.markTitleFailed(parsedNumber, titleInfo.name, error);
         
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../shared/utils/logger');
+const Title = require('../shared/models/Title');
+const Snapshot = require('../shared/models/Snapshot');
+const SnapshotDocument = require('../shared/models/SnapshotDocument');
+const { bulkIndexSnapshot, deleteSnapshot } = require('../shared/db/elasticsearch');
+const { toSearchDocument } = require('../shared/db/searchSchema');
+const StreamingXMLParser = require('./StreamingXMLParser');
+const { downloadWithRetry } = require('./download');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Dates to keep title snapshots for, as sorted YYYY-MM-DD strings. `dates` is a
+ * comma-separated list of dates and `yearsFrom` adds January 1 of every year from
+ * that year on. Dates in the future cannot be fetched yet and are left out.
+ */
+function parseSnapshotDates({ dates = '', yearsFrom = '' } = {}, today = new Date()) {
+  const todayString = today.toISOString().split('T')[0];
+  const result = new Set();
+
+  for (const entry of dates.split(',').map(d => d.trim()).filter(Boolean)) {
+    const date = new Date(`${entry}T00:00:00Z`);
+    if (!DATE_PATTERN.test(entry) || isNaN(date) || date.toISOString().split('T')[0] !== entry) {
+      logger.warn(`Ignoring invalid snapshot date: ${entry}`);
+      continue;
+    }
+    result.add(entry);
+  }
+
+  if (yearsFrom) {
+    const firstYear = parseInt(yearsFrom);
+    if (isNaN(firstYear)) {
+      logger.warn(`Ignoring invalid snapshot start year: ${yearsFrom}`);
+    } else {
+      for (let year = firstYear; year <= today.getUTCFullYear(); year++) {
+        result.add(`${year}-01-01`);
+      }
+    }
+  }
+
+  return [...result].filter(date => date <= todayString).sort();
+}
+
+/**
+ * Fetches titles as they stood on past dates from the eCFR versioner API and
+ * stores each one as its own set of documents (SnapshotDocument, plus the
+ * ecfr_snapshots Elasticsearch index). Snapshots never change once taken, so
+ * only missing ones are fetched.
+ */
+class SnapshotService {
+  constructor(refreshService) {
+    // Search documents and GridFS cleanup are handled the same way as for current titles
+    this.refreshService = refreshService;
+    this.xmlParser = new StreamingXMLParser();
+    this.versionerUrl = 'https://www.ecfr.gov/api/versioner/v1/full';
+    this.dates = parseSnapshotDates({
+      dates: process.env.SNAPSHOT_DATES,
+      yearsFrom: process.env.SNAPSHOT_YEARS_FROM
+    });
+  }
+
+  isEnabled() {
+    return this.dates.length > 0;
+  }
+
+  // Fetch every configured snapshot of every downloaded title that is not stored yet
+  async captureMissingSnapshots() {
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    const titles = await Title.find({ reserved: { $ne: true } })
+      .select('number name')
+      .sort({ number: 1 })
+      .lean();
+    const finished = await Snapshot.find({ status: { $in: ['completed', 'unavailable'] } })
+      .select('titleNumber date')
+      .lean();
+    const done = new Set(finished.map(s => `${s.titleNumber}_${s.date.toISOString().split('T')[0]}`));
+
+    logger.info(`Checking ${this.dates.length} snapshot dates for ${titles.length} titles`);
+
+    let captured = 0;
+    for (const date of this.dates) {
+      for (const title of titles) {
+        if (done.has(`${title.number}_${date}`)) continue;
+
+        try {
+          await this.captureSnapshot(title, date);
+          captured++;
+        } catch (error) {
+          logger.error(`Failed to capture snapshot of title ${title.number} as of ${date}:`, error.message);
+        }
+
+        await this.refreshService.delay(2000);
+      }
+    }
+
+    logger.info(`Snapshot check completed, fetched ${captured} snapshots`);
+  }
+
+  async captureSnapshot(title, date) {
+    const { number, name } = title;
+    const snapshotDate = new Date(`${date}T00:00:00Z`);
+    const url = `${this.versionerUrl}/${date}/title-${number}.xml`;
+    const xmlPath = path.join(os.tmpdir(), `ecfr-title${number}-${date}-${process.pid}-${Date.now()}.xml`);
+
+    logger.info(`Fetching snapshot of title ${number} as of ${date}`);
+
+    const snapshot = await Snapshot.findOneAndUpdate(
+      { titleNumber: number, date: snapshotDate },
+      { status: 'in_progress', documentCount: 0, error: null },
+      { upsert: true, new: true }
+    );
+
+    try {
+      let checksum;
+      try {
+        checksum = await downloadWithRetry(url, xmlPath, `title ${number} as of ${date}`);
+      } catch (error) {
+        // The versioner has no content for dates before a title's history begins
+        const status = error.response && error.response.status;
+        if (status === 404 || status === 400) {
+          snapshot.status = 'unavailable';
+          snapshot.fetchedAt = new Date();
+          await snapshot.save();
+          logger.info(`Title ${number} is not available as of ${date}`);
+          return snapshot;
+        }
+        throw error;
+      }
+
+      // Clear out anything an earlier failed attempt left behind
+      await this.removeSnapshotDocuments(number, snapshotDate, date);
+
+      const documentCount = await this.xmlParser.parseFile(xmlPath, number, {
+        batchSize: 50,
+        onBatch: batch => this.storeSnapshotBatch(batch, name, date, snapshotDate)
+      });
+
+      snapshot.status = 'completed';
+      snapshot.documentCount = documentCount;
+      snapshot.checksum = checksum;
+      snapshot.fetchedAt = new Date();
+      await snapshot.save();
+
+      logger.info(`Stored snapshot of title ${number} as of ${date} with ${documentCount} documents`);
+      return snapshot;
+    } catch (error) {
+      snapshot.status = 'failed';
+      snapshot.error = error.message;
+      await snapshot.save();
+      throw error;
+    } finally {
+      await fs.promises.rm(xmlPath, { force: true });
+    }
+  }
+
+  async storeSnapshotBatch(batch, titleName, date, snapshotDate) {
+    await SnapshotDocument.insertMany(batch.map(doc => ({ ...doc, snapshotDate })), { ordered: false });
+
+    await bulkIndexSnapshot(batch.map(doc => ({
+      ...toSearchDocument(doc, titleName),
+      snapshotDate: date
+    })));
+  }
+
+  async removeSnapshotDocuments(titleNumber, snapshotDate, date) {
+    const documents = await SnapshotDocument.find({ titleNumber, snapshotDate })
+      .select('identifier contentGridFS structuredContentGridFS formattedContentGridFS')
+      .lean();
+    if (documents.length === 0) {
+      return;
+    }
+
+    logger.info(`Removing ${documents.length} documents from an earlier attempt at title ${titleNumber} as of ${date}`);
+    for (const doc of documents) {
+      await this.refreshService.deleteGridFSFiles(doc);
+    }
+    await SnapshotDocument.deleteMany({ titleNumber, snapshotDate });
+    await deleteSnapshot(titleNumber, date);
+  }
+}
+
+module.exports = SnapshotService;
+module.exports.parseSnapshotDates = parseSnapshotDates;
@@ -0,0 +1,254 @@
+const fs = require('fs');
+const sax = require('sax');
+const logger = require('../shared/utils/logger');
+const XMLParser = require('./XMLParser');
+
+const { DIV_LEVELS } = XMLParser;
+const LEVELS_BY_TAG = new Map(DIV_LEVELS.map(level => [level.tag, level]));
+
+// DLPSTEXTCLASS > TEXT > BODY > ECFRBRWS, the parent of the title's DIV1 in bulk data.
+// The versioner API serves DIV1 as the document root instead.
+const ROOT_PATH = ['dlpstextclass', 'text', 'body', 'ecfrbrws'];
+const AMENDMENT_DATE_XPATH = `/${ROOT_PATH.join('/')}/amddate`;
+
+/**
+ * Parses a title from an XML file without ever holding the raw text in memory.
+ *
+ * The file is read twice. The first pass collects the outline of DIV elements so
+ * every division can be given the same identifier XMLParser would assign. The
+ * second pass builds each DIV with xml2js's own element handling, turns it into a
+ * document as soon as its closing tag is read and hands documents off in batches.
+ * The closed DIV's element tree is then swapped for a DivisionDigest of the text and
+ * lists its ancestors' documents repeat, so the tree held at any time is the open
+ * divisions' own elements rather than the title read so far.
+ */
+class StreamingXMLParser extends XMLParser {
+  /**
+   * With options.onBatch, documents are passed to it in closing-tag order (children
+   * before parents) and the number of documents is returned. Without it, all
+   * documents are returned in the order parseTitle produces them. options.diagnostics,
+   * an IngestDiagnostics, collects the elements read within DIV1, what createDocument
+   * reports and the error that ends the parse.
+   */
+  async parseFile(filePath, titleNumber, options = {}) {
+    const { batchSize = 50, onBatch = null, diagnostics = null } = options;
+
+    try {
+      const number = parseInt(titleNumber);
+      const divisions = await this.planDivisions(filePath, number, diagnostics);
+
+      if (divisions.length === 0) {
+        logger.warn(`No title data found in XML for title ${titleNumber}`);
+        return onBatch ? 0 : [];
+      }
+
+      const collected = [];
+      let batch = [];
+      let count = 0;
+
+      const flush = async () => {
+        if (batch.length === 0) return;
+        const documents = batch;
+        batch = [];
+        if (onBatch) {
+          await onBatch(documents);
+        } else {
+          collected.push(...documents);
+        }
+      };
+
+      const closed = [];
+      const storeOptions = { useGridFS: options.useGridFS !== false, diagnostics };
+      let cursor = 0;
+      let amendmentDate = null;
+
+      const parser = this.createParser({
+        // Called by xml2js with each finished element; what it returns is attached to the parent
+        validator: (xpath, previous, value) => {
+          if (cursor < divisions.length && xpath === divisions[cursor].xpath) {
+            const division = divisions[cursor++];
+            const documentOptions = {
+              node: value,
+              type: division.type,
+              identifier: division.identifier,
+              titleNumber: number,
+              amendmentDate: amendmentDate,
+              hierarchy: division.hierarchy,
+              diagnostics
+            };
+            try {
+              const { document: doc, digest } = this.buildDocument(documentOptions);
+              closed.push({ division, doc });
+              // Nothing encloses DIV1
+              return division.type === 'title' ? null : digest;
+            } catch (error) {
+              // The enclosing divisions read this one's elements as parseTitle would
+              this.documentFailed(documentOptions, error);
+              return value;
+            }
+          } else if (xpath === AMENDMENT_DATE_XPATH) {
+            amendmentDate = this.parseDate(value);
+            logger.info(`Amendment date for title ${titleNumber}: ${value}`);
+          }
+          return value;
+        }
+      });
+
+      let parseError = null;
+      parser.on('error', error => {
+        parseError = parseError || error;
+      });
+
+      const drain = async () => {
+        while (closed.length > 0) {
+          const { division, doc } = closed.shift();
+          try {
+            await this.storeLargeFields(doc, storeOptions);
+          } catch (error) {
+            this.documentFailed({ ...division, diagnostics }, error);
+            continue;
+          }
+
+          count++;
+          batch.push(onBatch ? doc : { order: division.order, doc });
+          if (batch.length >= batchSize) {
+            await flush();
+          }
+        }
+      };
+
+      await this.readFile(filePath, chunk => {
+        parser.saxParser.write(chunk);
+        if (parseError) throw parseError;
+        return drain();
+      });
+      parser.saxParser.close();
+      if (parseError) throw parseError;
+
+      await drain();
+      await flush();
+
+      logger.info(`Parsed ${count} documents from title ${titleNumber}`);
+
+      if (onBatch) {
+        return count;
+      }
+      return collected.sort((a, b) => a.order - b.order).map(entry => entry.doc);
+    } catch (error) {
+      logger.error(`Failed to parse XML for title ${titleNumber}:`, error);
+      if (diagnostics) diagnostics.parseFailed(error);
+      throw error;
+    }
+  }
+
+  /**
+   * First pass: read just the DIV outline (tags and attributes) and assign each
+   * division its identifier, hierarchy and position in parseTitle's order. The
+   * divisions are returned in closing-tag order, keyed by their xpath, so the
+   * second pass can pair them with the elements it builds.
+   */
+  async planDivisions(filePath, titleNumber, diagnostics = null) {
+    const attributeProcessors = this.parser.options.attrValueProcessors || [];
+    const names = [];
+    const outline = [];
+    const closeOrder = [];
+    let root = null;
+    let rootClosed = false;
+
+    const saxParser = sax.parser(true, { trim: false, normalize: false });
+    let parseError = null;
+    saxParser.onerror = error => {
+      parseError = parseError || error;
+      saxParser.resume();
+    };
+
+    saxParser.onopentag = element => {
+      const name = element.name.toLowerCase();
+      const parent = outline[outline.length - 1];
+      const parentLevel = parent && LEVELS_BY_TAG.get(parent.tag);
+      names.push(name);
+
+      let division = null;
+      if (!root && name === 'div1' && (names.length === 1 || (names.length === ROOT_PATH.length + 1 &&
+          ROOT_PATH.every((segment, index) => names[index] === segment)))) {
+        division = root = { tag: name, node: {} };
+      } else if (parent && (parent === root || !parentLevel.leaf) && LEVELS_BY_TAG.has(name)) {
+        division = { tag: name, node: {} };
+        // Same shape as the xml2js element, so walkDivisions sees the same siblings
+        if (!parent.node[name]) parent.node[name] = [];
+        parent.node[name].push(division.node);
+      }
+
+      if (division) {
+        // walkDivisions only reads the N attribute
+        for (const [key, value] of Object.entries(element.attributes)) {
+          if (key.toLowerCase() !== 'n') continue;
+          division.node[key] = attributeProcessors.reduce((processed, processor) => processor(processed, key), value);
+        }
+        division.xpath = `/${names.join('/')}`;
+      }
+      outline.push(division);
+
+      if (diagnostics && root && !rootClosed) {
+        diagnostics.element(name);
+      }
+    };
+
+    saxParser.onclosetag = () => {
+      const division = outline.pop();
+      names.pop();
+      if (division) closeOrder.push(division);
+      if (division && division === root) rootClosed = true;
+    };
+
+    await this.readFile(filePath, chunk => {
+      saxParser.write(chunk);
+      if (parseError) throw parseError;
+    });
+    saxParser.close();
+    if (parseError) throw parseError;
+
+    if (!root) {
+      return [];
+    }
+
+    const context = {
+      titleNumber,
+      hierarchy: {},
+      path: [String(titleNumber)],
+      usedIdentifiers: new Set()
+    };
+    const plan = new Map();
+    plan.set(root.node, {
+      order: 0,
+      type: 'title',
+      identifier: this.registerIdentifier(context.path.join('/'), context),
+      hierarchy: {}
+    });
+
+    await this.walkDivisions(root.node, context, async ({ node, level, identifier, hierarchy }) => {
+      plan.set(node, { order: plan.size, type: level.type, identifier, hierarchy });
+    });
+
+    return closeOrder.map(division => ({ xpath: division.xpath, ...plan.get(division.node) }));
+  }
+
+  // Feed the file to handleChunk as text, waiting for each chunk to be handled before reading the next
+  async readFile(filePath, handleChunk) {
+    const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+    let first = true;
+    try {
+      for await (let chunk of stream) {
+        if (first) {
+          chunk = chunk.replace(/^\uFEFF/, '');
+          first = false;
+        }
+        await handleChunk(chunk);
+      }
+    } finally {
+      stream.destroy();
+    }
+  }
+}
+
+module.exports = StreamingXMLParser;
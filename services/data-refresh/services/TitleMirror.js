@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const logger = require('../shared/utils/logger');
+const { writeWithChecksum } = require('./download');
+
+/**
+ * An on-disk copy of the title XML fetched from the data source, laid out like the
+ * bulk data (ECFR-title{N}.xml.gz and a titles.json manifest) so that LocalSource can
+ * read it back, e.g. `node cli.js import <mirror>` to re-parse every title offline.
+ *
+ * Next to each file, ECFR-title{N}.json records the file's checksum and the ETag and
+ * Last-Modified headers it was served with, which the next request for the title is
+ * made conditional on. The record is written last, so only complete copies are used.
+ * The mirror only saves requests, so failing to write to it never fails a download.
+ */
+class TitleMirror {
+  constructor(rootPath) {
+    this.rootPath = path.resolve(rootPath);
+  }
+
+  xmlPath(number) {
+    return path.join(this.rootPath, `ECFR-title${number}.xml.gz`);
+  }
+
+  recordPath(number) {
+    return path.join(this.rootPath, `ECFR-title${number}.json`);
+  }
+
+  // The record of a title's mirrored copy ({ checksum, etag, lastModified, url,
+  // storedAt }), or null without one
+  async read(number) {
+    try {
+      const record = JSON.parse(await fs.promises.readFile(this.recordPath(number), 'utf8'));
+      await fs.promises.access(this.xmlPath(number));
+      return record;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Ignoring the mirrored copy of title ${number}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  // Keep the XML downloaded to xmlFilePath as the title's copy. Returns whether it was kept.
+  async store(number, xmlFilePath, record) {
+    const partialPath = `${this.xmlPath(number)}.partial`;
+    try {
+      await fs.promises.mkdir(this.rootPath, { recursive: true });
+      await fs.promises.rm(this.recordPath(number), { force: true });
+      await pipeline(fs.createReadStream(xmlFilePath), zlib.createGzip(), fs.createWriteStream(partialPath));
+      await fs.promises.rename(partialPath, this.xmlPath(number));
+      await fs.promises.writeFile(
+        this.recordPath(number),
+        JSON.stringify({ ...record, storedAt: new Date().toISOString() }, null, 2)
+      );
+      return true;
+    } catch (error) {
+      logger.warn(`Failed to mirror title ${number} in ${this.rootPath}:`, error.message);
+      await fs.promises.rm(partialPath, { force: true });
+      return false;
+    }
+  }
+
+  // Write a title's mirrored XML to filePath, returning its SHA-256 checksum
+  async copyTo(number, filePath) {
+    return writeWithChecksum(fs.createReadStream(this.xmlPath(number)), filePath, [zlib.createGunzip()]);
+  }
+
+  // Keep the title list as the manifest LocalSource names and dates titles from
+  async storeTitlesList(titles) {
+    try {
+      await fs.promises.mkdir(this.rootPath, { recursive: true });
+      await fs.promises.writeFile(path.join(this.rootPath, 'titles.json'), JSON.stringify({ titles }, null, 2));
+    } catch (error) {
+      logger.warn(`Failed to mirror the title list in ${this.rootPath}:`, error.message);
+    }
+  }
+}
+
+module.exports = TitleMirror;
@@ -1,10 +1,43 @@
+const crypto = require('crypto');
 const xml2js = require('xml2js');
 const logger = require('../shared/utils/logger');
 const { storeInGridFS, shouldUseGridFS } = require('../shared/utils/gridfs');
+const { parseLegalCitations } = require('../shared/utils/legalCitations');
+const { extractReferences } = require('./referenceExtractor');
+const { extractDefinitions } = require('./definitionExtractor');
+
+// DIV2-DIV9 in the order their children are emitted. Citation levels (subtitle,
+// chapter, part) make up the stable identifier path of everything beneath them;
+// intermediate groupings such as subparts do not, so a section keeps its
+// identifier when it moves between subparts.
+const DIV_LEVELS = [
+  { tag: 'div2', type: 'subtitle', hierarchyKey: 'subtitle', citation: true },
+  { tag: 'div3', type: 'chapter', hierarchyKey: 'chapter', citation: true },
+  { tag: 'div4', type: 'subchapter', hierarchyKey: 'subchapter' },
+  { tag: 'div5', type: 'part', hierarchyKey: 'part', citation: true },
+  { tag: 'div6', type: 'subpart', hierarchyKey: 'subpart' },
+  { tag: 'div7', type: 'subjectgroup', hierarchyKey: 'subjectGroup' },
+  { tag: 'div8', type: 'section', leaf: true },
+  { tag: 'div9', type: 'appendix', leaf: true }
+];
+
+// What an enclosing division reads from a child division that has already been made
+// into a document, standing in for the child's element tree. The extract methods take
+// a digest's text, paragraphs, tables and so on as if they had walked the child.
+class DivisionDigest {
+  constructor(fields) {
+    Object.assign(this, fields);
+  }
+}
 
 class XMLParser {
   constructor() {
-    this.parser = new xml2js.Parser({
+    this.parser = this.createParser();
+  }
+
+  // Extra options (e.g. a validator hook) are layered over the settings every parse relies on
+  createParser(options = {}) {
+    return new xml2js.Parser({
       explicitArray: false,
       mergeAttrs: true,
       normalize: true,
@@ -13,11 +46,12 @@ class XMLParser {
       attrValueProcessors: [xml2js.processors.parseNumbers, xml2js.processors.parseBooleans],
       valueProcessors: [xml2js.processors.parseNumbers, xml2js.processors.parseBooleans],
       // Increase default limits for large XML files
-      chunkSize: 10 * 1024 * 1024 // 10MB chunks
+      chunkSize: 10 * 1024 * 1024, // 10MB chunks
+      ...options
     });
   }
 
-  async parseTitle(xmlContent, titleNumber) {
+  async parseTitle(xmlContent, titleNumber, options = {}) {
     try {
       const result = await this.parser.parseStringPromise(xmlContent);
       const documents = [];
@@ -30,7 +64,10 @@ class XMLParser {
       let titleData = null;
       let amendmentDate = null;
       
-      if (result && result.dlpstextclass) {
+      if (result && result.div1) {
+        // The versioner API serves a title as a bare DIV1 element without the bulk-data wrapper
+        titleData = result.div1;
+      } else if (result && result.dlpstextclass) {
         // Navigate through DLPSTEXTCLASS > TEXT > BODY > ECFRBRWS > DIV1
         const text = result.dlpstextclass.text;
         if (text && text.body && text.body.ecfrbrws) {
@@ -65,21 +102,30 @@ class XMLParser {
       }
 
       if (titleData) {
+        const context = {
+          titleNumber: parseInt(titleNumber),
+          amendmentDate: amendmentDate,
+          hierarchy: {},
+          path: [String(parseInt(titleNumber))],
+          usedIdentifiers: new Set(),
+          useGridFS: options.useGridFS !== false,
+          diagnostics: options.diagnostics || null
+        };
+
         // Process the title itself
         const titleDoc = await this.createDocument({
           node: titleData,
           type: 'title',
-          titleNumber: parseInt(titleNumber),
-          amendmentDate: amendmentDate
+          identifier: this.registerIdentifier(context.path.join('/'), context),
+          titleNumber: context.titleNumber,
+          amendmentDate: amendmentDate,
+          useGridFS: context.useGridFS,
+          diagnostics: context.diagnostics
         });
         if (titleDoc) documents.push(titleDoc);
 
         // Process all child elements
-        const childDocs = await this.processDivElement(titleData, {
-          titleNumber: parseInt(titleNumber),
-          amendmentDate: amendmentDate,
-          hierarchy: {}
-        });
+        const childDocs = await this.processDivElement(titleData, context);
         documents.push(...childDocs);
       } else {
         logger.warn(`No title data found in XML for title ${titleNumber}`);
@@ -95,296 +141,294 @@ class XMLParser {
 
   async processDivElement(element, context) {
     const documents = [];
+
+    await this.walkDivisions(element, context, async ({ node, level, identifier, hierarchy }) => {
+      const doc = await this.createDocument({
+        node: node,
+        type: level.type,
+        identifier: identifier,
+        titleNumber: context.titleNumber,
+        amendmentDate: context.amendmentDate,
+        hierarchy: hierarchy,
+        useGridFS: context.useGridFS,
+        diagnostics: context.diagnostics
+      });
+      if (doc) documents.push(doc);
+    });
+
+    return documents;
+  }
+
+  /**
+   * Visit every DIV2-DIV9 beneath element in emission order, reserving each one's
+   * identifier as it goes. Only DIV elements and their N attributes are read, so the
+   * walk also works over a bare outline of the title.
+   */
+  async walkDivisions(element, context, visit) {
     const hierarchy = { ...context.hierarchy };
 
-    // Process DIV2 (Subtitle)
-    if (element.div2) {
-      const subtitles = Array.isArray(element.div2) ? element.div2 : [element.div2];
-      for (const subtitle of subtitles) {
-        const subtitleDoc = await this.createDocument({
-          node: subtitle,
-          type: 'subtitle',
-          titleNumber: context.titleNumber,
-          amendmentDate: context.amendmentDate,
-          hierarchy: hierarchy
+    // Levels are processed in DIV order, so a parent's documents always precede its children's
+    for (const level of DIV_LEVELS) {
+      if (!element[level.tag]) continue;
+
+      const nodes = Array.isArray(element[level.tag]) ? element[level.tag] : [element[level.tag]];
+      for (let index = 0; index < nodes.length; index++) {
+        const node = nodes[index];
+        const designator = this.getAttribute(node, 'n');
+        const segment = this.identifierSegment(level.type, designator, index);
+
+        await visit({
+          node: node,
+          level: level,
+          identifier: this.registerIdentifier([...context.path, segment].join('/'), context),
+          // Sections carry their own number in the hierarchy; other levels only their ancestors'
+          hierarchy: level.type === 'section' ? { ...hierarchy, section: designator } : hierarchy
         });
-        if (subtitleDoc) documents.push(subtitleDoc);
+
+        if (level.leaf) continue;
 
         // Process children with updated hierarchy
-        const subtitleHierarchy = { ...hierarchy, subtitle: subtitle.n };
-        const childDocs = await this.processDivElement(subtitle, { 
-          ...context, 
-          hierarchy: subtitleHierarchy 
-        });
-        documents.push(...childDocs);
+        await this.walkDivisions(node, {
+          ...context,
+          hierarchy: { ...hierarchy, [level.hierarchyKey]: designator },
+          path: level.citation ? [...context.path, segment] : context.path
+        }, visit);
       }
     }
+  }
 
-    // Process DIV3 (Chapter)
-    if (element.div3) {
-      const chapters = Array.isArray(element.div3) ? element.div3 : [element.div3];
-      for (const chapter of chapters) {
-        const chapterDoc = await this.createDocument({
-          node: chapter,
-          type: 'chapter',
-          titleNumber: context.titleNumber,
-          amendmentDate: context.amendmentDate,
-          hierarchy: hierarchy
-        });
-        if (chapterDoc) documents.push(chapterDoc);
-
-        // Process children with updated hierarchy
-        const chapterHierarchy = { ...hierarchy, chapter: chapter.n };
-        const childDocs = await this.processDivElement(chapter, { 
-          ...context, 
-          hierarchy: chapterHierarchy 
-        });
-        documents.push(...childDocs);
-      }
+  /**
+   * Build the path segment for a DIV from its N attribute, e.g. "part-60" or
+   * "section-60.4". Elements without a usable N fall back to their position
+   * among siblings of the same type.
+   */
+  identifierSegment(type, designator, index) {
+    let value = designator === undefined || designator === null ? '' : String(designator);
+    value = value.replace(/§/g, '').trim();
+
+    // Drop a leading label that repeats the type ("Subtitle B", "Appendix A to Part 60")
+    const label = type === 'subjectgroup' ? 'subject group' : type;
+    if (value.toLowerCase().startsWith(`${label} `)) {
+      value = value.slice(label.length).trim();
     }
 
-    // Process DIV4 (Subchapter)
-    if (element.div4) {
-      const subchapters = Array.isArray(element.div4) ? element.div4 : [element.div4];
-      for (const subchapter of subchapters) {
-        const subchapterDoc = await this.createDocument({
-          node: subchapter,
-          type: 'subchapter',
-          titleNumber: context.titleNumber,
-          amendmentDate: context.amendmentDate,
-          hierarchy: hierarchy
-        });
-        if (subchapterDoc) documents.push(subchapterDoc);
+    value = value.replace(/\s+/g, '-').replace(/[^A-Za-z0-9.()_-]/g, '');
+    return `${type}-${value || index + 1}`;
+  }
 
-        // Process children with updated hierarchy
-        const subchapterHierarchy = { ...hierarchy, subchapter: subchapter.n };
-        const childDocs = await this.processDivElement(subchapter, { 
-          ...context, 
-          hierarchy: subchapterHierarchy 
-        });
-        documents.push(...childDocs);
-      }
-    }
+  // xml2js keeps attribute names as written (N, NODE) even though tags are lowercased
+  getAttribute(node, name) {
+    const value = node[name.toUpperCase()] !== undefined ? node[name.toUpperCase()] : node[name];
+    // parseNumbers turns an empty attribute such as N="" into NaN
+    return Number.isNaN(value) ? undefined : value;
+  }
 
-    // Process DIV5 (Part)
-    if (element.div5) {
-      const parts = Array.isArray(element.div5) ? element.div5 : [element.div5];
-      for (const part of parts) {
-        const partDoc = await this.createDocument({
-          node: part,
-          type: 'part',
-          titleNumber: context.titleNumber,
-          amendmentDate: context.amendmentDate,
-          hierarchy: hierarchy
-        });
-        if (partDoc) documents.push(partDoc);
+  // Reserve an identifier within the title being parsed, suffixing repeats (~2, ~3, ...)
+  registerIdentifier(identifier, context) {
+    let candidate = identifier;
+    let suffix = 2;
+    while (context.usedIdentifiers.has(candidate)) {
+      candidate = `${identifier}~${suffix++}`;
+    }
+    context.usedIdentifiers.add(candidate);
+    return candidate;
+  }
 
-        // Process children with updated hierarchy
-        const partHierarchy = { ...hierarchy, part: part.n };
-        const childDocs = await this.processDivElement(part, { 
-          ...context, 
-          hierarchy: partHierarchy 
-        });
-        documents.push(...childDocs);
-      }
+  // `diagnostics`, an IngestDiagnostics, hears about documents that could not be built,
+  // fields moved to GridFS and leaves without any text besides their heading
+  async createDocument(options) {
+    try {
+      const { document } = this.buildDocument(options);
+      await this.storeLargeFields(document, options);
+      return document;
+    } catch (error) {
+      this.documentFailed(options, error);
+      return null;
     }
+  }
 
-    // Process DIV6 (Subpart)
-    if (element.div6) {
-      const subparts = Array.isArray(element.div6) ? element.div6 : [element.div6];
-      for (const subpart of subparts) {
-        const subpartDoc = await this.createDocument({
-          node: subpart,
-          type: 'subpart',
-          titleNumber: context.titleNumber,
-          amendmentDate: context.amendmentDate,
-          hierarchy: hierarchy
-        });
-        if (subpartDoc) documents.push(subpartDoc);
+  documentFailed({ type, identifier, diagnostics = null }, error) {
+    logger.error(`Error creating document for ${type}:`, error);
+    if (diagnostics) diagnostics.documentSkipped(type, identifier, error);
+  }
 
-        // Process children with updated hierarchy
-        const subpartHierarchy = { ...hierarchy, subpart: subpart.n };
-        const childDocs = await this.processDivElement(subpart, { 
-          ...context, 
-          hierarchy: subpartHierarchy 
-        });
-        documents.push(...childDocs);
-      }
+  /**
+   * The document for a division, everything but moving oversized fields to GridFS,
+   * and a DivisionDigest that can take the place of the division's elements in the
+   * enclosing division's.
+   */
+  buildDocument({ node, type, identifier, titleNumber, amendmentDate, hierarchy = {}, diagnostics = null }) {
+    // Extract heading
+    const heading = this.extractHeading(node);
+    
+    // Extract authority and source
+    const authority = this.extractAuthority(node);
+    const source = this.extractSource(node);
+    
+    // Extract citations
+    const citations = this.extractCitations(node);
+    
+    // Extract editorial notes
+    const editorialNotes = this.extractEditorialNotes(node);
+    
+    // Extract images
+    const images = this.extractImages(node);
+    
+    // Extract structured content
+    const structuredContent = this.extractStructuredContent(node);
+    
+    // Extract plain text for search, kept untrimmed for the digest since an enclosing
+    // division's text joins it as it is
+    const rawText = this.collectPlainText(node);
+    const plainText = rawText.trim();
+
+    // A division's citations include every CITA beneath it, so only leaves read theirs
+    const isLeaf = ['section', 'appendix'].includes(type);
+    if (diagnostics && isLeaf && !this.hasBodyText(node)) {
+      diagnostics.emptySection(type, identifier, heading);
     }
+    const legalCitations = parseLegalCitations(
+      [authority, source, ...(isLeaf ? citations.map(citation => citation.text) : [])].filter(Boolean).join('\n')
+    );
+    
+    // Extract formatted text with HTML tags preserved
+    const rawFormattedText = this.collectFormattedText(node);
+    const formattedText = rawFormattedText.trim();
+
+    // Prepare document
+    const document = {
+      titleNumber: titleNumber,
+      type: type,
+      identifier: identifier,
+      node: this.getAttribute(node, 'node') || null,
+      subtitle: hierarchy.subtitle || null,
+      chapter: hierarchy.chapter || null,
+      subchapter: hierarchy.subchapter || null,
+      part: hierarchy.part || null,
+      subpart: hierarchy.subpart || null,
+      subjectGroup: hierarchy.subjectGroup || null,
+      section: hierarchy.section || null,
+      heading: heading,
+      authority: authority,
+      source: source,
+      structuredContent: structuredContent,
+      content: plainText || 'No content available',
+      formattedContent: formattedText || plainText || 'No content available',
+      contentLength: plainText ? Buffer.byteLength(plainText, 'utf8') : 0,
+      citations: citations,
+      legalCitations: legalCitations,
+      tables: isLeaf ? this.extractGpoTables(node) : [], // A division's would repeat every table beneath it
+      editorialNotes: editorialNotes,
+      images: images,
+      effectiveDate: this.parseDate(node.effectivedate),
+      amendmentDate: amendmentDate,
+      lastModified: new Date()
+    };
+    document.contentHash = this.hashDocument(document);
+
+    // Leaf documents only, since higher levels repeat the text of everything beneath them.
+    // References and definitions follow from the content, so they are not part of the hash.
+    document.references = isLeaf
+      ? extractReferences(plainText, { titleNumber, part: hierarchy.part, section: hierarchy.section })
+      : [];
+    document.definitions = type === 'section' && /definition/i.test(heading || '')
+      ? extractDefinitions(node, { part: hierarchy.part, subpart: hierarchy.subpart, section: hierarchy.section })
+      : [];
+
+    const digest = new DivisionDigest({
+      text: rawText,
+      html: rawFormattedText,
+      paragraphs: structuredContent.paragraphs,
+      tables: structuredContent.tables,
+      extracts: structuredContent.extracts,
+      citations,
+      editorialNotes,
+      images
+    });
 
-    // Process DIV7 (Subject Group)
-    if (element.div7) {
-      const subjgrps = Array.isArray(element.div7) ? element.div7 : [element.div7];
-      for (const subjgrp of subjgrps) {
-        const subjgrpDoc = await this.createDocument({
-          node: subjgrp,
-          type: 'subjectgroup',
-          titleNumber: context.titleNumber,
-          amendmentDate: context.amendmentDate,
-          hierarchy: hierarchy
-        });
-        if (subjgrpDoc) documents.push(subjgrpDoc);
+    return { document, digest };
+  }
 
-        // Process children with updated hierarchy
-        const subjgrpHierarchy = { ...hierarchy, subjectGroup: subjgrp.n };
-        const childDocs = await this.processDivElement(subjgrp, { 
-          ...context, 
-          hierarchy: subjgrpHierarchy 
+  // Move content, structured content and formatted content over 1MB to GridFS when the
+  // document as a whole is getting close to MongoDB's size limit
+  async storeLargeFields(document, { useGridFS = true, diagnostics = null }) {
+    const { titleNumber, type, identifier, structuredContent, content: plainText, formattedContent: formattedText } = document;
+
+    // First check total document size to determine if we need GridFS
+    const preliminaryDocSize = Buffer.byteLength(JSON.stringify(document), 'utf8');
+    
+    // If document is approaching MongoDB limit, use GridFS for large fields
+    if (useGridFS && preliminaryDocSize > 10 * 1024 * 1024) { // 10MB threshold for safety
+      logger.info(`Document approaching size limit: ${type} ${identifier} - ${preliminaryDocSize} bytes`);
+      
+      // Check content size
+      const contentSize = Buffer.byteLength(plainText || '', 'utf8');
+      if (contentSize > 1024 * 1024) { // Store content > 1MB in GridFS when doc is large
+        logger.info(`Storing large content in GridFS for ${type} ${identifier} (${contentSize} bytes)`);
+        const gridfsId = await storeInGridFS(plainText, `${titleNumber}_${identifier}_content`, {
+          titleNumber,
+          type,
+          identifier
         });
-        documents.push(...childDocs);
+        document.contentGridFS = gridfsId;
+        if (diagnostics) diagnostics.spilledToGridFS(type, identifier, 'content', contentSize);
+        document.content = `[Content stored in GridFS: ${contentSize} bytes]`;
       }
-    }
 
-    // Process DIV8 (Section)
-    if (element.div8) {
-      const sections = Array.isArray(element.div8) ? element.div8 : [element.div8];
-      for (const section of sections) {
-        const sectionDoc = await this.createDocument({
-          node: section,
-          type: 'section',
-          titleNumber: context.titleNumber,
-          amendmentDate: context.amendmentDate,
-          hierarchy: { ...hierarchy, section: section.n }
+      // Check structured content size
+      const structuredContentStr = JSON.stringify(structuredContent);
+      const structuredSize = Buffer.byteLength(structuredContentStr, 'utf8');
+      if (structuredSize > 1024 * 1024) { // Store structured content > 1MB in GridFS when doc is large
+        logger.info(`Storing large structured content in GridFS for ${type} ${identifier} (${structuredSize} bytes)`);
+        const gridfsId = await storeInGridFS(structuredContentStr, `${titleNumber}_${identifier}_structured`, {
+          titleNumber,
+          type,
+          identifier
         });
-        if (sectionDoc) documents.push(sectionDoc);
+        document.structuredContentGridFS = gridfsId;
+        if (diagnostics) diagnostics.spilledToGridFS(type, identifier, 'structuredContent', structuredSize);
+        document.structuredContent = { storedInGridFS: true, size: structuredSize };
       }
-    }
 
-    // Process DIV9 (Appendix)
-    if (element.div9) {
-      const appendices = Array.isArray(element.div9) ? element.div9 : [element.div9];
-      for (const appendix of appendices) {
-        const appendixDoc = await this.createDocument({
-          node: appendix,
-          type: 'appendix',
-          titleNumber: context.titleNumber,
-          amendmentDate: context.amendmentDate,
-          hierarchy: hierarchy
+      // Check formatted content size
+      const formattedSize = Buffer.byteLength(formattedText || '', 'utf8');
+      if (formattedSize > 1024 * 1024) { // Store formatted content > 1MB in GridFS when doc is large
+        logger.info(`Storing large formatted content in GridFS for ${type} ${identifier} (${formattedSize} bytes)`);
+        const gridfsId = await storeInGridFS(formattedText, `${titleNumber}_${identifier}_formatted`, {
+          titleNumber,
+          type,
+          identifier
         });
-        if (appendixDoc) documents.push(appendixDoc);
+        document.formattedContentGridFS = gridfsId;
+        if (diagnostics) diagnostics.spilledToGridFS(type, identifier, 'formattedContent', formattedSize);
+        document.formattedContent = `[Formatted content stored in GridFS: ${formattedSize} bytes]`;
       }
     }
 
-    return documents;
+    // Log final document size for debugging
+    const finalDocSize = Buffer.byteLength(JSON.stringify(document), 'utf8');
+    if (finalDocSize > 1024 * 1024) { // Log if > 1MB
+      logger.info(`Large document created: ${type} ${identifier} - total size: ${finalDocSize} bytes`);
+    }
   }
 
-  async createDocument({ node, type, titleNumber, amendmentDate, hierarchy = {} }) {
-    try {
-      // Create unique identifier
-      const identifier = `${type}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      
-      // Extract heading
-      const heading = this.extractHeading(node);
-      
-      // Extract authority and source
-      const authority = this.extractAuthority(node);
-      const source = this.extractSource(node);
-      
-      // Extract citations
-      const citations = this.extractCitations(node);
-      
-      // Extract editorial notes
-      const editorialNotes = this.extractEditorialNotes(node);
-      
-      // Extract images
-      const images = this.extractImages(node);
-      
-      // Extract structured content
-      const structuredContent = this.extractStructuredContent(node);
-      
-      // Extract plain text for search
-      const plainText = this.extractPlainText(node);
-      
-      // Extract formatted text with HTML tags preserved
-      const formattedText = this.extractFormattedText(node);
-
-      // Prepare document
-      const document = {
-        titleNumber: titleNumber,
-        type: type,
-        identifier: identifier,
-        node: node.node || null,
-        subtitle: hierarchy.subtitle || null,
-        chapter: hierarchy.chapter || null,
-        subchapter: hierarchy.subchapter || null,
-        part: hierarchy.part || null,
-        subpart: hierarchy.subpart || null,
-        subjectGroup: hierarchy.subjectGroup || null,
-        section: hierarchy.section || null,
-        heading: heading,
-        authority: authority,
-        source: source,
-        structuredContent: structuredContent,
-        content: plainText || 'No content available',
-        formattedContent: formattedText || plainText || 'No content available',
-        contentLength: plainText ? Buffer.byteLength(plainText, 'utf8') : 0,
-        citations: citations,
-        editorialNotes: editorialNotes,
-        images: images,
-        effectiveDate: this.parseDate(node.effectivedate),
-        amendmentDate: amendmentDate,
-        lastModified: new Date()
-      };
-
-      // First check total document size to determine if we need GridFS
-      const preliminaryDocSize = Buffer.byteLength(JSON.stringify(document), 'utf8');
-      
-      // If document is approaching MongoDB limit, use GridFS for large fields
-      if (preliminaryDocSize > 10 * 1024 * 1024) { // 10MB threshold for safety
-        logger.info(`Document approaching size limit: ${type} ${identifier} - ${preliminaryDocSize} bytes`);
-        
-        // Check content size
-        const contentSize = Buffer.byteLength(plainText || '', 'utf8');
-        if (contentSize > 1024 * 1024) { // Store content > 1MB in GridFS when doc is large
-          logger.info(`Storing large content in GridFS for ${type} ${identifier} (${contentSize} bytes)`);
-          const gridfsId = await storeInGridFS(plainText, `${titleNumber}_${identifier}_content`, {
-            titleNumber,
-            type,
-            identifier
-          });
-          document.contentGridFS = gridfsId;
-          document.content = `[Content stored in GridFS: ${contentSize} bytes]`;
-        }
-
-        // Check structured content size
-        const structuredContentStr = JSON.stringify(structuredContent);
-        const structuredSize = Buffer.byteLength(structuredContentStr, 'utf8');
-        if (structuredSize > 1024 * 1024) { // Store structured content > 1MB in GridFS when doc is large
-          logger.info(`Storing large structured content in GridFS for ${type} ${identifier} (${structuredSize} bytes)`);
-          const gridfsId = await storeInGridFS(structuredContentStr, `${titleNumber}_${identifier}_structured`, {
-            titleNumber,
-            type,
-            identifier
-          });
-          document.structuredContentGridFS = gridfsId;
-          document.structuredContent = { storedInGridFS: true, size: structuredSize };
-        }
-
-        // Check formatted content size
-        const formattedSize = Buffer.byteLength(formattedText || '', 'utf8');
-        if (formattedSize > 1024 * 1024) { // Store formatted content > 1MB in GridFS when doc is large
-          logger.info(`Storing large formatted content in GridFS for ${type} ${identifier} (${formattedSize} bytes)`);
-          const gridfsId = await storeInGridFS(formattedText, `${titleNumber}_${identifier}_formatted`, {
-            titleNumber,
-            type,
-            identifier
-          });
-          document.formattedContentGridFS = gridfsId;
-          document.formattedContent = `[Formatted content stored in GridFS: ${formattedSize} bytes]`;
-        }
-      }
-
-      // Log final document size for debugging
-      const finalDocSize = Buffer.byteLength(JSON.stringify(document), 'utf8');
-      if (finalDocSize > 1024 * 1024) { // Log if > 1MB
-        logger.info(`Large document created: ${type} ${identifier} - total size: ${finalDocSize} bytes`);
-      }
+  // Fingerprint of a document's content and place in the hierarchy, taken before any
+  // GridFS offloading. The title-wide amendment date and the creation stamp are left
+  // out so that a document only hashes differently when its own content changed.
+  hashDocument(document) {
+    const { amendmentDate, lastModified, ...content } = document;
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+  }
 
-      return document;
-    } catch (error) {
-      logger.error(`Error creating document for ${type}:`, error);
-      return null;
+  // Whether a division has text of its own beyond its heading. Attributes are merged
+  // into the node under their upper-case names, so only lower-case keys are elements.
+  hasBodyText(node) {
+    if (typeof node !== 'object' || node === null) {
+      return false;
     }
+    return Object.keys(node).some(key =>
+      key !== 'head' && key !== '$' && key === key.toLowerCase() && this.extractPlainText({ [key]: node[key] }) !== ''
+    );
   }
 
   extractHeading(node) {
@@ -416,7 +460,9 @@ class XMLParser {
     const citations = [];
     
     const findCitations = (obj) => {
-      if (obj && typeof obj === 'object') {
+      if (obj instanceof DivisionDigest) {
+        citations.push(...obj.citations);
+      } else if (obj && typeof obj === 'object') {
         if (obj.cita) {
           const citas = Array.isArray(obj.cita) ? obj.cita : [obj.cita];
           citas.forEach(cita => {
@@ -447,7 +493,9 @@ class XMLParser {
     const notes = [];
     
     const findEdNotes = (obj) => {
-      if (obj && typeof obj === 'object') {
+      if (obj instanceof DivisionDigest) {
+        notes.push(...obj.editorialNotes);
+      } else if (obj && typeof obj === 'object') {
         if (obj.ednote) {
           const ednotes = Array.isArray(obj.ednote) ? obj.ednote : [obj.ednote];
           ednotes.forEach(note => {
@@ -478,7 +526,10 @@ class XMLParser {
     const images = [];
     
     const findImages = (obj) => {
-      if (obj && typeof obj === 'object') {
+      if (obj instanceof DivisionDigest) {
+        // Copies, since a later <a> can fill in the last image's PDF link
+        images.push(...obj.images.map(image => ({ ...image })));
+      } else if (obj && typeof obj === 'object') {
         if (obj.img) {
           const imgs = Array.isArray(obj.img) ? obj.img : [obj.img];
           imgs.forEach(img => {
@@ -549,7 +600,9 @@ class XMLParser {
     const paragraphs = [];
     
     const findParagraphs = (obj, depth = 0) => {
-      if (obj && typeof obj === 'object') {
+      if (obj instanceof DivisionDigest) {
+        paragraphs.push(...obj.paragraphs.map(paragraph => ({ ...paragraph, depth: paragraph.depth + depth })));
+      } else if (obj && typeof obj === 'object') {
         // Look for paragraph elements
         const pTags = ['p', 'fp', 'fp-1', 'fp-2', 'fp1-2', 'fp2', 'fp2-2', 'fp-dash', 'pspace'];
         
@@ -586,7 +639,9 @@ class XMLParser {
     const tables = [];
     
     const findTables = (obj) => {
-      if (obj && typeof obj === 'object') {
+      if (obj instanceof DivisionDigest) {
+        tables.push(...obj.tables);
+      } else if (obj && typeof obj === 'object') {
         if (obj.table) {
           const tbls = Array.isArray(obj.table) ? obj.table : [obj.table];
           tbls.forEach(table => {
@@ -613,11 +668,97 @@ class XMLParser {
     return tables;
   }
 
+  /**
+   * GPOTABLE elements as data: the title, one column per bottom-level box heading
+   * (labelled with the headings above it, "Limit / lb"), rows of cell text padded to
+   * the columns, and the table notes. A column is numeric when every filled cell in
+   * it reads as a number once thousands separators, currency and percent signs are
+   * dropped. Footnote markers are left out of headings and cells.
+   */
+  extractGpoTables(node) {
+    const tables = [];
+
+    const findTables = (obj) => {
+      if (!obj || typeof obj !== 'object') return;
+      for (const key in obj) {
+        if (!obj.hasOwnProperty(key)) continue;
+        const children = Array.isArray(obj[key]) ? obj[key] : [obj[key]];
+        if (key === 'gpotable') {
+          children.forEach(table => tables.push(this.normalizeGpoTable(table)));
+        } else {
+          children.forEach(findTables);
+        }
+      }
+    };
+
+    findTables(node);
+    return tables;
+  }
+
+  normalizeGpoTable(table) {
+    const asArray = value => (value === undefined || value === null ? [] : Array.isArray(value) ? value : [value]);
+
+    // Text of an element without its attributes (upper case once merged) or footnote markers
+    const cellText = (value) => {
+      if (value === null || value === undefined) return '';
+      if (typeof value !== 'object') return String(value);
+      const parts = value._ !== undefined ? [String(value._)] : [];
+      for (const key in value) {
+        if (key === '_' || key === 'su' || key !== key.toLowerCase() || !value.hasOwnProperty(key)) continue;
+        asArray(value[key]).forEach(child => parts.push(cellText(child)));
+      }
+      return parts.join(' ').replace(/\s+/g, ' ').trim();
+    };
+
+    // A heading is a column unless the next heading sits beneath it
+    const headings = asArray(table.boxhd && table.boxhd.ched).map(ched => ({
+      level: parseInt(typeof ched === 'object' && ched.H) || 1,
+      text: cellText(ched)
+    }));
+    const columns = [];
+    const path = [];
+    headings.forEach((heading, index) => {
+      path.length = heading.level - 1;
+      path[heading.level - 1] = heading.text;
+      const next = headings[index + 1];
+      if (!next || next.level <= heading.level) {
+        columns.push(path.filter(Boolean).join(' / '));
+      }
+    });
+
+    const rows = asArray(table.row).map(row => asArray(row.ent).map(cellText));
+    const width = Math.max(columns.length, parseInt(table.COLS) || 0, ...rows.map(row => row.length));
+    while (columns.length < width) {
+      columns.push('');
+    }
+    rows.forEach(row => {
+      while (row.length < width) row.push('');
+    });
+
+    const isEmpty = text => /^(?:|[-—–.…]+|N\/?A)$/i.test(text);
+    const isNumber = text => /^[-+]?\$?\d[\d,]*(?:\.\d+)?%?$|^[-+]?\$?\.\d+%?$/.test(text.replace(/\s/g, ''));
+
+    return {
+      title: table.ttitle ? cellText(table.ttitle) : null,
+      columns: columns.map((label, index) => {
+        const filled = rows.map(row => row[index]).filter(text => !isEmpty(text));
+        return { label, numeric: filled.length > 0 && filled.every(isNumber) };
+      }),
+      rows,
+      notes: asArray(table.tnote).map(note => {
+        const marker = typeof note === 'object' && note.su !== undefined ? `${note.su} ` : '';
+        return `${marker}${cellText(note)}`.trim();
+      })
+    };
+  }
+
   extractExtracts(node) {
     const extracts = [];
     
     const findExtracts = (obj) => {
-      if (obj && typeof obj === 'object') {
+      if (obj instanceof DivisionDigest) {
+        extracts.push(...obj.extracts);
+      } else if (obj && typeof obj === 'object') {
         if (obj.extract) {
           const exts = Array.isArray(obj.extract) ? obj.extract : [obj.extract];
           exts.forEach(extract => {
@@ -645,10 +786,17 @@ class XMLParser {
   }
 
   extractPlainText(node) {
+    return this.collectPlainText(node).trim();
+  }
+
+  // The text of an element as extractPlainText reads it, before trimming
+  collectPlainText(node) {
     let text = '';
 
     const extract = (obj) => {
-      if (typeof obj === 'string') {
+      if (obj instanceof DivisionDigest) {
+        text += obj.text;
+      } else if (typeof obj === 'string') {
         text += obj + ' ';
       } else if (typeof obj === 'object' && obj !== null) {
         // Handle text content
@@ -672,11 +820,15 @@ class XMLParser {
     };
 
     extract(node);
-    return text.trim();
+    return text;
   }
 
   // New method to extract text with preserved formatting tags
   extractFormattedText(node) {
+    return this.collectFormattedText(node).trim();
+  }
+
+  collectFormattedText(node) {
     let html = '';
     
     // HTML formatting tags to preserve (case-insensitive)
@@ -687,7 +839,9 @@ class XMLParser {
     const paragraphTags = ['fp', 'fp-1', 'fp-2', 'fp1-2', 'fp2', 'fp2-2', 'fp-dash', 'pspace'];
     
     const extract = (obj, parentTag = null) => {
-      if (typeof obj === 'string') {
+      if (obj instanceof DivisionDigest) {
+        html += obj.html;
+      } else if (typeof obj === 'string') {
         html += obj;
       } else if (typeof obj === 'object' && obj !== null) {
         // Handle text content
@@ -772,7 +926,7 @@ class XMLParser {
     };
     
     extract(node);
-    return html.trim();
+    return html;
   }
 
   parseDate(dateStr) {
@@ -799,4 +953,6 @@ class XMLParser {
   }
 }
 
-module.exports = XMLParser;
\ No newline at end of file
+module.exports = XMLParser;
+module.exports.DIV_LEVELS = DIV_LEVELS;
+module.exports.DivisionDigest = DivisionDigest;
\ No newline at end of file
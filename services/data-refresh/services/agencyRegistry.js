@@ -0,0 +1,187 @@
+const Agency = require('../shared/models/Agency');
+const Document = require('../shared/models/Document');
+const Settings = require('../shared/models/Settings');
+
+const OVERRIDES_KEY = 'agency_overrides';
+const SMALL_WORDS = new Set(['a', 'an', 'and', 'as', 'at', 'by', 'for', 'from', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function titleCase(text) {
+  return text
+    .toLowerCase()
+    .split(/(\s+|-)/)
+    .map((word, index) => (index > 0 && SMALL_WORDS.has(word) ? word : word.charAt(0).toUpperCase() + word.slice(1)))
+    .join('');
+}
+
+/**
+ * The agency named in a chapter heading: "CHAPTER I—ENVIRONMENTAL PROTECTION AGENCY"
+ * gives "Environmental Protection Agency". Parenthesized qualifiers are dropped so the
+ * chapters an agency has for different programs ("AGRICULTURAL MARKETING SERVICE
+ * (STANDARDS, INSPECTIONS, MARKETING PRACTICES), DEPARTMENT OF AGRICULTURE") come
+ * together. Reserved chapters name no agency.
+ */
+function agencyNameFromHeading(heading) {
+  if (!heading) return null;
+
+  const name = heading
+    .replace(/^\s*chapter\s+[^\s—–-]+\s*(?:[—–-]+\s*)?/i, '')
+    .replace(/\([^)]*\)/g, '')
+    .replace(/\[[^\]]*\]/g, '')
+    .replace(/\s+,/g, ',')
+    .replace(/\s+/g, ' ')
+    .replace(/[\s,.;:—–-]+$/, '')
+    .trim();
+
+  if (!name || /^reserved$/i.test(name)) return null;
+  return name === name.toUpperCase() ? titleCase(name) : name;
+}
+
+function agencySlug(name) {
+  return name
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Check an agency override file: a list of chapters with the agency each belongs to,
+ * `[{ "titleNumber": 48, "chapter": "1", "agency": "General Services Administration",
+ * "shortName": "GSA" }]`. An `agency` of null takes the chapter out of the registry.
+ * Returns the entries as stored; throws on the first invalid one.
+ */
+function validateOverrides(overrides) {
+  if (!Array.isArray(overrides)) {
+    throw new Error('Agency overrides must be a list of chapters');
+  }
+
+  return overrides.map((entry, index) => {
+    const where = `Agency override ${index + 1}`;
+    if (!entry || typeof entry !== 'object') {
+      throw new Error(`${where} is not an object`);
+    }
+
+    const titleNumber = parseInt(entry.titleNumber);
+    if (isNaN(titleNumber) || titleNumber < 1 || titleNumber > 50) {
+      throw new Error(`${where} has an invalid titleNumber`);
+    }
+    if (entry.chapter === undefined || entry.chapter === null || String(entry.chapter).trim() === '') {
+      throw new Error(`${where} has no chapter`);
+    }
+    if (entry.agency !== null && (typeof entry.agency !== 'string' || !agencySlug(entry.agency))) {
+      throw new Error(`${where} needs an agency name, or null to leave the chapter out`);
+    }
+
+    return {
+      titleNumber,
+      chapter: String(entry.chapter).trim(),
+      agency: entry.agency === null ? null : entry.agency.trim(),
+      ...(entry.shortName ? { shortName: String(entry.shortName).trim() } : {})
+    };
+  });
+}
+
+async function loadOverrides() {
+  return Settings.getSetting(OVERRIDES_KEY, []);
+}
+
+/**
+ * Rebuild the title's share of the registry from its active chapter documents and
+ * tag the documents beneath each chapter with its agency. Agencies left without
+ * chapters are removed. Returns the number of chapters assigned to an agency.
+ */
+async function updateTitleAgencies(titleNumber, overrides = null) {
+  const activeFilter = await Document.activeFilter(titleNumber);
+  const chapters = await Document.find({ ...activeFilter, type: 'chapter' })
+    .select('identifier chapter heading')
+    .lean();
+
+  const byChapter = new Map(
+    (overrides || await loadOverrides())
+      .filter(entry => entry.titleNumber === titleNumber)
+      .map(entry => [entry.chapter, entry])
+  );
+
+  const agencies = new Map();
+  for (const chapter of chapters) {
+    const override = byChapter.get(chapter.chapter);
+    const name = override ? override.agency : agencyNameFromHeading(chapter.heading);
+    if (!name) continue;
+
+    const slug = agencySlug(name);
+    if (!agencies.has(slug)) {
+      agencies.set(slug, { name, shortName: null, chapters: [] });
+    }
+    const agency = agencies.get(slug);
+    if (override && override.shortName) {
+      agency.shortName = override.shortName;
+    }
+    agency.chapters.push({
+      titleNumber,
+      chapter: chapter.chapter,
+      identifier: chapter.identifier,
+      heading: chapter.heading
+    });
+  }
+
+  await Agency.updateMany(
+    { 'chapters.titleNumber': titleNumber },
+    { $pull: { chapters: { titleNumber } } }
+  );
+  for (const [slug, agency] of agencies) {
+    await Agency.updateOne(
+      { slug },
+      {
+        $set: { name: agency.name, ...(agency.shortName ? { shortName: agency.shortName } : {}) },
+        $push: { chapters: { $each: agency.chapters } }
+      },
+      { upsert: true }
+    );
+  }
+  await Agency.deleteMany({ chapters: { $size: 0 } });
+
+  // A chapter's documents are the chapter and everything whose identifier continues its path
+  const beneath = identifier => new RegExp(`^${escapeRegExp(identifier)}(?:/|$)`);
+  const tagged = [];
+  for (const [slug, agency] of agencies) {
+    for (const chapter of agency.chapters) {
+      await Document.updateMany(
+        { ...activeFilter, identifier: beneath(chapter.identifier), agency: { $ne: slug } },
+        { $set: { agency: slug } }
+      );
+      tagged.push(escapeRegExp(chapter.identifier));
+    }
+  }
+  await Document.updateMany(
+    {
+      ...activeFilter,
+      agency: { $ne: null },
+      ...(tagged.length > 0 ? { identifier: { $not: new RegExp(`^(?:${tagged.join('|')})(?:/|$)`) } } : {})
+    },
+    { $unset: { agency: 1 } }
+  );
+
+  return tagged.length;
+}
+
+// Store an override file and apply it to every stored title
+async function importOverrides(overrides, titleNumbers) {
+  const entries = validateOverrides(overrides);
+  await Settings.setSetting(OVERRIDES_KEY, entries, 'Corrections to the agencies read from chapter headings');
+
+  let chapters = 0;
+  for (const titleNumber of titleNumbers) {
+    chapters += await updateTitleAgencies(titleNumber, entries);
+  }
+  return { overrides: entries.length, chapters };
+}
+
+module.exports = {
+  agencyNameFromHeading,
+  agencySlug,
+  validateOverrides,
+  updateTitleAgencies,
+  importOverrides
+};
@@ -0,0 +1,65 @@
+// Wording that turns an italicized term at the start of a paragraph into a definition:
+// "<I>Act</I> means ...", "(3) <I>Owner or operator</I> includes ..."
+const DEFINING_WORDS = /^(?:\([A-Za-z0-9]{1,5}\)\s*)*(means|mean|has the meaning|have the meaning|includes|include|refers to)\b/i;
+const PARAGRAPH_TAGS = ['p', 'fp', 'fp-1', 'fp-2', 'pspace'];
+
+const asArray = value => (value === undefined ? [] : Array.isArray(value) ? value : [value]);
+const normalize = text => String(text).replace(/\s+/g, ' ').trim();
+
+function textOf(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'object') return String(value);
+  return value._ !== undefined ? String(value._) : '';
+}
+
+/**
+ * Terms defined in a definitions section, from paragraphs that start with an
+ * italicized term followed by "means", "includes" and the like. xml2js keeps an
+ * element's own text apart from its children, so the term is the paragraph's first
+ * <I> and the definition its own text. Definitions apply to the section's subpart
+ * when the section's other paragraphs speak of "this subpart", and to its part
+ * otherwise; sections outside a part define nothing.
+ */
+function extractDefinitions(node, { part = null, subpart = null, section = null } = {}) {
+  if (!node || typeof node !== 'object' || !part) {
+    return [];
+  }
+
+  const definitions = new Map();
+  const context = [];
+
+  for (const tag of PARAGRAPH_TAGS) {
+    for (const paragraph of asArray(node[tag])) {
+      const text = normalize(textOf(paragraph));
+      const [italic] = typeof paragraph === 'object' ? asArray(paragraph.i) : [];
+      const term = normalize(textOf(italic)).replace(/[\s,.:;"“”]+$/, '').replace(/^["“]/, '');
+      const wording = text.match(DEFINING_WORDS);
+
+      if (!term || !wording) {
+        context.push(text);
+        continue;
+      }
+
+      const key = term.toLowerCase();
+      if (!definitions.has(key)) {
+        definitions.set(key, {
+          term,
+          termKey: key,
+          // Inline elements such as "et seq." are dropped from the text, leaving "7401 )"
+          definition: `${term} ${text.slice(text.indexOf(wording[1]))}`.replace(/\s+([).,;:])/g, '$1')
+        });
+      }
+    }
+  }
+
+  const scope = subpart && /\bthis subpart\b/i.test(context.join(' ')) ? 'subpart' : 'part';
+  return [...definitions.values()].map(definition => ({
+    ...definition,
+    scope,
+    part: String(part),
+    subpart: scope === 'subpart' ? String(subpart) : null,
+    section
+  }));
+}
+
+module.exports = { extractDefinitions };
@@ -0,0 +1,123 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const logger = require('../shared/utils/logger');
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Minimum time between the starts of requests to one host, however many titles are
+// downloading at once
+const HOST_INTERVAL_MS = parseInt(process.env.REFRESH_HOST_INTERVAL_MS || '1000');
+const nextRequestAt = new Map();
+
+// Wait until a request to the URL's host may start. Each caller reserves its slot
+// before waiting, so concurrent callers queue up instead of starting together.
+async function waitForHost(url) {
+  const host = new URL(url).host;
+  const now = Date.now();
+  const startAt = Math.max(now, nextRequestAt.get(host) || 0);
+  nextRequestAt.set(host, startAt + HOST_INTERVAL_MS);
+  if (startAt > now) {
+    await delay(startAt - now);
+  }
+}
+
+// Write a stream to disk through optional transforms (e.g. gunzip), returning the
+// SHA-256 checksum of what was written
+async function writeWithChecksum(readable, filePath, transforms = []) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(
+    readable,
+    ...transforms,
+    new Transform({
+      transform(chunk, encoding, callback) {
+        hash.update(chunk);
+        callback(null, chunk);
+      }
+    }),
+    fs.createWriteStream(filePath)
+  );
+
+  return hash.digest('hex');
+}
+
+// Stream the response body to disk, returning its SHA-256 checksum
+async function downloadToFile(url, filePath) {
+  const { checksum } = await downloadIfModified(url, filePath);
+  return checksum;
+}
+
+// Stream the response body to disk unless the server answers that the copy `cached`
+// describes (by the ETag and Last-Modified headers it was served with) is current.
+// Returns { notModified: true }, or the checksum of what was written and the headers
+// to make the next request for it conditional on.
+async function downloadIfModified(url, filePath, cached = {}) {
+  const headers = {
+    'Accept-Encoding': 'gzip, deflate',
+    'User-Agent': 'eCFR-Analyzer/1.0'
+  };
+  if (cached.etag) {
+    headers['If-None-Match'] = cached.etag;
+  }
+  if (cached.lastModified) {
+    headers['If-Modified-Since'] = cached.lastModified;
+  }
+
+  await waitForHost(url);
+  const response = await axios.get(url, {
+    responseType: 'stream',
+    timeout: 600000, // 10 minutes timeout for large files
+    maxContentLength: Infinity, // No limit on content length
+    maxBodyLength: Infinity, // No limit on body length
+    headers,
+    validateStatus: status => status === 304 || (status >= 200 && status < 300)
+  });
+
+  if (response.status === 304) {
+    response.data.resume();
+    return { notModified: true };
+  }
+
+  return {
+    notModified: false,
+    checksum: await writeWithChecksum(response.data, filePath),
+    etag: response.headers.etag || null,
+    lastModified: response.headers['last-modified'] || null
+  };
+}
+
+// Run a download with retry logic. Client errors (e.g. 404) are not retried.
+async function withRetry(description, download) {
+  const maxAttempts = 3;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await download();
+    } catch (error) {
+      logger.warn(`Download attempt ${attempt} failed for ${description}:`, error.message);
+      const status = error.response && error.response.status;
+      if (attempt >= maxAttempts || (status >= 400 && status < 500)) {
+        throw error;
+      }
+      await delay(5000 * attempt); // Exponential backoff
+    }
+  }
+}
+
+async function downloadWithRetry(url, filePath, description) {
+  return withRetry(description, () => downloadToFile(url, filePath));
+}
+
+module.exports = {
+  delay,
+  waitForHost,
+  writeWithChecksum,
+  downloadToFile,
+  downloadIfModified,
+  withRetry,
+  downloadWithRetry
+};
@@ -0,0 +1,144 @@
+// Designators as they appear in running text: "60.4", "1.61-1", "60.40a"; "63", "1910"
+const SECTION_NUMBER = '\\d+[A-Za-z]?\\.\\d+[A-Za-z0-9]*(?:-\\d+[A-Za-z0-9]*)*';
+const PART_NUMBER = '\\d+[A-Za-z]?';
+const SUBPART_LETTER = '[A-Z]{1,4}[a-c]?(?:-\\d+)?';
+// Paragraph designators after a section number, e.g. "(b)(1)(ii)"
+const PARAGRAPHS = '(?:\\([A-Za-z0-9]{1,5}\\))*';
+const LIST_SEPARATOR = '(?:\\s*,\\s*(?:and\\s+|or\\s+)?|\\s+(?:and|or|through)\\s+)';
+
+const list = item => `${item}(?:${LIST_SEPARATOR}${item})*`;
+
+const SECTION_LIST = list(`${SECTION_NUMBER}${PARAGRAPHS}`);
+// A number followed by "CFR" starts the next citation rather than continuing the list
+const PART_LIST = list(`${PART_NUMBER}(?![\\dA-Za-z]|\\s+C\\.?F\\.?R)`);
+const SUBPART_LIST = `${list(SUBPART_LETTER)}(?![A-Za-z])`;
+// "part 60", "parts 60 and 61", "part 60, subpart A"
+const PARTS = `[Pp]arts?\\s+(${PART_LIST})(?!\\.?\\d)(?:,?\\s+[Ss]ubparts?\\s+(${SUBPART_LIST}))?`;
+
+// Matched in this order; each match is blanked out before the next pattern runs, so
+// "40 CFR part 60" is not read again as "part 60" of the citing title
+const PATTERNS = [
+  {
+    // 40 CFR 52.21, 40 CFR §§ 52.21 and 52.24, 40 CFR parts 60 and 61, 40 CFR 60
+    regex: new RegExp(`\\b(\\d{1,2})\\s+C\\.?F\\.?R\\.?\\s+(?:${PARTS}|(?:§§?\\s*)?(${SECTION_LIST})|(${PART_NUMBER})(?!\\.?\\d))`, 'g'),
+    read: (match) => {
+      const titleNumber = parseInt(match[1]);
+      if (match[4]) return numbers(match[4], SECTION_NUMBER).map(section => sectionTarget(titleNumber, section));
+      if (match[5]) return [partTarget(titleNumber, match[5])];
+      return partsTargets(titleNumber, match[2], match[3]);
+    }
+  },
+  {
+    // part 60 of title 40
+    regex: new RegExp(`\\b${PARTS}\\s+of\\s+title\\s+(\\d{1,2})\\b`, 'g'),
+    read: (match) => partsTargets(parseInt(match[3]), match[1], match[2])
+  },
+  {
+    // § 60.4(a), §§ 60.4 through 60.8
+    regex: new RegExp(`§§?\\s*(${SECTION_LIST})`, 'g'),
+    read: (match, context) => numbers(match[1], SECTION_NUMBER).map(section => sectionTarget(context.titleNumber, section))
+  },
+  {
+    // subpart B of this part, subparts A and C of part 60
+    regex: new RegExp(`\\b[Ss]ubparts?\\s+(${SUBPART_LIST})\\s+of\\s+(?:this\\s+part|part\\s+(${PART_NUMBER}))`, 'g'),
+    read: (match, context) => subpartsTargets(context.titleNumber, match[2] || context.part, match[1])
+  },
+  {
+    // part 63 of this chapter, parts 60 and 61, part 63, subpart ZZZZ
+    regex: new RegExp(`\\b${PARTS}`, 'g'),
+    read: (match, context) => partsTargets(context.titleNumber, match[1], match[2])
+  },
+  {
+    // subpart Db, subparts A and C
+    regex: new RegExp(`\\b[Ss]ubparts?\\s+(${SUBPART_LIST})`, 'g'),
+    read: (match, context) => subpartsTargets(context.titleNumber, context.part, match[1])
+  }
+];
+
+// Subparts are only read against a single part ("part 60, subpart A")
+function partsTargets(titleNumber, partList, subpartList) {
+  const parts = numbers(partList, PART_NUMBER);
+  if (subpartList && parts.length === 1) {
+    return numbers(subpartList, SUBPART_LETTER).map(subpart => subpartTarget(titleNumber, parts[0], subpart));
+  }
+  return parts.map(part => partTarget(titleNumber, part));
+}
+
+function subpartsTargets(titleNumber, part, subpartList) {
+  if (!part) return [];
+  return numbers(subpartList, SUBPART_LETTER).map(subpart => subpartTarget(titleNumber, part, subpart));
+}
+
+function numbers(text, pattern) {
+  return text.match(new RegExp(pattern, 'g')) || [];
+}
+
+function sectionTarget(titleNumber, section) {
+  return {
+    targetTitleNumber: titleNumber,
+    targetType: 'section',
+    targetPart: section.split('.')[0],
+    targetSection: section,
+    targetKey: `section-${section}`
+  };
+}
+
+function partTarget(titleNumber, part) {
+  return {
+    targetTitleNumber: titleNumber,
+    targetType: 'part',
+    targetPart: part,
+    targetKey: `part-${part}`
+  };
+}
+
+function subpartTarget(titleNumber, part, subpart) {
+  return {
+    targetTitleNumber: titleNumber,
+    targetType: 'subpart',
+    targetPart: String(part),
+    targetSubpart: subpart,
+    targetKey: `part-${part}/subpart-${subpart}`
+  };
+}
+
+/**
+ * References from a document's plain text to sections, parts and subparts of the
+ * CFR: "§ 60.4", "part 63 of this chapter", "subpart B of this part", "40 CFR 52.21".
+ * References without a title point into the citing title, and subparts without a
+ * part into the citing part. `targetKey` is the end of the target's identifier
+ * ("section-60.4", "part-60/subpart-B"), used to resolve it once that title is stored.
+ * A document's references to itself are left out, and each target is listed once,
+ * in order of its first citation and with the text of that citation.
+ */
+function extractReferences(text, { titleNumber, part = null, section = null } = {}) {
+  if (!text) {
+    return [];
+  }
+
+  const context = { titleNumber, part: part === null ? null : String(part) };
+  const ownKey = section ? `section-${String(section).replace(/§/g, '').trim()}` : null;
+  const references = new Map();
+  let remaining = text;
+
+  for (const { regex, read } of PATTERNS) {
+    remaining = remaining.replace(regex, (...args) => {
+      const match = args.slice(0, -2);
+      const offset = args[args.length - 2];
+      for (const target of read(match, context)) {
+        const key = `${target.targetTitleNumber}|${target.targetKey}`;
+        const isSelf = target.targetTitleNumber === titleNumber && target.targetKey === ownKey;
+        if (!isSelf && (!references.has(key) || offset < references.get(key).offset)) {
+          references.set(key, { offset, reference: { text: match[0].trim(), ...target } });
+        }
+      }
+      return ' '.repeat(match[0].length);
+    });
+  }
+
+  return [...references.values()]
+    .sort((a, b) => a.offset - b.offset)
+    .map(({ reference }) => reference);
+}
+
+module.exports = { extractReferences };
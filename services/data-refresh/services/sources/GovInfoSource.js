@@ -0,0 +1,100 @@
+const axios = require('axios');
+const logger = require('../../shared/utils/logger');
+const { downloadIfModified, withRetry, waitForHost } = require('../download');
+const TitleMirror = require('../TitleMirror');
+
+// Where fetched XML is mirrored; set REFRESH_MIRROR_DIR empty to keep no mirror
+const MIRROR_DIR = process.env.REFRESH_MIRROR_DIR ?? '/data/mirror';
+
+/**
+ * The default title source: the title list from the eCFR versioner API and the
+ * title XML from govinfo.gov bulk data.
+ *
+ * A title source provides:
+ *   fetchTitlesList() - title metadata in the shape of the versioner's titles.json
+ *   fetchTitle(titleInfo, filePath, { knownChecksum, force }) - writes the title's
+ *     XML to filePath and returns its SHA-256 checksum. A source that can tell the
+ *     title is still the version with knownChecksum may instead write nothing and
+ *     return null, unless force is set.
+ *   titleSize(titleInfo) - optional; the size of the title's XML in bytes, or null
+ *     if it cannot tell, used to keep large titles from being processed together
+ */
+class GovInfoSource {
+  constructor({ mirrorDir = MIRROR_DIR } = {}) {
+    this.name = 'govinfo.gov';
+    this.baseUrl = 'https://www.govinfo.gov/bulkdata/ECFR';
+    this.titlesApiUrl = 'https://www.ecfr.gov/api/versioner/v1/titles.json';
+    this.mirror = mirrorDir ? new TitleMirror(mirrorDir) : null;
+  }
+
+  async fetchTitlesList() {
+    try {
+      await waitForHost(this.titlesApiUrl);
+      const response = await axios.get(this.titlesApiUrl, {
+        headers: { 'Accept': 'application/json' },
+        timeout: 30000
+      });
+
+      if (this.mirror) {
+        await this.mirror.storeTitlesList(response.data.titles);
+      }
+      return response.data.titles;
+    } catch (error) {
+      logger.error('Failed to fetch titles list:', error);
+      throw error;
+    }
+  }
+
+  // With a mirrored copy, the request is conditional on the headers that copy was
+  // served with. When govinfo.gov answers 304 Not Modified, nothing is downloaded: a
+  // copy with knownChecksum means there is nothing to do, and any other copy is used
+  // in place of the download. A forced fetch always downloads in full.
+  async fetchTitle(titleInfo, filePath, { knownChecksum = null, force = false } = {}) {
+    const { number } = titleInfo;
+    const url = this.titleUrl(number);
+    const mirrored = this.mirror && !force ? await this.mirror.read(number) : null;
+
+    const result = await withRetry(`title ${number}`, () => downloadIfModified(url, filePath, mirrored || {}));
+
+    if (result.notModified) {
+      if (mirrored.checksum === knownChecksum) {
+        logger.info(`Title ${number} is not modified since ${mirrored.lastModified || `ETag ${mirrored.etag}`}`);
+        return null;
+      }
+      logger.info(`Title ${number} is not modified, using its mirrored copy`);
+      return this.mirror.copyTo(number, filePath);
+    }
+
+    if (this.mirror) {
+      await this.mirror.store(number, filePath, {
+        checksum: result.checksum,
+        etag: result.etag,
+        lastModified: result.lastModified,
+        url
+      });
+    }
+    return result.checksum;
+  }
+
+  async titleSize(titleInfo) {
+    const url = this.titleUrl(titleInfo.number);
+    try {
+      await waitForHost(url);
+      const response = await axios.head(url, {
+        headers: { 'User-Agent': 'eCFR-Analyzer/1.0' },
+        timeout: 30000
+      });
+      const length = parseInt(response.headers['content-length']);
+      return isNaN(length) ? null : length;
+    } catch (error) {
+      logger.warn(`Failed to get the size of title ${titleInfo.number}:`, error.message);
+      return null;
+    }
+  }
+
+  titleUrl(number) {
+    return `${this.baseUrl}/title-${number}/ECFR-title${number}.xml`;
+  }
+}
+
+module.exports = GovInfoSource;
@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const yauzl = require('yauzl');
+const logger = require('../../shared/utils/logger');
+const { writeWithChecksum } = require('../download');
+
+// Bulk-data file names, optionally gzipped
+const TITLE_FILE_PATTERN = /^ECFR-title(\d+)\.xml(\.gz)?$/i;
+const MANIFEST_NAME = 'titles.json';
+
+function openArchive(archivePath) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(archivePath, { lazyEntries: true, autoClose: false }, (error, zipFile) => {
+      if (error) reject(error);
+      else resolve(zipFile);
+    });
+  });
+}
+
+function readEntries(zipFile) {
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    zipFile.on('entry', entry => {
+      entries.push(entry);
+      zipFile.readEntry();
+    });
+    zipFile.on('end', () => resolve(entries));
+    zipFile.on('error', reject);
+    zipFile.readEntry();
+  });
+}
+
+function openEntryStream(zipFile, entry) {
+  return new Promise((resolve, reject) => {
+    zipFile.openReadStream(entry, (error, stream) => {
+      if (error) reject(error);
+      else resolve(stream);
+    });
+  });
+}
+
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Title source for environments without access to govinfo.gov. Reads bulk-data
+ * files (ECFR-title{N}.xml, or .xml.gz) from a directory, its subdirectories or
+ * .zip archives, or from a single .zip archive. Title metadata comes from a
+ * titles.json manifest in the versioner API's format; without one, titles are
+ * named after their files.
+ */
+class LocalSource {
+  constructor(rootPath) {
+    this.rootPath = path.resolve(rootPath);
+    this.name = this.rootPath;
+    this.catalog = null;
+  }
+
+  async fetchTitlesList() {
+    const { files, manifest } = await this.loadCatalog();
+
+    let titles;
+    if (manifest) {
+      titles = Array.isArray(manifest) ? manifest : manifest.titles;
+      if (!Array.isArray(titles)) {
+        throw new Error(`${MANIFEST_NAME} in ${this.rootPath} has no titles list`);
+      }
+    } else {
+      logger.warn(`No ${MANIFEST_NAME} found in ${this.rootPath}, naming titles after their files`);
+      titles = [...files.keys()].map(number => ({ number, name: `Title ${number}`, reserved: false }));
+    }
+
+    const missing = titles.filter(title => !title.reserved && !files.has(parseInt(title.number)));
+    if (missing.length > 0) {
+      logger.warn(`No XML found in ${this.rootPath} for titles ${missing.map(title => title.number).join(', ')}, skipping them`);
+    }
+
+    return titles
+      .filter(title => title.reserved || files.has(parseInt(title.number)))
+      .sort((a, b) => a.number - b.number);
+  }
+
+  async fetchTitle(titleInfo, filePath) {
+    const { files } = await this.loadCatalog();
+    const file = files.get(parseInt(titleInfo.number));
+    if (!file) {
+      throw new Error(`No XML for title ${titleInfo.number} in ${this.rootPath}`);
+    }
+
+    const transforms = file.gzip ? [zlib.createGunzip()] : [];
+
+    if (!file.archive) {
+      return writeWithChecksum(fs.createReadStream(file.path), filePath, transforms);
+    }
+
+    const zipFile = await openArchive(file.archive);
+    try {
+      const entry = (await readEntries(zipFile)).find(e => e.fileName === file.entryName);
+      if (!entry) {
+        throw new Error(`${file.entryName} is no longer in ${file.archive}`);
+      }
+      return await writeWithChecksum(await openEntryStream(zipFile, entry), filePath, transforms);
+    } finally {
+      zipFile.close();
+    }
+  }
+
+  async titleSize(titleInfo) {
+    const { files } = await this.loadCatalog();
+    const file = files.get(parseInt(titleInfo.number));
+    if (!file) {
+      return null;
+    }
+    if (file.archive) {
+      // Reading a gzipped entry's size would mean inflating the entry
+      return file.gzip ? null : file.size;
+    }
+    return file.gzip ? this.gzipSize(file.path) : (await fs.promises.stat(file.path)).size;
+  }
+
+  // A gzip file ends with the size of its content modulo 2^32, which title files stay under
+  async gzipSize(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const { size } = await handle.stat();
+      if (size < 18) {
+        return null;
+      }
+      const trailer = Buffer.alloc(4);
+      await handle.read(trailer, 0, 4, size - 4);
+      return trailer.readUInt32LE(0);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  // Find the title files and manifest once per source
+  async loadCatalog() {
+    if (this.catalog) {
+      return this.catalog;
+    }
+
+    const catalog = { files: new Map(), manifest: null };
+    const stats = await fs.promises.stat(this.rootPath);
+
+    if (stats.isDirectory()) {
+      await this.scanDirectory(this.rootPath, catalog);
+    } else if (/\.zip$/i.test(this.rootPath)) {
+      await this.scanArchive(this.rootPath, catalog);
+    } else {
+      throw new Error(`${this.rootPath} is neither a directory nor a .zip archive`);
+    }
+
+    logger.info(`Found XML for ${catalog.files.size} titles in ${this.rootPath}`);
+    this.catalog = catalog;
+    return catalog;
+  }
+
+  // Files closer to the root win over ones in subdirectories and archives
+  async scanDirectory(directory, catalog) {
+    const entries = (await fs.promises.readdir(directory, { withFileTypes: true }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    const nested = [];
+
+    for (const entry of entries) {
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isDirectory() || /\.zip$/i.test(entry.name)) {
+        nested.push(entry);
+      } else if (entry.name.toLowerCase() === MANIFEST_NAME && !catalog.manifest) {
+        catalog.manifest = this.parseManifest(await fs.promises.readFile(entryPath, 'utf8'), entryPath);
+      } else {
+        this.addTitleFile(catalog, entry.name, { path: entryPath }, entryPath);
+      }
+    }
+
+    for (const entry of nested) {
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        await this.scanDirectory(entryPath, catalog);
+      } else {
+        await this.scanArchive(entryPath, catalog);
+      }
+    }
+  }
+
+  async scanArchive(archivePath, catalog) {
+    const zipFile = await openArchive(archivePath);
+    try {
+      const entries = (await readEntries(zipFile))
+        .filter(entry => !entry.fileName.endsWith('/'))
+        .sort((a, b) => a.fileName.split('/').length - b.fileName.split('/').length);
+
+      for (const entry of entries) {
+        const baseName = path.posix.basename(entry.fileName);
+        const location = `${archivePath}:${entry.fileName}`;
+        if (baseName.toLowerCase() === MANIFEST_NAME && !catalog.manifest) {
+          catalog.manifest = this.parseManifest(await readStream(await openEntryStream(zipFile, entry)), location);
+        } else {
+          this.addTitleFile(catalog, baseName, { archive: archivePath, entryName: entry.fileName, size: entry.uncompressedSize }, location);
+        }
+      }
+    } finally {
+      zipFile.close();
+    }
+  }
+
+  addTitleFile(catalog, fileName, file, location) {
+    const match = fileName.match(TITLE_FILE_PATTERN);
+    if (!match) return;
+
+    const number = parseInt(match[1]);
+    if (catalog.files.has(number)) {
+      logger.warn(`Ignoring ${location}, title ${number} was already found`);
+      return;
+    }
+    catalog.files.set(number, { ...file, gzip: !!match[2] });
+  }
+
+  parseManifest(text, location) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid ${MANIFEST_NAME} at ${location}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = LocalSource;
@@ -0,0 +1,49 @@
+const { Readable } = require('stream');
+const zlib = require('zlib');
+const Title = require('../../shared/models/Title');
+const { openGridFSDownloadStream } = require('../../shared/utils/gridfs');
+const { writeWithChecksum } = require('../download');
+
+const isoDate = date => (date ? date.toISOString() : null);
+
+/**
+ * Title source for re-parsing what is already stored: each title's XML as it was last
+ * downloaded, from GridFS or, for titles last downloaded before the XML moved there,
+ * the base64 copy on the title. Title metadata comes from the titles collection.
+ */
+class StoredSource {
+  constructor() {
+    this.name = 'stored XML';
+  }
+
+  async fetchTitlesList() {
+    const titles = await Title.find({})
+      .select('number name latestAmendedOn latestIssueDate upToDateAsOf reserved')
+      .sort({ number: 1 })
+      .lean();
+
+    return titles.map(title => ({
+      number: title.number,
+      name: title.name,
+      latest_amended_on: isoDate(title.latestAmendedOn),
+      latest_issue_date: isoDate(title.latestIssueDate),
+      up_to_date_as_of: isoDate(title.upToDateAsOf),
+      reserved: title.reserved
+    }));
+  }
+
+  // Both copies are gzipped; the checksum is of the XML, as when it was downloaded
+  async fetchTitle(titleInfo, filePath) {
+    const title = await Title.findOne({ number: parseInt(titleInfo.number) }).select('xmlFileId xmlContent').lean();
+
+    if (title && title.xmlFileId) {
+      return writeWithChecksum(openGridFSDownloadStream(title.xmlFileId), filePath, [zlib.createGunzip()]);
+    }
+    if (title && title.xmlContent) {
+      return writeWithChecksum(Readable.from([Buffer.from(title.xmlContent, 'base64')]), filePath, [zlib.createGunzip()]);
+    }
+    throw new Error(`No stored XML for title ${titleInfo.number}; refresh the title to download it`);
+  }
+}
+
+module.exports = StoredSource;
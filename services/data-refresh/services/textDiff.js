@@ -0,0 +1,55 @@
+const Diff = require('diff');
+
+const CONTEXT_LENGTH = 80; // Unchanged text kept on each side of an edit
+const MAX_PART_LENGTH = 2000; // Longest added or removed run stored in full
+const DIFF_TIMEOUT_MS = 2000;
+
+/**
+ * Word-level diff of two versions of a document's plain text, trimmed for storage:
+ * unchanged runs keep only the context around each edit and very long insertions or
+ * deletions are cut short. Returns [{ kind: 'added' | 'removed' | 'unchanged', text }].
+ */
+function diffText(before, after) {
+  const previous = before || '';
+  const current = after || '';
+
+  // diffWords gives up (returns undefined) on pathological inputs once the timeout passes
+  const parts = Diff.diffWords(previous, current, { timeout: DIFF_TIMEOUT_MS }) || [
+    { value: previous, removed: true },
+    { value: current, added: true }
+  ];
+
+  return parts
+    .filter(part => part.value)
+    .map((part, index, all) => {
+      if (part.added || part.removed) {
+        return { kind: part.added ? 'added' : 'removed', text: clip(part.value) };
+      }
+      return {
+        kind: 'unchanged',
+        text: trimContext(part.value, index === 0, index === all.length - 1)
+      };
+    });
+}
+
+function clip(text) {
+  return text.length > MAX_PART_LENGTH ? `${text.slice(0, MAX_PART_LENGTH)} …` : text;
+}
+
+// Keep the end of a leading run, the start of a trailing one and both ends of a run between edits
+function trimContext(text, isFirst, isLast) {
+  if (isFirst && isLast) {
+    return text.length > CONTEXT_LENGTH ? `${text.slice(0, CONTEXT_LENGTH)} …` : text;
+  }
+  if (isFirst) {
+    return text.length > CONTEXT_LENGTH ? `… ${text.slice(-CONTEXT_LENGTH)}` : text;
+  }
+  if (isLast) {
+    return text.length > CONTEXT_LENGTH ? `${text.slice(0, CONTEXT_LENGTH)} …` : text;
+  }
+  return text.length > CONTEXT_LENGTH * 2
+    ? `${text.slice(0, CONTEXT_LENGTH)} … ${text.slice(-CONTEXT_LENGTH)}`
+    : text;
+}
+
+module.exports = { diffText };
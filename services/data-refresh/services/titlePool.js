@@ -0,0 +1,54 @@
+/**
+ * Run `worker` on each item, up to `concurrency` at once. Items start in order unless
+ * the next one does not fit: an item only starts while its weight and the weights of
+ * the running items fit in `budget`, or when nothing else is running, so two items
+ * heavier than half the budget never run together. Once a worker throws, no more
+ * items start; the pool waits for the running ones and rejects with the first error.
+ */
+function runPool(items, worker, { concurrency = 1, weight = () => 0, budget = Infinity } = {}) {
+  return new Promise((resolve, reject) => {
+    const queue = [...items];
+    let running = 0;
+    let runningWeight = 0;
+    let failure = null;
+
+    const launch = () => {
+      if (failure) {
+        if (running === 0) {
+          reject(failure.error);
+        }
+        return;
+      }
+      if (queue.length === 0 && running === 0) {
+        resolve();
+        return;
+      }
+
+      while (running < concurrency) {
+        const index = queue.findIndex(item => running === 0 || runningWeight + weight(item) <= budget);
+        if (index === -1) {
+          break;
+        }
+        const [item] = queue.splice(index, 1);
+        const itemWeight = weight(item);
+        running++;
+        runningWeight += itemWeight;
+
+        Promise.resolve()
+          .then(() => worker(item))
+          .catch(error => {
+            failure = failure || { error };
+          })
+          .then(() => {
+            running--;
+            runningWeight -= itemWeight;
+            launch();
+          });
+      }
+    };
+
+    launch();
+  });
+}
+
+module.exports = { runPool };
@@ -3,12 +3,14 @@ const mongoose = require('mongoose');
 const refreshProgressSchema = new mongoose.Schema({
   type: {
     type: String,
-    enum: ['initial', 'refresh', 'single_title'],
+    enum: ['initial', 'refresh', 'single_title', 'import', 'dry_run', 'reparse'],
     required: true
   },
+  // A running refresh checks its status between titles and between insert batches:
+  // 'paused' makes it wait there, and 'cancelling' makes it stop and end as 'cancelled'
   status: {
     type: String,
-    enum: ['pending', 'in_progress', 'completed', 'failed'],
+    enum: ['pending', 'in_progress', 'paused', 'cancelling', 'completed', 'failed', 'cancelled'],
     default: 'pending'
   },
   totalTitles: {
@@ -25,11 +27,13 @@ const refreshProgressSchema = new mongoose.Schema({
     error: String,
     failedAt: Date
   }],
-  currentTitle: {
+  // Titles being processed now; a run works on several at once
+  currentTitles: [{
+    _id: false,
     number: Number,
     name: String,
     startedAt: Date
-  },
+  }],
   lastProcessedTitle: {
     number: Number,
     name: String,
@@ -42,7 +46,7 @@ const refreshProgressSchema = new mongoose.Schema({
   processedTitleNumbers: [Number], // Array of successfully processed title numbers
   triggeredBy: {
     type: String,
-    enum: ['scheduled', 'manual', 'manual_single'],
+    enum: ['scheduled', 'manual', 'manual_single', 'import'],
     default: 'scheduled'
   },
   metadata: mongoose.Schema.Types.Mixed // For storing additional data like target title for single refresh
@@ -53,11 +57,19 @@ const refreshProgressSchema = new mongoose.Schema({
 // Index for quick lookups
 refreshProgressSchema.index({ type: 1, status: 1 });
 
+// Statuses of a run that has started and not finished
+const ACTIVE_STATUSES = ['in_progress', 'paused', 'cancelling'];
+
+// Static method to find the latest run that has started and not finished
+refreshProgressSchema.statics.findActive = function(query = {}) {
+  return this.findOne({ ...query, status: { $in: ACTIVE_STATUSES } }).sort({ createdAt: -1 });
+};
+
 // Static method to get or create current progress
 refreshProgressSchema.statics.getCurrentProgress = async function(type = 'initial') {
   let progress = await this.findOne({ 
     type, 
-    status: { $in: ['pending', 'in_progress'] } 
+    status: { $in: ['pending', ...ACTIVE_STATUSES] } 
   }).sort({ createdAt: -1 });
   
   if (!progress) {
@@ -67,6 +79,26 @@ refreshProgressSchema.statics.getCurrentProgress = async function(type = 'initia
   return progress;
 };
 
+// Save changes once the saves before them finish. Titles processed side by side update
+// the same record, and mongoose rejects a save while another of the document is running.
+refreshProgressSchema.methods.saveInTurn = function() {
+  const previous = this.$locals.saving || Promise.resolve();
+  const saving = previous.catch(() => {}).then(() => this.save());
+  this.$locals.saving = saving;
+  return saving;
+};
+
+// Instance method to record that a title is being processed
+refreshProgressSchema.methods.startTitle = async function(titleNumber, titleName) {
+  this.currentTitles.push({
+    number: titleNumber,
+    name: titleName,
+    startedAt: new Date()
+  });
+
+  await this.saveInTurn();
+};
+
 // Instance method to mark a title as processed
 refreshProgressSchema.methods.markTitleProcessed = async function(titleNumber, titleName) {
   this.processedTitles += 1;
@@ -80,8 +112,7 @@ refreshProgressSchema.methods.markTitleProcessed = async function(titleNumber, t
     this.processedTitleNumbers.push(titleNumber);
   }
   
-  // Clear current title
-  this.currentTitle = undefined;
+  this.currentTitles = this.currentTitles.filter(t => t.number !== titleNumber);
   
   // Check if all titles are processed
   if (this.processedTitles >= this.totalTitles) {
@@ -89,7 +120,7 @@ refreshProgressSchema.methods.markTitleProcessed = async function(titleNumber, t
     this.completedAt = new Date();
   }
   
-  await this.save();
+  await this.saveInTurn();
 };
 
 // Instance method to mark a title as failed
@@ -104,9 +135,9 @@ refreshProgressSchema.methods.markTitleFailed = async function(titleNumber, titl
   });
   
   this.lastError = errorMessage;
-  this.currentTitle = undefined;
+  this.currentTitles = this.currentTitles.filter(t => t.number !== titleNumber);
   
-  await this.save();
+  await this.saveInTurn();
 };
 
 // Instance method to get next title to process
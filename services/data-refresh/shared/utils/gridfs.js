@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const { GridFSBucket } = require('mongodb');
 const stream = require('stream');
+const { pipeline } = require('stream/promises');
 const logger = require('./logger');
 
 let bucket = null;
@@ -80,6 +81,47 @@ async function retrieveFromGridFS(fileId) {
   }
 }
 
+// Store a stream in GridFS without buffering it, e.g. a file on disk
+async function storeStreamInGridFS(readableStream, filename, metadata = {}) {
+  const gridFSBucket = initGridFS();
+  if (!gridFSBucket) {
+    throw new Error('GridFS bucket not initialized');
+  }
+
+  const uploadStream = gridFSBucket.openUploadStream(filename, {
+    metadata: metadata
+  });
+
+  try {
+    await pipeline(readableStream, uploadStream);
+    logger.debug(`Stored ${filename} in GridFS with id: ${uploadStream.id}`);
+    return uploadStream.id;
+  } catch (error) {
+    logger.error('Error storing stream in GridFS:', error);
+    throw error;
+  }
+}
+
+// Open a GridFS file for streaming
+function openGridFSDownloadStream(fileId) {
+  const gridFSBucket = initGridFS();
+  if (!gridFSBucket) {
+    throw new Error('GridFS bucket not initialized');
+  }
+
+  return gridFSBucket.openDownloadStream(fileId);
+}
+
+// Find GridFS file records (id, filename, length, uploadDate, metadata)
+async function findGridFSFiles(filter, sort = { uploadDate: -1, _id: -1 }) {
+  const gridFSBucket = initGridFS();
+  if (!gridFSBucket) {
+    throw new Error('GridFS bucket not initialized');
+  }
+
+  return gridFSBucket.find(filter).sort(sort).toArray();
+}
+
 // Delete file from GridFS
 async function deleteFromGridFS(fileId) {
   try {
@@ -96,6 +138,11 @@ async function deleteFromGridFS(fileId) {
   }
 }
 
+// Every stored version of a title's raw XML shares this filename
+function titleXmlFilename(titleNumber) {
+  return `title-${titleNumber}.xml.gz`;
+}
+
 // Check if content should be stored in GridFS (> 15MB to leave some margin)
 function shouldUseGridFS(content) {
   const sizeInBytes = Buffer.byteLength(content, 'utf8');
@@ -106,6 +153,10 @@ module.exports = {
   initGridFS,
   storeInGridFS,
   retrieveFromGridFS,
+  storeStreamInGridFS,
+  openGridFSDownloadStream,
+  findGridFSFiles,
   deleteFromGridFS,
-  shouldUseGridFS
+  shouldUseGridFS,
+  titleXmlFilename
 };
\ No newline at end of file
@@ -22,8 +22,8 @@ async function testResumeCapability() {
       logger.info(`  Processed titles: ${existingProgress.processedTitles}`);
       logger.info(`  Progress: ${existingProgress.totalTitles > 0 ? Math.round((existingProgress.processedTitles / existingProgress.totalTitles) * 100) : 0}%`);
       
-      if (existingProgress.currentTitle) {
-        logger.info(`  Current title: ${existingProgress.currentTitle.number} - ${existingProgress.currentTitle.name}`);
+      for (const title of existingProgress.currentTitles) {
+        logger.info(`  Current title: ${title.number} - ${title.name}`);
       }
       
       if (existingProgress.lastProcessedTitle) {
@@ -32,6 +32,7 @@ import ErrorIcon from '@mui/icons-material/Error';
 import PauseCircleIcon from '@mui/icons-material/PauseCircle';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import axios from 'axios';
+import { useProgressEvents } from '../contexts/ProgressEventsContext';
 
 
 interface ThreadStatus {
@@ -87,12 +88,25 @@ export default function AnalysisThreadsControl() {
     async () => {
       const response = await axios.get(`/api/analysis-threads/status`);
       return response.data;
-    },
-    {
-      refetchInterval: 2000, // Poll every 2 seconds
     }
   );
 
+  // Keep the threads current as they report progress
+  useProgressEvents('analysis-thread', (thread: ThreadStatus) => {
+    queryClient.setQueryData<ThreadsResponse | undefined>('analysis-threads', (current) => {
+      if (!current) {
+        return current;
+      }
+      const known = current.threads.some((t) => t.threadType === thread.threadType);
+      return {
+        ...current,
+        threads: known
+          ? current.threads.map((t) => (t.threadType === thread.threadType ? thread : t))
+          : [...current.threads, thread],
+      };
+    });
+  });
+
   // Thread control mutations
   const startThreadMutation = useMutation(
     async ({ threadType, restart }: { threadType: string; restart: boolean }) => {
@@ -0,0 +1,127 @@
+import React from 'react';
+import { Box, Chip, Tooltip, Typography } from '@mui/material';
+import { useQuery } from 'react-query';
+import { useRouter } from 'next/router';
+import axios from 'axios';
+
+interface Reference {
+  text: string;
+  targetTitleNumber: number;
+  targetType: 'part' | 'subpart' | 'section';
+  targetKey: string;
+  targetIdentifier: string | null;
+  target: { type: string; heading: string } | null;
+}
+
+interface ReferencingDocument {
+  titleNumber: number;
+  identifier: string;
+  type: string;
+  heading: string;
+  citedAs: string[];
+}
+
+interface DocumentReferencesProps {
+  titleNumber: number;
+  identifier: string;
+}
+
+export default function DocumentReferences({ titleNumber, identifier }: DocumentReferencesProps) {
+  const router = useRouter();
+  const encoded = encodeURIComponent(identifier);
+
+  const { data: references } = useQuery<Reference[]>(
+    ['documentReferences', titleNumber, identifier],
+    async () => {
+      const response = await axios.get(`/api/documents/${titleNumber}/${encoded}/references`);
+      return response.data.references;
+    },
+    { staleTime: 5 * 60 * 1000 } // References only change with a refresh
+  );
+
+  const { data: referencedBy } = useQuery<ReferencingDocument[]>(
+    ['documentReferencedBy', titleNumber, identifier],
+    async () => {
+      const response = await axios.get(`/api/documents/${titleNumber}/${encoded}/referenced-by`);
+      return response.data.referencedBy;
+    },
+    { staleTime: 5 * 60 * 1000 }
+  );
+
+  const handleNavigate = (targetTitleNumber: number, targetIdentifier: string) => {
+    if (router.pathname === '/title/[number]' && router.query.number === String(targetTitleNumber)) {
+      // Same mechanism the analysis insights use to open a section in DocumentsList
+      window.location.hash = targetIdentifier;
+      window.dispatchEvent(new CustomEvent('navigateToSection', {
+        detail: { sectionId: targetIdentifier }
+      }));
+    } else {
+      router.push(`/title/${targetTitleNumber}#${targetIdentifier}`);
+    }
+  };
+
+  if (!references?.length && !referencedBy?.length) {
+    return null;
+  }
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      {references && references.length > 0 && (
+        <Box sx={{ mb: 1 }}>
+          <Typography variant="subtitle2" gutterBottom>
+            References ({references.length})
+          </Typography>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+            {references.map((reference) => {
+              const { targetIdentifier } = reference;
+              return (
+                <Tooltip
+                  key={`${reference.targetTitleNumber}-${reference.targetKey}`}
+                  title={reference.target?.heading || 'Not found in the stored titles'}
+                >
+                  <Chip
+                    label={reference.text}
+                    size="small"
+                    variant="outlined"
+                    color={targetIdentifier ? 'primary' : 'default'}
+                    clickable={!!targetIdentifier}
+                    onClick={targetIdentifier
+                      ? () => handleNavigate(reference.targetTitleNumber, targetIdentifier)
+                      : undefined}
+                  />
+                </Tooltip>
+              );
+            })}
+          </Box>
+        </Box>
+      )}
+
+      {referencedBy && referencedBy.length > 0 && (
+        <Box>
+          <Typography variant="subtitle2" gutterBottom>
+            Referenced by ({referencedBy.length})
+          </Typography>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+            {referencedBy.map((source) => (
+              <Tooltip
+                key={`${source.titleNumber}-${source.identifier}`}
+                title={`Cited as ${source.citedAs.join('; ')}`}
+              >
+                <Chip
+                  label={source.titleNumber === titleNumber
+                    ? source.heading || source.identifier
+                    : `Title ${source.titleNumber}: ${source.heading || source.identifier}`}
+                  size="small"
+                  variant="outlined"
+                  color="secondary"
+                  clickable
+                  onClick={() => handleNavigate(source.titleNumber, source.identifier)}
+                />
+              </Tooltip>
+            ))}
+          </Box>
+        </Box>
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TableSortLabel,
+  Typography,
+} from '@mui/material';
+import DownloadIcon from '@mui/icons-material/Download';
+
+export interface DocumentTable {
+  title: string | null;
+  columns: { label: string; numeric: boolean }[];
+  rows: string[][];
+  notes: string[];
+}
+
+interface DocumentTablesProps {
+  titleNumber: number;
+  identifier: string;
+  tables: DocumentTable[];
+}
+
+interface SortState {
+  column: number;
+  direction: 'asc' | 'desc';
+}
+
+// Cells such as "1,200", "$35" or "12%" as numbers; blanks and dashes sort last
+const toNumber = (text: string) => {
+  const value = parseFloat(text.replace(/[,$%\s]/g, ''));
+  return isNaN(value) ? null : value;
+};
+
+function sortRows(rows: string[][], numeric: boolean, { column, direction }: SortState): string[][] {
+  const sign = direction === 'asc' ? 1 : -1;
+  return [...rows].sort((a, b) => {
+    if (numeric) {
+      const x = toNumber(a[column] || '');
+      const y = toNumber(b[column] || '');
+      if (x === null || y === null) return x === y ? 0 : x === null ? 1 : -1;
+      return (x - y) * sign;
+    }
+    return (a[column] || '').localeCompare(b[column] || '', undefined, { numeric: true }) * sign;
+  });
+}
+
+function SortableTable({ table }: { table: DocumentTable }) {
+  const [sort, setSort] = useState<SortState | null>(null);
+
+  const handleSort = (column: number) => {
+    setSort(prev => {
+      if (prev?.column !== column) return { column, direction: 'asc' };
+      // Third click returns the rows to their order in the regulation
+      return prev.direction === 'asc' ? { column, direction: 'desc' } : null;
+    });
+  };
+
+  const rows = sort ? sortRows(table.rows, table.columns[sort.column].numeric, sort) : table.rows;
+
+  return (
+    <TableContainer component={Paper} variant="outlined" sx={{ maxHeight: 400 }}>
+      <Table size="small" stickyHeader>
+        <TableHead>
+          <TableRow>
+            {table.columns.map((column, index) => (
+              <TableCell
+                key={index}
+                align={column.numeric ? 'right' : 'left'}
+                sortDirection={sort?.column === index ? sort.direction : false}
+              >
+                <TableSortLabel
+                  active={sort?.column === index}
+                  direction={sort?.column === index ? sort.direction : 'asc'}
+                  onClick={() => handleSort(index)}
+                >
+                  {column.label}
+                </TableSortLabel>
+              </TableCell>
+            ))}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {rows.map((row, rowIndex) => (
+            <TableRow key={rowIndex} hover>
+              {row.map((cell, cellIndex) => (
+                <TableCell key={cellIndex} align={table.columns[cellIndex]?.numeric ? 'right' : 'left'}>
+                  {cell}
+                </TableCell>
+              ))}
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+}
+
+export default function DocumentTables({ titleNumber, identifier, tables }: DocumentTablesProps) {
+  if (tables.length === 0) {
+    return null;
+  }
+
+  const tablesUrl = `/api/documents/${titleNumber}/${encodeURIComponent(identifier)}/tables`;
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+        <Typography variant="subtitle2">
+          Tables ({tables.length})
+        </Typography>
+        <Button size="small" startIcon={<DownloadIcon />} href={`${tablesUrl}?format=json`}>
+          JSON
+        </Button>
+      </Box>
+
+      {tables.map((table, index) => (
+        <Box key={index} sx={{ mb: 2 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 0.5 }}>
+            <Typography variant="body2" fontWeight="medium">
+              {table.title || `Table ${index + 1}`}
+            </Typography>
+            <Button size="small" startIcon={<DownloadIcon />} href={`${tablesUrl}?format=csv&table=${index}`}>
+              CSV
+            </Button>
+          </Box>
+          <SortableTable table={table} />
+          {table.notes.map((note, noteIndex) => (
+            <Typography key={noteIndex} variant="caption" color="text.secondary" component="p" sx={{ mt: 0.5 }}>
+              {note}
+            </Typography>
+          ))}
+        </Box>
+      ))}
+    </Box>
+  );
+}
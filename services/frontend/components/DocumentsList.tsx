@@ -20,6 +20,8 @@ import ContentCopyIcon from '@mui/icons-material/ContentCopy';
 import { useQuery } from 'react-query';
 import axios from 'axios';
 import SectionAnalysis from './SectionAnalysis';
+import DocumentReferences from './DocumentReferences';
+import DocumentTables from './DocumentTables';
 import { useEffect, useRef } from 'react';
 
 interface Document {
@@ -42,12 +44,54 @@ interface Document {
   amendmentDate: string;
 }
 
+interface Definition {
+  term: string;
+  definition: string;
+  section: string;
+  scope: 'part' | 'subpart';
+  part: string;
+  subpart: string | null;
+}
+
 interface DocumentsListProps {
   titleNumber: number;
   targetSection?: string;
   onSectionReady?: () => void;
 }
 
+const escapeRegExp = (text: string) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const escapeAttribute = (text: string) =>
+  text.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Wrap defined terms in a section's HTML so their definitions show on hover. Terms match
+// as written, except that a lowercase term may start a sentence; longer terms are tried
+// first so "affected facility" wins over "facility".
+function markDefinedTerms(html: string, definitions: Definition[]): string {
+  if (definitions.length === 0) {
+    return html;
+  }
+
+  const byTerm = new Map(definitions.map(definition => [definition.term.toLowerCase(), definition]));
+  const alternatives = definitions
+    .map(definition => definition.term)
+    .sort((a, b) => b.length - a.length)
+    .map(term => {
+      const first = term.charAt(0);
+      const start = first === first.toLowerCase() && first !== first.toUpperCase()
+        ? `[${first}${first.toUpperCase()}]`
+        : escapeRegExp(first);
+      return start + escapeRegExp(term.slice(1));
+    });
+  const pattern = new RegExp(`(?<![\\w-])(?:${alternatives.join('|')})(?![\\w-])`, 'g');
+
+  // Only text between tags is marked
+  return html.split(/(<[^>]*>)/).map(segment => (segment.startsWith('<') ? segment : segment.replace(pattern, match => {
+    const definition = byTerm.get(match.toLowerCase());
+    if (!definition) return match;
+    const title = escapeAttribute(`${definition.definition} (${definition.section})`);
+    return `<abbr class="defined-term" title="${title}">${match}</abbr>`;
+  }))).join('');
+}
 
 export default function DocumentsList({ titleNumber, targetSection, onSectionReady }: DocumentsListProps) {
   const [expandedItem, setExpandedItem] = useState<string | null>(null);
@@ -66,6 +110,22 @@ export default function DocumentsList({ titleNumber, targetSection, onSectionRea
     }
   );
 
+  // Terms defined for the part or subpart of the open section or appendix
+  const expandedDocument: Document | undefined = data?.documents?.find((doc: Document) => doc.identifier === expandedItem);
+  const { data: definitions } = useQuery<Definition[]>(
+    ['definitions', titleNumber, expandedDocument?.part, expandedDocument?.subpart],
+    async () => {
+      const response = await axios.get('/api/definitions', {
+        params: { titleNumber, part: expandedDocument?.part, subpart: expandedDocument?.subpart || undefined }
+      });
+      return response.data.definitions;
+    },
+    {
+      enabled: !!expandedDocument?.part && ['section', 'appendix'].includes(expandedDocument.type),
+      staleTime: 5 * 60 * 1000, // Definitions only change with a refresh
+    }
+  );
+
   const fetchDocumentContent = async (doc: Document) => {
     if (documentContent[doc.identifier]) {
       return;
@@ -341,6 +401,10 @@ export default function DocumentsList({ titleNumber, targetSection, onSectionRea
                     {doc.type === 'section' && (
                       <SectionAnalysis documentId={doc._id} />
                     )}
+
+                    {['section', 'appendix'].includes(doc.type) && (
+                      <DocumentReferences titleNumber={titleNumber} identifier={doc.identifier} />
+                    )}
                     
                     <Box sx={{ mb: 2, display: 'flex', justifyContent: 'space-between', alignItems: 'start' }}>
                       <Box>
@@ -390,10 +454,14 @@ export default function DocumentsList({ titleNumber, targetSection, onSectionRea
                               fontStyle: 'normal',
                               fontWeight: 'normal',
                             },
+                            '& abbr.defined-term': {
+                              textDecoration: 'underline dotted',
+                              cursor: 'help',
+                            },
                             color: theme.palette.text.primary,
                           }}
                           dangerouslySetInnerHTML={{ 
-                            __html: documentContent[doc.identifier].formattedContent 
+                            __html: markDefinedTerms(documentContent[doc.identifier].formattedContent, definitions || [])
                           }} 
                         />
                       ) : (
@@ -402,6 +470,14 @@ export default function DocumentsList({ titleNumber, targetSection, onSectionRea
                         </Typography>
                       )}
                     </Box>
+
+                    {documentContent[doc.identifier].tables?.length > 0 && (
+                      <DocumentTables
+                        titleNumber={titleNumber}
+                        identifier={doc.identifier}
+                        tables={documentContent[doc.identifier].tables}
+                      />
+                    )}
                   </Box>
                 ) : (
                   <LinearProgress />
@@ -0,0 +1,177 @@
+import React, { useRef } from 'react';
+import {
+  Card,
+  CardHeader,
+  CardContent,
+  Box,
+  Typography,
+  Chip,
+  Link,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Alert,
+  Skeleton,
+} from '@mui/material';
+import BugReportIcon from '@mui/icons-material/BugReport';
+import { useQuery, useQueryClient } from 'react-query';
+import axios from 'axios';
+import { useProgressEvents } from '../contexts/ProgressEventsContext';
+
+interface IngestTotals {
+  unknownElements: number;
+  skippedDocuments: number;
+  gridfsSpills: number;
+  emptySections: number;
+}
+
+interface IngestReportSummary {
+  titleNumber: number;
+  status: 'completed' | 'failed';
+  error?: string | null;
+  reparse: boolean;
+  documentCount: number;
+  totals: IngestTotals;
+  createdAt: string;
+}
+
+interface IngestReportsResponse {
+  titles: IngestReportSummary[];
+  failed: number;
+  withIssues: number;
+}
+
+const TOTAL_COLUMNS: { key: keyof IngestTotals; label: string }[] = [
+  { key: 'unknownElements', label: 'Unknown elements' },
+  { key: 'skippedDocuments', label: 'Skipped documents' },
+  { key: 'gridfsSpills', label: 'GridFS spills' },
+  { key: 'emptySections', label: 'Empty sections' },
+];
+
+const hasIssues = (report: IngestReportSummary) =>
+  report.status === 'failed' || TOTAL_COLUMNS.some(({ key }) => report.totals?.[key] > 0);
+
+export default function IngestReports() {
+  const queryClient = useQueryClient();
+  const lastProgress = useRef<string | null>(null);
+
+  const { data, isLoading, error } = useQuery<IngestReportsResponse>(
+    'ingest-reports',
+    async () => {
+      const response = await axios.get('/api/services/data-refresh/ingest-reports');
+      return response.data;
+    }
+  );
+
+  // Each title a run finishes leaves a new report
+  useProgressEvents('refresh', (progress) => {
+    const finished = `${progress.id}:${progress.processedTitles}:${progress.failedTitles?.length || 0}`;
+    if (lastProgress.current !== null && lastProgress.current !== finished) {
+      queryClient.invalidateQueries('ingest-reports');
+    }
+    lastProgress.current = finished;
+  });
+
+  const header = <CardHeader title="Parser Diagnostics" avatar={<BugReportIcon />} />;
+
+  if (isLoading) {
+    return (
+      <Card>
+        {header}
+        <CardContent>
+          <Skeleton variant="rectangular" height={120} />
+        </CardContent>
+      </Card>
+    );
+  }
+
+  if (error || !data) {
+    return (
+      <Card>
+        {header}
+        <CardContent>
+          <Alert severity="error">Failed to load the ingest reports.</Alert>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  const flagged = data.titles.filter(hasIssues);
+
+  return (
+    <Card>
+      {header}
+      <CardContent>
+        <Typography variant="body2" color="text.secondary" paragraph>
+          What the parser dropped or worked around in the latest ingest of each title. A failed ingest keeps the
+          title&apos;s previous documents. Open a title for its full report.
+        </Typography>
+
+        <Box sx={{ display: 'flex', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+          <Chip label={`${data.titles.length} titles reported`} size="small" />
+          <Chip label={`${data.failed} failed`} size="small" color={data.failed > 0 ? 'error' : 'default'} />
+          <Chip label={`${data.withIssues} with issues`} size="small" color={data.withIssues > 0 ? 'warning' : 'default'} />
+        </Box>
+
+        {data.titles.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            No titles have been ingested since reports were introduced.
+          </Typography>
+        ) : flagged.length === 0 ? (
+          <Alert severity="success">Every title parsed cleanly.</Alert>
+        ) : (
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Title</TableCell>
+                  <TableCell>Status</TableCell>
+                  {TOTAL_COLUMNS.map(({ key, label }) => (
+                    <TableCell key={key} align="right">{label}</TableCell>
+                  ))}
+                  <TableCell>Ingested</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {flagged.map((report) => (
+                  <TableRow key={report.titleNumber}>
+                    <TableCell>
+                      <Link href={`/api/titles/${report.titleNumber}/ingest-report`} target="_blank" rel="noopener">
+                        Title {report.titleNumber}
+                      </Link>
+                    </TableCell>
+                    <TableCell>
+                      <Chip
+                        label={report.status}
+                        size="small"
+                        color={report.status === 'failed' ? 'error' : 'success'}
+                      />
+                      {report.error && (
+                        <Typography variant="caption" color="error" display="block" sx={{ mt: 0.5 }}>
+                          {report.error}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    {TOTAL_COLUMNS.map(({ key }) => (
+                      <TableCell key={key} align="right">{report.totals?.[key] || 0}</TableCell>
+                    ))}
+                    <TableCell>
+                      <Typography variant="caption">
+                        {new Date(report.createdAt).toLocaleString()}
+                        {report.reparse ? ' (re-parse)' : ''}
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
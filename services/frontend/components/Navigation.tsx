@@ -4,6 +4,7 @@ import SettingsIcon from '@mui/icons-material/Settings';
 import Brightness4Icon from '@mui/icons-material/Brightness4';
 import Brightness7Icon from '@mui/icons-material/Brightness7';
 import AssessmentIcon from '@mui/icons-material/Assessment';
+import AccountBalanceIcon from '@mui/icons-material/AccountBalance';
 import { useRouter } from 'next/router';
 import { useTheme } from '../contexts/ThemeContext';
 
@@ -23,6 +24,10 @@ const Navigation: React.FC = () => {
     router.push('/analysis');
   };
 
+  const handleAgenciesClick = () => {
+    router.push('/agencies');
+  };
+
   return (
     <AppBar position="static">
       <Toolbar>
@@ -43,6 +48,14 @@ const Navigation: React.FC = () => {
           >
             Analysis
           </Button>
+          <Button
+            color="inherit"
+            startIcon={<AccountBalanceIcon />}
+            onClick={handleAgenciesClick}
+            sx={{ textTransform: 'none' }}
+          >
+            Agencies
+          </Button>
           <Tooltip title={`Switch to ${mode === 'light' ? 'dark' : 'light'} mode`}>
             <IconButton
               color="inherit"
@@ -0,0 +1,427 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card,
+  CardHeader,
+  CardContent,
+  Box,
+  Typography,
+  Button,
+  TextField,
+  Switch,
+  FormControlLabel,
+  Select,
+  MenuItem,
+  IconButton,
+  Tooltip,
+  Alert,
+  Chip,
+  Divider,
+  Skeleton,
+  ToggleButton,
+  ToggleButtonGroup,
+} from '@mui/material';
+import ScheduleIcon from '@mui/icons-material/Schedule';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import RestoreIcon from '@mui/icons-material/Restore';
+import SaveIcon from '@mui/icons-material/Save';
+import PlaylistPlayIcon from '@mui/icons-material/PlaylistPlay';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import axios from 'axios';
+import { useProgressEvents } from '../contexts/ProgressEventsContext';
+
+interface BlackoutWindow {
+  days: number[];
+  start: string;
+  end: string;
+}
+
+interface TitlePolicy {
+  titleNumber: number | string;
+  policy: 'skip' | 'cron';
+  cron?: string;
+}
+
+interface RefreshSchedule {
+  cron: string;
+  dryRun: boolean;
+  blackouts: BlackoutWindow[];
+  titles: TitlePolicy[];
+}
+
+interface ScheduleResponse {
+  schedule: RefreshSchedule;
+  nextRun: string | null;
+  titleNextRuns: { titleNumber: number; nextRun: string | null }[];
+  isDefault: boolean;
+}
+
+interface DryRunReport {
+  status: 'no_runs' | 'pending' | 'in_progress' | 'completed' | 'failed';
+  triggeredBy?: string;
+  completedAt?: string;
+  lastError?: string;
+  wouldDownload?: {
+    number: number;
+    name: string;
+    reason: 'new' | 'updated';
+    latestIssueDate?: string | null;
+    lastDownloaded?: string | null;
+  }[];
+  unchanged?: number[];
+  createdAt?: string;
+}
+
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatRun = (date: string | null | undefined) =>
+  date ? new Date(date).toLocaleString() : 'Not within the next year';
+
+export default function RefreshScheduleSettings() {
+  const queryClient = useQueryClient();
+  const [schedule, setSchedule] = useState<RefreshSchedule | null>(null);
+  const [message, setMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
+
+  const { data, isLoading, error } = useQuery<ScheduleResponse>(
+    'refresh-schedule',
+    async () => {
+      const response = await axios.get('/api/settings/refresh-schedule');
+      return response.data;
+    }
+  );
+
+  const { data: dryRun } = useQuery<DryRunReport>(
+    'refresh-dry-run',
+    async () => {
+      const response = await axios.get('/api/settings/refresh-schedule/dry-run');
+      return response.data;
+    }
+  );
+
+  useProgressEvents('refresh', (progress) => {
+    if (progress.type === 'dry_run') {
+      queryClient.invalidateQueries('refresh-dry-run');
+    }
+  });
+
+  // Edit a copy of the stored schedule; saving replaces it
+  useEffect(() => {
+    if (data) {
+      setSchedule(data.schedule);
+    }
+  }, [data]);
+
+  useEffect(() => {
+    if (message) {
+      const timer = setTimeout(() => setMessage(null), 5000);
+      return () => clearTimeout(timer);
+    }
+  }, [message]);
+
+  const onScheduleSaved = (text: string) => (response: ScheduleResponse) => {
+    queryClient.setQueryData('refresh-schedule', response);
+    setMessage({ type: 'success', text });
+  };
+
+  const saveMutation = useMutation(
+    async (updated: RefreshSchedule) => {
+      const response = await axios.put('/api/settings/refresh-schedule', { schedule: updated });
+      return response.data;
+    },
+    {
+      onSuccess: onScheduleSaved('Refresh schedule saved'),
+      onError: (error: any) => {
+        setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to save refresh schedule' });
+      },
+    }
+  );
+
+  const resetMutation = useMutation(
+    async () => {
+      const response = await axios.post('/api/settings/refresh-schedule/reset');
+      return response.data;
+    },
+    {
+      onSuccess: onScheduleSaved('Refresh schedule reset to the default'),
+      onError: () => {
+        setMessage({ type: 'error', text: 'Failed to reset refresh schedule' });
+      },
+    }
+  );
+
+  const dryRunMutation = useMutation(
+    async () => {
+      const response = await axios.post('/api/settings/refresh-schedule/dry-run');
+      return response.data;
+    },
+    {
+      onSuccess: () => {
+        setMessage({ type: 'success', text: 'Dry run requested. The report appears here once the data refresh service runs it.' });
+        queryClient.invalidateQueries('refresh-dry-run');
+      },
+      onError: (error: any) => {
+        setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to request dry run' });
+      },
+    }
+  );
+
+  if (isLoading || (!schedule && !error)) {
+    return (
+      <Card>
+        <CardHeader title="Refresh Schedule" avatar={<ScheduleIcon />} />
+        <CardContent>
+          <Skeleton variant="rectangular" height={200} />
+        </CardContent>
+      </Card>
+    );
+  }
+
+  if (error || !schedule) {
+    return (
+      <Card>
+        <CardHeader title="Refresh Schedule" avatar={<ScheduleIcon />} />
+        <CardContent>
+          <Alert severity="error">Failed to load the refresh schedule.</Alert>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  const update = (changes: Partial<RefreshSchedule>) => setSchedule({ ...schedule, ...changes });
+
+  const updateBlackout = (index: number, changes: Partial<BlackoutWindow>) =>
+    update({ blackouts: schedule.blackouts.map((window, i) => (i === index ? { ...window, ...changes } : window)) });
+
+  const updateTitle = (index: number, changes: Partial<TitlePolicy>) =>
+    update({ titles: schedule.titles.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)) });
+
+  const titleNextRun = (titleNumber: number | string) =>
+    data?.titleNextRuns.find((entry) => entry.titleNumber === Number(titleNumber));
+
+  const dryRunActive = dryRun?.status === 'pending' || dryRun?.status === 'in_progress';
+
+  return (
+    <Card>
+      <CardHeader
+        title="Refresh Schedule"
+        avatar={<ScheduleIcon />}
+        action={data?.isDefault && <Chip label="Default" size="small" sx={{ mt: 1, mr: 1 }} />}
+      />
+      <CardContent>
+        <Typography variant="body2" color="text.secondary" paragraph>
+          When the data refresh service checks the eCFR for updated titles. Schedules use five-field cron expressions
+          (minute, hour, day of month, month, day of week) in the server&apos;s time zone, and changes apply within a
+          minute without restarting the service.
+        </Typography>
+
+        {message && (
+          <Alert severity={message.type} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+            {message.text}
+          </Alert>
+        )}
+
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-start', flexWrap: 'wrap', mb: 2 }}>
+          <TextField
+            size="small"
+            label="Schedule"
+            value={schedule.cron}
+            onChange={(e) => update({ cron: e.target.value })}
+            helperText={`Next run: ${formatRun(data?.nextRun)}`}
+            sx={{ minWidth: 260 }}
+            inputProps={{ style: { fontFamily: 'monospace' } }}
+          />
+          <FormControlLabel
+            control={<Switch checked={schedule.dryRun} onChange={(e) => update({ dryRun: e.target.checked })} />}
+            label="Dry run: report what would download without downloading"
+          />
+        </Box>
+
+        <Divider sx={{ my: 2 }} />
+
+        <Typography variant="subtitle2" gutterBottom>
+          Blackout windows
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+          No refresh starts inside a window, and a running refresh stops before its next title when one begins. A window
+          that ends before it starts runs past midnight.
+        </Typography>
+        {schedule.blackouts.map((window, index) => (
+          <Box key={index} sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap', mb: 1 }}>
+            <ToggleButtonGroup
+              size="small"
+              value={window.days}
+              onChange={(e, days: number[]) => updateBlackout(index, { days: [...days].sort() })}
+            >
+              {DAY_LABELS.map((label, day) => (
+                <ToggleButton key={day} value={day}>
+                  {label}
+                </ToggleButton>
+              ))}
+            </ToggleButtonGroup>
+            <TextField
+              size="small"
+              type="time"
+              label="From"
+              value={window.start}
+              onChange={(e) => updateBlackout(index, { start: e.target.value })}
+              InputLabelProps={{ shrink: true }}
+            />
+            <TextField
+              size="small"
+              type="time"
+              label="To"
+              value={window.end}
+              onChange={(e) => updateBlackout(index, { end: e.target.value })}
+              InputLabelProps={{ shrink: true }}
+            />
+            <Tooltip title="Remove window">
+              <IconButton onClick={() => update({ blackouts: schedule.blackouts.filter((_, i) => i !== index) })}>
+                <DeleteIcon />
+              </IconButton>
+            </Tooltip>
+          </Box>
+        ))}
+        <Button
+          size="small"
+          startIcon={<AddIcon />}
+          onClick={() => update({ blackouts: [...schedule.blackouts, { days: [1, 2, 3, 4, 5], start: '08:00', end: '18:00' }] })}
+        >
+          Add blackout window
+        </Button>
+
+        <Divider sx={{ my: 2 }} />
+
+        <Typography variant="subtitle2" gutterBottom>
+          Title policies
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+          Titles without a policy follow the schedule above. Skipped titles are only refreshed when triggered by hand.
+        </Typography>
+        {schedule.titles.map((entry, index) => {
+          const next = titleNextRun(entry.titleNumber);
+          return (
+            <Box key={index} sx={{ display: 'flex', gap: 1, alignItems: 'flex-start', flexWrap: 'wrap', mb: 1 }}>
+              <TextField
+                size="small"
+                type="number"
+                label="Title"
+                value={entry.titleNumber}
+                onChange={(e) => updateTitle(index, { titleNumber: e.target.value })}
+                inputProps={{ min: 1, max: 50 }}
+                sx={{ width: 100 }}
+              />
+              <Select
+                size="small"
+                value={entry.policy}
+                onChange={(e) => updateTitle(index, { policy: e.target.value as TitlePolicy['policy'] })}
+              >
+                <MenuItem value="skip">Skip</MenuItem>
+                <MenuItem value="cron">Own schedule</MenuItem>
+              </Select>
+              {entry.policy === 'cron' && (
+                <TextField
+                  size="small"
+                  label="Schedule"
+                  value={entry.cron || ''}
+                  onChange={(e) => updateTitle(index, { cron: e.target.value })}
+                  helperText={next ? `Next run: ${formatRun(next.nextRun)}` : ' '}
+                  inputProps={{ style: { fontFamily: 'monospace' } }}
+                />
+              )}
+              <Tooltip title="Remove policy">
+                <IconButton onClick={() => update({ titles: schedule.titles.filter((_, i) => i !== index) })}>
+                  <DeleteIcon />
+                </IconButton>
+              </Tooltip>
+            </Box>
+          );
+        })}
+        <Button
+          size="small"
+          startIcon={<AddIcon />}
+          onClick={() => update({ titles: [...schedule.titles, { titleNumber: '', policy: 'skip' }] })}
+        >
+          Add title policy
+        </Button>
+
+        <Box sx={{ display: 'flex', gap: 2, mt: 3 }}>
+          <Button
+            variant="contained"
+            startIcon={<SaveIcon />}
+            onClick={() => saveMutation.mutate(schedule)}
+            disabled={saveMutation.isLoading}
+          >
+            Save Schedule
+          </Button>
+          <Button
+            variant="outlined"
+            startIcon={<RestoreIcon />}
+            onClick={() => resetMutation.mutate()}
+            disabled={resetMutation.isLoading || data?.isDefault}
+          >
+            Reset to Default
+          </Button>
+          <Button
+            variant="outlined"
+            startIcon={<PlaylistPlayIcon />}
+            onClick={() => dryRunMutation.mutate()}
+            disabled={dryRunMutation.isLoading || dryRunActive}
+          >
+            Run Dry Run Now
+          </Button>
+        </Box>
+
+        {dryRun && dryRun.status !== 'no_runs' && (
+          <Box sx={{ mt: 3 }}>
+            <Typography variant="subtitle2" gutterBottom>
+              Latest dry run
+              {dryRun.completedAt && (
+                <Typography component="span" variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+                  {new Date(dryRun.completedAt).toLocaleString()}
+                </Typography>
+              )}
+            </Typography>
+            {dryRunActive ? (
+              <Typography variant="body2" color="text.secondary">
+                Waiting for the data refresh service...
+              </Typography>
+            ) : dryRun.status === 'failed' ? (
+              <Alert severity="error">{dryRun.lastError || 'The dry run failed'}</Alert>
+            ) : dryRun.wouldDownload && dryRun.wouldDownload.length > 0 ? (
+              <>
+                <Typography variant="body2" sx={{ mb: 1 }}>
+                  {dryRun.wouldDownload.length} title{dryRun.wouldDownload.length === 1 ? '' : 's'} would download,{' '}
+                  {dryRun.unchanged?.length || 0} unchanged:
+                </Typography>
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+                  {dryRun.wouldDownload.map((title) => (
+                    <Tooltip
+                      key={title.number}
+                      title={
+                        title.reason === 'new'
+                          ? 'Not downloaded yet'
+                          : `Issued ${title.latestIssueDate ? new Date(title.latestIssueDate).toLocaleDateString() : 'recently'}, last downloaded ${
+                              title.lastDownloaded ? new Date(title.lastDownloaded).toLocaleDateString() : 'never'
+                            }`
+                      }
+                    >
+                      <Chip
+                        size="small"
+                        color={title.reason === 'new' ? 'primary' : 'default'}
+                        label={`Title ${title.number}: ${title.name}`}
+                      />
+                    </Tooltip>
+                  ))}
+                </Box>
+              </>
+            ) : (
+              <Typography variant="body2" color="text.secondary">
+                Every title is up to date; nothing would download.
+              </Typography>
+            )}
+          </Box>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,137 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  List,
+  ListItemButton,
+  ListItemText,
+  Chip,
+  Divider,
+} from '@mui/material';
+
+export type FacetFilters = Record<string, string | number>;
+
+export interface FacetBucket {
+  label: string;
+  count: number;
+  filters: FacetFilters;
+}
+
+export interface SearchFacetsData {
+  titles: FacetBucket[];
+  chapters: FacetBucket[];
+  parts: FacetBucket[];
+  types: FacetBucket[];
+  amendmentYears: FacetBucket[];
+  antiquatedScores: FacetBucket[];
+  businessUnfriendlyScores: FacetBucket[];
+}
+
+interface SearchFacetsProps {
+  facets: SearchFacetsData;
+  filters: FacetFilters;
+  onChange: (filters: FacetFilters) => void;
+}
+
+const SECTIONS: { key: keyof SearchFacetsData; label: string }[] = [
+  { key: 'titles', label: 'Title' },
+  { key: 'chapters', label: 'Chapter' },
+  { key: 'parts', label: 'Part' },
+  { key: 'types', label: 'Document type' },
+  { key: 'amendmentYears', label: 'Last amended' },
+  { key: 'antiquatedScores', label: 'Antiquated score' },
+  { key: 'businessUnfriendlyScores', label: 'Business burden score' },
+];
+
+// Filters applied from facets and the date fields, as chips
+const FILTER_LABELS: Record<string, (value: string | number) => string> = {
+  titleNumber: (value) => `Title ${value}`,
+  chapter: (value) => `Chapter ${value}`,
+  part: (value) => `Part ${value}`,
+  type: (value) => `${value}`,
+  amendmentYear: (value) => `Amended ${value}`,
+  amendedFrom: (value) => `Amended from ${value}`,
+  amendedTo: (value) => `Amended until ${value}`,
+  effectiveFrom: (value) => `Effective from ${value}`,
+  effectiveTo: (value) => `Effective until ${value}`,
+  minAntiquatedScore: (value) => `Antiquated ≥ ${value}`,
+  minBusinessUnfriendlyScore: (value) => `Business burden ≥ ${value}`,
+};
+
+// A chapter or part is picked with its title, so dropping the title drops them too
+const DEPENDENT_FILTERS: Record<string, string[]> = {
+  titleNumber: ['chapter', 'part'],
+};
+
+const isSelected = (bucket: FacetBucket, filters: FacetFilters) =>
+  Object.entries(bucket.filters).every(([key, value]) => filters[key] === value);
+
+export default function SearchFacets({ facets, filters, onChange }: SearchFacetsProps) {
+  const remove = (keys: string[]) => {
+    const next = { ...filters };
+    keys.flatMap((key) => [key, ...(DEPENDENT_FILTERS[key] || [])]).forEach((key) => delete next[key]);
+    onChange(next);
+  };
+
+  const toggle = (bucket: FacetBucket) => {
+    if (!isSelected(bucket, filters)) {
+      const next = { ...filters };
+      // A chapter or part of another title no longer applies
+      if (bucket.filters.titleNumber !== undefined && bucket.filters.titleNumber !== filters.titleNumber) {
+        DEPENDENT_FILTERS.titleNumber.forEach((key) => delete next[key]);
+      }
+      onChange({ ...next, ...bucket.filters });
+      return;
+    }
+    // Unpicking a chapter or part keeps its title
+    const keys = Object.keys(bucket.filters);
+    remove(keys.length > 1 ? keys.filter((key) => key !== 'titleNumber') : keys);
+  };
+
+  const applied = Object.entries(filters);
+
+  return (
+    <Box>
+      {applied.length > 0 && (
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mb: 2 }}>
+          {applied.map(([key, value]) => (
+            <Chip
+              key={key}
+              label={FILTER_LABELS[key] ? FILTER_LABELS[key](value) : `${key}: ${value}`}
+              size="small"
+              color="primary"
+              onDelete={() => remove([key])}
+            />
+          ))}
+        </Box>
+      )}
+
+      {SECTIONS.map(({ key, label }) => facets[key].length > 0 && (
+        <Box key={key} sx={{ mb: 2 }}>
+          <Typography variant="overline" color="text.secondary">
+            {label}
+          </Typography>
+          <List dense disablePadding>
+            {facets[key].map((bucket) => (
+              <ListItemButton
+                key={bucket.label}
+                selected={isSelected(bucket, filters)}
+                onClick={() => toggle(bucket)}
+                sx={{ py: 0, borderRadius: 1 }}
+              >
+                <ListItemText
+                  primary={bucket.label}
+                  primaryTypographyProps={{ variant: 'body2', noWrap: true, title: bucket.label }}
+                />
+                <Typography variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+                  {bucket.count.toLocaleString()}
+                </Typography>
+              </ListItemButton>
+            ))}
+          </List>
+          <Divider sx={{ mt: 1 }} />
+        </Box>
+      ))}
+    </Box>
+  );
+}
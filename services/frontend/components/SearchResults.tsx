@@ -11,12 +11,36 @@ import {
   Alert,
   IconButton,
   Pagination,
+  Grid,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
 } from '@mui/material';
 import CloseIcon from '@mui/icons-material/Close';
 import ArrowBackIcon from '@mui/icons-material/ArrowBack';
 import { useQuery } from 'react-query';
 import axios from 'axios';
 import Link from 'next/link';
+import SearchFacets, { FacetFilters, SearchFacetsData } from './SearchFacets';
+
+const SORT_OPTIONS: { value: string; label: string }[] = [
+  { value: 'relevance', label: 'Relevance' },
+  { value: 'amendedNewest', label: 'Recently amended' },
+  { value: 'amendedOldest', label: 'Least recently amended' },
+  { value: 'effectiveNewest', label: 'Recently effective' },
+  { value: 'effectiveOldest', label: 'Least recently effective' },
+  { value: 'antiquatedScore', label: 'Most antiquated' },
+  { value: 'businessUnfriendlyScore', label: 'Most burdensome' },
+];
+
+const DATE_FILTERS: { key: string; label: string }[] = [
+  { key: 'amendedFrom', label: 'Amended from' },
+  { key: 'amendedTo', label: 'Amended until' },
+  { key: 'effectiveFrom', label: 'Effective from' },
+  { key: 'effectiveTo', label: 'Effective until' },
+];
 
 interface SearchResultsProps {
   searchParams: any;
@@ -25,25 +49,61 @@ interface SearchResultsProps {
 
 export default function SearchResults({ searchParams, onClose }: SearchResultsProps) {
   const [page, setPage] = React.useState(1);
+  const [filters, setFilters] = React.useState<FacetFilters>({});
+  const [sort, setSort] = React.useState('relevance');
   const pageSize = 20;
 
+  // A new search starts without the facets picked for the last one
+  React.useEffect(() => {
+    setFilters({});
+    setPage(1);
+  }, [searchParams]);
+
   const { data, isLoading, error } = useQuery(
-    ['search', searchParams, page],
+    ['search', searchParams, filters, sort, page],
     async () => {
       const response = await axios.get('/api/search', {
         params: {
           ...searchParams,
+          ...filters,
+          sort,
           from: (page - 1) * pageSize,
           size: pageSize,
         },
       });
       return response.data;
     },
-    { enabled: !!searchParams.query }
+    {
+      enabled: !!searchParams.query,
+      keepPreviousData: true,
+      // A rejected query fails the same way every time
+      retry: (failureCount, error: any) => error?.response?.status !== 400 && failureCount < 3,
+    }
   );
 
+  // An advanced query the backend could not parse, with where it went wrong
+  const errorData = (error as any)?.response?.data;
+  const syntaxError = typeof errorData?.position === 'number'
+    ? (errorData as { error: string; position: number })
+    : null;
+
   const totalPages = data ? Math.ceil(data.total / pageSize) : 0;
 
+  const changeFilters = (next: FacetFilters) => {
+    setFilters(next);
+    setPage(1);
+  };
+
+  const changeDateFilter = (key: string, value: string) => {
+    const next = { ...filters };
+    if (value) {
+      next[key] = value;
+    } else {
+      delete next[key];
+    }
+    changeFilters(next);
+  };
+
   return (
     <Paper elevation={3} sx={{ p: 3, mb: 4 }}>
       <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
@@ -60,97 +120,171 @@ export default function SearchResults({ searchParams, onClose }: SearchResultsPr
         </IconButton>
       </Box>
 
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mb: 2 }}>
+        <FormControl size="small" sx={{ minWidth: 200 }}>
+          <InputLabel id="search-sort-label">Sort by</InputLabel>
+          <Select
+            labelId="search-sort-label"
+            value={sort}
+            label="Sort by"
+            onChange={(e) => {
+              setSort(e.target.value);
+              setPage(1);
+            }}
+          >
+            {SORT_OPTIONS.map(({ value, label }) => (
+              <MenuItem key={value} value={value}>{label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        {DATE_FILTERS.map(({ key, label }) => (
+          <TextField
+            key={key}
+            label={label}
+            type="date"
+            size="small"
+            value={filters[key] || ''}
+            onChange={(e) => changeDateFilter(key, e.target.value)}
+            InputLabelProps={{ shrink: true }}
+          />
+        ))}
+      </Box>
+
       {isLoading && (
         <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
           <CircularProgress />
         </Box>
       )}
 
-      {error && (
+      {error && (syntaxError ? (
+        <Alert severity="warning">
+          {syntaxError.error}
+          <Box component="pre" sx={{ fontFamily: 'monospace', m: 0, mt: 1, whiteSpace: 'pre-wrap' }}>
+            {searchParams.query}
+            {'\n'}
+            {' '.repeat(syntaxError.position)}^
+          </Box>
+        </Alert>
+      ) : (
         <Alert severity="error">
-          An error occurred while searching. Please try again.
+          {errorData?.error || 'An error occurred while searching. Please try again.'}
         </Alert>
-      )}
+      ))}
 
-      {data && data.hits.length === 0 && (
-        <Alert severity="info">
-          No results found for your search query.
-        </Alert>
-      )}
+      {data && !error && (
+        <Grid container spacing={3}>
+          {data.facets && (
+            <Grid item xs={12} md={3}>
+              <SearchFacets facets={data.facets as SearchFacetsData} filters={filters} onChange={changeFilters} />
+            </Grid>
+          )}
+          <Grid item xs={12} md={data.facets ? 9 : 12}>
+            {data.hits.length === 0 && (
+              <Alert severity="info">
+                No results found for your search query.
+              </Alert>
+            )}
 
-      {data && data.hits.length > 0 && (
-        <>
-          <List>
-            {data.hits.map((hit: any) => (
-              <ListItem
-                key={hit.id}
-                component={Link}
-                href={`/title/${hit.titleNumber}#${hit.identifier}`}
-                sx={{
-                  '&:hover': {
-                    backgroundColor: 'action.hover',
-                  },
-                  cursor: 'pointer',
-                  borderBottom: '1px solid',
-                  borderColor: 'divider',
-                }}
-              >
-                <ListItemText
-                  primary={
-                    <Box>
-                      <Typography variant="subtitle1" component="span">
-                        {hit.heading || hit.identifier}
-                      </Typography>
-                      <Box sx={{ mt: 0.5 }}>
-                        <Chip
-                          label={`Title ${hit.titleNumber}`}
-                          size="small"
-                          sx={{ mr: 1 }}
-                        />
-                        <Chip
-                          label={hit.documentType}
-                          size="small"
-                          color="primary"
-                          variant="outlined"
-                          sx={{ mr: 1 }}
-                        />
-                        {hit.section && (
-                          <Chip
-                            label={`§ ${hit.section}`}
-                            size="small"
-                            sx={{ mr: 1 }}
-                          />
-                        )}
-                      </Box>
-                    </Box>
-                  }
-                  secondary={
-                    hit.highlights?.content?.map((highlight: string, index: number) => (
-                      <Typography
-                        key={index}
-                        variant="body2"
-                        component="span"
-                        dangerouslySetInnerHTML={{ __html: `...${highlight}...` }}
-                        sx={{ display: 'block', mt: 0.5 }}
+            {data.hits.length > 0 && (
+              <>
+                <List>
+                  {data.hits.map((hit: any) => (
+                    <ListItem
+                      key={hit.id}
+                      component={Link}
+                      href={`/title/${hit.titleNumber}#${hit.identifier}`}
+                      sx={{
+                        '&:hover': {
+                          backgroundColor: 'action.hover',
+                        },
+                        cursor: 'pointer',
+                        borderBottom: '1px solid',
+                        borderColor: 'divider',
+                      }}
+                    >
+                      <ListItemText
+                        primary={
+                          <Box>
+                            <Typography variant="subtitle1" component="span">
+                              {hit.heading || hit.identifier}
+                            </Typography>
+                            <Box sx={{ mt: 0.5 }}>
+                              <Chip
+                                label={`Title ${hit.titleNumber}`}
+                                size="small"
+                                sx={{ mr: 1 }}
+                              />
+                              <Chip
+                                label={hit.type}
+                                size="small"
+                                color="primary"
+                                variant="outlined"
+                                sx={{ mr: 1 }}
+                              />
+                              {hit.section && (
+                                <Chip
+                                  label={`§ ${hit.section}`}
+                                  size="small"
+                                  sx={{ mr: 1 }}
+                                />
+                              )}
+                              {hit.antiquatedScore != null && (
+                                <Chip
+                                  label={`Antiquated ${hit.antiquatedScore}`}
+                                  size="small"
+                                  variant="outlined"
+                                  sx={{ mr: 1 }}
+                                />
+                              )}
+                              {hit.businessUnfriendlyScore != null && (
+                                <Chip
+                                  label={`Burden ${hit.businessUnfriendlyScore}`}
+                                  size="small"
+                                  variant="outlined"
+                                  sx={{ mr: 1 }}
+                                />
+                              )}
+                              {hit.amendmentDate && (
+                                <Chip
+                                  label={`Amended ${new Date(hit.amendmentDate).toLocaleDateString()}`}
+                                  size="small"
+                                  variant="outlined"
+                                  sx={{ mr: 1 }}
+                                />
+                              )}
+                            </Box>
+                          </Box>
+                        }
+                        secondary={
+                          hit.highlights?.content?.map((highlight: string, index: number) => (
+                            <Typography
+                              key={index}
+                              variant="body2"
+                              component="span"
+                              dangerouslySetInnerHTML={{ __html: `...${highlight}...` }}
+                              sx={{ display: 'block', mt: 0.5 }}
+                            />
+                          ))
+                        }
                       />
-                    ))
-                  }
-                />
-              </ListItem>
-            ))}
-          </List>
-
-          {totalPages > 1 && (
-            <Box sx={{ display: 'flex', justifyContent: 'center', mt: 3 }}>
-              <Pagination
-                count={totalPages}
-                page={page}
-                onChange={(e, value) => setPage(value)}
-                color="primary"
-              />
-            </Box>
-          )}
-        </>
+                    </ListItem>
+                  ))}
+                </List>
+
+                {totalPages > 1 && (
+                  <Box sx={{ display: 'flex', justifyContent: 'center', mt: 3 }}>
+                    <Pagination
+                      count={totalPages}
+                      page={page}
+                      onChange={(e, value) => setPage(value)}
+                      color="primary"
+                    />
+                  </Box>
+                )}
+              </>
+            )}
+          </Grid>
+        </Grid>
       )}
     </Paper>
   );
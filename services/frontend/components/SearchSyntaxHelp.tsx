@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import {
+  IconButton,
+  Popover,
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableRow,
+  Tooltip,
+} from '@mui/material';
+import HelpOutlineIcon from '@mui/icons-material/HelpOutline';
+
+const SYNTAX: { example: string; meaning: string }[] = [
+  { example: 'reporting requirement', meaning: 'Both words, anywhere in the document' },
+  { example: '"reporting requirement"', meaning: 'The exact phrase' },
+  { example: 'reporting~5 requirement', meaning: 'Both words within 5 words of each other (also "reporting requirement"~5)' },
+  { example: 'emission OR discharge', meaning: 'Either word' },
+  { example: 'permit NOT temporary', meaning: 'Without the second word (also -temporary)' },
+  { example: '(air OR water) AND quality', meaning: 'Grouping; NOT binds first, then AND, then OR' },
+  { example: 'regulat*', meaning: 'Words starting with regulat (? matches one character)' },
+  { example: 'polution~', meaning: 'Close spellings too (polution~1 for one edit, at most 2)' },
+  { example: 'heading:"air quality"', meaning: 'Only in headings' },
+];
+
+const FIELDS = 'heading:, content:, authority:, source:, title:, identifier:';
+
+export default function SearchSyntaxHelp() {
+  const [anchor, setAnchor] = useState<HTMLElement | null>(null);
+
+  return (
+    <>
+      <Tooltip title="Search syntax">
+        <IconButton onClick={(e) => setAnchor(e.currentTarget)} aria-label="Search syntax help" size="small">
+          <HelpOutlineIcon fontSize="small" />
+        </IconButton>
+      </Tooltip>
+      <Popover
+        open={!!anchor}
+        anchorEl={anchor}
+        onClose={() => setAnchor(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'left' }}
+      >
+        <Box sx={{ p: 2, maxWidth: 520 }}>
+          <Typography variant="subtitle2" gutterBottom>
+            Advanced search syntax
+          </Typography>
+          <Table size="small">
+            <TableBody>
+              {SYNTAX.map(({ example, meaning }) => (
+                <TableRow key={example}>
+                  <TableCell sx={{ fontFamily: 'monospace', whiteSpace: 'nowrap' }}>{example}</TableCell>
+                  <TableCell>{meaning}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+          <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
+            Fields: {FIELDS}. Operators are written in capitals; lowercase and/or/not are searched as words.
+            Simple mode matches any of the words, allowing for typos.
+          </Typography>
+        </Box>
+      </Popover>
+    </>
+  );
+}
@@ -0,0 +1,248 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Chip,
+  CircularProgress,
+  Alert,
+  Accordion,
+  AccordionSummary,
+  AccordionDetails,
+  FormControl,
+  Select,
+  MenuItem,
+  Link,
+} from '@mui/material';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import { useQuery } from 'react-query';
+import axios from 'axios';
+
+interface DiffPart {
+  kind: 'added' | 'removed' | 'unchanged';
+  text: string;
+}
+
+interface Change {
+  identifier: string;
+  type: string;
+  part?: string;
+  section?: string;
+  heading?: string;
+  changeType: 'added' | 'modified' | 'removed';
+  diff: DiffPart[];
+  diffOmitted: boolean;
+}
+
+interface ChangeSet {
+  _id: string;
+  checksum?: string;
+  previousChecksum?: string;
+  baseline: boolean;
+  incomplete: boolean;
+  summary: {
+    added: number;
+    modified: number;
+    removed: number;
+  };
+  changes: Change[];
+  createdAt: string;
+}
+
+interface TitleChangesResponse {
+  titleNumber: number;
+  since: string | null;
+  changeSets: ChangeSet[];
+}
+
+interface TitleChangesProps {
+  titleNumber: number;
+}
+
+const RANGES: { value: string; label: string; days: number | null }[] = [
+  { value: '30', label: 'Last 30 days', days: 30 },
+  { value: '90', label: 'Last 90 days', days: 90 },
+  { value: '365', label: 'Last year', days: 365 },
+  { value: 'all', label: 'All downloads', days: null },
+];
+
+const CHANGE_COLORS: Record<Change['changeType'], 'success' | 'warning' | 'error'> = {
+  added: 'success',
+  modified: 'warning',
+  removed: 'error',
+};
+
+function DiffText({ diff }: { diff: DiffPart[] }) {
+  return (
+    <Typography
+      variant="body2"
+      component="div"
+      sx={{ whiteSpace: 'pre-wrap', bgcolor: 'grey.50', p: 1.5, borderRadius: 1 }}
+    >
+      {diff.map((part, index) => {
+        if (part.kind === 'added') {
+          return (
+            <Box key={index} component="ins" sx={{ bgcolor: '#e6ffec', textDecoration: 'none' }}>
+              {part.text}
+            </Box>
+          );
+        }
+        if (part.kind === 'removed') {
+          return (
+            <Box key={index} component="del" sx={{ bgcolor: '#ffebe9', color: 'text.secondary' }}>
+              {part.text}
+            </Box>
+          );
+        }
+        return <span key={index}>{part.text}</span>;
+      })}
+    </Typography>
+  );
+}
+
+export default function TitleChanges({ titleNumber }: TitleChangesProps) {
+  const [range, setRange] = useState('90');
+
+  const since = (() => {
+    const days = RANGES.find(r => r.value === range)?.days;
+    if (!days) return null;
+    const date = new Date();
+    date.setDate(date.getDate() - days);
+    return date.toISOString().split('T')[0];
+  })();
+
+  const { data, isLoading, error } = useQuery<TitleChangesResponse, Error>(
+    ['titleChanges', titleNumber, since],
+    async () => {
+      const response = await axios.get(`/api/titles/${titleNumber}/changes`, {
+        params: since ? { since } : {},
+      });
+      return response.data;
+    },
+    {
+      enabled: !!titleNumber,
+      staleTime: 5 * 60 * 1000, // Changes only arrive with a refresh
+    }
+  );
+
+  const handleNavigate = (identifier: string) => {
+    // Same mechanism the analysis insights use to open a section in DocumentsList
+    window.location.hash = identifier;
+    window.dispatchEvent(new CustomEvent('navigateToSection', {
+      detail: { sectionId: identifier }
+    }));
+  };
+
+  const changeSets = data?.changeSets || [];
+
+  return (
+    <Paper elevation={3} sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Typography variant="h5" sx={{ fontWeight: 600 }}>
+          What changed
+        </Typography>
+        <FormControl size="small" sx={{ minWidth: 160 }}>
+          <Select value={range} onChange={(e) => setRange(e.target.value)}>
+            {RANGES.map(r => (
+              <MenuItem key={r.value} value={r.value}>{r.label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </Box>
+
+      {isLoading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : error ? (
+        <Alert severity="error">Failed to load changes</Alert>
+      ) : changeSets.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No downloads of this title in this period.
+        </Typography>
+      ) : (
+        changeSets.map(changeSet => {
+          const total = changeSet.summary.added + changeSet.summary.modified + changeSet.summary.removed;
+
+          return (
+            <Accordion key={changeSet._id} disableGutters>
+              <AccordionSummary expandIcon={<ExpandMoreIcon />}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                  <Typography variant="subtitle1" sx={{ mr: 1 }}>
+                    {new Date(changeSet.createdAt).toLocaleDateString()}
+                  </Typography>
+                  {changeSet.baseline ? (
+                    <Chip label="First download" size="small" />
+                  ) : total === 0 ? (
+                    <Chip label="No section changes" size="small" />
+                  ) : (
+                    <>
+                      {changeSet.summary.added > 0 && (
+                        <Chip label={`${changeSet.summary.added} added`} color="success" size="small" variant="outlined" />
+                      )}
+                      {changeSet.summary.modified > 0 && (
+                        <Chip label={`${changeSet.summary.modified} modified`} color="warning" size="small" variant="outlined" />
+                      )}
+                      {changeSet.summary.removed > 0 && (
+                        <Chip label={`${changeSet.summary.removed} removed`} color="error" size="small" variant="outlined" />
+                      )}
+                    </>
+                  )}
+                  {changeSet.incomplete && (
+                    <Chip label="Incomplete" color="error" size="small" />
+                  )}
+                </Box>
+              </AccordionSummary>
+              <AccordionDetails>
+                {changeSet.incomplete && (
+                  <Alert severity="warning" sx={{ mb: 2 }}>
+                    Parsing failed during this download, so removed sections were not detected.
+                  </Alert>
+                )}
+                {changeSet.changes.length === 0 ? (
+                  <Typography variant="body2" color="text.secondary">
+                    {changeSet.baseline
+                      ? 'This was the first download of the title, so there is nothing to compare against.'
+                      : 'The XML changed, but no section text did.'}
+                  </Typography>
+                ) : (
+                  changeSet.changes.map(change => (
+                    <Box key={`${change.changeType}-${change.identifier}`} sx={{ mb: 2 }}>
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                        <Chip
+                          label={change.changeType}
+                          color={CHANGE_COLORS[change.changeType]}
+                          size="small"
+                        />
+                        {change.changeType === 'removed' ? (
+                          <Typography variant="subtitle2">
+                            {change.heading || change.identifier}
+                          </Typography>
+                        ) : (
+                          <Link
+                            component="button"
+                            variant="subtitle2"
+                            onClick={() => handleNavigate(change.identifier)}
+                          >
+                            {change.heading || change.identifier}
+                          </Link>
+                        )}
+                      </Box>
+                      {change.diffOmitted ? (
+                        <Typography variant="caption" color="text.secondary">
+                          Text diff not stored for this change
+                        </Typography>
+                      ) : (
+                        <DiffText diff={change.diff} />
+                      )}
+                    </Box>
+                  ))
+                )}
+              </AccordionDetails>
+            </Accordion>
+          );
+        })
+      )}
+    </Paper>
+  );
+}
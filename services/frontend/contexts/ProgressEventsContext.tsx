@@ -0,0 +1,79 @@
+import React, { createContext, useContext, useEffect, useRef, useCallback, ReactNode } from 'react';
+
+export type ProgressEventType = 'refresh' | 'analysis' | 'analysis-thread' | 'index-rebuild';
+
+type Listener = (data: any) => void;
+
+interface ProgressEventsContextType {
+  subscribe: (event: ProgressEventType, listener: Listener) => () => void;
+}
+
+const ProgressEventsContext = createContext<ProgressEventsContextType | undefined>(undefined);
+
+const EVENT_TYPES: ProgressEventType[] = ['refresh', 'analysis', 'analysis-thread', 'index-rebuild'];
+
+/**
+ * Calls the handler with each progress event of a type from /api/events. The page
+ * shares one connection, which stays open while any component is subscribed.
+ */
+export const useProgressEvents = (event: ProgressEventType, handler: Listener) => {
+  const context = useContext(ProgressEventsContext);
+  if (!context) {
+    throw new Error('useProgressEvents must be used within a ProgressEventsProvider');
+  }
+
+  // Subscribe once, calling whichever handler was rendered last
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  const { subscribe } = context;
+  useEffect(() => subscribe(event, (data) => handlerRef.current(data)), [subscribe, event]);
+};
+
+export const ProgressEventsProvider = ({ children }: { children: ReactNode }) => {
+  const sourceRef = useRef<EventSource | null>(null);
+  const listenersRef = useRef(new Map<ProgressEventType, Set<Listener>>());
+
+  const listenerCount = () =>
+    Array.from(listenersRef.current.values()).reduce((count, listeners) => count + listeners.size, 0);
+
+  const close = () => {
+    sourceRef.current?.close();
+    sourceRef.current = null;
+  };
+
+  const subscribe = useCallback((event: ProgressEventType, listener: Listener) => {
+    const listeners = listenersRef.current;
+    if (!listeners.has(event)) {
+      listeners.set(event, new Set());
+    }
+    listeners.get(event)!.add(listener);
+
+    // EventSource reconnects by itself after an error
+    if (!sourceRef.current) {
+      const source = new EventSource('/api/events');
+      EVENT_TYPES.forEach((type) => {
+        source.addEventListener(type, (message) => {
+          const data = JSON.parse((message as MessageEvent).data);
+          listeners.get(type)?.forEach((callback) => callback(data));
+        });
+      });
+      sourceRef.current = source;
+    }
+
+    return () => {
+      listeners.get(event)?.delete(listener);
+      if (listenerCount() === 0) {
+        close();
+      }
+    };
+  }, []);
+
+  useEffect(() => close, []);
+
+  return (
+    <ProgressEventsContext.Provider value={{ subscribe }}>
+      {children}
+    </ProgressEventsContext.Provider>
+  );
+};
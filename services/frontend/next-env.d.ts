@@ -2,4 +2,4 @@
 /// <reference types="next/image-types/global" />
 
 // NOTE: This file should not be edited
-// see https://nextjs.org/docs/basic-features/typescript for more information.
\ No newline at end of file
+// see https://nextjs.org/docs/basic-features/typescript for more information.
@@ -4,6 +4,7 @@ import GlobalStyles from '@mui/material/GlobalStyles';
 import { QueryClient, QueryClientProvider } from 'react-query';
 import { ReactQueryDevtools } from 'react-query/devtools';
 import { ThemeProvider } from '../contexts/ThemeContext';
+import { ProgressEventsProvider } from '../contexts/ProgressEventsContext';
 
 const queryClient = new QueryClient({
   defaultOptions: {
@@ -36,10 +37,12 @@ export default function App({ Component, pageProps }: AppProps) {
   return (
     <QueryClientProvider client={queryClient}>
       <ThemeProvider>
-        <CssBaseline />
-        {globalStyles}
-        <Component {...pageProps} />
-        <ReactQueryDevtools initialIsOpen={false} />
+        <ProgressEventsProvider>
+          <CssBaseline />
+          {globalStyles}
+          <Component {...pageProps} />
+          <ReactQueryDevtools initialIsOpen={false} />
+        </ProgressEventsProvider>
       </ThemeProvider>
     </QueryClientProvider>
   );
@@ -0,0 +1,303 @@
+import React, { useMemo, useState } from 'react';
+import Head from 'next/head';
+import {
+  Container,
+  Typography,
+  Box,
+  Paper,
+  Grid,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  InputAdornment,
+} from '@mui/material';
+import SearchIcon from '@mui/icons-material/Search';
+import { useQuery } from 'react-query';
+import { useRouter } from 'next/router';
+import axios from 'axios';
+import Navigation from '../components/Navigation';
+
+interface AgencyChapter {
+  titleNumber: number;
+  chapter: string;
+  identifier: string;
+  heading: string;
+}
+
+interface Agency {
+  slug: string;
+  name: string;
+  shortName?: string;
+  chapters: AgencyChapter[];
+  titles: number[];
+  sectionCount: number;
+  wordCount: number;
+}
+
+interface AgencyMetrics {
+  agency: Omit<Agency, 'titles' | 'sectionCount' | 'wordCount'>;
+  metrics: {
+    wordCount: number;
+    sectionCount: number;
+    analyzedSections: number;
+    avgAntiquatedScore: number | null;
+    avgBusinessUnfriendlyScore: number | null;
+    keywordFrequency: Record<string, number>;
+    chaptersAnalyzed: number;
+    lastAnalyzed: string | null;
+  };
+}
+
+const getScoreColor = (score: number) => {
+  if (score <= 30) return '#4caf50';
+  if (score <= 60) return '#ff9800';
+  return '#f44336';
+};
+
+// Keyword keys are camelCased phrases: "reportingRequirement" reads as "reporting requirement"
+const keywordLabel = (key: string) => key.replace(/([A-Z])/g, ' $1').toLowerCase();
+
+function AgencyDetails({ slug }: { slug: string }) {
+  const router = useRouter();
+
+  const { data, isLoading, error } = useQuery<AgencyMetrics>(
+    ['agencyMetrics', slug],
+    async () => {
+      const response = await axios.get(`/api/agencies/${encodeURIComponent(slug)}/metrics`);
+      return response.data;
+    },
+    { staleTime: 5 * 60 * 1000 }
+  );
+
+  if (isLoading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error || !data) {
+    return <Alert severity="error">Failed to load agency metrics</Alert>;
+  }
+
+  const { agency, metrics } = data;
+  const scoreCard = (label: string, score: number | null) => (
+    <Card variant="outlined">
+      <CardContent>
+        <Typography color="text.secondary" gutterBottom>
+          {label}
+        </Typography>
+        <Typography variant="h5" sx={{ color: score === null ? 'text.secondary' : getScoreColor(score) }}>
+          {score === null ? '—' : Math.round(score)}
+        </Typography>
+      </CardContent>
+    </Card>
+  );
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Typography variant="h5" sx={{ fontWeight: 600 }}>
+        {agency.name}
+        {agency.shortName && (
+          <Typography component="span" variant="h6" color="text.secondary" sx={{ ml: 1 }}>
+            ({agency.shortName})
+          </Typography>
+        )}
+      </Typography>
+
+      <Grid container spacing={2} sx={{ my: 2 }}>
+        <Grid item xs={6} md={3}>
+          <Card variant="outlined">
+            <CardContent>
+              <Typography color="text.secondary" gutterBottom>
+                Words
+              </Typography>
+              <Typography variant="h5">{metrics.wordCount.toLocaleString()}</Typography>
+            </CardContent>
+          </Card>
+        </Grid>
+        <Grid item xs={6} md={3}>
+          <Card variant="outlined">
+            <CardContent>
+              <Typography color="text.secondary" gutterBottom>
+                Sections
+              </Typography>
+              <Typography variant="h5">{metrics.sectionCount.toLocaleString()}</Typography>
+              <Typography variant="caption" color="text.secondary">
+                {metrics.analyzedSections.toLocaleString()} analyzed
+              </Typography>
+            </CardContent>
+          </Card>
+        </Grid>
+        <Grid item xs={6} md={3}>
+          {scoreCard('Avg. Antiquated Score', metrics.avgAntiquatedScore)}
+        </Grid>
+        <Grid item xs={6} md={3}>
+          {scoreCard('Avg. Burden Score', metrics.avgBusinessUnfriendlyScore)}
+        </Grid>
+      </Grid>
+
+      <Typography variant="subtitle2" gutterBottom>
+        Keywords
+      </Typography>
+      {metrics.chaptersAnalyzed === 0 ? (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          The text metrics analysis has not covered this agency&apos;s chapters yet.
+        </Typography>
+      ) : (
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+          {Object.entries(metrics.keywordFrequency)
+            .sort(([, a], [, b]) => b - a)
+            .map(([keyword, count]) => (
+              <Chip key={keyword} label={`${keywordLabel(keyword)}: ${count.toLocaleString()}`} size="small" />
+            ))}
+        </Box>
+      )}
+
+      <Typography variant="subtitle2" gutterBottom>
+        Chapters
+      </Typography>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+        {agency.chapters.map((chapter) => (
+          <Chip
+            key={chapter.identifier}
+            label={`${chapter.titleNumber} CFR Chapter ${chapter.chapter}`}
+            title={chapter.heading}
+            size="small"
+            variant="outlined"
+            color="primary"
+            clickable
+            onClick={() => router.push(`/title/${chapter.titleNumber}`)}
+          />
+        ))}
+      </Box>
+    </Paper>
+  );
+}
+
+export default function AgenciesPage() {
+  const router = useRouter();
+  const [filter, setFilter] = useState('');
+  const selected = typeof router.query.agency === 'string' ? router.query.agency : null;
+
+  const { data: agencies, isLoading, error } = useQuery<Agency[]>(
+    'agencies',
+    async () => {
+      const response = await axios.get('/api/agencies');
+      return response.data.agencies;
+    },
+    { staleTime: 5 * 60 * 1000 } // The registry only changes with a refresh
+  );
+
+  const visible = useMemo(() => {
+    const text = filter.trim().toLowerCase();
+    return (agencies || []).filter(agency =>
+      !text || agency.name.toLowerCase().includes(text) || agency.shortName?.toLowerCase().includes(text)
+    );
+  }, [agencies, filter]);
+
+  const handleSelect = (slug: string) => {
+    router.push({ pathname: '/agencies', query: { agency: slug } }, undefined, { shallow: true });
+  };
+
+  return (
+    <>
+      <Head>
+        <title>Agencies - eCFR Navigator</title>
+        <meta name="description" content="Federal regulations by issuing agency" />
+      </Head>
+
+      <Navigation />
+
+      <Container maxWidth="lg">
+        <Box sx={{ my: 4 }}>
+          <Typography variant="h4" sx={{ fontWeight: 600, mb: 3 }}>
+            Agencies
+          </Typography>
+
+          {selected && (
+            <Box sx={{ mb: 3 }}>
+              <AgencyDetails slug={selected} />
+            </Box>
+          )}
+
+          {isLoading ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+              <CircularProgress />
+            </Box>
+          ) : error ? (
+            <Alert severity="error">Failed to load agencies</Alert>
+          ) : agencies && agencies.length === 0 ? (
+            <Alert severity="info">
+              No agencies yet. The registry is built from chapter headings when titles are downloaded.
+            </Alert>
+          ) : (
+            <>
+              <TextField
+                size="small"
+                placeholder="Filter agencies"
+                value={filter}
+                onChange={(e) => setFilter(e.target.value)}
+                sx={{ mb: 2, width: { xs: '100%', md: 360 } }}
+                InputProps={{
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <SearchIcon />
+                    </InputAdornment>
+                  ),
+                }}
+              />
+              <TableContainer component={Paper}>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Agency</TableCell>
+                      <TableCell>Titles</TableCell>
+                      <TableCell align="right">Chapters</TableCell>
+                      <TableCell align="right">Sections</TableCell>
+                      <TableCell align="right">Words</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {visible.map((agency) => (
+                      <TableRow
+                        key={agency.slug}
+                        hover
+                        selected={agency.slug === selected}
+                        onClick={() => handleSelect(agency.slug)}
+                        sx={{ cursor: 'pointer' }}
+                      >
+                        <TableCell>
+                          {agency.name}
+                          {agency.shortName && (
+                            <Typography component="span" variant="body2" color="text.secondary" sx={{ ml: 1 }}>
+                              ({agency.shortName})
+                            </Typography>
+                          )}
+                        </TableCell>
+                        <TableCell>{agency.titles.join(', ')}</TableCell>
+                        <TableCell align="right">{agency.chapters.length}</TableCell>
+                        <TableCell align="right">{agency.sectionCount.toLocaleString()}</TableCell>
+                        <TableCell align="right">{agency.wordCount.toLocaleString()}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </>
+          )}
+        </Box>
+      </Container>
+    </>
+  );
+}
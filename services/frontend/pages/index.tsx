@@ -16,6 +16,8 @@ import {
   MenuItem,
   FormControl,
   InputLabel,
+  FormControlLabel,
+  Switch,
 } from '@mui/material';
 import SearchIcon from '@mui/icons-material/Search';
 import { useQuery } from 'react-query';
@@ -25,11 +27,13 @@ import TitlesList from '../components/TitlesList';
 import AggregateMetrics from '../components/AggregateMetrics';
 import HighlightedSections from '../components/HighlightedSections';
 import Navigation from '../components/Navigation';
+import SearchSyntaxHelp from '../components/SearchSyntaxHelp';
 
 type SortOption = 'number' | 'recent' | 'oldest' | 'wordCount';
 
 export default function Home() {
   const [searchQuery, setSearchQuery] = useState('');
+  const [advancedSearch, setAdvancedSearch] = useState(false);
   const [searchParams, setSearchParams] = useState({});
   const [isSearching, setIsSearching] = useState(false);
   const [sortBy, setSortBy] = useState<SortOption>('number');
@@ -53,7 +57,7 @@ export default function Home() {
   const handleSearch = (e: React.FormEvent) => {
     e.preventDefault();
     if (searchQuery.trim()) {
-      setSearchParams({ query: searchQuery });
+      setSearchParams({ query: searchQuery, mode: advancedSearch ? 'advanced' : 'simple' });
       setIsSearching(true);
     }
   };
@@ -116,8 +120,25 @@ export default function Home() {
                     variant="outlined"
                     value={searchQuery}
                     onChange={(e) => setSearchQuery(e.target.value)}
-                    placeholder="Enter keywords, title, part, section..."
+                    placeholder={
+                      advancedSearch
+                        ? 'e.g. heading:"air quality" AND (permit OR license) -temporary'
+                        : 'Enter keywords, title, part, section...'
+                    }
                   />
+                  <Box sx={{ display: 'flex', alignItems: 'center', mt: 1 }}>
+                    <FormControlLabel
+                      control={
+                        <Switch
+                          size="small"
+                          checked={advancedSearch}
+                          onChange={(e) => setAdvancedSearch(e.target.checked)}
+                        />
+                      }
+                      label={<Typography variant="body2">Advanced syntax</Typography>}
+                    />
+                    <SearchSyntaxHelp />
+                  </Box>
                 </Grid>
                 <Grid item xs={12} md={2}>
                   <Button
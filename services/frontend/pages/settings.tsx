@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useRef } from 'react';
 import Head from 'next/head';
 import { useRouter } from 'next/router';
 import {
@@ -42,6 +42,9 @@ import SyncIcon from '@mui/icons-material/Sync';
 import MenuBookIcon from '@mui/icons-material/MenuBook';
 import AnalyticsIcon from '@mui/icons-material/Analytics';
 import StopIcon from '@mui/icons-material/Stop';
+import PauseIcon from '@mui/icons-material/Pause';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import ReplayIcon from '@mui/icons-material/Replay';
 import SearchIcon from '@mui/icons-material/Search';
 import BuildIcon from '@mui/icons-material/Build';
 import RadioButtonUncheckedIcon from '@mui/icons-material/RadioButtonUnchecked';
@@ -50,11 +53,15 @@ import DeleteIcon from '@mui/icons-material/Delete';
 import AddIcon from '@mui/icons-material/Add';
 import RestoreIcon from '@mui/icons-material/Restore';
 import LabelIcon from '@mui/icons-material/Label';
+import UndoIcon from '@mui/icons-material/Undo';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import axios from 'axios';
 import Navigation from '../components/Navigation';
 import { useTheme } from '../contexts/ThemeContext';
 import AnalysisThreadsControl from '../components/AnalysisThreadsControl';
+import RefreshScheduleSettings from '../components/RefreshScheduleSettings';
+import IngestReports from '../components/IngestReports';
+import { useProgressEvents, ProgressEventType } from '../contexts/ProgressEventsContext';
 
 
 interface ServiceStatus {
@@ -67,11 +74,42 @@ interface ServiceStatus {
     processedTitles?: number;
     totalTitles?: number;
     failedTitles?: number;
+    currentTitles?: { number: number; name?: string }[];
     error?: string;
   } | null;
   details?: any;
 }
 
+// A run in one of these has started and not finished; paused runs wait between titles
+const activeRunStatuses = ['in_progress', 'paused', 'cancelling'];
+
+// Progress events that update a service's latest run between health checks
+const latestRunEvents: Record<string, { event: ProgressEventType; toLatestRun: (progress: any) => ServiceStatus['latestRun'] }> = {
+  'data-refresh': {
+    event: 'refresh',
+    toLatestRun: (progress) => ({
+      startTime: progress.createdAt,
+      endTime: progress.completedAt,
+      status: progress.status,
+      processedTitles: progress.processedTitles,
+      totalTitles: progress.totalTitles,
+      failedTitles: progress.failedTitles?.length || 0,
+      currentTitles: progress.currentTitles,
+    }),
+  },
+  'data-analysis': {
+    event: 'analysis',
+    toLatestRun: (progress) => ({
+      startTime: progress.startTime,
+      endTime: progress.endTime,
+      status: progress.status,
+      processedTitles: progress.processedTitles || 0,
+      totalTitles: progress.totalTitles || 0,
+      error: progress.error,
+    }),
+  },
+};
+
 const ServiceStatusCard: React.FC<{
   title: string;
   serviceKey: string;
@@ -79,7 +117,13 @@ const ServiceStatusCard: React.FC<{
   isTriggering: boolean;
   onStop?: () => void;
   isStopping?: boolean;
-}> = ({ title, serviceKey, onTrigger, isTriggering, onStop, isStopping }) => {
+  onPause?: () => void;
+  onResume?: () => void;
+  isPausing?: boolean;
+  onReparse?: () => void;
+  isReparsing?: boolean;
+}> = ({ title, serviceKey, onTrigger, isTriggering, onStop, isStopping, onPause, onResume, isPausing, onReparse, isReparsing }) => {
+  const queryClient = useQueryClient();
   const { data: status, isLoading, error } = useQuery<ServiceStatus>(
     ['service-status', serviceKey],
     async () => {
@@ -87,10 +131,23 @@ const ServiceStatusCard: React.FC<{
       return response.data;
     },
     {
-      refetchInterval: 10000, // Refresh every 10 seconds
+      refetchInterval: 60000, // Health checks; run progress arrives as events
     }
   );
 
+  const { event, toLatestRun } = latestRunEvents[serviceKey];
+  useProgressEvents(event, (progress) => {
+    const latestRun = toLatestRun(progress);
+    queryClient.setQueryData<ServiceStatus | undefined>(['service-status', serviceKey], (current) => {
+      // Leave the latest run alone when an older run changes
+      const shownStart = current?.latestRun?.startTime;
+      if (!current || (shownStart && latestRun?.startTime && latestRun.startTime < shownStart)) {
+        return current;
+      }
+      return { ...current, latestRun };
+    });
+  });
+
   const getStatusColor = (status?: string) => {
     switch (status) {
       case 'healthy':
@@ -117,6 +174,8 @@ const ServiceStatusCard: React.FC<{
     }
   };
 
+  const runStatus = status?.latestRun?.status;
+
   const formatDate = (dateString?: string) => {
     if (!dateString) return 'N/A';
     return new Date(dateString).toLocaleString();
@@ -184,7 +243,8 @@ const ServiceStatusCard: React.FC<{
                 label={status.latestRun.status}
                 size="small"
                 color={status.latestRun.status === 'completed' ? 'success' : 
-                       status.latestRun.status === 'failed' ? 'error' : 'default'}
+                       status.latestRun.status === 'failed' ? 'error' :
+                       status.latestRun.status === 'paused' || status.latestRun.status === 'cancelled' ? 'warning' : 'default'}
               />
               
               {status.latestRun.processedTitles !== undefined && (
@@ -200,6 +260,12 @@ const ServiceStatusCard: React.FC<{
               )}
             </Box>
 
+            {activeRunStatuses.includes(status.latestRun.status) && status.latestRun.currentTitles && status.latestRun.currentTitles.length > 0 && (
+              <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 0.5 }}>
+                Processing {status.latestRun.currentTitles.length === 1 ? 'title' : 'titles'} {status.latestRun.currentTitles.map((t) => t.number).join(', ')}
+              </Typography>
+            )}
+
             {status.latestRun.error && (
               <Alert severity="error" sx={{ mt: 1, py: 0.5 }}>
                 <Typography variant="caption">{status.latestRun.error}</Typography>
@@ -220,11 +286,54 @@ const ServiceStatusCard: React.FC<{
           size="small"
           startIcon={<RefreshIcon />}
           onClick={onTrigger}
-          disabled={isTriggering || status?.latestRun?.status === 'in_progress' || isStopping}
+          disabled={isTriggering || activeRunStatuses.includes(runStatus || '') || isStopping}
           variant="contained"
         >
           {isTriggering ? 'Triggering...' : 'Trigger Manually'}
         </Button>
+        {serviceKey === 'data-refresh' && onReparse && !activeRunStatuses.includes(runStatus || '') && (
+          <Button
+            size="small"
+            startIcon={<ReplayIcon />}
+            onClick={onReparse}
+            disabled={isReparsing || isTriggering}
+            variant="outlined"
+            sx={{ ml: 1 }}
+          >
+            {isReparsing ? 'Starting...' : 'Re-parse Stored XML'}
+          </Button>
+        )}
+        {serviceKey === 'data-refresh' && onPause && onResume && onStop && activeRunStatuses.includes(runStatus || '') && (
+          <>
+            {runStatus === 'paused' ? (
+              <Button size="small" startIcon={<PlayArrowIcon />} onClick={onResume} disabled={isPausing} variant="outlined" sx={{ ml: 1 }}>
+                Resume
+              </Button>
+            ) : (
+              <Button
+                size="small"
+                startIcon={<PauseIcon />}
+                onClick={onPause}
+                disabled={isPausing || runStatus === 'cancelling'}
+                variant="outlined"
+                sx={{ ml: 1 }}
+              >
+                Pause
+              </Button>
+            )}
+            <Button
+              size="small"
+              startIcon={<StopIcon />}
+              onClick={onStop}
+              disabled={isStopping || runStatus === 'cancelling'}
+              variant="outlined"
+              color="error"
+              sx={{ ml: 1 }}
+            >
+              {isStopping || runStatus === 'cancelling' ? 'Cancelling...' : 'Cancel Refresh'}
+            </Button>
+          </>
+        )}
         {serviceKey === 'data-analysis' && status?.latestRun?.status === 'in_progress' && onStop && (
           <Button
             size="small"
@@ -277,6 +386,50 @@ export default function Settings() {
   );
 
 
+  // Cancel, pause and resume act on the running refresh; the card updates from its progress events
+  const refreshControlMutation = (action: 'cancel' | 'pause' | 'resume', done: string) => ({
+    mutationFn: async () => {
+      const response = await axios.post(`/api/services/data-refresh/${action}`);
+      return response.data;
+    },
+    onSuccess: () => {
+      setSuccessMessage(done);
+      setErrorMessage(null);
+      setTimeout(() => setSuccessMessage(null), 5000);
+    },
+    onError: (error: any) => {
+      setErrorMessage(error.response?.data?.error || `Failed to ${action} refresh`);
+      setSuccessMessage(null);
+      setTimeout(() => setErrorMessage(null), 5000);
+    },
+  });
+  const cancelRefreshMutation = useMutation(
+    refreshControlMutation('cancel', 'Refresh will stop at the next title or batch; documents already stored are kept')
+  );
+  const pauseRefreshMutation = useMutation(refreshControlMutation('pause', 'Refresh will pause at the next title or batch'));
+  const resumeRefreshMutation = useMutation(refreshControlMutation('resume', 'Refresh resumed'));
+
+  // Runs the stored XML of every title through the parser again; nothing is downloaded
+  const reparseMutation = useMutation(
+    async () => {
+      const response = await axios.post('/api/services/data-refresh/reparse');
+      return response.data;
+    },
+    {
+      onSuccess: () => {
+        setSuccessMessage('Re-parse triggered; every title will be parsed again from its stored XML');
+        setErrorMessage(null);
+        queryClient.invalidateQueries(['service-status', 'data-refresh']);
+        setTimeout(() => setSuccessMessage(null), 5000);
+      },
+      onError: (error: any) => {
+        setErrorMessage(error.response?.data?.error || 'Failed to trigger re-parse');
+        setSuccessMessage(null);
+        setTimeout(() => setErrorMessage(null), 5000);
+      },
+    }
+  );
+
   const triggerSingleTitleMutation = useMutation(
     async (titleNum: string) => {
       const response = await axios.post(`/api/services/data-refresh/trigger-title`, {
@@ -285,13 +438,12 @@ export default function Settings() {
       return response.data;
     },
     {
-      onSuccess: (data) => {
+      onSuccess: () => {
         setSuccessMessage(`Title ${titleNumber} refresh triggered successfully`);
         setErrorMessage(null);
         setTitleNumber('');
         queryClient.invalidateQueries(['service-status', 'data-refresh']);
-        // Start polling for progress
-        pollTitleRefreshProgress(data.refreshId);
+        watchingTitleRefresh.current = true;
         setTimeout(() => setSuccessMessage(null), 5000);
       },
       onError: (error: any) => {
@@ -302,26 +454,18 @@ export default function Settings() {
     }
   );
 
-  // Poll for single title refresh progress
-  const pollTitleRefreshProgress = async (refreshId: string) => {
-    try {
-      const response = await axios.get(`/api/refresh/progress?type=single_title`);
-      const progress = response.data;
-      
-      if (progress.status === 'in_progress') {
-        setTitleRefreshProgress(progress);
-        // Continue polling
-        setTimeout(() => pollTitleRefreshProgress(refreshId), 2000);
-      } else if (progress.status === 'completed' || progress.status === 'failed') {
-        setTitleRefreshProgress(progress);
-        // Stop polling after a delay
-        setTimeout(() => setTitleRefreshProgress(null), 10000);
-      }
-    } catch (error) {
-      console.error('Failed to poll refresh progress:', error);
-      setTitleRefreshProgress(null);
+  // Show the progress of single title refreshes from the time one is triggered until it finishes
+  const watchingTitleRefresh = useRef(false);
+  useProgressEvents('refresh', (progress) => {
+    if (!watchingTitleRefresh.current || progress.type !== 'single_title' || progress.status === 'pending') {
+      return;
     }
-  };
+    setTitleRefreshProgress(progress);
+    if (progress.status === 'completed' || progress.status === 'failed' || progress.status === 'cancelled') {
+      watchingTitleRefresh.current = false;
+      setTimeout(() => setTitleRefreshProgress(null), 10000);
+    }
+  });
 
   const triggerSingleTitleAnalysisMutation = useMutation(
     async (titleNum: string) => {
@@ -331,13 +475,12 @@ export default function Settings() {
       return response.data;
     },
     {
-      onSuccess: (data) => {
+      onSuccess: () => {
         setSuccessMessage(`Title ${analysisTitleNumber} analysis triggered successfully`);
         setErrorMessage(null);
         setAnalysisTitleNumber('');
         queryClient.invalidateQueries(['service-status', 'data-analysis']);
-        // Start polling for progress
-        pollTitleAnalysisProgress(data.analysisId);
+        watchingTitleAnalysis.current = true;
         setTimeout(() => setSuccessMessage(null), 5000);
       },
       onError: (error: any) => {
@@ -348,26 +491,18 @@ export default function Settings() {
     }
   );
 
-  // Poll for single title analysis progress
-  const pollTitleAnalysisProgress = async (analysisId: string) => {
-    try {
-      const response = await axios.get(`/api/analysis/progress?type=single_title`);
-      const progress = response.data;
-      
-      if (progress && progress.status === 'in_progress') {
-        setTitleAnalysisProgress(progress);
-        // Continue polling
-        setTimeout(() => pollTitleAnalysisProgress(analysisId), 2000);
-      } else if (progress && (progress.status === 'completed' || progress.status === 'failed' || progress.status === 'cancelled')) {
-        setTitleAnalysisProgress(progress);
-        // Stop polling after a delay
-        setTimeout(() => setTitleAnalysisProgress(null), 10000);
-      }
-    } catch (error) {
-      console.error('Failed to poll analysis progress:', error);
-      setTitleAnalysisProgress(null);
+  // Same for single title analyses
+  const watchingTitleAnalysis = useRef(false);
+  useProgressEvents('analysis', (progress) => {
+    if (!watchingTitleAnalysis.current || progress.type !== 'single_title' || progress.status === 'pending') {
+      return;
     }
-  };
+    setTitleAnalysisProgress(progress);
+    if (progress.status === 'completed' || progress.status === 'failed' || progress.status === 'cancelled') {
+      watchingTitleAnalysis.current = false;
+      setTimeout(() => setTitleAnalysisProgress(null), 10000);
+    }
+  });
 
   const validateTitleNumber = (value: string) => {
     const num = parseInt(value);
@@ -454,14 +589,35 @@ export default function Settings() {
     async () => {
       const response = await axios.get(`/api/services/search-index/status`);
       return response.data;
+    }
+  );
+
+  // Rebuilds are one at a time, so the one that changed is the latest
+  useProgressEvents('index-rebuild', (latestRebuild) => {
+    queryClient.setQueryData('search-index-status', (current: any) => ({ ...current, service: 'search-index', latestRebuild }));
+    // A finished rebuild makes its index live under the current schema
+    if (latestRebuild.status === 'completed' || latestRebuild.status === 'failed') {
+      refetchIndexStatus();
+    }
+  });
+
+  // Point searches back at the index the last rebuild replaced
+  const rollbackIndexMutation = useMutation(
+    async () => {
+      const response = await axios.post(`/api/services/search-index/rollback`);
+      return response.data;
     },
     {
-      refetchInterval: (data) => {
-        // Poll every 2 seconds if rebuilding
-        if (data?.latestRebuild?.status === 'in_progress') {
-          return 2000;
-        }
-        return false;
+      onSuccess: (data) => {
+        setSuccessMessage(data.message);
+        setErrorMessage(null);
+        queryClient.invalidateQueries('search-index-status');
+        setTimeout(() => setSuccessMessage(null), 5000);
+      },
+      onError: (error: any) => {
+        setErrorMessage(error.response?.data?.error || 'Failed to roll back the search index');
+        setSuccessMessage(null);
+        setTimeout(() => setErrorMessage(null), 5000);
       },
     }
   );
@@ -562,9 +718,26 @@ export default function Settings() {
                 serviceKey="data-refresh"
                 onTrigger={() => triggerRefreshMutation.mutate()}
                 isTriggering={triggerRefreshMutation.isLoading}
+                onStop={() => cancelRefreshMutation.mutate()}
+                isStopping={cancelRefreshMutation.isLoading}
+                onPause={() => pauseRefreshMutation.mutate()}
+                onResume={() => resumeRefreshMutation.mutate()}
+                isPausing={pauseRefreshMutation.isLoading || resumeRefreshMutation.isLoading}
+                onReparse={() => reparseMutation.mutate()}
+                isReparsing={reparseMutation.isLoading}
               />
             </Grid>
 
+            {/* Refresh Schedule */}
+            <Grid item xs={12}>
+              <RefreshScheduleSettings />
+            </Grid>
+
+            {/* Parser Diagnostics */}
+            <Grid item xs={12}>
+              <IngestReports />
+            </Grid>
+
             {/* Analysis Threads Control */}
             <Grid item xs={12}>
               <AnalysisThreadsControl />
@@ -671,12 +844,27 @@ export default function Settings() {
                   
                   {titleRefreshProgress && (
                     <Box mb={3}>
-                      <Alert severity={titleRefreshProgress.status === 'failed' ? 'error' : 'info'}>
+                      <Alert
+                        severity={
+                          titleRefreshProgress.status === 'failed' ? 'error' :
+                          titleRefreshProgress.status === 'cancelled' ? 'warning' : 'info'
+                        }
+                      >
                         <Typography variant="body2">
-                          {titleRefreshProgress.status === 'in_progress' ? (
+                          {titleRefreshProgress.status === 'paused' || titleRefreshProgress.status === 'cancelling' ? (
+                            <>
+                              <PauseIcon fontSize="small" sx={{ verticalAlign: 'middle', mr: 1 }} />
+                              Title {titleRefreshProgress.currentTitles?.[0]?.number} refresh {titleRefreshProgress.status === 'paused' ? 'paused' : 'stopping'}
+                            </>
+                          ) : titleRefreshProgress.status === 'cancelled' ? (
+                            <>
+                              <StopIcon fontSize="small" sx={{ verticalAlign: 'middle', mr: 1 }} />
+                              Refresh cancelled; the title keeps its previous documents.
+                            </>
+                          ) : titleRefreshProgress.status === 'in_progress' ? (
                             <>
                               <SyncIcon fontSize="small" sx={{ animation: 'spin 2s linear infinite', verticalAlign: 'middle', mr: 1 }} />
-                              Processing Title {titleRefreshProgress.currentTitle?.number}: {titleRefreshProgress.currentTitle?.name}
+                              Processing Title {titleRefreshProgress.currentTitles?.[0]?.number}: {titleRefreshProgress.currentTitles?.[0]?.name}
                             </>
                           ) : titleRefreshProgress.status === 'completed' ? (
                             <>
@@ -850,8 +1038,29 @@ export default function Settings() {
                 <CardContent>
                   <Typography variant="body2" color="text.secondary" paragraph>
                     Rebuild the Elasticsearch search index to ensure all documents are properly indexed and searchable.
-                    This process will delete the existing index and re-index all documents from the database.
+                    Documents are re-indexed from the database into a new index, and searches switch to it once it is
+                    complete.
                   </Typography>
+
+                  {searchIndexStatus?.liveIndex && (
+                    <Typography variant="body2" sx={{ mb: 2 }}>
+                      Live index: <code>{searchIndexStatus.liveIndex}</code>
+                      {searchIndexStatus.indexes?.length > 1 && (
+                        <Typography component="span" variant="caption" color="text.secondary">
+                          {' '}({searchIndexStatus.indexes.length - 1} other{searchIndexStatus.indexes.length > 2 ? 's' : ''} kept
+                          for up to {searchIndexStatus.retentionHours} hours after being replaced)
+                        </Typography>
+                      )}
+                    </Typography>
+                  )}
+
+                  {searchIndexStatus?.schema?.rebuildRequired && (
+                    <Alert severity="warning" sx={{ mb: 2 }}>
+                      The search index was built with schema version {searchIndexStatus.schema.indexVersion}; the current
+                      version is {searchIndexStatus.schema.schemaVersion}. Rebuild it to apply the current analyzers and
+                      field mappings. Until then, some filters may miss documents.
+                    </Alert>
+                  )}
                   
                   {searchIndexStatus?.latestRebuild && (
                     <Box mb={3}>
@@ -913,41 +1122,43 @@ export default function Settings() {
                               <List dense sx={{ mt: 0 }}>
                                 <ListItem sx={{ py: 0 }}>
                                   <ListItemIcon sx={{ minWidth: 30 }}>
-                                    {searchIndexStatus.latestRebuild.operations.deleteIndex?.completed ? 
+                                    {searchIndexStatus.latestRebuild.operations.createIndex?.completed ? 
                                       <CheckCircleIcon fontSize="small" color="success" /> : 
                                       <CircularProgress size={16} />
                                     }
                                   </ListItemIcon>
                                   <ListItemText 
-                                    primary="Delete existing index" 
+                                    primary="Create new index" 
+                                    secondary={searchIndexStatus.latestRebuild.index}
                                     primaryTypographyProps={{ variant: 'caption' }}
+                                    secondaryTypographyProps={{ variant: 'caption' }}
                                   />
                                 </ListItem>
                                 <ListItem sx={{ py: 0 }}>
                                   <ListItemIcon sx={{ minWidth: 30 }}>
-                                    {searchIndexStatus.latestRebuild.operations.createIndex?.completed ? 
+                                    {searchIndexStatus.latestRebuild.operations.indexDocuments?.completed ? 
                                       <CheckCircleIcon fontSize="small" color="success" /> : 
-                                      searchIndexStatus.latestRebuild.operations.deleteIndex?.completed ?
+                                      searchIndexStatus.latestRebuild.operations.createIndex?.completed ?
                                       <CircularProgress size={16} /> : 
                                       <RadioButtonUncheckedIcon fontSize="small" color="disabled" />
                                     }
                                   </ListItemIcon>
                                   <ListItemText 
-                                    primary="Create new index" 
+                                    primary="Index documents" 
                                     primaryTypographyProps={{ variant: 'caption' }}
                                   />
                                 </ListItem>
                                 <ListItem sx={{ py: 0 }}>
                                   <ListItemIcon sx={{ minWidth: 30 }}>
-                                    {searchIndexStatus.latestRebuild.operations.indexDocuments?.completed ? 
+                                    {searchIndexStatus.latestRebuild.operations.swapAlias?.completed ? 
                                       <CheckCircleIcon fontSize="small" color="success" /> : 
-                                      searchIndexStatus.latestRebuild.operations.createIndex?.completed ?
+                                      searchIndexStatus.latestRebuild.operations.indexDocuments?.completed ?
                                       <CircularProgress size={16} /> : 
                                       <RadioButtonUncheckedIcon fontSize="small" color="disabled" />
                                     }
                                   </ListItemIcon>
                                   <ListItemText 
-                                    primary="Index documents" 
+                                    primary="Switch searches to the new index" 
                                     primaryTypographyProps={{ variant: 'caption' }}
                                   />
                                 </ListItem>
@@ -971,6 +1182,19 @@ export default function Settings() {
                     >
                       {rebuildIndexMutation.isLoading ? 'Starting...' : 'Rebuild Search Index'}
                     </Button>
+
+                    <Button
+                      variant="outlined"
+                      startIcon={<UndoIcon />}
+                      onClick={() => rollbackIndexMutation.mutate()}
+                      disabled={
+                        rollbackIndexMutation.isLoading ||
+                        !searchIndexStatus?.canRollback ||
+                        searchIndexStatus?.latestRebuild?.status === 'in_progress'
+                      }
+                    >
+                      {rollbackIndexMutation.isLoading ? 'Rolling back...' : 'Roll Back to Previous Index'}
+                    </Button>
                     
                     {searchIndexStatus?.latestRebuild?.startTime && (
                       <Typography variant="caption" color="text.secondary">
@@ -980,10 +1204,12 @@ export default function Settings() {
                   </Box>
                   
                   <Box mt={2}>
-                    <Alert severity="warning" variant="outlined">
+                    <Alert severity="info" variant="outlined">
                       <Typography variant="caption">
-                        <strong>Warning:</strong> Rebuilding the search index will temporarily make search unavailable.
-                        The process may take several minutes depending on the number of documents.
+                        <strong>Note:</strong> Search stays available while the index is rebuilt, which may take several
+                        minutes depending on the number of documents. Rolling back restores the index as it was when it
+                        was replaced, indexing into it again the titles refreshed since then, and cannot start while a
+                        refresh is running.
                       </Typography>
                     </Alert>
                   </Box>
@@ -23,6 +23,7 @@ import TitleMetrics from '../../components/TitleMetrics';
 import DocumentsList from '../../components/DocumentsList';
 import ChatWidget from '../../components/ChatWidget';
 import TitleAnalysisInsights from '../../components/TitleAnalysisInsights';
+import TitleChanges from '../../components/TitleChanges';
 import DownloadIcon from '@mui/icons-material/Download';
 import ContentCopyIcon from '@mui/icons-material/ContentCopy';
 import Navigation from '../../components/Navigation';
@@ -195,6 +196,10 @@ export default function TitlePage() {
                     </Grid>
                   )}
 
+                  <Grid item xs={12}>
+                    <TitleChanges titleNumber={Number(number)} />
+                  </Grid>
+
                   <Grid item xs={12}>
                     <TitleAnalysisInsights titleNumber={Number(number)} />
                   </Grid>
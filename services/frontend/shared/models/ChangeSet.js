@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const diffPartSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    required: true,
+    enum: ['added', 'removed', 'unchanged']
+  },
+  text: {
+    type: String,
+    default: ''
+  }
+}, { _id: false });
+
+const changeSchema = new mongoose.Schema({
+  identifier: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  part: String,
+  section: String,
+  heading: String,
+  changeType: {
+    type: String,
+    required: true,
+    enum: ['added', 'modified', 'removed']
+  },
+  diff: {
+    type: [diffPartSchema],
+    default: []
+  },
+  diffOmitted: {
+    type: Boolean, // Change set reached its size budget before this change
+    default: false
+  }
+}, { _id: false });
+
+const changeSetSchema = new mongoose.Schema({
+  titleNumber: {
+    type: Number,
+    required: true
+  },
+  checksum: String,
+  previousChecksum: String,
+  baseline: {
+    type: Boolean, // First download of the title, so there was nothing to compare against
+    default: false
+  },
+  incomplete: {
+    type: Boolean, // Parsing failed part way, so removals were not detected
+    default: false
+  },
+  summary: {
+    added: { type: Number, default: 0 },
+    modified: { type: Number, default: 0 },
+    removed: { type: Number, default: 0 }
+  },
+  changes: {
+    type: [changeSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+changeSetSchema.index({ titleNumber: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ChangeSet', changeSetSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A term defined in a definitions section, applying throughout its part or subpart
+const definitionSchema = new mongoose.Schema({
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId, // Defining document version; removed with it when it is replaced
+    ref: 'Document',
+    required: true
+  },
+  titleNumber: {
+    type: Number,
+    required: true
+  },
+  sourceIdentifier: {
+    type: String,
+    required: true
+  },
+  sourceType: String,
+  section: String, // e.g. "§ 60.2"
+  term: {
+    type: String,
+    required: true
+  },
+  termKey: {
+    type: String, // Lowercased term, for lookups
+    required: true
+  },
+  definition: {
+    type: String,
+    required: true
+  },
+  scope: {
+    type: String,
+    required: true,
+    enum: ['part', 'subpart']
+  },
+  part: {
+    type: String,
+    required: true
+  },
+  subpart: String // Set when scope is subpart
+}, {
+  timestamps: true
+});
+
+definitionSchema.index({ sourceId: 1 });
+definitionSchema.index({ titleNumber: 1, part: 1, termKey: 1 });
+definitionSchema.index({ termKey: 1 });
+
+module.exports = mongoose.model('Definition', definitionSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const snapshotSchema = new mongoose.Schema({
+  titleNumber: {
+    type: Number,
+    required: true
+  },
+  date: {
+    type: Date, // The date the title is shown as of (UTC midnight)
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed', 'failed', 'unavailable'],
+    default: 'in_progress'
+  },
+  documentCount: {
+    type: Number,
+    default: 0
+  },
+  checksum: String, // SHA-256 of the downloaded XML
+  error: String,
+  fetchedAt: Date
+}, {
+  timestamps: true
+});
+
+snapshotSchema.index({ titleNumber: 1, date: 1 }, { unique: true });
+snapshotSchema.index({ status: 1, date: -1 });
+
+// Latest completed snapshot of a title taken on or before the given date
+snapshotSchema.statics.findAsOf = function(titleNumber, date) {
+  return this.findOne({
+    titleNumber,
+    status: 'completed',
+    date: { $lte: date }
+  }).sort({ date: -1 });
+};
+
+// The same for every title (or just the given ones) that has a snapshot on or before the date
+snapshotSchema.statics.findAllAsOf = function(date, titleNumbers = null) {
+  const match = { status: 'completed', date: { $lte: date } };
+  if (titleNumbers) {
+    match.titleNumber = { $in: titleNumbers };
+  }
+
+  return this.aggregate([
+    { $match: match },
+    { $sort: { date: -1 } },
+    { $group: { _id: '$titleNumber', date: { $first: '$date' } } },
+    { $project: { _id: 0, titleNumber: '$_id', date: 1 } },
+    { $sort: { titleNumber: 1 } }
+  ]);
+};
+
+module.exports = mongoose.model('Snapshot', snapshotSchema);
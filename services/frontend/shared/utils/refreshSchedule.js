@@ -0,0 +1,270 @@
+// Refresh schedules as stored in Settings under SCHEDULE_KEY:
+//
+// {
+//   cron: '0 2 * * 1-5',                     // When titles without a policy of their own are checked
+//   dryRun: false,                           // Report what would download instead of downloading
+//   blackouts: [{ days: [1, 2, 3, 4, 5], start: '08:00', end: '18:00' }],
+//   titles: [
+//     { titleNumber: 26, policy: 'skip' },    // Never refreshed on a schedule
+//     { titleNumber: 40, policy: 'cron', cron: '0 3 * * 0' }
+//   ]
+// }
+//
+// Times are the server's local time. Cron expressions have the usual five fields
+// (minute, hour, day of month, month, day of week) with lists, ranges, steps and
+// month and day names.
+
+const SCHEDULE_KEY = 'refresh_schedule';
+const POLICIES = ['skip', 'cron'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 }
+];
+
+function parseValue(text, field) {
+  const lower = text.toLowerCase();
+  if (field.names && field.names.includes(lower)) {
+    return field.names.indexOf(lower) + field.offset;
+  }
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`Invalid ${field.name} "${text}"`);
+  }
+  const value = parseInt(text);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} ${value} is outside ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText);
+    if (stepText !== undefined && (!/^\d+$/.test(stepText) || step < 1)) {
+      throw new Error(`Invalid step "${stepText}" in ${field.name}`);
+    }
+
+    let from;
+    let to;
+    if (range === '*') {
+      from = field.min;
+      to = field.max;
+    } else if (range.includes('-')) {
+      [from, to] = range.split('-').map(value => parseValue(value, field));
+      if (from > to) {
+        throw new Error(`Invalid ${field.name} range "${range}"`);
+      }
+    } else {
+      from = parseValue(range, field);
+      // "5/15" runs from 5 to the end of the field
+      to = stepText === undefined ? from : field.max;
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression into the values each field allows. Throws an
+ * Error naming the offending field when the expression is invalid.
+ */
+function parseCron(expression) {
+  if (typeof expression !== 'string') {
+    throw new Error('Cron expression must be a string');
+  }
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression "${expression}" must have 5 fields`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  // Sunday is both 0 and 7
+  if (dayOfWeek.has(7)) {
+    dayOfWeek.add(0);
+  }
+
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*'
+  };
+}
+
+function cronMatches(cron, date) {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  if (!parsed.minute.has(date.getMinutes()) || !parsed.hour.has(date.getHours()) || !parsed.month.has(date.getMonth() + 1)) {
+    return false;
+  }
+
+  // As in cron, a day matches either field when both are restricted
+  const dayOfMonth = parsed.dayOfMonth.has(date.getDate());
+  const dayOfWeek = parsed.dayOfWeek.has(date.getDay());
+  if (parsed.anyDayOfMonth || parsed.anyDayOfWeek) {
+    return dayOfMonth && dayOfWeek;
+  }
+  return dayOfMonth || dayOfWeek;
+}
+
+const minutesOf = time => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Whether a date falls in one of the schedule's blackout windows. A window whose end
+ * is not after its start runs past midnight, and its days are the days it starts on.
+ */
+function inBlackout(schedule, date) {
+  const minute = date.getHours() * 60 + date.getMinutes();
+  const day = date.getDay();
+
+  return (schedule.blackouts || []).some(({ days, start, end }) => {
+    const from = minutesOf(start);
+    const to = minutesOf(end);
+    const onDay = weekday => !days || days.length === 0 || days.includes(weekday);
+
+    if (from < to) {
+      return onDay(day) && minute >= from && minute < to;
+    }
+    return (onDay(day) && minute >= from) || (onDay((day + 6) % 7) && minute < to);
+  });
+}
+
+/**
+ * The next time, after `from`, a cron expression fires outside the blackout windows,
+ * looking up to a year ahead. Null when there is none.
+ */
+function nextRun(schedule, cron, from = new Date()) {
+  const parsed = parseCron(cron);
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  const until = date.getTime() + 366 * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() < until) {
+    date.setMinutes(date.getMinutes() + 1);
+    if (!parsed.hour.has(date.getHours())) {
+      // Skip to the end of the hour
+      date.setMinutes(59);
+      continue;
+    }
+    if (cronMatches(parsed, date) && !inBlackout(schedule, date)) {
+      return new Date(date);
+    }
+  }
+  return null;
+}
+
+function defaultSchedule() {
+  const hours = parseInt(process.env.REFRESH_INTERVAL_HOURS || '24');
+  return {
+    cron: `0 */${hours} * * *`,
+    dryRun: false,
+    blackouts: [],
+    titles: []
+  };
+}
+
+const TIME = /^([01]?\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Check a schedule as submitted and return it in its stored form. Throws an Error
+ * describing the first problem found.
+ */
+function normalizeSchedule(input) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('Schedule must be an object');
+  }
+
+  const cron = String(input.cron || '').trim();
+  parseCron(cron);
+
+  const blackouts = (input.blackouts || []).map((window, index) => {
+    const where = `Blackout window ${index + 1}`;
+    if (!window || !TIME.test(window.start) || !TIME.test(window.end)) {
+      throw new Error(`${where} needs a start and end time as HH:MM`);
+    }
+    if (window.start === window.end) {
+      throw new Error(`${where} starts and ends at the same time`);
+    }
+    const days = window.days === undefined ? [] : window.days;
+    if (!Array.isArray(days) || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw new Error(`${where} days must be weekday numbers from 0 (Sunday) to 6`);
+    }
+    return { days: [...new Set(days)].sort(), start: window.start, end: window.end };
+  });
+
+  const seen = new Set();
+  const titles = (input.titles || []).map((entry, index) => {
+    const where = `Title policy ${index + 1}`;
+    const titleNumber = parseInt(entry && entry.titleNumber);
+    if (isNaN(titleNumber) || titleNumber < 1 || titleNumber > 50) {
+      throw new Error(`${where} has an invalid title number. Must be between 1 and 50.`);
+    }
+    if (seen.has(titleNumber)) {
+      throw new Error(`Title ${titleNumber} has more than one policy`);
+    }
+    seen.add(titleNumber);
+    if (!POLICIES.includes(entry.policy)) {
+      throw new Error(`${where} policy must be one of ${POLICIES.join(', ')}`);
+    }
+    if (entry.policy === 'skip') {
+      return { titleNumber, policy: 'skip' };
+    }
+    try {
+      parseCron(entry.cron);
+    } catch (error) {
+      throw new Error(`Title ${titleNumber}: ${error.message}`);
+    }
+    return { titleNumber, policy: 'cron', cron: entry.cron.trim() };
+  });
+
+  return {
+    cron,
+    dryRun: !!input.dryRun,
+    blackouts,
+    titles: titles.sort((a, b) => a.titleNumber - b.titleNumber)
+  };
+}
+
+/**
+ * Which titles a schedule has due at a date: `includes(titleNumber)` is true for
+ * titles without a policy when the schedule's cron fires, and for titles with a cron
+ * of their own when theirs does. `due` is false when nothing fires.
+ */
+function dueTitles(schedule, date) {
+  const policies = new Map(schedule.titles.map(entry => [entry.titleNumber, entry]));
+  const defaultDue = cronMatches(schedule.cron, date);
+  const ownDue = new Set(
+    schedule.titles
+      .filter(entry => entry.policy === 'cron' && cronMatches(entry.cron, date))
+      .map(entry => entry.titleNumber)
+  );
+
+  return {
+    due: defaultDue || ownDue.size > 0,
+    includes: titleNumber => (policies.has(titleNumber) ? ownDue.has(titleNumber) : defaultDue)
+  };
+}
+
+module.exports = {
+  SCHEDULE_KEY,
+  parseCron,
+  cronMatches,
+  inBlackout,
+  nextRun,
+  defaultSchedule,
+  normalizeSchedule,
+  dueTitles
+};
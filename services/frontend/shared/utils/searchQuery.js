@@ -0,0 +1,298 @@
+// Advanced search syntax: quoted phrases, AND/OR/NOT, grouping, proximity, fuzziness,
+// wildcards and field prefixes, parsed into an Elasticsearch query
+
+// Fields a prefix can name, as indexed. Wildcards are matched against the unstemmed
+// `exact` subfield of text fields.
+const QUERY_FIELDS = {
+  heading: { name: 'heading', boost: 2, text: true },
+  content: { name: 'content', text: true },
+  authority: { name: 'authority', text: true },
+  source: { name: 'source', text: true },
+  title: { name: 'titleName', text: true },
+  identifier: { name: 'identifier', boost: 3, text: false }
+};
+
+// Searched when a term has no prefix, as a simple search searches them
+const DEFAULT_FIELDS = ['content', 'heading', 'identifier', 'authority', 'source'];
+
+const MAX_FUZZINESS = 2;
+const MAX_SLOP = 100;
+
+class QuerySyntaxError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+const OPERATORS = new Set(['AND', 'OR', 'NOT']);
+
+// Words run to whitespace, a quote, a tilde or a bracket, except that a paragraph
+// designator such as the "(a)" of "60.4(a)" stays part of a word with a number in it
+const DESIGNATOR = /^\([A-Za-z0-9]{1,4}\)/;
+const WORD_END = /[\s"~()]/;
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: i });
+      i++;
+    } else if (char === '"') {
+      const end = text.indexOf('"', i + 1);
+      if (end === -1) {
+        throw new QuerySyntaxError('Missing closing quote', i);
+      }
+      tokens.push({ type: 'phrase', value: text.slice(i + 1, end), position: i });
+      i = end + 1;
+    } else if (char === '~') {
+      const [, digits] = text.slice(i).match(/^~(\d*)/);
+      tokens.push({ type: '~', value: digits === '' ? null : parseInt(digits), position: i });
+      i += 1 + digits.length;
+    } else if (char === '-' && (i === 0 || /[\s(]/.test(text[i - 1])) && i + 1 < text.length && !/\s/.test(text[i + 1])) {
+      tokens.push({ type: 'NOT', position: i });
+      i++;
+    } else {
+      const start = i;
+      while (i < text.length) {
+        if (text[i] === '(' && /\d/.test(text.slice(start, i)) && DESIGNATOR.test(text.slice(i))) {
+          i += text.slice(i).match(DESIGNATOR)[0].length;
+        } else if (WORD_END.test(text[i])) {
+          break;
+        } else {
+          i++;
+        }
+      }
+      const word = text.slice(start, i);
+      const field = word.match(/^([A-Za-z]+):(.*)$/);
+      if (OPERATORS.has(word)) {
+        tokens.push({ type: word, position: start });
+      } else if (field) {
+        tokens.push({ type: 'field', value: field[1].toLowerCase(), position: start });
+        // What follows the colon is read as the start of the next token
+        i = start + field[1].length + 1;
+      } else {
+        tokens.push({ type: 'word', value: word, position: start });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse an advanced query into a tree of `and`, `or` and `not` nodes over `term`,
+ * `phrase` and `wildcard` leaves, each leaf with the field prefix that applies to it
+ * (null for the default fields). Proximity, `"a b"~5` or `a~5 b`, is a phrase with a
+ * slop. Words next to each other must all match; NOT binds tightest, then AND, then OR.
+ * Throws a QuerySyntaxError with the 0-based position of the problem.
+ */
+function parseSearchQuery(text) {
+  const tokens = tokenize(text);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const describe = token => (token.type === 'word' ? `"${token.value}"` : token.type === 'phrase' ? 'a phrase' : `"${token.type}"`);
+
+  const startsOperand = token => token && ['word', 'phrase', 'field', '(', 'NOT'].includes(token.type);
+
+  function expectOperand(after) {
+    const token = peek();
+    if (!token) {
+      throw new QuerySyntaxError(after ? `Expected a search term after ${after.type}` : 'Expected a search term', text.length);
+    }
+    if (!startsOperand(token)) {
+      throw new QuerySyntaxError(`Unexpected ${describe(token)}`, token.position);
+    }
+  }
+
+  function parseOr(field) {
+    const clauses = [parseAnd(field)];
+    while (peek() && peek().type === 'OR') {
+      const operator = tokens[index++];
+      expectOperand(operator);
+      clauses.push(parseAnd(field));
+    }
+    return clauses.length === 1 ? clauses[0] : { type: 'or', clauses };
+  }
+
+  function parseAnd(field) {
+    const clauses = [parseNot(field)];
+    while (peek() && (peek().type === 'AND' || startsOperand(peek()))) {
+      if (peek().type === 'AND') {
+        expectOperand(tokens[index++]);
+      }
+      clauses.push(parseNot(field));
+    }
+    return clauses.length === 1 ? clauses[0] : { type: 'and', clauses };
+  }
+
+  function parseNot(field) {
+    if (peek() && peek().type === 'NOT') {
+      const operator = tokens[index++];
+      expectOperand(operator);
+      return { type: 'not', clause: parseNot(field) };
+    }
+    return parsePrimary(field);
+  }
+
+  function parsePrimary(field) {
+    expectOperand(null);
+    const token = tokens[index++];
+
+    if (token.type === 'field') {
+      if (!QUERY_FIELDS[token.value]) {
+        throw new QuerySyntaxError(
+          `Unknown field "${token.value}". Fields are ${Object.keys(QUERY_FIELDS).join(', ')}`,
+          token.position
+        );
+      }
+      const next = peek();
+      if (!next || !['word', 'phrase', '('].includes(next.type)) {
+        throw new QuerySyntaxError(`Expected a search term after ${token.value}:`, next ? next.position : text.length);
+      }
+      return parsePrimary(token.value);
+    }
+
+    if (token.type === '(') {
+      if (peek() && peek().type === ')') {
+        throw new QuerySyntaxError('Empty parentheses', token.position);
+      }
+      const group = parseOr(field);
+      if (!peek() || peek().type !== ')') {
+        throw new QuerySyntaxError('Missing closing parenthesis', token.position);
+      }
+      index++;
+      return group;
+    }
+
+    const tilde = peek() && peek().type === '~' ? tokens[index++] : null;
+
+    if (token.type === 'phrase') {
+      if (!token.value.trim()) {
+        throw new QuerySyntaxError('Empty phrase', token.position);
+      }
+      if (/[*?]/.test(token.value)) {
+        throw new QuerySyntaxError('Wildcards cannot be used inside a quoted phrase', token.position);
+      }
+      const slop = tilde ? (tilde.value === null ? 2 : tilde.value) : 0;
+      if (slop > MAX_SLOP) {
+        throw new QuerySyntaxError(`Proximity can be at most ${MAX_SLOP} words`, tilde.position);
+      }
+      return { type: 'phrase', value: token.value.trim(), field, slop };
+    }
+
+    if (/[*?]/.test(token.value)) {
+      if (/^[*?]/.test(token.value)) {
+        throw new QuerySyntaxError('A wildcard cannot start a term', token.position);
+      }
+      if (tilde) {
+        throw new QuerySyntaxError('A wildcard term cannot also be fuzzy', tilde.position);
+      }
+      return { type: 'wildcard', value: token.value, field };
+    }
+
+    // Up to MAX_FUZZINESS, ~N after a word is its spelling distance; beyond it, proximity
+    if (tilde && tilde.value !== null && tilde.value > MAX_FUZZINESS) {
+      return parseProximity(token, tilde, field);
+    }
+    const fuzziness = tilde ? (tilde.value === null ? 'AUTO' : tilde.value) : null;
+    return { type: 'term', value: token.value, field, fuzziness };
+  }
+
+  // "permit~5 fee": the word and the one after it within N words of each other, searched
+  // as a phrase with that slop. A word with nothing after it to be near is searched alone.
+  function parseProximity(token, tilde, field) {
+    if (tilde.value > MAX_SLOP) {
+      throw new QuerySyntaxError(`Proximity can be at most ${MAX_SLOP} words`, tilde.position);
+    }
+    const next = peek();
+    if (!next || next.type !== 'word') {
+      return { type: 'term', value: token.value, field, fuzziness: null };
+    }
+    index++;
+    if (/[*?]/.test(next.value)) {
+      throw new QuerySyntaxError('Wildcards cannot be used in a proximity search', next.position);
+    }
+    if (peek() && peek().type === '~') {
+      throw new QuerySyntaxError('Proximity joins two words; quote more words to search them within a distance', peek().position);
+    }
+    return { type: 'phrase', value: `${token.value} ${next.value}`, field, slop: tilde.value };
+  }
+
+  if (tokens.length === 0) {
+    throw new QuerySyntaxError('Expected a search term', 0);
+  }
+
+  const tree = parseOr(null);
+  const rest = peek();
+  if (rest) {
+    throw new QuerySyntaxError(
+      rest.type === ')' ? 'Unmatched closing parenthesis' : `Unexpected ${describe(rest)}`,
+      rest.position
+    );
+  }
+  return tree;
+}
+
+const boosted = ({ name, boost }) => (boost ? `${name}^${boost}` : name);
+const leafFields = field => (field ? [field] : DEFAULT_FIELDS).map(name => QUERY_FIELDS[name]);
+
+/**
+ * The Elasticsearch query for a tree from parseSearchQuery.
+ */
+function toElasticsearchQuery(node) {
+  switch (node.type) {
+    case 'and': {
+      const must = node.clauses.filter(clause => clause.type !== 'not').map(toElasticsearchQuery);
+      const mustNot = node.clauses.filter(clause => clause.type === 'not').map(clause => toElasticsearchQuery(clause.clause));
+      return { bool: { must, must_not: mustNot } };
+    }
+    case 'or':
+      return { bool: { should: node.clauses.map(toElasticsearchQuery), minimum_should_match: 1 } };
+    case 'not':
+      return { bool: { must_not: [toElasticsearchQuery(node.clause)] } };
+    case 'phrase':
+      return {
+        multi_match: { query: node.value, fields: leafFields(node.field).map(boosted), type: 'phrase', slop: node.slop }
+      };
+    case 'wildcard':
+      return {
+        bool: {
+          should: leafFields(node.field).map(field => ({
+            wildcard: {
+              [field.text ? `${field.name}.exact` : field.name]: {
+                value: node.value.toLowerCase(),
+                case_insensitive: true,
+                ...(field.boost ? { boost: field.boost } : {})
+              }
+            }
+          })),
+          minimum_should_match: 1
+        }
+      };
+    default:
+      return {
+        multi_match: {
+          query: node.value,
+          fields: leafFields(node.field).map(boosted),
+          operator: 'and',
+          ...(node.fuzziness !== null ? { fuzziness: node.fuzziness } : {})
+        }
+      };
+  }
+}
+
+module.exports = {
+  parseSearchQuery,
+  toElasticsearchQuery,
+  QuerySyntaxError,
+  QUERY_FIELDS,
+  DEFAULT_FIELDS
+};
@@ -1,8 +1,55 @@
 const { Client } = require('@elastic/elasticsearch');
 const logger = require('../utils/logger');
+const {
+  SEARCH_SCHEMA_VERSION,
+  DOCUMENT_INDEX,
+  SNAPSHOT_INDEX,
+  INDEX_TEMPLATES
+} = require('./searchSchema');
 
 let client = null;
 
+// Searches and writes go through the ecfr_documents alias. Its index is named for when it
+// was created (ecfr_documents_20240624t031245123z) so that a rebuild can fill a new one
+// behind the ecfr_documents_rebuild alias and move ecfr_documents to it in one step.
+// Indexes the alias moved off are kept, with the time in _meta.retiredAt, to roll back to.
+const REBUILD_ALIAS = `${DOCUMENT_INDEX}_rebuild`;
+
+const documentIndexName = () => `${DOCUMENT_INDEX}_${new Date().toISOString().replace(/[-:.]/g, '').toLowerCase()}`;
+
+const isNotFound = error => error.meta?.statusCode === 404;
+
+// Documents list the refresh generations they belong to. Ones indexed before
+// generations existed have none and count as generation 0, as in MongoDB.
+const generationQuery = (generation) => (generation ? { term: { generations: generation } } : {
+  bool: {
+    should: [
+      { term: { generations: 0 } },
+      { bool: { must_not: { exists: { field: 'generations' } } } }
+    ],
+    minimum_should_match: 1
+  }
+});
+
+// Filter for the active generation of every title, given { number, activeGeneration } for each
+const activeGenerationsFilter = (titles) => ({
+  bool: {
+    should: [
+      ...titles.map(title => ({
+        bool: { filter: [{ term: { titleNumber: title.number } }, generationQuery(title.activeGeneration)] }
+      })),
+      // Titles without a Title record can only have documents from before generations
+      {
+        bool: {
+          must_not: { terms: { titleNumber: titles.map(title => title.number) } },
+          filter: [generationQuery(0)]
+        }
+      }
+    ],
+    minimum_should_match: 1
+  }
+});
+
 const connect = async (host) => {
   if (client) {
     return client;
@@ -18,43 +65,107 @@ const connect = async (host) => {
     const health = await client.cluster.health();
     logger.info('Elasticsearch connected successfully', { status: health.status });
 
-    // Create index if it doesn't exist
-    const indexName = 'ecfr_documents';
-    const indexExists = await client.indices.exists({ index: indexName });
-    
-    if (!indexExists) {
-      const mapping = {
-        mappings: {
-          properties: {
-            titleNumber: { type: 'integer' },
-            titleName: { type: 'text', fields: { keyword: { type: 'keyword' } } },
-            documentType: { type: 'keyword' },
-            identifier: { type: 'keyword' },
-            chapter: { type: 'keyword' },
-            part: { type: 'keyword' },
-            subpart: { type: 'keyword' },
-            section: { type: 'keyword' },
-            heading: { type: 'text', fields: { keyword: { type: 'keyword' } } },
-            content: { type: 'text' },
-            effectiveDate: { type: 'date' },
-            lastModified: { type: 'date' }
-          }
-        }
-      };
-      await client.indices.create({
-        index: indexName,
-        body: mapping
-      });
-      logger.info('Created Elasticsearch index:', indexName);
-    }
+    await installIndexTemplates();
+    await ensureIndex(DOCUMENT_INDEX);
+    await ensureIndex(SNAPSHOT_INDEX);
 
     return client;
   } catch (error) {
     logger.error('Failed to connect to Elasticsearch:', error);
+    // Let the next call try again
+    client = null;
     throw error;
   }
 };
 
+// Install the index templates in searchSchema unless the cluster already has these or
+// newer ones, so a service still running older code cannot roll the schema back
+const installIndexTemplates = async () => {
+  for (const [name, template] of Object.entries(INDEX_TEMPLATES)) {
+    let installed = 0;
+    try {
+      const response = await client.indices.getIndexTemplate({ name });
+      installed = response.index_templates[0].index_template.version || 0;
+    } catch (error) {
+      if (!isNotFound(error)) throw error;
+    }
+
+    if (installed < template.version) {
+      await client.indices.putIndexTemplate({ name, ...template });
+      logger.info(`Installed Elasticsearch index template ${name} (schema version ${template.version})`);
+    }
+  }
+};
+
+// The schema version an index was created with; indexes from before versioning have none
+const indexSchemaVersion = async (indexName) => {
+  const response = await client.indices.getMapping({ index: indexName });
+  const [mapping] = Object.values(response);
+  return (mapping && mapping.mappings._meta && mapping.mappings._meta.schemaVersion) || 1;
+};
+
+// Create an index from its template, or bring an older one as close to the schema as
+// its existing mappings allow
+const ensureIndex = async (indexName) => {
+  if (!(await client.indices.exists({ index: indexName }))) {
+    if (indexName !== DOCUMENT_INDEX) {
+      await client.indices.create({ index: indexName });
+      logger.info('Created Elasticsearch index:', indexName);
+      return;
+    }
+
+    const physical = documentIndexName();
+    try {
+      await client.indices.create({ index: physical, aliases: { [DOCUMENT_INDEX]: { is_write_index: true } } });
+      logger.info(`Created Elasticsearch index ${physical} as ${DOCUMENT_INDEX}`);
+    } catch (error) {
+      // Another service connecting at the same time created it first
+      if (!(await client.indices.exists({ index: DOCUMENT_INDEX }))) throw error;
+    }
+    return;
+  }
+
+  const version = await indexSchemaVersion(indexName);
+  if (version < SEARCH_SCHEMA_VERSION) {
+    await addMissingMappings(indexName);
+    logger.warn(`Elasticsearch index ${indexName} uses search schema version ${version}, not ${SEARCH_SCHEMA_VERSION}; rebuild the search index to apply the current analyzers and field types`);
+  }
+};
+
+// Fields an index has no mapping for can still be added, keeping filters on them exact
+// for documents indexed from now on. Fields it mapped differently stay as they are.
+const addMissingMappings = async (indexName) => {
+  const response = await client.indices.getMapping({ index: indexName });
+  const [mapping] = Object.values(response);
+  const existing = (mapping && mapping.mappings.properties) || {};
+  const properties = INDEX_TEMPLATES[indexName].template.mappings.properties;
+  const missing = Object.fromEntries(Object.entries(properties).filter(([field, definition]) =>
+    !existing[field] && !definition.analyzer
+  ));
+  if (Object.keys(missing).length === 0) {
+    return;
+  }
+
+  try {
+    await client.indices.putMapping({ index: indexName, properties: missing });
+    logger.info(`Added ${Object.keys(missing).join(', ')} to the mapping of ${indexName}`);
+  } catch (error) {
+    logger.warn(`Could not add fields to ${indexName}, rebuild the search index to filter on them:`, error.message);
+  }
+};
+
+// How the document index compares with the schema this code indexes with
+const schemaStatus = async () => {
+  const client = getClient();
+  const exists = await client.indices.exists({ index: DOCUMENT_INDEX });
+  const indexVersion = exists ? await indexSchemaVersion(DOCUMENT_INDEX) : null;
+  return {
+    schemaVersion: SEARCH_SCHEMA_VERSION,
+    indexVersion,
+    rebuildRequired: indexVersion !== null && indexVersion < SEARCH_SCHEMA_VERSION
+  };
+};
+
 const disconnect = async () => {
   if (client) {
     await client.close();
@@ -70,9 +181,185 @@ const getClient = () => {
   return client;
 };
 
+// The indexes behind an alias, or [] without it
+const aliasIndexes = async (name) => {
+  try {
+    return Object.keys(await client.indices.getAlias({ name }));
+  } catch (error) {
+    if (isNotFound(error)) return [];
+    throw error;
+  }
+};
+
+// Where changes to documents go: the live index, and the one a rebuild is filling so
+// that it does not miss them
+const writeTargets = async () => {
+  const building = await getClient().indices.existsAlias({ name: REBUILD_ALIAS });
+  return building ? [DOCUMENT_INDEX, REBUILD_ALIAS] : [DOCUMENT_INDEX];
+};
+
+// The index searches read: the one behind the alias, or ecfr_documents itself when it
+// was created before the alias
+const liveDocumentIndex = async () => {
+  const [live] = await aliasIndexes(DOCUMENT_INDEX);
+  if (live) return live;
+  return (await getClient().indices.exists({ index: DOCUMENT_INDEX })) ? DOCUMENT_INDEX : null;
+};
+
+const setRetiredAt = async (indexName, retiredAt) => {
+  const response = await client.indices.getMapping({ index: indexName });
+  const meta = { ...(response[indexName].mappings._meta || {}), retiredAt: retiredAt ? retiredAt.toISOString() : null };
+  await client.indices.putMapping({ index: indexName, _meta: meta });
+};
+
+// Every document index with what the status page shows about it, newest first
+const documentIndexes = async () => {
+  const client = getClient();
+  const [indexes, stats] = await Promise.all([
+    client.indices.get({ index: `${DOCUMENT_INDEX}*`, expand_wildcards: 'open' }),
+    client.indices.stats({ index: `${DOCUMENT_INDEX}*`, metric: 'docs' })
+  ]);
+
+  return Object.entries(indexes).map(([name, index]) => {
+    const meta = index.mappings._meta || {};
+    const aliases = Object.keys(index.aliases || {});
+    return {
+      name,
+      live: aliases.includes(DOCUMENT_INDEX) || name === DOCUMENT_INDEX,
+      building: aliases.includes(REBUILD_ALIAS),
+      documents: stats.indices[name] ? stats.indices[name].primaries.docs.count : 0,
+      schemaVersion: meta.schemaVersion || 1,
+      createdAt: new Date(parseInt(index.settings.index.creation_date)),
+      retiredAt: meta.retiredAt ? new Date(meta.retiredAt) : null
+    };
+  }).sort((a, b) => b.createdAt - a.createdAt);
+};
+
+// Start a rebuild in a new index behind the rebuild alias, discarding what an earlier
+// rebuild that never finished left there
+const createRebuildIndex = async () => {
+  const client = getClient();
+  await discardRebuildIndex();
+  await installIndexTemplates();
+
+  const index = documentIndexName();
+  await client.indices.create({ index, aliases: { [REBUILD_ALIAS]: {} } });
+  logger.info(`Created Elasticsearch index ${index} to rebuild ${DOCUMENT_INDEX} into`);
+  return index;
+};
+
+const discardRebuildIndex = async () => {
+  const client = getClient();
+  for (const index of await aliasIndexes(REBUILD_ALIAS)) {
+    await client.indices.delete({ index });
+    logger.info(`Deleted unfinished rebuild index ${index}`);
+  }
+};
+
+// Move the alias to the rebuilt index in one step. An ecfr_documents index from before
+// the alias is deleted in the same step, since the alias cannot share its name; any
+// other index the alias leaves is kept for rolling back. Returns the index it left.
+const swapDocumentIndex = async (index) => {
+  const client = getClient();
+  const live = await liveDocumentIndex();
+
+  const actions = [
+    { remove: { index, alias: REBUILD_ALIAS } },
+    { add: { index, alias: DOCUMENT_INDEX, is_write_index: true } }
+  ];
+  if (live === DOCUMENT_INDEX) {
+    actions.push({ remove_index: { index: DOCUMENT_INDEX } });
+  } else if (live) {
+    actions.push({ remove: { index: live, alias: DOCUMENT_INDEX } });
+  }
+  await client.indices.updateAliases({ actions });
+  logger.info(`Moved ${DOCUMENT_INDEX} from ${live || 'no index'} to ${index}`);
+
+  if (!live || live === DOCUMENT_INDEX) {
+    return null;
+  }
+  await setRetiredAt(live, new Date());
+  return live;
+};
+
+// The index a rollback returns to, the one the alias most recently left, with the live
+// one it replaces; null when there is none
+const rollbackTarget = async () => {
+  const indexes = await documentIndexes();
+  const live = indexes.find(index => index.live);
+  const [previous] = indexes
+    .filter(index => index.retiredAt && !index.live && !index.building)
+    .sort((a, b) => b.retiredAt - a.retiredAt);
+  if (!live || !previous || live.name === DOCUMENT_INDEX) {
+    return null;
+  }
+  return { live, previous };
+};
+
+// Which of the given titles ({ number, activeGeneration }) have no documents of their
+// active generation in an index. Nothing is written to an index after it is retired,
+// so in a retired index these are the titles refreshed since.
+const titlesMissingFrom = async (index, titles) => {
+  if (titles.length === 0) return [];
+
+  const response = await getClient().search({
+    index,
+    size: 0,
+    query: {
+      bool: {
+        should: titles.map(title => ({
+          bool: { filter: [{ term: { titleNumber: title.number } }, generationQuery(title.activeGeneration)] }
+        })),
+        minimum_should_match: 1
+      }
+    },
+    aggs: { titles: { terms: { field: 'titleNumber', size: titles.length } } }
+  });
+
+  const present = new Set(response.aggregations.titles.buckets.map(bucket => bucket.key));
+  return titles.filter(title => !present.has(title.number)).map(title => title.number);
+};
+
+// Move the alias back to the index it most recently left. Titles refreshed since that
+// index was retired have to be indexed into it first (see titlesMissingFrom).
+const rollbackDocumentIndex = async () => {
+  const client = getClient();
+  const target = await rollbackTarget();
+  if (!target) {
+    return null;
+  }
+  const { live, previous } = target;
+
+  await client.indices.updateAliases({
+    actions: [
+      { remove: { index: live.name, alias: DOCUMENT_INDEX } },
+      { add: { index: previous.name, alias: DOCUMENT_INDEX, is_write_index: true } }
+    ]
+  });
+  await setRetiredAt(live.name, new Date());
+  await setRetiredAt(previous.name, null);
+  logger.info(`Rolled ${DOCUMENT_INDEX} back from ${live.name} to ${previous.name}`);
+  return { from: live.name, to: previous.name };
+};
+
+// Delete the indexes retired longer ago than the rollback window
+const pruneRetiredIndexes = async (retentionHours) => {
+  const client = getClient();
+  const cutoff = Date.now() - retentionHours * 60 * 60 * 1000;
+  const expired = (await documentIndexes()).filter(index =>
+    !index.live && !index.building && index.retiredAt && index.retiredAt.getTime() < cutoff
+  );
+
+  for (const index of expired) {
+    await client.indices.delete({ index: index.name });
+    logger.info(`Deleted search index ${index.name}, retired ${index.retiredAt.toISOString()}`);
+  }
+  return expired.map(index => index.name);
+};
+
 const indexDocument = async (document) => {
   const client = getClient();
-  const indexName = 'ecfr_documents';
+  const indexName = DOCUMENT_INDEX;
   
   try {
     const response = await client.index({
@@ -88,14 +375,16 @@ const indexDocument = async (document) => {
   }
 };
 
-const bulkIndex = async (documents) => {
+// Each version of a document is indexed under its MongoDB _id, passed as documentId.
+// Documents go to the live index (and one being rebuilt) unless `index` names another.
+const bulkIndex = async (documents, { index = null } = {}) => {
   const client = getClient();
-  const indexName = 'ecfr_documents';
-  
-  const operations = documents.flatMap(doc => [
-    { index: { _index: indexName, _id: `${doc.titleNumber}_${doc.identifier}` } },
+  const targets = index ? [index] : await writeTargets();
+
+  const operations = targets.flatMap(target => documents.flatMap(doc => [
+    { index: { _index: target, _id: doc.documentId || `${doc.titleNumber}_${doc.identifier}` } },
     doc
-  ]);
+  ]));
 
   try {
     const response = await client.bulk({
@@ -115,9 +404,186 @@ const bulkIndex = async (documents) => {
   }
 };
 
+// Add a generation to the documents of a title that carry over unchanged from another one
+const addGeneration = async (titleNumber, identifiers, fromGeneration, generation) => {
+  const client = getClient();
+
+  try {
+    return await client.updateByQuery({
+      index: await writeTargets(),
+      ignore_unavailable: true,
+      refresh: true,
+      query: {
+        bool: {
+          filter: [
+            { term: { titleNumber } },
+            { terms: { identifier: identifiers } },
+            generationQuery(fromGeneration)
+          ]
+        }
+      },
+      script: {
+        source: `
+          if (ctx._source.generations == null) { ctx._source.generations = [params.fromGeneration]; }
+          if (!ctx._source.generations.contains(params.generation)) { ctx._source.generations.add(params.generation); }
+        `,
+        params: { fromGeneration, generation }
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to add generation to documents:', error);
+    throw error;
+  }
+};
+
+// Take a generation off the documents of a title, deleting the ones left in no generation
+const dropGeneration = async (titleNumber, generation) => {
+  const client = getClient();
+
+  try {
+    return await client.updateByQuery({
+      index: await writeTargets(),
+      ignore_unavailable: true,
+      refresh: true,
+      query: {
+        bool: {
+          filter: [{ term: { titleNumber } }, generationQuery(generation)]
+        }
+      },
+      script: {
+        source: `
+          if (ctx._source.generations == null) { ctx._source.generations = []; }
+          ctx._source.generations.removeIf(g -> g == params.generation);
+          if (ctx._source.generations.isEmpty()) { ctx.op = 'delete'; }
+        `,
+        params: { generation }
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to drop document generation:', error);
+    throw error;
+  }
+};
+
+// Copy analysis scores ({ documentId, antiquatedScore, businessUnfriendlyScore }) onto
+// the documents they were made for. Documents not in an index are skipped there: they
+// get their scores when they are indexed.
+const updateAnalysisScores = async (scores) => {
+  const client = getClient();
+  if (scores.length === 0) {
+    return { updated: 0, missing: 0 };
+  }
+
+  const targets = await writeTargets();
+  const operations = targets.flatMap(target => scores.flatMap(({ documentId, ...fields }) => [
+    { update: { _index: target, _id: documentId.toString(), retry_on_conflict: 3 } },
+    { doc: fields }
+  ]));
+
+  try {
+    const response = await client.bulk({ operations });
+    const failed = response.items.filter(item => item.update.error && item.update.status !== 404);
+    if (failed.length > 0) {
+      logger.error('Failed to update analysis scores:', failed.map(item => ({ id: item.update._id, error: item.update.error })));
+    }
+    return {
+      updated: response.items.filter(item => !item.update.error).length,
+      missing: response.items.filter(item => item.update.status === 404).length
+    };
+  } catch (error) {
+    logger.error('Failed to update analysis scores:', error);
+    throw error;
+  }
+};
+
+// Delete a title's documents from one index, e.g. one being rebuilt before the title is indexed again
+const deleteTitleDocuments = async (titleNumber, index) => {
+  const client = getClient();
+
+  try {
+    return await client.deleteByQuery({
+      index,
+      refresh: true,
+      query: { term: { titleNumber } }
+    });
+  } catch (error) {
+    logger.error('Failed to delete title documents:', error);
+    throw error;
+  }
+};
+
+const countGeneration = async (titleNumber, generation) => {
+  const client = getClient();
+
+  try {
+    const response = await client.count({
+      index: DOCUMENT_INDEX,
+      query: {
+        bool: {
+          filter: [{ term: { titleNumber } }, generationQuery(generation)]
+        }
+      }
+    });
+
+    return response.count;
+  } catch (error) {
+    logger.error('Failed to count documents:', error);
+    throw error;
+  }
+};
+
+// Documents must carry snapshotDate as YYYY-MM-DD
+const bulkIndexSnapshot = async (documents) => {
+  const client = getClient();
+
+  const operations = documents.flatMap(doc => [
+    { index: { _index: SNAPSHOT_INDEX, _id: `${doc.snapshotDate}_${doc.titleNumber}_${doc.identifier}` } },
+    doc
+  ]);
+
+  try {
+    const response = await client.bulk({
+      refresh: true,
+      operations
+    });
+
+    if (response.errors) {
+      const erroredDocuments = response.items.filter(item => item.index && item.index.error);
+      logger.error('Bulk snapshot indexing errors:', erroredDocuments);
+    }
+
+    return response;
+  } catch (error) {
+    logger.error('Failed to bulk index snapshot documents:', error);
+    throw error;
+  }
+};
+
+const deleteSnapshot = async (titleNumber, snapshotDate) => {
+  const client = getClient();
+
+  try {
+    return await client.deleteByQuery({
+      index: SNAPSHOT_INDEX,
+      refresh: true,
+      query: {
+        bool: {
+          filter: [
+            { term: { titleNumber } },
+            { term: { snapshotDate } }
+          ]
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to delete snapshot documents:', error);
+    throw error;
+  }
+};
+
 const search = async (query) => {
   const client = getClient();
-  const indexName = 'ecfr_documents';
+  const indexName = DOCUMENT_INDEX;
   
   try {
     const response = await client.search({
@@ -132,42 +598,18 @@ const search = async (query) => {
   }
 };
 
-const createIndex = async () => {
+const searchSnapshots = async (query) => {
   const client = getClient();
-  const indexName = 'ecfr_documents';
-  
+
   try {
-    const mapping = {
-      mappings: {
-        properties: {
-          titleNumber: { type: 'integer' },
-          titleName: { type: 'text', fields: { keyword: { type: 'keyword' } } },
-          documentType: { type: 'keyword' },
-          identifier: { type: 'keyword' },
-          chapter: { type: 'keyword' },
-          part: { type: 'keyword' },
-          subpart: { type: 'keyword' },
-          section: { type: 'keyword' },
-          heading: { type: 'text', fields: { keyword: { type: 'keyword' } } },
-          content: { type: 'text' },
-          effectiveDate: { type: 'date' },
-          lastModified: { type: 'date' },
-          source: { type: 'text' },
-          authority: { type: 'text' },
-          hierarchy: { type: 'text' }
-        }
-      }
-    };
-    
-    await client.indices.create({
-      index: indexName,
-      body: mapping
+    const response = await client.search({
+      index: SNAPSHOT_INDEX,
+      ...query
     });
-    
-    logger.info('Created Elasticsearch index:', indexName);
-    return true;
+
+    return response;
   } catch (error) {
-    logger.error('Failed to create index:', error);
+    logger.error('Snapshot search failed:', error);
     throw error;
   }
 };
@@ -178,6 +620,26 @@ module.exports = {
   getClient,
   indexDocument,
   bulkIndex,
+  addGeneration,
+  dropGeneration,
+  countGeneration,
+  activeGenerationsFilter,
+  bulkIndexSnapshot,
+  deleteSnapshot,
   search,
-  createIndex
+  searchSnapshots,
+  schemaStatus,
+  liveDocumentIndex,
+  documentIndexes,
+  createRebuildIndex,
+  discardRebuildIndex,
+  swapDocumentIndex,
+  rollbackTarget,
+  titlesMissingFrom,
+  rollbackDocumentIndex,
+  pruneRetiredIndexes,
+  deleteTitleDocuments,
+  updateAnalysisScores,
+  DOCUMENT_INDEX,
+  SNAPSHOT_INDEX
 };
\ No newline at end of file
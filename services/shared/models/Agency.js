@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// An issuing agency and the CFR chapters it is responsible for. Built from chapter
+// headings on every download, with corrections from the agency override file.
+const agencySchema = new mongoose.Schema({
+  slug: {
+    type: String, // "environmental-protection-agency"
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  shortName: String, // Only from overrides, e.g. "EPA"
+  chapters: {
+    type: [{
+      titleNumber: { type: Number, required: true },
+      chapter: { type: String, required: true }, // DIV3 N attribute
+      identifier: { type: String, required: true }, // Chapter document; the agency's documents sit beneath it
+      heading: String
+    }],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+agencySchema.index({ 'chapters.titleNumber': 1 });
+
+module.exports = mongoose.model('Agency', agencySchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Text metrics of a chapter's current text, kept per chapter rather than per agency
+// so agency rollups follow the registry when chapters are reassigned
+const chapterMetricSchema = new mongoose.Schema({
+  titleNumber: {
+    type: Number,
+    required: true
+  },
+  chapter: String,
+  identifier: {
+    type: String, // Chapter document identifier
+    required: true
+  },
+  analysisDate: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  metrics: {
+    wordCount: Number,
+    keywordFrequency: {
+      type: Map,
+      of: Number
+    }
+  }
+}, {
+  timestamps: true
+});
+
+chapterMetricSchema.index({ titleNumber: 1, identifier: 1 }, { unique: true });
+
+module.exports = mongoose.model('ChapterMetric', chapterMetricSchema);
@@ -29,14 +29,16 @@ const indexRebuildProgressSchema = new mongoose.Schema({
     name: String
   },
   error: String,
+  index: String, // The index documents were rebuilt into
+  previousIndex: String, // The index searches read before it, kept to roll back to
   triggeredBy: {
     type: String,
     default: 'manual'
   },
   operations: {
-    deleteIndex: { completed: Boolean, error: String },
     createIndex: { completed: Boolean, error: String },
-    indexDocuments: { completed: Boolean, error: String }
+    indexDocuments: { completed: Boolean, error: String },
+    swapAlias: { completed: Boolean, error: String }
   }
 }, {
   timestamps: true
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const unknownElementSchema = new mongoose.Schema({
+  name: String,
+  count: Number
+}, { _id: false });
+
+const skippedDocumentSchema = new mongoose.Schema({
+  type: String,
+  identifier: String,
+  error: String
+}, { _id: false });
+
+const gridfsSpillSchema = new mongoose.Schema({
+  type: String,
+  identifier: String,
+  field: String, // content, structuredContent or formattedContent
+  size: Number
+}, { _id: false });
+
+const emptySectionSchema = new mongoose.Schema({
+  type: String,
+  identifier: String,
+  heading: String
+}, { _id: false });
+
+// What the parser dropped or worked around while ingesting one download of a title.
+// The lists keep their first entries only; totals count every occurrence.
+const ingestReportSchema = new mongoose.Schema({
+  titleNumber: {
+    type: Number,
+    required: true
+  },
+  checksum: String,
+  source: String,
+  reparse: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['completed', 'failed']
+  },
+  error: String, // Why the ingest failed; the title kept its previous documents
+  documentCount: {
+    type: Number,
+    default: 0
+  },
+  unknownElements: {
+    type: [unknownElementSchema],
+    default: []
+  },
+  skippedDocuments: {
+    type: [skippedDocumentSchema],
+    default: []
+  },
+  gridfsSpills: {
+    type: [gridfsSpillSchema],
+    default: []
+  },
+  emptySections: {
+    type: [emptySectionSchema],
+    default: []
+  },
+  totals: {
+    unknownElements: { type: Number, default: 0 },
+    skippedDocuments: { type: Number, default: 0 },
+    gridfsSpills: { type: Number, default: 0 },
+    emptySections: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+ingestReportSchema.index({ titleNumber: 1, createdAt: -1 });
+
+module.exports = mongoose.model('IngestReport', ingestReportSchema);
@@ -0,0 +1,110 @@
+// Statute and Federal Register citations as written in AUTH, SOURCE and CITA elements
+
+const MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11
+};
+
+// "7401", "7671q", "552a", "300g-1"; a hyphen after digits alone starts a range instead
+const USC_SECTION = '\\d+(?:[a-z]+(?:-\\d+[a-z]*)*)?';
+const USC_RANGE = '\\s*(?:-|–|through)\\s*';
+const ET_SEQ = '\\s+et\\s+seq\\.?';
+// "42 U.S.C. 7401, 7411 and 7601-7602"; the list ends where the next citation starts
+// ("..., 42 U.S.C. 9601", "..., 104 Stat. 2399")
+const NEXT_CITATION = '(?!\\d+\\s+(?:U\\.?\\s?S\\.?\\s?C|Stat\\b|FR\\b|CFR\\b|C\\.F\\.R))';
+const USC = new RegExp(
+  `\\b(\\d{1,2})\\s+U\\.?\\s?S\\.?\\s?C\\.?(?:A\\.?)?\\s+(?:§§?\\s*)?` +
+  `(${USC_SECTION}(?:${USC_RANGE}${USC_SECTION})?(?:${ET_SEQ})?` +
+  `(?:\\s*(?:,\\s*(?:and\\s+)?|and\\s+)${NEXT_CITATION}${USC_SECTION}(?:${USC_RANGE}${USC_SECTION})?(?:${ET_SEQ})?)*)`,
+  'g'
+);
+const USC_ITEMS = new RegExp(`(${USC_SECTION})(?:${USC_RANGE}(${USC_SECTION}))?(${ET_SEQ})?`, 'g');
+
+// "Pub. L. 101-549", "Public Law 104-13", "Pub. L. No. 94-580"
+const PUBLIC_LAW = /\b(?:Pub\.?\s*L\.?|Public\s+Law)\s+(?:No\.?\s*)?(\d{1,3})[-–](\d{1,4})\b/gi;
+
+// "79 FR 12345, Mar. 1, 2014", "48 FR 1234, 1240, Jan. 1, 1983", "36 FR 24877"
+const FEDERAL_REGISTER = /\b(\d{1,3})\s+FR\s+(\d+)(?:,\s*\d+)*(?:,\s*([A-Z][a-z]{2,4})\.?\s+(\d{1,2}),\s*(\d{4}))?/g;
+
+function parseDate(month, day, year) {
+  const monthIndex = month ? MONTHS[month.slice(0, 3).toLowerCase()] : undefined;
+  if (monthIndex === undefined) {
+    return null;
+  }
+  return new Date(Date.UTC(parseInt(year), monthIndex, parseInt(day)));
+}
+
+const uscKey = ({ title, section }) => `${title} U.S.C. ${section}`;
+const publicLawKey = ({ congress, number }) => `Pub. L. ${congress}-${number}`;
+const federalRegisterKey = ({ volume, page }) => `${volume} FR ${page}`;
+
+// A U.S.C. section as a number within its title's run of sections, by its leading digits.
+// Ranges of sections are searched by these numbers.
+const uscPosition = (title, section) => title * 1000000 + parseInt(section);
+
+/**
+ * U.S.C. sections, Public Laws and Federal Register pages cited in a piece of text.
+ * A range ("7401-7671q") is one entry with `through` set; "et seq." is recorded on
+ * the first section without guessing where the run ends. Each citation is listed
+ * once, keyed as the search filters name it ("42 U.S.C. 7411", "Pub. L. 101-549",
+ * "79 FR 12345").
+ */
+function parseLegalCitations(text) {
+  const citations = { usc: [], publicLaws: [], federalRegister: [] };
+  if (!text) {
+    return citations;
+  }
+
+  const seen = new Set();
+  const add = (list, key, citation) => {
+    if (seen.has(key)) return;
+    seen.add(key);
+    list.push({ key, ...citation });
+  };
+
+  for (const match of text.matchAll(USC)) {
+    const title = parseInt(match[1]);
+    for (const item of match[2].matchAll(USC_ITEMS)) {
+      const citation = { title, section: item[1], through: item[2] || null, etSeq: !!item[3] };
+      add(citations.usc, `${uscKey(citation)}${citation.through ? `-${citation.through}` : ''}`, citation);
+    }
+  }
+
+  for (const match of text.matchAll(PUBLIC_LAW)) {
+    const citation = { congress: parseInt(match[1]), number: parseInt(match[2]) };
+    add(citations.publicLaws, publicLawKey(citation), citation);
+  }
+
+  for (const match of text.matchAll(FEDERAL_REGISTER)) {
+    const citation = {
+      volume: parseInt(match[1]),
+      page: parseInt(match[2]),
+      date: parseDate(match[3], match[4], match[5])
+    };
+    add(citations.federalRegister, federalRegisterKey(citation), citation);
+  }
+
+  return citations;
+}
+
+// The search fields for a document's parsed citations
+function citationSearchFields(citations) {
+  const { usc = [], publicLaws = [], federalRegister = [] } = citations || {};
+  return {
+    usc: usc.filter(citation => !citation.through).map(citation => citation.key),
+    uscRanges: usc.filter(citation => citation.through).map(citation => ({
+      gte: uscPosition(citation.title, citation.section),
+      lte: uscPosition(citation.title, citation.through)
+    })),
+    publicLaws: publicLaws.map(citation => citation.key),
+    federalRegister: federalRegister.map(citation => citation.key)
+  };
+}
+
+module.exports = {
+  parseLegalCitations,
+  citationSearchFields,
+  uscKey,
+  publicLawKey,
+  federalRegisterKey,
+  uscPosition
+};
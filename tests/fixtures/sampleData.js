@@ -55,7 +55,60 @@ const sampleXML = {
     <section>
       <num>300.1</num>
       <subject>Test</subject>
-</title>`
+</title>`,
+
+  // eCFR bulk-data layout (DLPSTEXTCLASS > ... > DIV1-DIV9) as served by govinfo.gov
+  ecfr: `<?xml version="1.0" encoding="UTF-8"?>
+<DLPSTEXTCLASS>
+<HEADER><FILEDESC><TITLESTMT><TITLE>Title 40: Protection of Environment</TITLE></TITLESTMT></FILEDESC></HEADER>
+<TEXT><BODY><ECFRBRWS><AMDDATE>Jan. 2, 2024</AMDDATE>
+<DIV1 N="40" NODE="40:1" TYPE="TITLE"><HEAD>Title 40—Protection of Environment--Volume 1</HEAD>
+<DIV3 N="I" NODE="40:1.0.1" TYPE="CHAPTER"><HEAD>CHAPTER I—ENVIRONMENTAL PROTECTION AGENCY</HEAD>
+<DIV4 N="C" NODE="40:1.0.1.3" TYPE="SUBCHAP"><HEAD>SUBCHAPTER C—AIR PROGRAMS</HEAD>
+<DIV5 N="60" NODE="40:1.0.1.3.60" TYPE="PART"><HEAD>PART 60—STANDARDS OF PERFORMANCE FOR NEW STATIONARY SOURCES</HEAD>
+<AUTH><HED>Authority:</HED><PSPACE>42 U.S.C. 7401 <E T="03">et seq.</E></PSPACE></AUTH>
+<SOURCE><HED>Source:</HED><PSPACE>36 FR 24877, Dec. 23, 1971, unless otherwise noted.</PSPACE></SOURCE>
+<DIV6 N="A" NODE="40:1.0.1.3.60.1" TYPE="SUBPART"><HEAD>Subpart A—General Provisions</HEAD>
+<DIV8 N="§ 60.1" NODE="40:1.0.1.3.60.1.1.1" TYPE="SECTION"><HEAD>§ 60.1   Applicability.</HEAD>
+<P>(a) Except as provided in subparts B and C, the provisions of this part apply to the owner or operator of any stationary source. See § 60.4 and part 63 of this chapter, and 40 CFR 52.21.</P>
+<CITA TYPE="N">[40 FR 53346, Nov. 17, 1975]</CITA>
+</DIV8>
+<DIV8 N="§ 60.2" NODE="40:1.0.1.3.60.1.1.2" TYPE="SECTION"><HEAD>§ 60.2   Definitions.</HEAD>
+<P>The terms used in this part are defined in the Act or in this section as follows:</P>
+<P><I>Act</I> means the Clean Air Act (42 U.S.C. 7401 <E T="03">et seq.</E>)</P>
+<P><I>Administrator</I> means the Administrator of the Environmental Protection Agency or his authorized representative.</P>
+</DIV8>
+<DIV8 N="§ 60.4" NODE="40:1.0.1.3.60.1.1.4" TYPE="SECTION"><HEAD>§ 60.4   Address.</HEAD>
+<P>(a) All requests, reports, applications shall be submitted in duplicate to the Regional Office.</P>
+<GPOTABLE COLS="3" OPTS="L2" CDEF="s50,r50,r50"><BOXHD><CHED H="1">State</CHED><CHED H="1">Limit</CHED><CHED H="1">Fee ($)</CHED></BOXHD>
+<ROW><ENT I="01">Alabama</ENT><ENT>0.20</ENT><ENT>1,200</ENT></ROW>
+<ROW><ENT I="01">Alaska</ENT><ENT>0.15</ENT><ENT>900</ENT></ROW>
+</GPOTABLE>
+</DIV8>
+</DIV6>
+<DIV8 N="§ 60.5" NODE="40:1.0.1.3.60.1.1.5" TYPE="SECTION"><HEAD>§ 60.5   Determination of construction.</HEAD>
+<P>When requested to do so, the Administrator will make a determination.</P>
+<EDNOTE><HED>Editorial Note:</HED><PSPACE>Nomenclature changes appear at 65 FR 61744.</PSPACE></EDNOTE>
+</DIV8>
+<DIV9 N="Appendix A to Part 60" NODE="40:1.0.1.3.60.9.1" TYPE="APPENDIX"><HEAD>Appendix A to Part 60—Test Methods</HEAD>
+<P>Method 1—Sample and velocity traverses.</P>
+<img src="/graphics/ec01.000.gif"/>
+</DIV9>
+</DIV5>
+<DIV5 N="61" NODE="40:1.0.1.3.61" TYPE="PART"><HEAD>PART 61—NATIONAL EMISSION STANDARDS</HEAD>
+<DIV7 N="" NODE="40:1.0.1.3.61.0.1" TYPE="SUBJGRP"><HEAD>General Provisions</HEAD>
+<DIV8 N="§ 61.01" NODE="40:1.0.1.3.61.0.1.1" TYPE="SECTION"><HEAD>§ 61.01   Lists of pollutants.</HEAD>
+<P>The following pollutants are listed. See § 61.02.</P>
+</DIV8>
+</DIV7>
+<DIV8 N="§ 61.02" NODE="40:1.0.1.3.61.0.1.2" TYPE="SECTION"><HEAD>§ 61.02   Definitions. [Reserved]</HEAD>
+</DIV8>
+</DIV5>
+</DIV4>
+</DIV3>
+</DIV1>
+</ECFRBRWS></BODY></TEXT>
+</DLPSTEXTCLASS>`
 };
 
 const sampleDocuments = [
@@ -4,6 +4,7 @@ const mongoose = require('mongoose');
 const { GridFSBucket } = require('mongodb');
 const documentsRouter = require('../../../../services/backend/routes/documents');
 const Document = require('../../../../services/shared/models/Document');
+const Reference = require('../../../../services/shared/models/Reference');
 const { DatabaseHelper, TestDataBuilder } = require('../../../utils/testHelpers');
 
 describe('Documents API Integration Tests', () => {
@@ -192,6 +193,29 @@ describe('Documents API Integration Tests', () => {
       expect(response.body.error).toContain('Document not found');
     });
 
+    it('should retrieve a document whose identifier contains slashes', async () => {
+      const identifier = '40/chapter-I/part-60/section-60.4';
+      await Document.create(TestDataBuilder.createDocument({ titleNumber: 40, identifier, title: 'Address' }));
+
+      // Encoded as the frontend links are, and decoded as the nginx proxy forwards them
+      const encoded = await request(app).get(`/api/documents/40/${encodeURIComponent(identifier)}`);
+      const forwarded = await request(app).get(`/api/documents/40/${identifier}`);
+
+      expect(encoded.status).toBe(200);
+      expect(encoded.body.identifier).toBe(identifier);
+      expect(forwarded.status).toBe(200);
+      expect(forwarded.body.identifier).toBe(identifier);
+    });
+
+    it('should not decode an identifier twice', async () => {
+      await Document.create(TestDataBuilder.createDocument({ titleNumber: 1, identifier: 'section-1.1%2F2' }));
+
+      const response = await request(app).get(`/api/documents/1/${encodeURIComponent('section-1.1%2F2')}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.identifier).toBe('section-1.1%2F2');
+    });
+
     it('should handle documents with GridFS content', async () => {
       // Create a document with GridFS reference
       const largeContent = 'x'.repeat(100000);
@@ -316,6 +340,140 @@ describe('Documents API Integration Tests', () => {
     });
   });
 
+  describe('GET /api/documents/:titleNumber/:identifier/references', () => {
+    let citing;
+    let cited;
+
+    beforeEach(async () => {
+      [citing, cited] = await Document.insertMany([
+        TestDataBuilder.createDocument({
+          titleNumber: 40,
+          type: 'section',
+          identifier: '40/part-60/section-60.1',
+          heading: 'Applicability'
+        }),
+        TestDataBuilder.createDocument({
+          titleNumber: 40,
+          type: 'section',
+          identifier: '40/part-60/section-60.4',
+          heading: 'Address'
+        })
+      ]);
+
+      const edge = {
+        sourceId: citing._id,
+        titleNumber: 40,
+        sourceIdentifier: citing.identifier,
+        sourceType: 'section',
+        targetTitleNumber: 40,
+        targetType: 'section',
+        targetPart: '60'
+      };
+      await Reference.insertMany([
+        { ...edge, text: '§ 60.4', targetSection: '60.4', targetKey: 'section-60.4', targetIdentifier: cited.identifier },
+        { ...edge, text: '§ 60.9', targetSection: '60.9', targetKey: 'section-60.9' }
+      ]);
+    });
+
+    it('should list the references of a document with their targets', async () => {
+      const response = await request(app)
+        .get(`/api/documents/40/${encodeURIComponent(citing.identifier)}/references`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.references).toHaveLength(2);
+      expect(response.body.references[0]).toMatchObject({
+        text: '§ 60.4',
+        targetIdentifier: cited.identifier,
+        target: { type: 'section', heading: 'Address' }
+      });
+      expect(response.body.references[1]).toMatchObject({ text: '§ 60.9', targetIdentifier: null, target: null });
+    });
+
+    it('should list the documents referencing a document', async () => {
+      const response = await request(app)
+        .get(`/api/documents/40/${encodeURIComponent(cited.identifier)}/referenced-by`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.referencedBy).toEqual([{
+        titleNumber: 40,
+        identifier: citing.identifier,
+        type: 'section',
+        heading: 'Applicability',
+        citedAs: ['§ 60.4']
+      }]);
+    });
+
+    it('should leave out references from documents that are no longer current', async () => {
+      await Document.updateOne({ _id: citing._id }, { $set: { generations: [1] } });
+
+      const response = await request(app)
+        .get(`/api/documents/40/${encodeURIComponent(cited.identifier)}/referenced-by`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.referencedBy).toEqual([]);
+    });
+
+    it('should return 404 for unknown documents', async () => {
+      const response = await request(app)
+        .get('/api/documents/40/non-existent/references');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Document not found');
+    });
+  });
+
+  describe('GET /api/documents/:titleNumber/:identifier/tables', () => {
+    const identifier = encodeURIComponent('40/part-60/section-60.4');
+
+    beforeEach(async () => {
+      await Document.create(TestDataBuilder.createDocument({
+        titleNumber: 40,
+        type: 'section',
+        identifier: '40/part-60/section-60.4',
+        tables: [{
+          title: 'Fees',
+          columns: [{ label: 'State', numeric: false }, { label: 'Fee ($)', numeric: true }],
+          rows: [['Alabama', '1,200'], ['Alaska "North"', '900']],
+          notes: []
+        }]
+      }));
+    });
+
+    it('should return the tables of a document', async () => {
+      const response = await request(app).get(`/api/documents/40/${identifier}/tables`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.tables).toEqual([{
+        title: 'Fees',
+        columns: [{ label: 'State', numeric: false }, { label: 'Fee ($)', numeric: true }],
+        rows: [['Alabama', '1,200'], ['Alaska "North"', '900']],
+        notes: []
+      }]);
+    });
+
+    it('should download a table as CSV', async () => {
+      const response = await request(app).get(`/api/documents/40/${identifier}/tables?format=csv&table=0`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.headers['content-disposition']).toContain('title-40-section-60.4-tables-1.csv');
+      expect(response.text).toBe('State,Fee ($)\r\nAlabama,"1,200"\r\n"Alaska ""North""",900\r\n');
+    });
+
+    it('should return 404 for a table the document does not have', async () => {
+      const response = await request(app).get(`/api/documents/40/${identifier}/tables?format=csv&table=3`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Table not found');
+    });
+
+    it('should reject unknown formats', async () => {
+      const response = await request(app).get(`/api/documents/40/${identifier}/tables?format=xlsx`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
   describe('GET /api/documents/hierarchy/:titleNumber', () => {
     beforeEach(async () => {
       // Create hierarchical documents
@@ -300,6 +300,72 @@ describe('Search API Integration Tests', () => {
     });
   });
 
+  describe('GET /api/search', () => {
+    // The route searches through the backend's copy of the shared client and its alias
+    const elasticsearch = require('../../../../services/backend/shared/db/elasticsearch');
+
+    beforeAll(async () => {
+      await elasticsearch.connect('http://localhost:9200');
+    });
+
+    afterAll(async () => {
+      await elasticsearch.getClient().indices.delete({ index: 'ecfr_documents*', expand_wildcards: 'open' });
+      await elasticsearch.disconnect();
+    });
+
+    beforeEach(async () => {
+      await elasticsearch.getClient().deleteByQuery({ index: 'ecfr_documents', refresh: true, query: { match_all: {} } });
+      await elasticsearch.bulkIndex([
+        { titleNumber: 40, identifier: '40/part-60/section-60.1', type: 'section', content: 'Each reporting and recordkeeping requirement applies.', amendmentDate: '2021-05-01', antiquatedScore: 75 },
+        { titleNumber: 40, identifier: '40/part-60/section-60.2', type: 'section', content: 'Definitions.', antiquatedScore: 20 }
+      ]);
+    });
+
+    it('should search with only a score filter', async () => {
+      const response = await request(app)
+        .get('/api/search')
+        .query({ minAntiquatedScore: 60 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.hits.map(hit => hit.identifier)).toEqual(['40/part-60/section-60.1']);
+    });
+
+    it('should search with only a date range', async () => {
+      const response = await request(app)
+        .get('/api/search')
+        .query({ amendedFrom: '2020-01-01', sort: 'amendedNewest' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.hits.map(hit => hit.identifier)).toEqual(['40/part-60/section-60.1']);
+    });
+
+    it('should search with only the amendment year a facet gives', async () => {
+      const response = await request(app)
+        .get('/api/search')
+        .query({ amendmentYear: 2021 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.hits.map(hit => hit.identifier)).toEqual(['40/part-60/section-60.1']);
+    });
+
+    it('should find words within a distance of each other in advanced mode', async () => {
+      const response = await request(app)
+        .get('/api/search')
+        .query({ query: 'reporting~5 requirement', mode: 'advanced' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.hits.map(hit => hit.identifier)).toEqual(['40/part-60/section-60.1']);
+    });
+
+    it('should still require a query or a filter', async () => {
+      const response = await request(app)
+        .get('/api/search')
+        .query({ titleNumber: 40 });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
   describe('GET /api/search/suggest', () => {
     beforeEach(async () => {
       await Document.insertMany(sampleDocuments);
@@ -0,0 +1,59 @@
+const ChangeTracker = require('../../../services/data-refresh/services/ChangeTracker');
+
+describe('ChangeTracker', () => {
+  const stored = [
+    { _id: 'a', identifier: '40/chapter-I/part-60/section-60.1', type: 'section', contentHash: 'hash-1' },
+    { _id: 'b', identifier: '40/chapter-I/part-60/section-60.2', type: 'section', contentHash: 'hash-2' },
+    { _id: 'c', identifier: '40/chapter-I/part-60', type: 'part', contentHash: 'hash-3' }
+  ];
+
+  it('should classify documents by content hash', () => {
+    const tracker = new ChangeTracker(stored);
+
+    expect(tracker.compare({ identifier: stored[0].identifier, contentHash: 'hash-1' }).status).toBe('unchanged');
+    expect(tracker.compare({ identifier: stored[1].identifier, contentHash: 'hash-changed' }).status).toBe('changed');
+    expect(tracker.compare({ identifier: '40/chapter-I/part-60/section-60.3', contentHash: 'hash-4' }).status).toBe('added');
+    expect(tracker.stats).toEqual({ added: 1, changed: 1, unchanged: 1 });
+  });
+
+  it('should report stored documents that were not parsed again as removed', () => {
+    const tracker = new ChangeTracker(stored);
+    tracker.compare({ identifier: stored[0].identifier, contentHash: 'hash-1' });
+
+    expect(tracker.removedDocuments().map(doc => doc._id)).toEqual(['b', 'c']);
+  });
+
+  it('should only record changes to sections and appendices', () => {
+    const tracker = new ChangeTracker(stored);
+    tracker.recordChange('modified', { identifier: stored[2].identifier, type: 'part' }, 'old', 'new');
+    tracker.recordChange('modified', { identifier: stored[1].identifier, type: 'section', section: '§ 60.2' }, 'old text', 'new text');
+
+    expect(tracker.changes).toHaveLength(1);
+    expect(tracker.changes[0]).toMatchObject({ identifier: stored[1].identifier, section: '§ 60.2', changeType: 'modified' });
+    expect(tracker.changes[0].diff.length).toBeGreaterThan(0);
+  });
+
+  it('should not list changes on a title\'s first download', () => {
+    const tracker = new ChangeTracker([]);
+    tracker.recordChange('added', { identifier: '1/chapter-I/part-1/section-1.1', type: 'section' }, '', 'text');
+
+    expect(tracker.toChangeSet({ titleNumber: 1 })).toMatchObject({
+      titleNumber: 1,
+      baseline: true,
+      summary: { added: 0, modified: 0, removed: 0 },
+      changes: []
+    });
+  });
+
+  it('should summarize recorded changes', () => {
+    const tracker = new ChangeTracker(stored);
+    tracker.recordChange('added', { identifier: 'x', type: 'section' }, '', 'text');
+    tracker.recordChange('removed', { identifier: 'y', type: 'appendix' }, 'text', '');
+
+    expect(tracker.toChangeSet({ titleNumber: 40, incomplete: true })).toMatchObject({
+      baseline: false,
+      incomplete: true,
+      summary: { added: 1, modified: 0, removed: 1 }
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Requests in these tests need not wait for each other
+process.env.REFRESH_HOST_INTERVAL_MS = '0';
+const GovInfoSource = require('../../../services/data-refresh/services/sources/GovInfoSource');
+const LocalSource = require('../../../services/data-refresh/services/sources/LocalSource');
+const { sampleXML } = require('../../fixtures/sampleData');
+
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+
+describe('GovInfoSource', () => {
+  const etag = '"title-40-v1"';
+  const manifest = {
+    titles: [{ number: 40, name: 'Protection of Environment', latest_issue_date: '2024-01-02', reserved: false }]
+  };
+  let server;
+  let requests;
+  let tmpDir;
+  let mirrorDir;
+  let outputPath;
+  let source;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      requests.push({ url: req.url, ifNoneMatch: req.headers['if-none-match'] });
+      if (req.url === '/titles.json') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(manifest));
+      } else if (req.headers['if-none-match'] === etag) {
+        res.writeHead(304);
+        res.end();
+      } else {
+        res.writeHead(200, { 'Content-Type': 'application/xml', ETag: etag });
+        res.end(sampleXML.ecfr);
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ecfr-govinfo-source-'));
+    mirrorDir = path.join(tmpDir, 'mirror');
+    outputPath = path.join(tmpDir, 'output.xml');
+
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    source = new GovInfoSource({ mirrorDir });
+    source.baseUrl = baseUrl;
+    source.titlesApiUrl = `${baseUrl}/titles.json`;
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should mirror downloads and make the next request conditional on them', async () => {
+    expect(await source.fetchTitle({ number: 40 }, outputPath)).toBe(sha256(sampleXML.ecfr));
+    expect(requests[0].ifNoneMatch).toBeUndefined();
+
+    const record = await source.mirror.read(40);
+    expect(record).toMatchObject({ checksum: sha256(sampleXML.ecfr), etag });
+
+    fs.rmSync(outputPath);
+    expect(await source.fetchTitle({ number: 40 }, outputPath, { knownChecksum: sha256(sampleXML.ecfr) })).toBeNull();
+    expect(requests[1].ifNoneMatch).toBe(etag);
+    expect(fs.existsSync(outputPath)).toBe(false);
+  });
+
+  it('should download in full when forced, even if the title is the version already stored', async () => {
+    await source.fetchTitle({ number: 40 }, outputPath);
+    fs.rmSync(outputPath);
+
+    const checksum = await source.fetchTitle({ number: 40 }, outputPath, { knownChecksum: sha256(sampleXML.ecfr), force: true });
+
+    expect(checksum).toBe(sha256(sampleXML.ecfr));
+    expect(fs.readFileSync(outputPath, 'utf8')).toBe(sampleXML.ecfr);
+    expect(requests.map(request => request.ifNoneMatch)).toEqual([undefined, undefined]);
+  });
+
+  it('should use the mirrored copy when it is not the version already stored', async () => {
+    await source.fetchTitle({ number: 40 }, outputPath);
+    fs.rmSync(outputPath);
+
+    expect(await source.fetchTitle({ number: 40 }, outputPath, { knownChecksum: 'older' })).toBe(sha256(sampleXML.ecfr));
+    expect(fs.readFileSync(outputPath, 'utf8')).toBe(sampleXML.ecfr);
+    expect(requests).toHaveLength(2);
+  });
+
+  it('should download in full without a mirror', async () => {
+    source = new GovInfoSource({ mirrorDir: '' });
+    source.baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    await source.fetchTitle({ number: 40 }, outputPath);
+    await source.fetchTitle({ number: 40 }, outputPath, { knownChecksum: sha256(sampleXML.ecfr) });
+
+    expect(requests.map(request => request.ifNoneMatch)).toEqual([undefined, undefined]);
+  });
+
+  it('should leave a mirror LocalSource can import from', async () => {
+    await source.fetchTitlesList();
+    await source.fetchTitle({ number: 40 }, outputPath);
+
+    const local = new LocalSource(mirrorDir);
+    expect(await local.fetchTitlesList()).toEqual(manifest.titles);
+    expect(await local.fetchTitle({ number: 40 }, path.join(tmpDir, 'imported.xml'))).toBe(sha256(sampleXML.ecfr));
+    expect(await local.titleSize({ number: 40 })).toBe(Buffer.byteLength(sampleXML.ecfr));
+  });
+});
@@ -0,0 +1,60 @@
+const IngestDiagnostics = require('../../../services/data-refresh/services/IngestDiagnostics');
+
+const { MAX_ENTRIES } = IngestDiagnostics;
+
+describe('IngestDiagnostics', () => {
+  let diagnostics;
+
+  beforeEach(() => {
+    diagnostics = new IngestDiagnostics();
+  });
+
+  it('should start with an empty report', () => {
+    expect(diagnostics.toReport()).toEqual({
+      unknownElements: [],
+      skippedDocuments: [],
+      gridfsSpills: [],
+      emptySections: [],
+      totals: { unknownElements: 0, skippedDocuments: 0, gridfsSpills: 0, emptySections: 0 },
+      error: null
+    });
+  });
+
+  it('should count unknown elements by name, most frequent first', () => {
+    ['p', 'zeta', 'alpha', 'zeta', 'head', 'gpotable'].forEach(name => diagnostics.element(name));
+
+    const report = diagnostics.toReport();
+    expect(report.unknownElements).toEqual([{ name: 'zeta', count: 2 }, { name: 'alpha', count: 1 }]);
+    expect(report.totals.unknownElements).toBe(2);
+  });
+
+  it('should record skipped documents, GridFS spills and empty sections', () => {
+    diagnostics.documentSkipped('section', '40/section-1.1', new Error('Bad node'));
+    diagnostics.spilledToGridFS('part', '40/part-60', 'content', 2048);
+    diagnostics.emptySection('appendix', '40/appendix-A', null);
+
+    expect(diagnostics.toReport()).toMatchObject({
+      skippedDocuments: [{ type: 'section', identifier: '40/section-1.1', error: 'Bad node' }],
+      gridfsSpills: [{ type: 'part', identifier: '40/part-60', field: 'content', size: 2048 }],
+      emptySections: [{ type: 'appendix', identifier: '40/appendix-A', heading: null }],
+      totals: { unknownElements: 0, skippedDocuments: 1, gridfsSpills: 1, emptySections: 1 }
+    });
+  });
+
+  it('should keep the first entries of a list but count them all', () => {
+    for (let index = 0; index < MAX_ENTRIES + 5; index++) {
+      diagnostics.emptySection('section', `40/section-${index}`, null);
+    }
+
+    const report = diagnostics.toReport();
+    expect(report.emptySections).toHaveLength(MAX_ENTRIES);
+    expect(report.emptySections[0].identifier).toBe('40/section-0');
+    expect(report.totals.emptySections).toBe(MAX_ENTRIES + 5);
+  });
+
+  it('should report why the parse failed', () => {
+    diagnostics.parseFailed(new Error('Unexpected close tag'));
+
+    expect(diagnostics.toReport().error).toBe('Unexpected close tag');
+  });
+});
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const LocalSource = require('../../../services/data-refresh/services/sources/LocalSource');
+const { sampleXML } = require('../../fixtures/sampleData');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = buffer => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Minimal zip writer (stored entries, no compression) so the test needs no zip library
+const createZip = (filePath, files) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(files)) {
+    const data = Buffer.from(content);
+    const nameBuffer = Buffer.from(name);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    locals.push(local, nameBuffer, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuffer);
+
+    offset += local.length + nameBuffer.length + data.length;
+  }
+
+  const centralSize = centrals.reduce((size, buffer) => size + buffer.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  fs.writeFileSync(filePath, Buffer.concat([...locals, ...centrals, end]));
+};
+
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+
+describe('LocalSource', () => {
+  let tmpDir;
+  let caseDir;
+  let outputPath;
+
+  const manifest = {
+    titles: [
+      { number: 1, name: 'General Provisions', latest_issue_date: '2024-01-02', reserved: false },
+      { number: 35, name: 'Reserved', reserved: true },
+      { number: 40, name: 'Protection of Environment', latest_issue_date: '2024-01-02', reserved: false }
+    ]
+  };
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ecfr-local-source-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    caseDir = fs.mkdtempSync(path.join(tmpDir, 'case-'));
+    outputPath = path.join(caseDir, 'output.xml');
+  });
+
+  describe('directories', () => {
+    it('should list the manifest titles that have XML, keeping reserved ones', async () => {
+      fs.writeFileSync(path.join(caseDir, 'titles.json'), JSON.stringify(manifest));
+      fs.writeFileSync(path.join(caseDir, 'ECFR-title40.xml'), sampleXML.ecfr);
+
+      const titles = await new LocalSource(caseDir).fetchTitlesList();
+
+      expect(titles.map(t => t.number)).toEqual([35, 40]);
+      expect(titles[1].name).toBe('Protection of Environment');
+    });
+
+    it('should name titles after their files without a manifest', async () => {
+      fs.mkdirSync(path.join(caseDir, 'title-40'));
+      fs.writeFileSync(path.join(caseDir, 'title-40', 'ECFR-title40.xml'), sampleXML.ecfr);
+      fs.writeFileSync(path.join(caseDir, 'ECFR-title1.xml'), sampleXML.small);
+
+      const titles = await new LocalSource(caseDir).fetchTitlesList();
+
+      expect(titles).toEqual([
+        { number: 1, name: 'Title 1', reserved: false },
+        { number: 40, name: 'Title 40', reserved: false }
+      ]);
+    });
+
+    it('should copy plain and gzipped title files, returning the XML checksum', async () => {
+      fs.writeFileSync(path.join(caseDir, 'ECFR-title40.xml'), sampleXML.ecfr);
+      fs.writeFileSync(path.join(caseDir, 'ECFR-title1.xml.gz'), zlib.gzipSync(sampleXML.small));
+      const source = new LocalSource(caseDir);
+
+      expect(await source.fetchTitle({ number: 40 }, outputPath)).toBe(sha256(sampleXML.ecfr));
+      expect(fs.readFileSync(outputPath, 'utf8')).toBe(sampleXML.ecfr);
+
+      expect(await source.fetchTitle({ number: 1 }, outputPath)).toBe(sha256(sampleXML.small));
+      expect(fs.readFileSync(outputPath, 'utf8')).toBe(sampleXML.small);
+    });
+
+    it('should report the XML size of plain and gzipped title files', async () => {
+      fs.writeFileSync(path.join(caseDir, 'ECFR-title40.xml'), sampleXML.ecfr);
+      fs.writeFileSync(path.join(caseDir, 'ECFR-title1.xml.gz'), zlib.gzipSync(sampleXML.small));
+      const source = new LocalSource(caseDir);
+
+      expect(await source.titleSize({ number: 40 })).toBe(Buffer.byteLength(sampleXML.ecfr));
+      expect(await source.titleSize({ number: 1 })).toBe(Buffer.byteLength(sampleXML.small));
+      expect(await source.titleSize({ number: 2 })).toBeNull();
+    });
+
+    it('should fail for titles it has no XML for', async () => {
+      fs.writeFileSync(path.join(caseDir, 'ECFR-title40.xml'), sampleXML.ecfr);
+
+      await expect(new LocalSource(caseDir).fetchTitle({ number: 1 }, outputPath)).rejects.toThrow('No XML for title 1');
+    });
+  });
+
+  describe('archives', () => {
+    it('should read the manifest and title files from a zip archive', async () => {
+      const archivePath = path.join(caseDir, 'ecfr.zip');
+      createZip(archivePath, {
+        'titles.json': JSON.stringify(manifest),
+        'ECFR/title-40/ECFR-title40.xml': sampleXML.ecfr,
+        'ECFR/title-1/ECFR-title1.xml.gz': zlib.gzipSync(sampleXML.small)
+      });
+      const source = new LocalSource(archivePath);
+
+      expect((await source.fetchTitlesList()).map(t => t.number)).toEqual([1, 35, 40]);
+
+      expect(await source.fetchTitle({ number: 40 }, outputPath)).toBe(sha256(sampleXML.ecfr));
+      expect(fs.readFileSync(outputPath, 'utf8')).toBe(sampleXML.ecfr);
+
+      expect(await source.fetchTitle({ number: 1 }, outputPath)).toBe(sha256(sampleXML.small));
+      expect(await source.titleSize({ number: 40 })).toBe(Buffer.byteLength(sampleXML.ecfr));
+    });
+
+    it('should read zip archives inside a directory', async () => {
+      fs.writeFileSync(path.join(caseDir, 'titles.json'), JSON.stringify(manifest));
+      createZip(path.join(caseDir, 'ECFR-title40.zip'), { 'ECFR-title40.xml': sampleXML.ecfr });
+
+      const source = new LocalSource(caseDir);
+
+      expect((await source.fetchTitlesList()).map(t => t.number)).toEqual([35, 40]);
+      expect(await source.fetchTitle({ number: 40 }, outputPath)).toBe(sha256(sampleXML.ecfr));
+    });
+
+    it('should reject paths that are neither directories nor zip archives', async () => {
+      const filePath = path.join(caseDir, 'ECFR-title40.xml');
+      fs.writeFileSync(filePath, sampleXML.ecfr);
+
+      await expect(new LocalSource(filePath).fetchTitlesList()).rejects.toThrow('neither a directory nor a .zip archive');
+    });
+  });
+});
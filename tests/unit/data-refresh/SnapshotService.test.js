@@ -0,0 +1,27 @@
+const { parseSnapshotDates } = require('../../../services/data-refresh/services/SnapshotService');
+
+describe('SnapshotService', () => {
+  describe('parseSnapshotDates', () => {
+    const today = new Date('2020-06-15T12:00:00Z');
+
+    it('should return no dates when nothing is configured', () => {
+      expect(parseSnapshotDates({}, today)).toEqual([]);
+      expect(parseSnapshotDates({ dates: '', yearsFrom: '' }, today)).toEqual([]);
+    });
+
+    it('should add January 1 of every year from the start year', () => {
+      expect(parseSnapshotDates({ yearsFrom: '2017' }, today))
+        .toEqual(['2017-01-01', '2018-01-01', '2019-01-01', '2020-01-01']);
+    });
+
+    it('should merge listed dates with yearly dates, sorted and without duplicates', () => {
+      expect(parseSnapshotDates({ dates: '2019-07-04, 2018-01-01', yearsFrom: '2018' }, today))
+        .toEqual(['2018-01-01', '2019-01-01', '2019-07-04', '2020-01-01']);
+    });
+
+    it('should skip invalid and future dates', () => {
+      expect(parseSnapshotDates({ dates: '2019-02-30,yesterday,2019-3-1,2021-01-01,2019-03-01' }, today))
+        .toEqual(['2019-03-01']);
+    });
+  });
+});
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const v8 = require('v8');
+const vm = require('vm');
+const XMLParser = require('../../../services/data-refresh/services/XMLParser');
+const StreamingXMLParser = require('../../../services/data-refresh/services/StreamingXMLParser');
+const IngestDiagnostics = require('../../../services/data-refresh/services/IngestDiagnostics');
+const { sampleXML } = require('../../fixtures/sampleData');
+
+// lastModified is stamped at creation time, so leave it out of comparisons
+const withoutTimestamps = documents => documents.map(({ lastModified, ...doc }) => doc);
+
+describe('StreamingXMLParser', () => {
+  let tmpDir;
+  let parser;
+
+  const writeFixture = (name, xml) => {
+    const filePath = path.join(tmpDir, `${name}.xml`);
+    fs.writeFileSync(filePath, xml);
+    return filePath;
+  };
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ecfr-streaming-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    parser = new StreamingXMLParser();
+  });
+
+  describe('parseFile', () => {
+    it('should produce the same documents as parseTitle', async () => {
+      const filePath = writeFixture('ecfr', sampleXML.ecfr);
+
+      const expected = await new XMLParser().parseTitle(sampleXML.ecfr, 40);
+      const documents = await parser.parseFile(filePath, 40);
+
+      expect(documents.length).toBeGreaterThan(0);
+      expect(withoutTimestamps(documents)).toEqual(withoutTimestamps(expected));
+    });
+
+    it('should not depend on where the file is split into chunks', async () => {
+      const filePath = writeFixture('ecfr-chunks', sampleXML.ecfr);
+      const createReadStream = fs.createReadStream;
+      const spy = jest.spyOn(fs, 'createReadStream')
+        .mockImplementation((file, options) => createReadStream(file, { ...options, highWaterMark: 7 }));
+
+      try {
+        const expected = await new XMLParser().parseTitle(sampleXML.ecfr, 40);
+        const documents = await parser.parseFile(filePath, 40);
+
+        expect(withoutTimestamps(documents)).toEqual(withoutTimestamps(expected));
+      } finally {
+        spy.mockRestore();
+      }
+    });
+
+    it('should hand documents off in batches', async () => {
+      const filePath = writeFixture('ecfr-batches', sampleXML.ecfr);
+      const expected = await new XMLParser().parseTitle(sampleXML.ecfr, 40);
+
+      const batches = [];
+      const count = await parser.parseFile(filePath, 40, {
+        batchSize: 3,
+        onBatch: async batch => batches.push(batch)
+      });
+
+      expect(count).toBe(expected.length);
+      batches.slice(0, -1).forEach(batch => expect(batch).toHaveLength(3));
+
+      const byIdentifier = docs => withoutTimestamps(docs).sort((a, b) => a.identifier.localeCompare(b.identifier));
+      expect(byIdentifier(batches.flat())).toEqual(byIdentifier(expected));
+    });
+
+    it('should emit children before their parents', async () => {
+      const filePath = writeFixture('ecfr-order', sampleXML.ecfr);
+
+      const emitted = [];
+      await parser.parseFile(filePath, 40, { onBatch: async batch => emitted.push(...batch) });
+      const position = identifier => emitted.findIndex(doc => doc.identifier === identifier);
+
+      expect(position('40/chapter-I/part-60/section-60.1')).toBeLessThan(position('40/chapter-I/part-60'));
+      expect(emitted[emitted.length - 1].identifier).toBe('40');
+    });
+
+    it('should parse versioner XML, where DIV1 is the root', async () => {
+      const div1 = sampleXML.ecfr.slice(sampleXML.ecfr.indexOf('<DIV1'), sampleXML.ecfr.indexOf('</DIV1>') + '</DIV1>'.length);
+      const xml = `<?xml version="1.0" encoding="UTF-8"?>\n${div1}`;
+      const filePath = writeFixture('versioner', xml);
+
+      const expected = await new XMLParser().parseTitle(xml, 40);
+      const documents = await parser.parseFile(filePath, 40);
+
+      expect(documents.length).toBeGreaterThan(0);
+      expect(withoutTimestamps(documents)).toEqual(withoutTimestamps(expected));
+    });
+
+    it('should return no documents when there is no eCFR title structure', async () => {
+      const filePath = writeFixture('small', sampleXML.small);
+
+      expect(await parser.parseFile(filePath, 1)).toEqual([]);
+    });
+
+    describe('on a large title', () => {
+      // A title of table-heavy sections, where the element tree is much larger than the text
+      const largeTitle = (parts, sections) => {
+        const rows = Array.from({ length: 30 }, (_, r) => `<ROW><ENT I="01">Unit ${r}</ENT><ENT>${r * 10}</ENT><ENT>0.0${r}</ENT></ROW>`).join('');
+        const section = (p, s) => `<DIV8 N="${p}.${s}" TYPE="SECTION"><HEAD>§ ${p}.${s} Emission limits.</HEAD>
+          <P>(a) The owner or operator of an <E T="03">affected facility</E> shall comply with § ${p}.${s + 1}.</P>
+          <GPOTABLE COLS="3"><TTITLE>Table ${s}</TTITLE><BOXHD><CHED H="1">Unit</CHED><CHED H="1">Limit</CHED><CHED H="1">Factor</CHED></BOXHD>${rows}</GPOTABLE>
+          <CITA>[40 FR 123, Jan. 1, 1975]</CITA></DIV8>`;
+        const part = p => `<DIV5 N="${p}" TYPE="PART"><HEAD>PART ${p}</HEAD>${Array.from({ length: sections }, (_, s) => section(p, s + 1)).join('')}</DIV5>`;
+        return `<?xml version="1.0" encoding="UTF-8"?><DLPSTEXTCLASS><TEXT><BODY><ECFRBRWS><AMDDATE>Jan. 2, 2024</AMDDATE>
+          <DIV1 N="40" TYPE="TITLE"><HEAD>Title 40</HEAD><DIV3 N="I" TYPE="CHAPTER"><HEAD>Chapter I</HEAD>
+          ${Array.from({ length: parts }, (_, p) => part(p + 1)).join('')}
+          </DIV3></DIV1></ECFRBRWS></BODY></TEXT></DLPSTEXTCLASS>`;
+      };
+
+      it('should produce the same documents as parseTitle', async () => {
+        const xml = largeTitle(4, 10);
+
+        const expected = await new XMLParser().parseTitle(xml, 40);
+        const documents = await parser.parseFile(writeFixture('large-parity', xml), 40);
+
+        expect(documents).toHaveLength(46);
+        expect(withoutTimestamps(documents)).toEqual(withoutTimestamps(expected));
+      });
+
+      it('should hand its enclosing divisions digests instead of the sections\' elements', async () => {
+        const buildDocument = parser.buildDocument.bind(parser);
+        const nodes = [];
+        jest.spyOn(parser, 'buildDocument').mockImplementation(options => {
+          if (options.type === 'part') nodes.push(options.node);
+          return buildDocument(options);
+        });
+
+        await parser.parseFile(writeFixture('large-digests', largeTitle(2, 3)), 40, { onBatch: async () => {} });
+
+        expect(nodes).toHaveLength(2);
+        nodes.forEach(node => {
+          expect(node.div8).toHaveLength(3);
+          node.div8.forEach(section => {
+            expect(section).toBeInstanceOf(XMLParser.DivisionDigest);
+            expect(section.gpotable).toBeUndefined();
+          });
+        });
+      });
+
+      it('should keep far less than the element tree in memory while sections are emitted', async () => {
+        v8.setFlagsFromString('--expose_gc');
+        const gc = vm.runInNewContext('gc');
+        const heapUsed = () => {
+          gc();
+          return process.memoryUsage().heapUsed;
+        };
+
+        const xml = largeTitle(40, 25);
+        const filePath = writeFixture('large-heap', xml);
+
+        const before = heapUsed();
+        let growth = 0;
+        await parser.parseFile(filePath, 40, {
+          onBatch: async batch => {
+            // Up to the last part, after which only the chapter and title are left
+            if (batch.some(doc => doc.type === 'chapter' || doc.type === 'title')) return;
+            growth = Math.max(growth, heapUsed() - before);
+          }
+        });
+
+        const tree = await new XMLParser().parser.parseStringPromise(xml);
+        const treeSize = heapUsed() - before;
+
+        expect(tree.dlpstextclass).toBeDefined();
+        expect(growth).toBeLessThan(treeSize * 0.25);
+      });
+    });
+
+    it('should reject malformed XML like parseTitle does', async () => {
+      const filePath = writeFixture('malformed', sampleXML.malformed);
+
+      await expect(new XMLParser().parseTitle(sampleXML.malformed, 3)).rejects.toThrow();
+      await expect(parser.parseFile(filePath, 3)).rejects.toThrow();
+    });
+  });
+
+  describe('diagnostics', () => {
+    it('should only report the reserved section of the sample title', async () => {
+      const diagnostics = new IngestDiagnostics();
+      await parser.parseFile(writeFixture('clean', sampleXML.ecfr), 40, { diagnostics });
+
+      expect(diagnostics.toReport()).toMatchObject({
+        unknownElements: [],
+        skippedDocuments: [],
+        gridfsSpills: [],
+        emptySections: [{ type: 'section', identifier: '40/chapter-I/part-61/section-61.02' }],
+        error: null
+      });
+    });
+
+    it('should report unknown elements, empty sections and documents that could not be built', async () => {
+      const filePath = writeFixture('diagnostics', `<DIV1 N="40" TYPE="TITLE"><HEAD>Title 40</HEAD>
+        <DIV8 N="1.1" TYPE="SECTION"><HEAD>§ 1.1 [Reserved]</HEAD></DIV8>
+        <DIV8 N="1.2" TYPE="SECTION"><HEAD>§ 1.2 Scope.</HEAD><P>Text <NEWTAG>kept</NEWTAG> <NEWTAG>as text</NEWTAG></P></DIV8>
+        <DIV8 N="1.3" TYPE="SECTION"><HEAD>§ 1.3 Broken.</HEAD><P>Text</P></DIV8>
+      </DIV1>`);
+      const extractImages = parser.extractImages.bind(parser);
+      jest.spyOn(parser, 'extractImages').mockImplementation(node => {
+        if (node.N === 1.3) throw new Error('Unreadable image');
+        return extractImages(node);
+      });
+
+      const diagnostics = new IngestDiagnostics();
+      const documents = await parser.parseFile(filePath, 40, { diagnostics });
+
+      expect(documents.map(doc => doc.identifier)).not.toContain('40/section-1.3');
+      expect(diagnostics.toReport()).toMatchObject({
+        unknownElements: [{ name: 'newtag', count: 2 }],
+        skippedDocuments: [{ type: 'section', identifier: '40/section-1.3', error: 'Unreadable image' }],
+        emptySections: [{ type: 'section', identifier: '40/section-1.1', heading: '§ 1.1 [Reserved]' }],
+        totals: { unknownElements: 1, skippedDocuments: 1, gridfsSpills: 0, emptySections: 1 },
+        error: null
+      });
+    });
+
+    it('should record the error that ended the parse', async () => {
+      const diagnostics = new IngestDiagnostics();
+
+      await expect(parser.parseFile(writeFixture('malformed-report', sampleXML.malformed), 3, { diagnostics })).rejects.toThrow();
+      expect(diagnostics.failure).toEqual(expect.any(String));
+    });
+  });
+});
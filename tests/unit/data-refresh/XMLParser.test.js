@@ -0,0 +1,176 @@
+const XMLParser = require('../../../services/data-refresh/services/XMLParser');
+const { sampleXML } = require('../../fixtures/sampleData');
+
+describe('XMLParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new XMLParser();
+  });
+
+  describe('Identifiers', () => {
+    it('should derive identifiers from the citation hierarchy', async () => {
+      const documents = await parser.parseTitle(sampleXML.ecfr, 40);
+      const identifiers = documents.map(d => d.identifier);
+
+      expect(identifiers).toContain('40');
+      expect(identifiers).toContain('40/chapter-I');
+      expect(identifiers).toContain('40/chapter-I/subchapter-C');
+      expect(identifiers).toContain('40/chapter-I/part-60');
+      expect(identifiers).toContain('40/chapter-I/part-60/subpart-A');
+      expect(identifiers).toContain('40/chapter-I/part-60/section-60.4');
+      expect(identifiers).toContain('40/chapter-I/part-60/appendix-A-to-Part-60');
+    });
+
+    it('should keep sections out of subchapter and subpart paths', async () => {
+      const documents = await parser.parseTitle(sampleXML.ecfr, 40);
+      const section = documents.find(d => d.identifier === '40/chapter-I/part-60/section-60.1');
+
+      expect(section).toBeDefined();
+      expect(section.subchapter).toBe('C');
+      expect(section.subpart).toBe('A');
+    });
+
+    it('should produce the same identifiers on every parse', async () => {
+      const first = await parser.parseTitle(sampleXML.ecfr, 40);
+      const second = await new XMLParser().parseTitle(sampleXML.ecfr, 40);
+
+      expect(second.map(d => d.identifier)).toEqual(first.map(d => d.identifier));
+    });
+
+    it('should produce unique identifiers within a title', async () => {
+      const documents = await parser.parseTitle(sampleXML.ecfr, 40);
+      const identifiers = documents.map(d => d.identifier);
+
+      expect(new Set(identifiers).size).toBe(identifiers.length);
+    });
+
+    it('should fall back to sibling position when N is empty', async () => {
+      const documents = await parser.parseTitle(sampleXML.ecfr, 40);
+      const subjectGroup = documents.find(d => d.type === 'subjectgroup');
+
+      expect(subjectGroup.identifier).toBe('40/chapter-I/part-61/subjectgroup-1');
+      expect(subjectGroup.subjectGroup).toBeNull();
+    });
+
+    it('should parse versioner XML, where DIV1 is the root', async () => {
+      const div1 = sampleXML.ecfr.slice(sampleXML.ecfr.indexOf('<DIV1'), sampleXML.ecfr.indexOf('</DIV1>') + '</DIV1>'.length);
+      const bulk = await parser.parseTitle(sampleXML.ecfr, 40);
+      const versioner = await parser.parseTitle(`<?xml version="1.0" encoding="UTF-8"?>\n${div1}`, 40);
+
+      expect(versioner.map(d => d.identifier)).toEqual(bulk.map(d => d.identifier));
+      expect(versioner.map(d => d.contentHash)).toEqual(bulk.map(d => d.contentHash));
+    });
+
+    it('should capture the NODE attribute', async () => {
+      const documents = await parser.parseTitle(sampleXML.ecfr, 40);
+      const part = documents.find(d => d.identifier === '40/chapter-I/part-60');
+
+      expect(part.node).toBe('40:1.0.1.3.60');
+    });
+  });
+
+  describe('Legal citations', () => {
+    it('should parse AUTH and SOURCE into statute and Federal Register citations', async () => {
+      const documents = await parser.parseTitle(sampleXML.ecfr, 40);
+      const part = documents.find(d => d.identifier === '40/chapter-I/part-60');
+
+      expect(part.legalCitations.usc.map(citation => citation.key)).toEqual(['42 U.S.C. 7401']);
+      expect(part.legalCitations.federalRegister.map(citation => citation.key)).toEqual(['36 FR 24877']);
+    });
+
+    it('should read the CITA of sections but not the CITA beneath other divisions', async () => {
+      const documents = await parser.parseTitle(sampleXML.ecfr, 40);
+      const section = documents.find(d => d.identifier === '40/chapter-I/part-60/section-60.1');
+      const subpart = documents.find(d => d.identifier === '40/chapter-I/part-60/subpart-A');
+
+      expect(section.legalCitations.federalRegister.map(citation => citation.key)).toEqual(['40 FR 53346']);
+      expect(subpart.legalCitations.federalRegister).toEqual([]);
+    });
+  });
+
+  describe('Tables', () => {
+    it('should keep the GPOTABLEs of a section as columns and rows', async () => {
+      const documents = await parser.parseTitle(sampleXML.ecfr, 40);
+      const section = documents.find(d => d.identifier === '40/chapter-I/part-60/section-60.4');
+      const part = documents.find(d => d.identifier === '40/chapter-I/part-60');
+
+      expect(section.tables).toEqual([{
+        title: null,
+        columns: [
+          { label: 'State', numeric: false },
+          { label: 'Limit', numeric: true },
+          { label: 'Fee ($)', numeric: true }
+        ],
+        rows: [['Alabama', '0.2', '1,200'], ['Alaska', '0.15', '900']],
+        notes: []
+      }]);
+      expect(part.tables).toEqual([]);
+    });
+
+    it('should label columns under spanning headings and pad short rows', async () => {
+      const xml = await parser.parser.parseStringPromise(`
+        <DIV8><GPOTABLE COLS="3">
+          <TTITLE>Table 1—Limits</TTITLE>
+          <BOXHD><CHED H="1">Pollutant</CHED><CHED H="1">Limit</CHED><CHED H="2">Existing</CHED><CHED H="2">New<SU>1</SU></CHED></BOXHD>
+          <ROW><ENT I="01">PM</ENT><ENT>0.04</ENT><ENT>0.02</ENT></ROW>
+          <ROW><ENT I="01">Opacity</ENT><ENT>20%</ENT></ROW>
+          <TNOTE><SU>1</SU> Construction commenced after 2011.</TNOTE>
+        </GPOTABLE></DIV8>`);
+
+      const [table] = parser.extractGpoTables(xml.div8);
+
+      expect(table.title).toBe('Table 1—Limits');
+      expect(table.columns.map(column => column.label)).toEqual(['Pollutant', 'Limit / Existing', 'Limit / New']);
+      expect(table.columns.map(column => column.numeric)).toEqual([false, true, true]);
+      expect(table.rows[1]).toEqual(['Opacity', '20%', '']);
+      expect(table.notes).toEqual(['1 Construction commenced after 2011.']);
+    });
+  });
+
+  describe('Content hashes', () => {
+    const hashes = documents => new Map(documents.map(d => [d.identifier, d.contentHash]));
+
+    it('should give every document a content hash', async () => {
+      const documents = await parser.parseTitle(sampleXML.ecfr, 40);
+
+      documents.forEach(doc => expect(doc.contentHash).toMatch(/^[0-9a-f]{64}$/));
+    });
+
+    it('should ignore the title-wide amendment date', async () => {
+      const original = hashes(await parser.parseTitle(sampleXML.ecfr, 40));
+      const amended = hashes(await parser.parseTitle(sampleXML.ecfr.replace('Jan. 2, 2024', 'Mar. 5, 2024'), 40));
+
+      expect(amended).toEqual(original);
+    });
+
+    it('should only change for documents whose content changed', async () => {
+      const original = hashes(await parser.parseTitle(sampleXML.ecfr, 40));
+      const edited = hashes(await parser.parseTitle(sampleXML.ecfr.replace('<I>Act</I> means', '<I>Act</I> shall mean'), 40));
+
+      const changed = [...original.keys()].filter(identifier => original.get(identifier) !== edited.get(identifier));
+      // The edited section and the divisions that contain its text
+      expect(changed.sort()).toEqual([
+        '40',
+        '40/chapter-I',
+        '40/chapter-I/part-60',
+        '40/chapter-I/part-60/section-60.2',
+        '40/chapter-I/part-60/subpart-A',
+        '40/chapter-I/subchapter-C'
+      ]);
+    });
+  });
+
+  describe('identifierSegment', () => {
+    it('should strip section symbols and repeated type labels', () => {
+      expect(parser.identifierSegment('section', '§ 60.4', 0)).toBe('section-60.4');
+      expect(parser.identifierSegment('subtitle', 'Subtitle B', 0)).toBe('subtitle-B');
+      expect(parser.identifierSegment('appendix', 'Appendix A to Part 60', 0)).toBe('appendix-A-to-Part-60');
+    });
+
+    it('should use the sibling position when there is no designator', () => {
+      expect(parser.identifierSegment('subjectgroup', '', 2)).toBe('subjectgroup-3');
+      expect(parser.identifierSegment('subjectgroup', undefined, 0)).toBe('subjectgroup-1');
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const {
+  agencyNameFromHeading,
+  agencySlug,
+  validateOverrides
+} = require('../../../services/data-refresh/services/agencyRegistry');
+
+describe('agencyRegistry', () => {
+  describe('agencyNameFromHeading', () => {
+    it('should read the agency after the chapter designator', () => {
+      expect(agencyNameFromHeading('CHAPTER I—ENVIRONMENTAL PROTECTION AGENCY')).toBe('Environmental Protection Agency');
+      expect(agencyNameFromHeading('Chapter II—Office of the Federal Register')).toBe('Office of the Federal Register');
+    });
+
+    it('should drop parenthesized qualifiers so an agency\'s chapters come together', () => {
+      const marketing = agencyNameFromHeading(
+        'CHAPTER I—AGRICULTURAL MARKETING SERVICE (STANDARDS, INSPECTIONS, MARKETING PRACTICES), DEPARTMENT OF AGRICULTURE'
+      );
+      const orders = agencyNameFromHeading(
+        'CHAPTER IX—AGRICULTURAL MARKETING SERVICE (MARKETING AGREEMENTS AND ORDERS; FRUITS, VEGETABLES, NUTS), DEPARTMENT OF AGRICULTURE'
+      );
+
+      expect(marketing).toBe('Agricultural Marketing Service, Department of Agriculture');
+      expect(orders).toBe(marketing);
+      expect(agencyNameFromHeading('CHAPTER IV—EMPLOYEE BENEFITS SECURITY ADMINISTRATION, DEPARTMENT OF LABOR (CONTINUED)'))
+        .toBe('Employee Benefits Security Administration, Department of Labor');
+    });
+
+    it('should not name an agency for reserved chapters', () => {
+      expect(agencyNameFromHeading('CHAPTER XV [RESERVED]')).toBeNull();
+      expect(agencyNameFromHeading('CHAPTER XV—[RESERVED]')).toBeNull();
+      expect(agencyNameFromHeading(undefined)).toBeNull();
+    });
+  });
+
+  describe('agencySlug', () => {
+    it('should make a URL-safe slug of the name', () => {
+      expect(agencySlug('Occupational Safety and Health Administration, Department of Labor'))
+        .toBe('occupational-safety-and-health-administration-department-of-labor');
+      expect(agencySlug('Alcohol & Tobacco Tax and Trade Bureau')).toBe('alcohol-and-tobacco-tax-and-trade-bureau');
+    });
+  });
+
+  describe('validateOverrides', () => {
+    it('should normalize valid entries', () => {
+      expect(validateOverrides([
+        { titleNumber: '48', chapter: 1, agency: ' General Services Administration ', shortName: 'GSA' },
+        { titleNumber: 40, chapter: 'IV', agency: null }
+      ])).toEqual([
+        { titleNumber: 48, chapter: '1', agency: 'General Services Administration', shortName: 'GSA' },
+        { titleNumber: 40, chapter: 'IV', agency: null }
+      ]);
+    });
+
+    it('should reject entries it cannot apply', () => {
+      expect(() => validateOverrides({ titleNumber: 40 })).toThrow('must be a list');
+      expect(() => validateOverrides([{ titleNumber: 51, chapter: 'I', agency: 'X' }])).toThrow('Agency override 1 has an invalid titleNumber');
+      expect(() => validateOverrides([{ titleNumber: 40, agency: 'X' }])).toThrow('has no chapter');
+      expect(() => validateOverrides([{ titleNumber: 40, chapter: 'I' }])).toThrow('needs an agency name');
+    });
+  });
+});
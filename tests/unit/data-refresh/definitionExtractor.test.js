@@ -0,0 +1,77 @@
+const XMLParser = require('../../../services/data-refresh/services/XMLParser');
+const { extractDefinitions } = require('../../../services/data-refresh/services/definitionExtractor');
+const { sampleXML } = require('../../fixtures/sampleData');
+
+describe('extractDefinitions', () => {
+  let parser;
+
+  // A DIV8 as XMLParser hands it to createDocument
+  const section = async (paragraphs) => {
+    const result = await parser.parser.parseStringPromise(
+      `<DIV8 N="§ 60.41" TYPE="SECTION"><HEAD>§ 60.41   Definitions.</HEAD>${paragraphs}</DIV8>`
+    );
+    return result.div8;
+  };
+
+  beforeEach(() => {
+    parser = new XMLParser();
+  });
+
+  it('should read italicized terms followed by defining words', async () => {
+    const node = await section(`
+      <P>As used in this part, all terms not defined herein shall have the meaning given them in the Act.</P>
+      <P><I>Boiler</I> means any enclosed combustion device.</P>
+      <P>(2) <I>Owner or operator</I> includes any person who owns a stationary source.</P>`);
+
+    const definitions = extractDefinitions(node, { part: '60', subpart: 'D', section: '§ 60.41' });
+
+    expect(definitions).toEqual([
+      {
+        term: 'Boiler',
+        termKey: 'boiler',
+        definition: 'Boiler means any enclosed combustion device.',
+        scope: 'part',
+        part: '60',
+        subpart: null,
+        section: '§ 60.41'
+      },
+      expect.objectContaining({
+        term: 'Owner or operator',
+        definition: 'Owner or operator includes any person who owns a stationary source.'
+      })
+    ]);
+  });
+
+  it('should scope definitions to the subpart when the section says so', async () => {
+    const node = await section(`
+      <P>As used in this subpart, all terms not defined herein have the meaning given them in the Act.</P>
+      <P><I>Fossil fuel</I> means natural gas, petroleum, coal.</P>`);
+
+    const [definition] = extractDefinitions(node, { part: '60', subpart: 'D', section: '§ 60.41' });
+
+    expect(definition).toMatchObject({ term: 'Fossil fuel', scope: 'subpart', part: '60', subpart: 'D' });
+  });
+
+  it('should skip italics that are not followed by a definition', async () => {
+    const node = await section(`
+      <P>See the <I>Federal Register</I> for the notice.</P>
+      <P>Emissions shall be measured <I>in situ</I> each day.</P>`);
+
+    expect(extractDefinitions(node, { part: '60', section: '§ 60.41' })).toEqual([]);
+  });
+
+  it('should define nothing outside a part', async () => {
+    const node = await section('<P><I>Boiler</I> means any enclosed combustion device.</P>');
+
+    expect(extractDefinitions(node, { section: '§ 60.41' })).toEqual([]);
+  });
+
+  it('should be run by XMLParser on definitions sections', async () => {
+    const documents = await parser.parseTitle(sampleXML.ecfr, 40);
+    const definitions = documents.find(d => d.identifier === '40/chapter-I/part-60/section-60.2').definitions;
+
+    expect(definitions.map(definition => definition.term)).toEqual(['Act', 'Administrator']);
+    expect(definitions[0].definition).toBe('Act means the Clean Air Act (42 U.S.C. 7401)');
+    expect(documents.find(d => d.identifier === '40/chapter-I/part-60/section-60.1').definitions).toEqual([]);
+  });
+});
@@ -0,0 +1,66 @@
+const { extractReferences } = require('../../../services/data-refresh/services/referenceExtractor');
+
+describe('extractReferences', () => {
+  const context = { titleNumber: 40, part: '60', section: '§ 60.1' };
+  const targets = (text, options = context) => extractReferences(text, options)
+    .map(reference => `${reference.targetTitleNumber} ${reference.targetKey}`);
+
+  it('should read section citations, including lists and paragraphs', () => {
+    expect(targets('as defined in § 60.2 and §§ 60.4(b)(1), 60.5 through 60.8.')).toEqual([
+      '40 section-60.2',
+      '40 section-60.4',
+      '40 section-60.5',
+      '40 section-60.8'
+    ]);
+  });
+
+  it('should read CFR citations into other titles', () => {
+    expect(targets('See 29 CFR parts 1910 and 1926, 40 C.F.R. 52.21 and 40 CFR 60.')).toEqual([
+      '29 part-1910',
+      '29 part-1926',
+      '40 section-52.21',
+      '40 part-60'
+    ]);
+  });
+
+  it('should read parts of this title and of other titles', () => {
+    expect(targets('under part 63 of this chapter, parts 70 and 71, or part 1910 of title 29')).toEqual([
+      '40 part-63',
+      '40 part-70',
+      '40 part-71',
+      '29 part-1910'
+    ]);
+  });
+
+  it('should read subparts against the citing part unless one is named', () => {
+    expect(targets('subpart A of this part, subparts Db and Dc, and subpart B of part 61')).toEqual([
+      '40 part-60/subpart-A',
+      '40 part-60/subpart-Db',
+      '40 part-60/subpart-Dc',
+      '40 part-61/subpart-B'
+    ]);
+    expect(targets('part 63, subpart ZZZZ')).toEqual(['40 part-63/subpart-ZZZZ']);
+  });
+
+  it('should skip subparts when the citing document has no part', () => {
+    expect(targets('subpart A of this part', { titleNumber: 40 })).toEqual([]);
+  });
+
+  it('should leave out references to the citing section and list each target once', () => {
+    const references = extractReferences('§ 60.1 applies, see § 60.4 and also 40 CFR 60.4.', context);
+
+    expect(references).toEqual([{
+      text: '§ 60.4',
+      targetTitleNumber: 40,
+      targetType: 'section',
+      targetPart: '60',
+      targetSection: '60.4',
+      targetKey: 'section-60.4'
+    }]);
+  });
+
+  it('should return nothing for text without citations', () => {
+    expect(extractReferences('', context)).toEqual([]);
+    expect(extractReferences('The Administrator may approve alternatives.', context)).toEqual([]);
+  });
+});
@@ -0,0 +1,39 @@
+const { diffText } = require('../../../services/data-refresh/services/textDiff');
+
+describe('diffText', () => {
+  const joined = (diff, kinds) => diff
+    .filter(part => kinds.includes(part.kind))
+    .map(part => part.text)
+    .join('');
+
+  it('should mark added and removed words', () => {
+    const diff = diffText('Act means the Clean Air Act', 'Act shall mean the Clean Air Act');
+
+    expect(joined(diff, ['removed'])).toContain('means');
+    expect(joined(diff, ['added'])).toContain('shall');
+    expect(joined(diff, ['unchanged', 'removed'])).toBe('Act means the Clean Air Act');
+    expect(joined(diff, ['unchanged', 'added'])).toBe('Act shall mean the Clean Air Act');
+  });
+
+  it('should treat missing text as empty', () => {
+    expect(diffText('', 'New section text')).toEqual([{ kind: 'added', text: 'New section text' }]);
+    expect(diffText('Old section text', null)).toEqual([{ kind: 'removed', text: 'Old section text' }]);
+  });
+
+  it('should trim long unchanged runs to the context around an edit', () => {
+    const filler = 'unchanged words '.repeat(50);
+    const diff = diffText(`${filler}old ${filler}`, `${filler}new ${filler}`);
+    const unchanged = diff.filter(part => part.kind === 'unchanged');
+
+    expect(unchanged[0].text.startsWith('… ')).toBe(true);
+    expect(unchanged[unchanged.length - 1].text.endsWith(' …')).toBe(true);
+    unchanged.forEach(part => expect(part.text.length).toBeLessThan(200));
+  });
+
+  it('should clip very long additions', () => {
+    const diff = diffText('', 'word '.repeat(1000));
+
+    expect(diff[0].text.length).toBeLessThan(2100);
+    expect(diff[0].text.endsWith(' …')).toBe(true);
+  });
+});
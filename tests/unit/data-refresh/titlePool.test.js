@@ -0,0 +1,99 @@
+const { runPool } = require('../../../services/data-refresh/services/titlePool');
+
+// A worker that records which items run together and finishes each on request
+const trackedWorker = () => {
+  const running = new Set();
+  const together = [];
+  const finish = new Map();
+
+  const worker = item => new Promise((resolve, reject) => {
+    running.add(item);
+    together.push([...running].sort());
+    finish.set(item, error => {
+      running.delete(item);
+      if (error) reject(error);
+      else resolve();
+    });
+  });
+
+  return { worker, together, finish };
+};
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('runPool', () => {
+  it('should run up to the concurrency limit at once', async () => {
+    const { worker, together, finish } = trackedWorker();
+    const done = runPool(['a', 'b', 'c'], worker, { concurrency: 2 });
+
+    await settle();
+    expect(together).toEqual([['a'], ['a', 'b']]);
+
+    finish.get('a')();
+    await settle();
+    expect(together[2]).toEqual(['b', 'c']);
+
+    finish.get('b')();
+    finish.get('c')();
+    await expect(done).resolves.toBeUndefined();
+  });
+
+  it('should let lighter items past one that does not fit the budget', async () => {
+    const weights = { big: 8, huge: 9, small: 1 };
+    const { worker, together, finish } = trackedWorker();
+    const done = runPool(['big', 'huge', 'small'], worker, {
+      concurrency: 3,
+      budget: 10,
+      weight: item => weights[item]
+    });
+
+    await settle();
+    expect(together).toEqual([['big'], ['big', 'small']]);
+
+    finish.get('big')();
+    finish.get('small')();
+    await settle();
+    expect(together[2]).toEqual(['huge']);
+
+    finish.get('huge')();
+    await done;
+  });
+
+  it('should run an item heavier than the budget on its own', async () => {
+    const { worker, together, finish } = trackedWorker();
+    const done = runPool(['huge', 'small'], worker, {
+      concurrency: 2,
+      budget: 10,
+      weight: item => (item === 'huge' ? 20 : 1)
+    });
+
+    await settle();
+    expect(together).toEqual([['huge']]);
+
+    finish.get('huge')();
+    await settle();
+    finish.get('small')();
+    await done;
+    expect(together).toEqual([['huge'], ['small']]);
+  });
+
+  it('should stop starting items after a failure and wait for the running ones', async () => {
+    const { worker, together, finish } = trackedWorker();
+    const done = runPool(['a', 'b', 'c'], worker, { concurrency: 2 });
+    let settled = false;
+    done.catch(() => {}).then(() => { settled = true; });
+
+    await settle();
+    finish.get('a')(new Error('cancelled'));
+    await settle();
+    expect(settled).toBe(false);
+
+    finish.get('b')();
+    await expect(done).rejects.toThrow('cancelled');
+    expect(together).toEqual([['a'], ['a', 'b']]);
+  });
+
+  it('should resolve at once without items', async () => {
+    await expect(runPool([], () => {})).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,97 @@
+const {
+  SEARCH_SCHEMA_VERSION,
+  ANALYSIS,
+  DOCUMENT_PROPERTIES,
+  INDEX_TEMPLATES,
+  INDEXED_DOCUMENT_FIELDS,
+  toIndexedDocument,
+  toSearchDocument
+} = require('../../../../services/shared/db/searchSchema');
+
+const storedDocument = {
+  _id: { toString: () => '65f0c0ffee' },
+  generations: [3],
+  titleNumber: 40,
+  type: 'section',
+  identifier: '40/chapter-I/part-60/section-60.4',
+  node: '40:7.0.1.1.1.1.1',
+  chapter: 'I',
+  part: '60',
+  section: '60.4',
+  heading: '§ 60.4 Address.',
+  content: 'All requests under paragraph (a)(1)(i) shall be submitted in writing.',
+  effectiveDate: new Date('2024-01-01'),
+  amendmentDate: new Date('2024-06-01'),
+  lastModified: new Date('2024-06-02'),
+  citations: [{ text: '40 FR 1234', type: 'N' }],
+  legalCitations: { usc: [{ key: '42 U.S.C. 7411', title: 42, section: '7411' }], publicLaws: [], federalRegister: [] }
+};
+
+describe('searchSchema', () => {
+  it('should map every field a document is indexed with', () => {
+    const indexed = toIndexedDocument(storedDocument, 'Protection of Environment');
+
+    expect(Object.keys(indexed).filter(field => !DOCUMENT_PROPERTIES[field])).toEqual([]);
+    expect(indexed).toMatchObject({ type: 'section', documentId: '65f0c0ffee', generations: [3], usc: ['42 U.S.C. 7411'] });
+  });
+
+  it('should copy the scores of a section analysis, or null without one', () => {
+    const analysis = { documentId: storedDocument._id, antiquatedScore: 72, businessUnfriendlyScore: 41, summary: 'Addresses.' };
+
+    expect(toIndexedDocument(storedDocument, 'Title 40', analysis)).toMatchObject({ antiquatedScore: 72, businessUnfriendlyScore: 41 });
+    expect(toIndexedDocument(storedDocument, 'Title 40')).toMatchObject({ antiquatedScore: null, businessUnfriendlyScore: null });
+    expect(toIndexedDocument(storedDocument, 'Title 40', analysis)).not.toHaveProperty('summary');
+  });
+
+  it('should select every MongoDB field the indexed document is built from', () => {
+    const selected = INDEXED_DOCUMENT_FIELDS.split(' ');
+    const read = Object.keys(storedDocument).filter(field => field !== '_id');
+
+    expect(read.filter(field => !selected.includes(field))).toEqual([]);
+  });
+
+  it('should give snapshots the document fields and their date', () => {
+    const snapshot = INDEX_TEMPLATES.ecfr_snapshots.template.mappings.properties;
+
+    expect(snapshot).toMatchObject(DOCUMENT_PROPERTIES);
+    expect(Object.keys({ ...toSearchDocument(storedDocument, 'Title 40'), snapshotDate: '2024-06-01' })
+      .filter(field => !snapshot[field])).toEqual([]);
+  });
+
+  it('should keep every hierarchy level and filterable field exact', () => {
+    ['type', 'identifier', 'subtitle', 'chapter', 'subchapter', 'part', 'subpart', 'subjectGroup', 'section']
+      .forEach(field => expect(DOCUMENT_PROPERTIES[field]).toEqual({ type: 'keyword' }));
+    ['effectiveDate', 'amendmentDate', 'lastModified']
+      .forEach(field => expect(DOCUMENT_PROPERTIES[field].type).toBe('date'));
+  });
+
+  it('should only refer to analysis components it defines', () => {
+    Object.values(ANALYSIS.analyzer).forEach(analyzer => {
+      analyzer.char_filter.forEach(name => expect(ANALYSIS.char_filter).toHaveProperty(name));
+      analyzer.filter.filter(name => name !== 'lowercase').forEach(name => expect(ANALYSIS.filter).toHaveProperty(name));
+    });
+    Object.values(DOCUMENT_PROPERTIES).filter(mapping => mapping.analyzer).forEach(mapping => {
+      expect(ANALYSIS.analyzer).toHaveProperty(mapping.analyzer);
+      expect(ANALYSIS.analyzer).toHaveProperty(mapping.search_analyzer);
+    });
+  });
+
+  it('should version every template and the indexes created from it', () => {
+    Object.values(INDEX_TEMPLATES).forEach(template => {
+      expect(template.version).toBe(SEARCH_SCHEMA_VERSION);
+      expect(template.template.mappings._meta.schemaVersion).toBe(SEARCH_SCHEMA_VERSION);
+      expect(template.template.mappings.dynamic).toBe('strict');
+    });
+  });
+
+  // The same patterns as the char filters, applied the way Elasticsearch applies them in order
+  it('should turn section signs and paragraph designators into searchable tokens', () => {
+    const normalize = text => ['section_signs', 'section_sign', 'designator_spacing', 'paragraph_designators']
+      .map(name => ANALYSIS.char_filter[name])
+      .reduce((result, filter) => result.replace(new RegExp(filter.pattern, 'g'), filter.replacement), text);
+
+    expect(normalize('§ 60.4(a)(1)(i)').trim()).toBe('section 60.4 _a_1_i');
+    expect(normalize('§§60.1-60.3').trim()).toBe('sections 60.1-60.3');
+    expect(normalize('under paragraph (b) of this section')).toBe('under paragraph _b of this section');
+  });
+});
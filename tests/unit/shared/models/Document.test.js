@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Document = require('../../../../services/shared/models/Document');
+const Title = require('../../../../services/shared/models/Title');
 const { DatabaseHelper, TestDataBuilder } = require('../../../utils/testHelpers');
 
 describe('Document Model', () => {
@@ -331,6 +332,46 @@ describe('Document Model', () => {
     });
   });
 
+  describe('Generations', () => {
+    const version = (generations, content) => TestDataBuilder.createDocument({
+      identifier: 'section-1.1',
+      type: 'section',
+      content,
+      generations
+    });
+
+    it('should keep versions of a document in different generations', async () => {
+      await Document.create(version([1], 'Old text'));
+      await Document.create(version([2], 'New text'));
+
+      await expect(Document.create(version([2], 'Other text')))
+        .rejects.toThrow(/duplicate key/);
+    });
+
+    it('should only match the active generation of a title', async () => {
+      await Title.create({ number: 1, name: 'General Provisions', checksum: 'abc', lastDownloaded: new Date(), activeGeneration: 2 });
+      await Document.create(version([1], 'Old text'));
+      await Document.create(version([2], 'New text'));
+      await Document.create({ ...version([2, 3], 'Staged text'), identifier: 'section-1.2' });
+      await Document.create({ ...version([3], 'Staged text'), identifier: 'section-1.3' });
+
+      const single = await Document.find(await Document.activeFilter(1)).sort({ identifier: 1 });
+      const all = await Document.find(await Document.activeFilter()).sort({ identifier: 1 });
+
+      expect(single.map(doc => doc.content)).toEqual(['New text', 'Staged text']);
+      expect(all.map(doc => doc.identifier)).toEqual(['section-1.1', 'section-1.2']);
+    });
+
+    it('should treat documents from before generations as generation 0', async () => {
+      await Document.create(version(undefined, 'Legacy text'));
+      await Document.create({ ...version([1], 'Staged text'), identifier: 'section-1.2' });
+
+      const documents = await Document.find(await Document.activeFilter(1));
+
+      expect(documents.map(doc => doc.content)).toEqual(['Legacy text']);
+    });
+  });
+
   describe('Query Performance', () => {
     beforeEach(async () => {
       // Create multiple documents for query testing
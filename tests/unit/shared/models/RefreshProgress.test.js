@@ -50,6 +50,18 @@ describe('RefreshProgress Model', () => {
     });
   });
 
+  describe('findActive', () => {
+    it('should find the latest run that has started and not finished', async () => {
+      await RefreshProgress.create({ type: 'refresh', status: 'completed' });
+      await RefreshProgress.create({ type: 'refresh', status: 'pending' });
+      const paused = await RefreshProgress.create({ type: 'single_title', status: 'paused' });
+
+      const active = await RefreshProgress.findActive();
+      expect(active._id.toString()).toBe(paused._id.toString());
+      expect(await RefreshProgress.findActive({ type: 'refresh' })).toBeNull();
+    });
+  });
+
   describe('getCurrentProgress', () => {
     it('should return existing progress if found', async () => {
       const existing = await RefreshProgress.create({
@@ -74,6 +86,13 @@ describe('RefreshProgress Model', () => {
       expect(progress.totalTitles).toBe(0);
     });
 
+    it('should return a paused run rather than start another', async () => {
+      const paused = await RefreshProgress.create({ type: 'refresh', status: 'paused' });
+
+      const progress = await RefreshProgress.getCurrentProgress('refresh');
+      expect(progress._id.toString()).toBe(paused._id.toString());
+    });
+
     it('should handle concurrent creation attempts', async () => {
       // The model doesn't have built-in race condition handling,
       // so concurrent calls may create multiple documents
@@ -90,7 +109,42 @@ describe('RefreshProgress Model', () => {
     });
   });
 
+  describe('startTitle', () => {
+    it('should track every title being processed', async () => {
+      const progress = await RefreshProgress.create({
+        type: 'initial',
+        status: 'in_progress',
+        totalTitles: 5
+      });
+
+      await Promise.all([
+        progress.startTitle(1, 'Title 1'),
+        progress.startTitle(2, 'Title 2')
+      ]);
+      await progress.markTitleProcessed(1, 'Title 1');
+
+      const updated = await RefreshProgress.findById(progress._id);
+      expect(updated.currentTitles.map(t => t.number)).toEqual([2]);
+      expect(updated.currentTitles[0].startedAt).toBeDefined();
+    });
+  });
+
   describe('markTitleProcessed', () => {
+    it('should count titles finished side by side', async () => {
+      const progress = await RefreshProgress.create({
+        type: 'refresh',
+        status: 'in_progress',
+        totalTitles: 3
+      });
+
+      await Promise.all([1, 2, 3].map(number => progress.markTitleProcessed(number, `Title ${number}`)));
+
+      const updated = await RefreshProgress.findById(progress._id);
+      expect(updated.processedTitles).toBe(3);
+      expect(updated.status).toBe('completed');
+    });
+
+
     it('should add title to processedTitleNumbers and increment count', async () => {
       const progress = await RefreshProgress.create({
         type: 'refresh',
@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const Title = require('../../../../services/shared/models/Title');
 const { setupTestDatabase, teardownTestDatabase } = require('../../../utils/testHelpers');
 
@@ -177,6 +178,21 @@ describe('Title Model', () => {
       const saved = await title.save();
       expect(saved.isOversized).toBe(true);
     });
+
+    it('should save a GridFS reference to the XML', async () => {
+      const xmlFileId = new mongoose.Types.ObjectId();
+      const title = new Title({
+        number: 31,
+        name: 'Title with stored XML',
+        checksum: 'checksum31',
+        lastDownloaded: new Date(),
+        xmlFileId
+      });
+
+      const saved = await title.save();
+      expect(saved.xmlFileId).toEqual(xmlFileId);
+      expect(saved.xmlContent).toBeUndefined();
+    });
   });
 
   describe('Timestamps', () => {
@@ -0,0 +1,70 @@
+const {
+  parseLegalCitations,
+  citationSearchFields,
+  uscPosition
+} = require('../../../../services/shared/utils/legalCitations');
+
+describe('Legal Citations', () => {
+  describe('parseLegalCitations', () => {
+    it('should read U.S.C. sections, lists and ranges', () => {
+      const { usc } = parseLegalCitations('Authority: 5 U.S.C. 301, 552; 42 U.S.C. 7401-7671q, 300g-1 and 9601, 104 Stat. 2399');
+
+      expect(usc.map(citation => citation.key)).toEqual([
+        '5 U.S.C. 301',
+        '5 U.S.C. 552',
+        '42 U.S.C. 7401-7671q',
+        '42 U.S.C. 300g-1',
+        '42 U.S.C. 9601'
+      ]);
+      expect(usc[2]).toMatchObject({ title: 42, section: '7401', through: '7671q', etSeq: false });
+    });
+
+    it('should mark sections cited with et seq.', () => {
+      const { usc } = parseLegalCitations('42 U.S.C. 7401 et seq.');
+
+      expect(usc).toEqual([{ key: '42 U.S.C. 7401', title: 42, section: '7401', through: null, etSeq: true }]);
+    });
+
+    it('should read Public Laws', () => {
+      const { publicLaws } = parseLegalCitations('Sec. 307, Pub. L. 101-549; Public Law 104-13; Pub. L. No. 94-580');
+
+      expect(publicLaws.map(citation => citation.key)).toEqual(['Pub. L. 101-549', 'Pub. L. 104-13', 'Pub. L. 94-580']);
+    });
+
+    it('should read Federal Register citations with their dates', () => {
+      const { federalRegister } = parseLegalCitations(
+        '[44 FR 3452, 3460, Jan. 16, 1979, as amended at 79 FR 12345, Mar. 1, 2014; 80 FR 100, Sept. 30, 2015]'
+      );
+
+      expect(federalRegister).toEqual([
+        { key: '44 FR 3452', volume: 44, page: 3452, date: new Date(Date.UTC(1979, 0, 16)) },
+        { key: '79 FR 12345', volume: 79, page: 12345, date: new Date(Date.UTC(2014, 2, 1)) },
+        { key: '80 FR 100', volume: 80, page: 100, date: new Date(Date.UTC(2015, 8, 30)) }
+      ]);
+    });
+
+    it('should list each citation once and return empty lists without text', () => {
+      expect(parseLegalCitations('36 FR 24877; 36 FR 24877').federalRegister).toHaveLength(1);
+      expect(parseLegalCitations(null)).toEqual({ usc: [], publicLaws: [], federalRegister: [] });
+    });
+  });
+
+  describe('citationSearchFields', () => {
+    it('should index ranges as numeric ranges and everything else by key', () => {
+      const fields = citationSearchFields(parseLegalCitations('42 U.S.C. 7401-7671q, 7411; Pub. L. 101-549; 79 FR 12345'));
+
+      expect(fields).toEqual({
+        usc: ['42 U.S.C. 7411'],
+        uscRanges: [{ gte: uscPosition(42, '7401'), lte: uscPosition(42, '7671q') }],
+        publicLaws: ['Pub. L. 101-549'],
+        federalRegister: ['79 FR 12345']
+      });
+    });
+
+    it('should place sections inside the ranges that contain them', () => {
+      expect(uscPosition(42, '7411')).toBeGreaterThan(uscPosition(42, '7401'));
+      expect(uscPosition(42, '7411')).toBeLessThan(uscPosition(42, '7671q'));
+      expect(uscPosition(33, '9999')).toBeLessThan(uscPosition(42, '1'));
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const {
+  parseCron,
+  cronMatches,
+  inBlackout,
+  nextRun,
+  normalizeSchedule,
+  dueTitles
+} = require('../../../../services/shared/utils/refreshSchedule');
+
+// Local time, as the schedule is evaluated in the server's time zone
+const at = (text) => {
+  const [date, time] = text.split(' ');
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(year, month - 1, day, hours, minutes);
+};
+
+describe('Refresh Schedule', () => {
+  describe('parseCron', () => {
+    it('should expand lists, ranges, steps and names', () => {
+      const parsed = parseCron('0,30 */6 1-3 jan-mar mon-fri');
+
+      expect([...parsed.minute]).toEqual([0, 30]);
+      expect([...parsed.hour]).toEqual([0, 6, 12, 18]);
+      expect([...parsed.dayOfMonth]).toEqual([1, 2, 3]);
+      expect([...parsed.month]).toEqual([1, 2, 3]);
+      expect([...parsed.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('should treat 7 as Sunday', () => {
+      expect(parseCron('0 0 * * 7').dayOfWeek.has(0)).toBe(true);
+    });
+
+    it('should name the field that is wrong', () => {
+      expect(() => parseCron('0 0 * *')).toThrow('must have 5 fields');
+      expect(() => parseCron('60 0 * * *')).toThrow('minute 60 is outside 0-59');
+      expect(() => parseCron('0 0 * foo *')).toThrow('Invalid month "foo"');
+      expect(() => parseCron('0 5-2 * * *')).toThrow('Invalid hour range "5-2"');
+      expect(() => parseCron('*/0 * * * *')).toThrow('Invalid step "0" in minute');
+    });
+  });
+
+  describe('cronMatches', () => {
+    it('should match either day field when both are restricted', () => {
+      // The 1st of the month, or any Monday
+      expect(cronMatches('0 2 1 * mon', at('2024-06-01 02:00'))).toBe(true); // Saturday the 1st
+      expect(cronMatches('0 2 1 * mon', at('2024-06-03 02:00'))).toBe(true); // Monday the 3rd
+      expect(cronMatches('0 2 1 * mon', at('2024-06-04 02:00'))).toBe(false);
+      expect(cronMatches('0 2 * * mon', at('2024-06-01 02:00'))).toBe(false);
+    });
+  });
+
+  describe('inBlackout', () => {
+    const schedule = { blackouts: [{ days: [5], start: '22:00', end: '06:00' }] };
+
+    it('should carry windows that end before they start past midnight', () => {
+      expect(inBlackout(schedule, at('2024-06-07 23:00'))).toBe(true); // Friday night
+      expect(inBlackout(schedule, at('2024-06-08 05:59'))).toBe(true); // Saturday morning
+      expect(inBlackout(schedule, at('2024-06-08 06:00'))).toBe(false);
+      expect(inBlackout(schedule, at('2024-06-08 23:00'))).toBe(false); // Saturday night
+    });
+
+    it('should apply windows without days every day', () => {
+      expect(inBlackout({ blackouts: [{ days: [], start: '08:00', end: '18:00' }] }, at('2024-06-09 12:00'))).toBe(true);
+    });
+  });
+
+  describe('nextRun', () => {
+    it('should find the next time the expression fires outside blackouts', () => {
+      const schedule = { blackouts: [{ days: [1, 2, 3, 4, 5], start: '00:00', end: '12:00' }] };
+
+      expect(nextRun(schedule, '0 2 * * *', at('2024-06-06 12:00'))).toEqual(at('2024-06-08 02:00'));
+      expect(nextRun({ blackouts: [] }, '30 * * * *', at('2024-06-06 12:30'))).toEqual(at('2024-06-06 13:30'));
+    });
+
+    it('should give up after a year', () => {
+      expect(nextRun({ blackouts: [] }, '0 0 30 2 *', at('2024-06-06 12:00'))).toBeNull();
+    });
+  });
+
+  describe('normalizeSchedule', () => {
+    it('should return the stored form of a valid schedule', () => {
+      expect(normalizeSchedule({
+        cron: ' 0 2 * * * ',
+        blackouts: [{ days: [5, 1, 1], start: '08:00', end: '18:00' }],
+        titles: [
+          { titleNumber: '40', policy: 'cron', cron: '0 3 * * 0' },
+          { titleNumber: 26, policy: 'skip', cron: 'ignored' }
+        ]
+      })).toEqual({
+        cron: '0 2 * * *',
+        dryRun: false,
+        blackouts: [{ days: [1, 5], start: '08:00', end: '18:00' }],
+        titles: [
+          { titleNumber: 26, policy: 'skip' },
+          { titleNumber: 40, policy: 'cron', cron: '0 3 * * 0' }
+        ]
+      });
+    });
+
+    it('should reject schedules it cannot run', () => {
+      expect(() => normalizeSchedule({ cron: '0 2 * *' })).toThrow('must have 5 fields');
+      expect(() => normalizeSchedule({ cron: '0 2 * * *', blackouts: [{ start: '8am', end: '18:00' }] }))
+        .toThrow('Blackout window 1 needs a start and end time');
+      expect(() => normalizeSchedule({ cron: '0 2 * * *', blackouts: [{ days: [7], start: '08:00', end: '18:00' }] }))
+        .toThrow('weekday numbers');
+      expect(() => normalizeSchedule({ cron: '0 2 * * *', titles: [{ titleNumber: 51, policy: 'skip' }] }))
+        .toThrow('invalid title number');
+      expect(() => normalizeSchedule({ cron: '0 2 * * *', titles: [{ titleNumber: 1, policy: 'skip' }, { titleNumber: 1, policy: 'skip' }] }))
+        .toThrow('Title 1 has more than one policy');
+      expect(() => normalizeSchedule({ cron: '0 2 * * *', titles: [{ titleNumber: 1, policy: 'cron', cron: 'daily' }] }))
+        .toThrow('Title 1: ');
+    });
+  });
+
+  describe('dueTitles', () => {
+    const schedule = normalizeSchedule({
+      cron: '0 2 * * *',
+      titles: [
+        { titleNumber: 26, policy: 'skip' },
+        { titleNumber: 40, policy: 'cron', cron: '0 3 * * *' }
+      ]
+    });
+
+    it('should include titles without a policy when the main expression fires', () => {
+      const { due, includes } = dueTitles(schedule, at('2024-06-06 02:00'));
+
+      expect(due).toBe(true);
+      expect(includes(1)).toBe(true);
+      expect(includes(26)).toBe(false);
+      expect(includes(40)).toBe(false);
+    });
+
+    it('should include titles with their own expression when theirs fires', () => {
+      const { due, includes } = dueTitles(schedule, at('2024-06-06 03:00'));
+
+      expect(due).toBe(true);
+      expect(includes(1)).toBe(false);
+      expect(includes(40)).toBe(true);
+    });
+
+    it('should not be due when nothing fires', () => {
+      expect(dueTitles(schedule, at('2024-06-06 04:00')).due).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const {
+  parseSearchQuery,
+  toElasticsearchQuery,
+  QuerySyntaxError
+} = require('../../../../services/shared/utils/searchQuery');
+
+const syntaxError = (query) => {
+  try {
+    parseSearchQuery(query);
+  } catch (error) {
+    expect(error).toBeInstanceOf(QuerySyntaxError);
+    return { message: error.message, position: error.position };
+  }
+  throw new Error(`${query} parsed`);
+};
+
+describe('Search Query', () => {
+  describe('parseSearchQuery', () => {
+    it('should require every word when no operator is given', () => {
+      expect(parseSearchQuery('reporting requirement')).toEqual({
+        type: 'and',
+        clauses: [
+          { type: 'term', value: 'reporting', field: null, fuzziness: null },
+          { type: 'term', value: 'requirement', field: null, fuzziness: null }
+        ]
+      });
+    });
+
+    it('should bind NOT before AND before OR', () => {
+      const tree = parseSearchQuery('permit OR license AND NOT temporary');
+
+      expect(tree.type).toBe('or');
+      expect(tree.clauses[1]).toMatchObject({
+        type: 'and',
+        clauses: [{ value: 'license' }, { type: 'not', clause: { value: 'temporary' } }]
+      });
+    });
+
+    it('should read phrases with proximity and words with fuzziness', () => {
+      expect(parseSearchQuery('"reporting requirement"~5')).toEqual({ type: 'phrase', value: 'reporting requirement', field: null, slop: 5 });
+      expect(parseSearchQuery('polution~')).toMatchObject({ type: 'term', fuzziness: 'AUTO' });
+      expect(parseSearchQuery('polution~1')).toMatchObject({ type: 'term', fuzziness: 1 });
+    });
+
+    it('should apply a field prefix to a word, a phrase or a group', () => {
+      const tree = parseSearchQuery('heading:(air OR water) authority:"42 U.S.C." -source:exempt');
+
+      expect(tree.clauses[0].clauses.map(clause => clause.field)).toEqual(['heading', 'heading']);
+      expect(tree.clauses[1]).toMatchObject({ type: 'phrase', field: 'authority' });
+      expect(tree.clauses[2]).toMatchObject({ type: 'not', clause: { field: 'source', value: 'exempt' } });
+    });
+
+    it('should keep paragraph designators with their section and allow wildcards', () => {
+      expect(parseSearchQuery('60.4(a)(1) regulat*').clauses).toEqual([
+        { type: 'term', value: '60.4(a)(1)', field: null, fuzziness: null },
+        { type: 'wildcard', value: 'regulat*', field: null }
+      ]);
+      expect(parseSearchQuery('NOT(permit)')).toMatchObject({ type: 'not', clause: { value: 'permit' } });
+    });
+
+    it('should report syntax errors with their position', () => {
+      expect(syntaxError('air AND')).toEqual({ message: 'Expected a search term after AND', position: 7 });
+      expect(syntaxError('(air OR water')).toEqual({ message: 'Missing closing parenthesis', position: 0 });
+      expect(syntaxError('air) water')).toEqual({ message: 'Unmatched closing parenthesis', position: 3 });
+      expect(syntaxError('air "quality')).toEqual({ message: 'Missing closing quote', position: 4 });
+      expect(syntaxError('air OR OR water').position).toBe(7);
+      expect(syntaxError('air *water').message).toBe('A wildcard cannot start a term');
+      expect(syntaxError('notes:air').message).toMatch(/^Unknown field "notes"/);
+      expect(syntaxError('permit~5 fee*')).toEqual({ message: 'Wildcards cannot be used in a proximity search', position: 9 });
+      expect(syntaxError('permit~5 fee~5 waiver')).toMatchObject({ position: 12 });
+      expect(syntaxError('permit~500 fee').message).toBe('Proximity can be at most 100 words');
+    });
+
+    it('should read ~N after a word as spelling edits up to 2 and as proximity beyond', () => {
+      expect(parseSearchQuery('permit~2 fee')).toEqual({
+        type: 'and',
+        clauses: [
+          { type: 'term', value: 'permit', field: null, fuzziness: 2 },
+          { type: 'term', value: 'fee', field: null, fuzziness: null }
+        ]
+      });
+      expect(parseSearchQuery('permit~5 fee')).toEqual({ type: 'phrase', value: 'permit fee', field: null, slop: 5 });
+      expect(parseSearchQuery('heading:permit~5 fee OR waiver')).toEqual({
+        type: 'or',
+        clauses: [
+          { type: 'phrase', value: 'permit fee', field: 'heading', slop: 5 },
+          { type: 'term', value: 'waiver', field: null, fuzziness: null }
+        ]
+      });
+      // Nothing to be near, so the word is searched as it is
+      expect(parseSearchQuery('permit~5')).toEqual({ type: 'term', value: 'permit', field: null, fuzziness: null });
+      expect(parseSearchQuery('permit~5 OR fee')).toMatchObject({ type: 'or', clauses: [{ type: 'term', value: 'permit' }, { value: 'fee' }] });
+    });
+  });
+
+  describe('toElasticsearchQuery', () => {
+    it('should match every word of a term across the default fields', () => {
+      expect(toElasticsearchQuery(parseSearchQuery('permit'))).toEqual({
+        multi_match: {
+          query: 'permit',
+          fields: ['content', 'heading^2', 'identifier^3', 'authority', 'source'],
+          operator: 'and'
+        }
+      });
+    });
+
+    it('should put negated clauses of an AND in must_not', () => {
+      const query = toElasticsearchQuery(parseSearchQuery('heading:"air quality"~2 -exempt'));
+
+      expect(query.bool.must).toEqual([{ multi_match: { query: 'air quality', fields: ['heading^2'], type: 'phrase', slop: 2 } }]);
+      expect(query.bool.must_not[0].multi_match.query).toBe('exempt');
+    });
+
+    it('should search two words within a distance as a phrase with that slop', () => {
+      expect(toElasticsearchQuery(parseSearchQuery('reporting~5 requirement'))).toEqual({
+        multi_match: {
+          query: 'reporting requirement',
+          fields: ['content', 'heading^2', 'identifier^3', 'authority', 'source'],
+          type: 'phrase',
+          slop: 5
+        }
+      });
+    });
+
+    it('should match wildcards against the unstemmed text', () => {
+      expect(toElasticsearchQuery(parseSearchQuery('heading:Regulat*'))).toEqual({
+        bool: {
+          should: [{ wildcard: { 'heading.exact': { value: 'regulat*', case_insensitive: true, boost: 2 } } }],
+          minimum_should_match: 1
+        }
+      });
+    });
+  });
+});